@@ -0,0 +1,26 @@
+// scripts/create-api-key.js
+// Prints a new API key and the entry to add to API_KEYS_FILE (default
+// config/api-keys.json). Only the key's SHA-256 goes in the file; the key
+// itself is shown once and cannot be recovered.
+//
+//   npm run create-api-key -- <name> <viewer|deployer|admin> [rateLimitPerMinute]
+
+const { ROLES, generateApiKey, hashApiKey } = require("../src/auth");
+
+const [name, role, rateLimit] = process.argv.slice(2);
+if (!name || !ROLES.includes(role)) {
+  console.error(`Usage: npm run create-api-key -- <name> <${ROLES.join("|")}> [rateLimitPerMinute]`);
+  process.exit(1);
+}
+if (rateLimit !== undefined && !/^[1-9]\d*$/.test(rateLimit)) {
+  console.error("rateLimitPerMinute must be a positive integer.");
+  process.exit(1);
+}
+
+const key = generateApiKey();
+const entry = { name, role, sha256: hashApiKey(key) };
+if (rateLimit !== undefined) entry.rateLimitPerMinute = parseInt(rateLimit, 10);
+
+console.log(`API key (shown once): ${key}\n`);
+console.log("Add to the \"keys\" list in your API keys file:");
+console.log(JSON.stringify(entry, null, 2));
@@ -0,0 +1,104 @@
+// scripts/mock-carbon-server.js
+// Local stand-in for the Electricity Maps and WattTime APIs, for tests and
+// offline demos. Point the backend at it with:
+//
+//   ELECTRICITYMAPS_API_BASE_URL=http://localhost:4100/v3 ELECTRICITYMAPS_API_KEY=mock
+//   WATTTIME_API_BASE_URL=http://localhost:4100 WATTTIME_USERNAME=mock WATTTIME_PASSWORD=mock
+//
+// Values come from MOCK_CARBON_FILE (same CSV/JSON format as the static-file
+// provider, default: examples/carbon-intensity.sample.csv). Zones missing
+// from the file get a flat 400 gCO2eq/kWh.
+
+const express = require("express");
+const path = require("path");
+const { createStaticFileProvider } = require("../src/carbon/providers/staticFile");
+const { LBS_PER_MWH_TO_G_PER_KWH } = require("../src/carbon/providers/wattTime");
+
+const PORT = process.env.MOCK_CARBON_PORT || 4100;
+const FILE =
+  process.env.MOCK_CARBON_FILE ||
+  path.join(__dirname, "..", "examples", "carbon-intensity.sample.csv");
+const DEFAULT_VALUE = 400;
+
+const app = express();
+const source = createStaticFileProvider({ filePath: FILE });
+
+async function latest(zone) {
+  try {
+    return await source.latest(zone);
+  } catch (err) {
+    return DEFAULT_VALUE;
+  }
+}
+
+async function forecast(zone) {
+  try {
+    return await source.forecast(zone);
+  } catch (err) {
+    const start = new Date();
+    start.setUTCMinutes(0, 0, 0);
+    return Array.from({ length: 24 }, (_, i) => ({
+      datetime: new Date(start.getTime() + i * 60 * 60 * 1000).toISOString(),
+      carbonIntensity: DEFAULT_VALUE,
+    }));
+  }
+}
+
+// -------------------- Electricity Maps v3 --------------------
+
+app.get("/v3/carbon-intensity/latest", async (req, res) => {
+  if (!req.get("auth-token")) {
+    return res.status(401).json({ error: "missing auth-token" });
+  }
+  const zone = req.query.zone;
+  res.json({
+    zone,
+    carbonIntensity: await latest(zone),
+    datetime: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+});
+
+app.get("/v3/carbon-intensity/forecast", async (req, res) => {
+  if (!req.get("auth-token")) {
+    return res.status(401).json({ error: "missing auth-token" });
+  }
+  const zone = req.query.zone;
+  res.json({
+    zone,
+    forecast: await forecast(zone),
+    updatedAt: new Date().toISOString(),
+  });
+});
+
+// -------------------- WattTime v3 --------------------
+
+app.get("/login", (req, res) => {
+  if (!(req.get("authorization") || "").startsWith("Basic ")) {
+    return res.status(401).json({ error: "missing basic auth" });
+  }
+  res.json({ token: "mock-watttime-token" });
+});
+
+app.get("/v3/forecast", async (req, res) => {
+  if (req.get("authorization") !== "Bearer mock-watttime-token") {
+    return res.status(401).json({ error: "invalid token" });
+  }
+  const region = req.query.region;
+  const points = await forecast(region);
+  res.json({
+    data: points.map((p) => ({
+      point_time: p.datetime,
+      value: p.carbonIntensity / LBS_PER_MWH_TO_G_PER_KWH,
+    })),
+    meta: {
+      region,
+      signal_type: req.query.signal_type || "co2_moer",
+      units: "lbs_co2_per_mwh",
+    },
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock carbon API running on http://localhost:${PORT} (data: ${FILE})`);
+});
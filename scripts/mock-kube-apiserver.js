@@ -0,0 +1,270 @@
+// scripts/mock-kube-apiserver.js
+// Local stand-in for a Kubernetes API server, for tests and offline demos of
+// the Kubernetes API client (src/kube/). Point a cluster at it with a
+// kubeconfig whose server is http://localhost:4200 and set "client": "api":
+//
+//   npm run mock:kube
+//   CLUSTERS_CONFIG_FILE=examples/clusters.mock.json ENABLE_CIVO_DEPLOY=true npm start
+//
+// Objects live in memory. Supports what the client uses: GET /version,
+// server-side apply (PATCH application/apply-patch+yaml, with dryRun=All),
+// get/list/watch with labelSelector and fieldSelector=metadata.name, and
+// delete. Deployments and StatefulSets finish rolling out
+// MOCK_KUBE_ROLLOUT_MS after each spec change (-1: never), and their pods
+// are synthesized from the pod template.
+//
+//   MOCK_KUBE_PORT=<port>     default 4200
+//   MOCK_KUBE_TOKEN=<token>   require "Authorization: Bearer <token>"
+
+const express = require("express");
+const crypto = require("crypto");
+const YAML = require("yaml");
+const { RESOURCES } = require("../src/kube/resources");
+
+const PORT = process.env.MOCK_KUBE_PORT || 4200;
+const TOKEN = process.env.MOCK_KUBE_TOKEN || "";
+const ROLLOUT_MS = parseInt(process.env.MOCK_KUBE_ROLLOUT_MS || "1500", 10);
+
+const app = express();
+app.use(express.text({ type: "*/*", limit: "5mb" }));
+
+const objects = new Map(); // object path → { obj, changedAt }
+let resourceVersion = 1;
+
+const kindForPlural = (plural) =>
+  Object.keys(RESOURCES).find((k) => RESOURCES[k].plural === plural) || null;
+
+// Kubernetes Status error body
+function sendStatus(res, code, reason, message) {
+  res
+    .status(code)
+    .json({ kind: "Status", apiVersion: "v1", status: "Failure", message, reason, code });
+}
+
+// "/apis/apps/v1/namespaces/ns/deployments/api" → { base, namespace, plural, name }
+const RESOURCE_PATH = /^\/(api\/v1|apis\/[^/]+\/[^/]+)(?:\/namespaces\/([^/]+))?\/([^/]+)(?:\/([^/]+))?$/;
+
+function parsePath(p) {
+  const m = p.match(RESOURCE_PATH);
+  if (!m) return null;
+  const [, base, namespace, plural, name] = m;
+  const kind = kindForPlural(plural);
+  if (!kind) return null;
+  return { base, namespace: namespace || null, plural, name: name || null, kind };
+}
+
+function matchesLabels(obj, selector) {
+  if (!selector) return true;
+  const labels = obj.metadata.labels || {};
+  return selector
+    .split(",")
+    .filter(Boolean)
+    .every((pair) => {
+      const [key, value] = pair.split("=");
+      return labels[key] === value;
+    });
+}
+
+function matchesFields(obj, selector) {
+  if (!selector) return true;
+  const [key, value] = selector.split("=");
+  return key === "metadata.name" ? obj.metadata.name === value : true;
+}
+
+// -------------------- Workload status and pods --------------------
+
+const isWorkload = (obj) => obj.kind === "Deployment" || obj.kind === "StatefulSet";
+
+function rolledOut(entry) {
+  return ROLLOUT_MS >= 0 && Date.now() - entry.changedAt >= ROLLOUT_MS;
+}
+
+// Object as the API server would return it right now
+function withStatus(entry) {
+  const { obj } = entry;
+  if (!isWorkload(obj)) return obj;
+  const desired = obj.spec.replicas === undefined ? 1 : obj.spec.replicas;
+  const done = rolledOut(entry);
+  const revision = `${obj.metadata.name}-${obj.metadata.generation}`;
+  return {
+    ...obj,
+    status: {
+      observedGeneration: obj.metadata.generation,
+      replicas: desired,
+      updatedReplicas: done ? desired : 0,
+      readyReplicas: done ? desired : 0,
+      availableReplicas: done ? desired : 0,
+      ...(obj.kind === "StatefulSet"
+        ? { currentRevision: done ? revision : "previous", updateRevision: revision }
+        : {}),
+    },
+  };
+}
+
+function podsIn(namespace) {
+  const pods = [];
+  objects.forEach((entry) => {
+    const { obj } = entry;
+    if (!isWorkload(obj) || obj.metadata.namespace !== namespace) return;
+    const ready = rolledOut(entry);
+    const replicas = obj.spec.replicas === undefined ? 1 : obj.spec.replicas;
+    for (let i = 0; i < replicas; i += 1) {
+      const name =
+        obj.kind === "StatefulSet"
+          ? `${obj.metadata.name}-${i}`
+          : `${obj.metadata.name}-${obj.metadata.uid.slice(0, 8)}-${i}`;
+      pods.push({
+        apiVersion: "v1",
+        kind: "Pod",
+        metadata: { name, namespace, labels: (obj.spec.template.metadata || {}).labels || {} },
+        spec: { nodeName: "mock-node-1" },
+        status: {
+          phase: ready ? "Running" : "Pending",
+          containerStatuses: obj.spec.template.spec.containers.map((c) => ({
+            name: c.name,
+            ready,
+            restartCount: 0,
+            state: ready ? { running: {} } : { waiting: { reason: "ContainerCreating" } },
+          })),
+        },
+      });
+    }
+  });
+  return pods;
+}
+
+function list(target) {
+  if (target.kind === "Pod") return podsIn(target.namespace);
+  const prefix = `/${target.base}${target.namespace ? `/namespaces/${target.namespace}` : ""}/${
+    target.plural
+  }/`;
+  return [...objects.entries()]
+    .filter(([key]) => key.startsWith(prefix) && !key.slice(prefix.length).includes("/"))
+    .map(([, entry]) => withStatus(entry));
+}
+
+// -------------------- Routes --------------------
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`);
+  if (TOKEN && req.get("authorization") !== `Bearer ${TOKEN}`) {
+    return sendStatus(res, 401, "Unauthorized", "Unauthorized");
+  }
+  next();
+});
+
+app.get("/version", (req, res) => {
+  res.json({ major: "1", minor: "30", gitVersion: "v1.30.0-mock", platform: "linux/amd64" });
+});
+
+app.get(/^\/apis?\//, (req, res) => {
+  const target = parsePath(req.path);
+  if (!target) return sendStatus(res, 404, "NotFound", `the server could not find ${req.path}`);
+
+  if (target.name) {
+    const entry = objects.get(req.path);
+    if (!entry) {
+      return sendStatus(res, 404, "NotFound", `${target.plural} "${target.name}" not found`);
+    }
+    return res.json(withStatus(entry));
+  }
+
+  const { labelSelector, fieldSelector } = req.query;
+  const selected = () =>
+    list(target).filter((o) => matchesLabels(o, labelSelector) && matchesFields(o, fieldSelector));
+
+  if (req.query.watch !== "true") {
+    return res.json({ apiVersion: "v1", kind: `${target.kind}List`, items: selected() });
+  }
+
+  // Watch: ADDED for what exists now, then MODIFIED/DELETED as it changes
+  res.setHeader("Content-Type", "application/json");
+  const seen = new Map();
+  const tick = () => {
+    const current = new Map(selected().map((o) => [o.metadata.name, o]));
+    current.forEach((obj, name) => {
+      const json = JSON.stringify(obj);
+      if (seen.get(name) === json) return;
+      const type = seen.has(name) ? "MODIFIED" : "ADDED";
+      res.write(`${JSON.stringify({ type, object: obj })}\n`);
+      seen.set(name, json);
+    });
+    seen.forEach((json, name) => {
+      if (current.has(name)) return;
+      res.write(`${JSON.stringify({ type: "DELETED", object: JSON.parse(json) })}\n`);
+      seen.delete(name);
+    });
+  };
+  tick();
+  const timer = setInterval(tick, 250);
+  const timeoutSeconds = parseInt(req.query.timeoutSeconds || "300", 10);
+  const timeout = setTimeout(() => res.end(), timeoutSeconds * 1000);
+  res.on("close", () => {
+    clearInterval(timer);
+    clearTimeout(timeout);
+  });
+});
+
+app.patch(/^\/apis?\//, (req, res) => {
+  const target = parsePath(req.path);
+  if (!target || !target.name) {
+    return sendStatus(res, 404, "NotFound", `the server could not find ${req.path}`);
+  }
+  if (!/^application\/apply-patch\+yaml/.test(req.get("content-type") || "")) {
+    return sendStatus(res, 415, "UnsupportedMediaType", "only server-side apply is supported");
+  }
+  if (!req.query.fieldManager) {
+    return sendStatus(res, 422, "Invalid", "fieldManager is required for apply patch");
+  }
+
+  let patch;
+  try {
+    patch = YAML.parse(req.body);
+  } catch (err) {
+    return sendStatus(res, 400, "BadRequest", `invalid YAML: ${err.message}`);
+  }
+  const matches = patch && patch.kind === target.kind && patch.metadata;
+  if (!matches || patch.metadata.name !== target.name) {
+    return sendStatus(res, 400, "BadRequest", "kind and metadata.name must match the URL");
+  }
+
+  const existing = objects.get(req.path);
+  const { status, ...desired } = patch;
+  const specChanged =
+    !existing || JSON.stringify(existing.obj.spec) !== JSON.stringify(desired.spec);
+  const generation = existing ? existing.obj.metadata.generation + (specChanged ? 1 : 0) : 1;
+  const obj = {
+    ...desired,
+    metadata: {
+      ...desired.metadata,
+      uid: existing ? existing.obj.metadata.uid : crypto.randomUUID(),
+      resourceVersion: String(resourceVersion + 1),
+      generation,
+      creationTimestamp: existing
+        ? existing.obj.metadata.creationTimestamp
+        : new Date().toISOString(),
+    },
+  };
+  const entry = { obj, changedAt: specChanged ? Date.now() : existing.changedAt };
+
+  if (req.query.dryRun !== "All") {
+    resourceVersion += 1;
+    objects.set(req.path, entry);
+  }
+  res.status(existing ? 200 : 201).json(withStatus(entry));
+});
+
+app.delete(/^\/apis?\//, (req, res) => {
+  const target = parsePath(req.path);
+  if (!target || !target.name || !objects.has(req.path)) {
+    return sendStatus(res, 404, "NotFound", `${target ? target.plural : "object"} not found`);
+  }
+  objects.delete(req.path);
+  res.json({ kind: "Status", apiVersion: "v1", status: "Success", code: 200 });
+});
+
+app.use((req, res) => sendStatus(res, 404, "NotFound", `the server could not find ${req.path}`));
+
+app.listen(PORT, () => {
+  console.log(`☸️  Mock Kubernetes API server on http://localhost:${PORT}`);
+});
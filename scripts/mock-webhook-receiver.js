@@ -0,0 +1,59 @@
+// scripts/mock-webhook-receiver.js
+// Local stand-in for a webhook endpoint (Slack or a "signed" receiver), for
+// tests and offline demos of budget notifications (src/webhooks.js). Point
+// webhooks at it in config/webhooks.json:
+//
+//   { "name": "local", "format": "signed", "url": "http://localhost:4300/hooks",
+//     "secretEnv": "MOCK_WEBHOOK_SECRET" }
+//
+// Prints every payload, and checks X-GreenOps-Signature when
+// MOCK_WEBHOOK_SECRET is set (401 when it does not match).
+//
+//   MOCK_WEBHOOK_PORT=<port>   default 4300
+//   MOCK_WEBHOOK_FAIL=<n>      answer the first n requests with 500
+
+const express = require("express");
+const crypto = require("crypto");
+const { signPayload } = require("../src/webhooks");
+
+const PORT = process.env.MOCK_WEBHOOK_PORT || 4300;
+const SECRET = process.env.MOCK_WEBHOOK_SECRET || "";
+let failuresLeft = parseInt(process.env.MOCK_WEBHOOK_FAIL || "0", 10);
+
+const app = express();
+// The signature covers the raw body, so keep it as text
+app.use(express.text({ type: "*/*", limit: "1mb" }));
+
+function signatureMatches(req) {
+  const timestamp = req.get("x-greenops-timestamp") || "";
+  const expected = Buffer.from(`sha256=${signPayload(SECRET, timestamp, req.body)}`);
+  const actual = Buffer.from(req.get("x-greenops-signature") || "");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+app.post("*", (req, res) => {
+  if (failuresLeft > 0) {
+    failuresLeft -= 1;
+    console.log(`💥 ${req.path}: failing on purpose (${failuresLeft} more)`);
+    return res.status(500).send("mock failure");
+  }
+
+  const signed = !!req.get("x-greenops-signature");
+  if (signed && SECRET && !signatureMatches(req)) {
+    console.log(`❌ ${req.path}: bad signature`);
+    return res.status(401).send("bad signature");
+  }
+
+  const payload = JSON.parse(req.body);
+  if (signed) {
+    console.log(`📨 ${req.path} ${payload.type} (signature ${SECRET ? "ok" : "not checked"})`);
+    console.log(`   ${payload.summary}`);
+  } else {
+    console.log(`💬 ${req.path} ${payload.text}`);
+  }
+  res.send("ok");
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock webhook receiver running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,207 @@
+// src/accounting.js
+// Time-windowed emissions accounting.
+//
+// Every deployment record carries hourly estimates (kWh, kgCO2e, USD) plus a
+// lifetime: startedAt → endedAt (null while still running). Integrating the
+// hourly rate over the part of that lifetime that falls inside a window gives
+// what was actually emitted/spent in that window.
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const GROUP_BY_VALUES = ["day", "week", "month"];
+const MAX_BUCKETS = 1000;
+
+// -------------------- Window parsing --------------------
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw new Error(`"${name}" must be an ISO-8601 date or timestamp.`);
+  }
+  return d;
+}
+
+// Parse ?from=&to=&groupBy= into a validated window.
+// Defaults: from = earliest deployment start (but never after `to`, which
+// leaves an empty window), to = now, groupBy = day.
+function parseWindow(query, deployments, now = new Date()) {
+  const groupBy = query.groupBy || "day";
+  if (!GROUP_BY_VALUES.includes(groupBy)) {
+    throw new Error(`"groupBy" must be one of: ${GROUP_BY_VALUES.join(", ")}.`);
+  }
+
+  const to = query.to ? parseDate(query.to, "to") : now;
+
+  let from;
+  if (query.from) {
+    from = parseDate(query.from, "from");
+  } else {
+    const starts = deployments.map((d) => new Date(deploymentStart(d)).getTime());
+    from = starts.length ? new Date(Math.min(...starts, to.getTime())) : to;
+  }
+
+  if (from > to) {
+    throw new Error('"from" must be before "to".');
+  }
+
+  return { from, to, groupBy };
+}
+
+// -------------------- Lifetime helpers --------------------
+
+function deploymentStart(d) {
+  return d.startedAt || d.timestamp;
+}
+
+// Overlap of a deployment's lifetime with [from, to), in milliseconds.
+function overlapMs(d, from, to, now = new Date()) {
+  const start = new Date(deploymentStart(d)).getTime();
+  const end = d.endedAt ? new Date(d.endedAt).getTime() : now.getTime();
+  const lo = Math.max(start, from.getTime());
+  const hi = Math.min(end, to.getTime());
+  return Math.max(0, hi - lo);
+}
+
+function isActiveInWindow(d, from, to, now = new Date()) {
+  const start = new Date(deploymentStart(d)).getTime();
+  const end = d.endedAt ? new Date(d.endedAt).getTime() : now.getTime();
+  return start <= to.getTime() && end >= from.getTime();
+}
+
+// -------------------- Buckets (UTC) --------------------
+
+function bucketStart(date, groupBy) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (groupBy === "week") {
+    // ISO weeks start on Monday
+    const dow = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - dow);
+  } else if (groupBy === "month") {
+    d.setUTCDate(1);
+  }
+  return d;
+}
+
+function nextBucketStart(start, groupBy) {
+  const d = new Date(start);
+  if (groupBy === "day") d.setUTCDate(d.getUTCDate() + 1);
+  if (groupBy === "week") d.setUTCDate(d.getUTCDate() + 7);
+  if (groupBy === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+function buildBuckets(from, to, groupBy) {
+  const buckets = [];
+  let start = bucketStart(from, groupBy);
+  while (start < to || buckets.length === 0) {
+    const end = nextBucketStart(start, groupBy);
+    buckets.push({
+      // Clamp the first/last bucket to the requested window
+      start: new Date(Math.max(start.getTime(), from.getTime())),
+      end: new Date(Math.min(end.getTime(), to.getTime())),
+    });
+    if (buckets.length > MAX_BUCKETS) {
+      throw new Error(
+        `Window is too large for groupBy=${groupBy} (more than ${MAX_BUCKETS} buckets). Narrow from/to or use a coarser groupBy.`
+      );
+    }
+    start = end;
+  }
+  return buckets;
+}
+
+// -------------------- Integration --------------------
+
+function emptyTotals() {
+  return { hours: 0, energyKwh: 0, co2Kg: 0, embodiedCo2Kg: 0, costUsd: 0 };
+}
+
+function addIntegrated(totals, d, ms) {
+  const hours = ms / MS_PER_HOUR;
+  totals.hours += hours;
+  totals.energyKwh += (d.estimatedHourlyEnergyKwh || 0) * hours;
+  totals.co2Kg += (d.estimatedHourlyCO2Kg || 0) * hours;
+  totals.embodiedCo2Kg += (d.estimatedHourlyEmbodiedCO2Kg || 0) * hours;
+  totals.costUsd += (d.estimatedHourlyCostUsd || 0) * hours;
+}
+
+function formatTotals(t, usdToInr) {
+  return {
+    deploymentHours: Number(t.hours.toFixed(3)),
+    energyKwh: Number(t.energyKwh.toFixed(3)),
+    co2Kg: Number(t.co2Kg.toFixed(3)),
+    embodiedCo2Kg: Number(t.embodiedCo2Kg.toFixed(3)),
+    costUsd: Number(t.costUsd.toFixed(4)),
+    costInr: Number((t.costUsd * usdToInr).toFixed(2)),
+  };
+}
+
+// Integrated kgCO2e / kWh / cost over the window: overall, per bucket,
+// per plan and per region.
+function integrateEmissions(deployments, window, usdToInr, now = new Date()) {
+  const { from, to, groupBy } = window;
+  const buckets = buildBuckets(from, to, groupBy).map((b) => ({
+    ...b,
+    totals: emptyTotals(),
+  }));
+
+  const totals = emptyTotals();
+  const byPlan = {};
+  const byRegion = {};
+
+  deployments.forEach((d) => {
+    const ms = overlapMs(d, from, to, now);
+    if (ms === 0) return;
+
+    addIntegrated(totals, d, ms);
+
+    if (!byPlan[d.planId]) {
+      byPlan[d.planId] = { planId: d.planId, totals: emptyTotals() };
+    }
+    addIntegrated(byPlan[d.planId].totals, d, ms);
+
+    if (!byRegion[d.region]) {
+      byRegion[d.region] = {
+        region: d.region,
+        regionLabel: d.regionLabel,
+        totals: emptyTotals(),
+      };
+    }
+    addIntegrated(byRegion[d.region].totals, d, ms);
+
+    buckets.forEach((b) => {
+      const bucketMs = overlapMs(d, b.start, b.end, now);
+      if (bucketMs > 0) addIntegrated(b.totals, d, bucketMs);
+    });
+  });
+
+  return {
+    window: {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+    },
+    totals: formatTotals(totals, usdToInr),
+    buckets: buckets.map((b) => ({
+      start: b.start.toISOString(),
+      end: b.end.toISOString(),
+      ...formatTotals(b.totals, usdToInr),
+    })),
+    byPlan: Object.values(byPlan).map((p) => ({
+      planId: p.planId,
+      ...formatTotals(p.totals, usdToInr),
+    })),
+    byRegion: Object.values(byRegion).map((r) => ({
+      region: r.region,
+      regionLabel: r.regionLabel,
+      ...formatTotals(r.totals, usdToInr),
+    })),
+  };
+}
+
+module.exports = {
+  GROUP_BY_VALUES,
+  parseWindow,
+  deploymentStart,
+  isActiveInWindow,
+  integrateEmissions,
+};
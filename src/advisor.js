@@ -0,0 +1,393 @@
+// src/advisor.js
+// Follow-the-sun migration advisor. Plans are scored once, at deploy time;
+// grid intensity moves through the day. Every `intervalMs` the advisor
+// re-scores each active deployment against the current carbon intensity of
+// every enabled region, with the weights its plan was made with
+// (scoring.getWeights), and opens a recommendation when another region beats
+// the deployment's own by at least `marginScore` on the overall 0..1 score.
+//
+// Recommendations ("migrationRecommendations" collection), one open per
+// deployment at most:
+//   open        another region currently wins by the margin (refreshed on
+//               every run while it keeps winning)
+//   expired     the margin is gone or the deployment ended
+//   dismissed   rejected via POST /api/migrations/:id/dismiss
+//   applying    a move is running (runs leave the deployment alone)
+//   applied     the deployment was moved (by hand or automatically)
+//   failed      the move failed or was refused; the deployment stays put
+//
+// New recommendations for deployments flagged `movable` are handed to
+// `onRecommendation`, which the server uses to redeploy automatically.
+
+const { parseUserLocations } = require("./latency");
+const { DEFAULT_PUE } = require("./sizing");
+const { projectOf } = require("./projects");
+const {
+  STRATEGY_IDS,
+  LATENCY_TOLERANCES,
+  normalizeScores,
+  getWeights,
+  parseCustomWeights,
+} = require("./scoring");
+
+const COLLECTION = "migrationRecommendations";
+const RECOMMENDATION_STATUSES = [
+  "open",
+  "expired",
+  "dismissed",
+  "applying",
+  "applied",
+  "failed",
+];
+
+const rounded = (x, digits = 4) => Number(x.toFixed(digits));
+
+const pueOf = (region) =>
+  typeof region.pue === "number" && region.pue >= 1 ? region.pue : DEFAULT_PUE;
+
+// Same IT load in another datacenter: only the PUE changes
+function energyInRegion(hourlyEnergyKwh, fromRegion, toRegion) {
+  return ((hourlyEnergyKwh || 0) / pueOf(fromRegion)) * pueOf(toRegion);
+}
+
+// Validates /api/deploy's placementPolicy: { strategy, latencyTolerance,
+// weights, userRegion }, all optional. Throws on bad input.
+function parsePlacementPolicy(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("placementPolicy must be an object.");
+  }
+  const { strategy = "balanced", latencyTolerance = "balanced", weights, userRegion } = input;
+  if (!STRATEGY_IDS.includes(strategy)) {
+    throw new Error(`placementPolicy.strategy must be one of: ${STRATEGY_IDS.join(", ")}.`);
+  }
+  if (!LATENCY_TOLERANCES.includes(latencyTolerance)) {
+    throw new Error(
+      `placementPolicy.latencyTolerance must be one of: ${LATENCY_TOLERANCES.join(", ")}.`
+    );
+  }
+  const parsedWeights = parseCustomWeights(weights);
+  if (strategy === "custom" && !parsedWeights) {
+    throw new Error('placementPolicy.strategy "custom" requires weights: { co2, latency, cost }.');
+  }
+  if (userRegion !== undefined) parseUserLocations(userRegion);
+  return {
+    strategy,
+    latencyTolerance,
+    weights: parsedWeights,
+    userRegion: userRegion === undefined ? "global" : userRegion,
+  };
+}
+
+// Weights and user location a deployment was planned with. Older records
+// have none; their planId is the strategy id when it came from /api/plan.
+function policyOf(deployment) {
+  const policy = deployment.placementPolicy || {};
+  const fromPlanId =
+    STRATEGY_IDS.includes(deployment.planId) && deployment.planId !== "custom"
+      ? deployment.planId
+      : "balanced";
+  return {
+    strategy: policy.strategy || fromPlanId,
+    latencyTolerance: policy.latencyTolerance || "balanced",
+    weights: policy.weights || null,
+    userRegion: policy.userRegion || "global",
+  };
+}
+
+function createMigrationAdvisor({
+  store,
+  regionCatalog,
+  latencyModel,
+  getCarbonIntensityForRegion,
+  marginScore = 0.1,
+  intervalMs = 30 * 60 * 1000,
+  onRecommendation,
+}) {
+  let timer = null;
+  let running = null;
+  let lastRun = null;
+  let nextRunAt = null;
+
+  // Scores every candidate region for one deployment. `lookups` caches
+  // carbon and latency across the deployments of one run.
+  async function evaluate(deployment, lookups = { carbon: new Map(), latency: new Map() }) {
+    const policy = policyOf(deployment);
+    const weights = getWeights(policy.strategy, policy.latencyTolerance, policy.weights);
+
+    const current = regionCatalog.get(deployment.region);
+    const regions = regionCatalog.list();
+    const candidates = current && !current.enabled ? [...regions, current] : regions;
+    if (!current || candidates.length < 2) {
+      return { deployment, policy, weights, current: null, best: null, regions: [] };
+    }
+
+    const carbonValues = await Promise.all(
+      candidates.map((r) => {
+        if (!lookups.carbon.has(r.id)) {
+          lookups.carbon.set(r.id, getCarbonIntensityForRegion(r));
+        }
+        return lookups.carbon.get(r.id);
+      })
+    );
+    const locations = parseUserLocations(policy.userRegion);
+    const latencyScores = candidates.map((r) => {
+      const key = `${JSON.stringify(policy.userRegion)}|${r.id}`;
+      if (!lookups.latency.has(key)) {
+        lookups.latency.set(key, latencyModel.estimate(locations, r).score);
+      }
+      return lookups.latency.get(key);
+    });
+
+    const co2Scores = normalizeScores(carbonValues.map((c) => c.value), true);
+    const costScores = normalizeScores(candidates.map((r) => r.baseCost), true);
+    const scored = candidates.map((r, idx) => ({
+      region: r,
+      carbonIntensity: carbonValues[idx].value,
+      carbonSource: carbonValues[idx].source,
+      scores: {
+        co2: co2Scores[idx],
+        latency: latencyScores[idx],
+        cost: costScores[idx],
+        overall:
+          co2Scores[idx] * weights.co2 +
+          latencyScores[idx] * weights.latency +
+          costScores[idx] * weights.cost,
+      },
+    }));
+
+    const own = scored.find((s) => s.region.id === current.id);
+    const best = scored
+      .filter((s) => s.region.id !== current.id && s.region.enabled)
+      .sort((a, b) => b.scores.overall - a.scores.overall)[0];
+    return { deployment, policy, weights, current: own, best: best || null, regions: scored };
+  }
+
+  // Hourly CO₂ and cost change of running the deployment in `to` instead of
+  // `from`: same IT load, the target's PUE and live intensity
+  function deltas(deployment, from, to) {
+    const co2 = (s) =>
+      (energyInRegion(deployment.estimatedHourlyEnergyKwh, from.region, s.region) *
+        s.carbonIntensity) /
+      1000;
+    return {
+      estimatedHourlyCO2DeltaKg: rounded(co2(to) - co2(from)),
+      estimatedHourlyCostDeltaUsd: rounded(
+        (to.region.baseCost - from.region.baseCost) * (deployment.replicas || 1)
+      ),
+    };
+  }
+
+  function recommendationFields(result) {
+    const { deployment, policy, weights, current, best } = result;
+    return {
+      deploymentId: deployment.id,
+      planId: deployment.planId,
+      projectId: projectOf(deployment),
+      fromRegion: current.region.id,
+      toRegion: best.region.id,
+      toRegionLabel: best.region.label,
+      movable: deployment.movable === true,
+      strategy: policy.strategy,
+      weights: {
+        co2: rounded(weights.co2, 2),
+        latency: rounded(weights.latency, 2),
+        cost: rounded(weights.cost, 2),
+      },
+      scores: {
+        current: rounded(current.scores.overall, 3),
+        candidate: rounded(best.scores.overall, 3),
+        margin: rounded(best.scores.overall - current.scores.overall, 3),
+      },
+      carbonIntensity: {
+        from: rounded(current.carbonIntensity, 1),
+        to: rounded(best.carbonIntensity, 1),
+        source: best.carbonSource,
+      },
+      ...deltas(deployment, current, best),
+    };
+  }
+
+  // Recommendations a move has claimed (id → deploymentId). A claim is
+  // taken before the caller's first await, so two callers can never both
+  // start a move; the stored status turns "applying" once the move starts.
+  const claims = new Map();
+
+  // Claims `recommendation` for a move or dismissal; false when another
+  // caller already has it. resolve() and release() end the claim.
+  function claim(recommendation) {
+    if (claims.has(recommendation.id)) return false;
+    claims.set(recommendation.id, recommendation.deploymentId);
+    return true;
+  }
+
+  function release(id) {
+    claims.delete(id);
+  }
+
+  async function runNow() {
+    const startedAt = new Date().toISOString();
+    const [history, recommendations] = await Promise.all([
+      store.list("deployments"),
+      store.list(COLLECTION),
+    ]);
+    const active = history.filter((d) => !d.endedAt);
+    const openByDeployment = new Map(
+      recommendations.filter((r) => r.status === "open").map((r) => [r.deploymentId, r])
+    );
+    const applying = new Set(
+      recommendations.filter((r) => r.status === "applying").map((r) => r.deploymentId)
+    );
+    // Deployments being moved keep their recommendation as it is
+    const moving = (deploymentId) =>
+      applying.has(deploymentId) || [...claims.values()].includes(deploymentId);
+    const lookups = { carbon: new Map(), latency: new Map() };
+    const summary = { startedAt, evaluated: 0, opened: 0, refreshed: 0, expired: 0, errors: [] };
+
+    for (const deployment of active) {
+      const open = openByDeployment.get(deployment.id);
+      openByDeployment.delete(deployment.id);
+      if (moving(deployment.id)) continue;
+      try {
+        const result = await evaluate(deployment, lookups);
+        summary.evaluated += 1;
+        const wins =
+          result.best && result.best.scores.overall - result.current.scores.overall >= marginScore;
+        const now = new Date().toISOString();
+
+        if (!wins) {
+          if (open) {
+            await store.update(COLLECTION, open.id, { status: "expired", resolvedAt: now });
+            summary.expired += 1;
+          }
+          continue;
+        }
+
+        const fields = { ...recommendationFields(result), updatedAt: now };
+        if (open && open.toRegion === fields.toRegion) {
+          await store.update(COLLECTION, open.id, fields);
+          summary.refreshed += 1;
+          continue;
+        }
+        if (open) {
+          await store.update(COLLECTION, open.id, { status: "expired", resolvedAt: now });
+          summary.expired += 1;
+        }
+        const created = await store.insert(COLLECTION, {
+          ...fields,
+          status: "open",
+          createdAt: now,
+          resolvedAt: null,
+        });
+        summary.opened += 1;
+        console.log(
+          `🌍 Migration advisor: ${deployment.planId} ${created.fromRegion} → ${created.toRegion} (score +${created.scores.margin}, ${created.estimatedHourlyCO2DeltaKg} kgCO₂/h)`
+        );
+        if (created.movable && onRecommendation) {
+          await onRecommendation(created, deployment);
+        }
+      } catch (err) {
+        console.warn(
+          `⚠️  Migration advisor failed for deployment ${deployment.id}:`,
+          err.message
+        );
+        summary.errors.push({ deploymentId: deployment.id, error: err.message });
+      }
+    }
+
+    // Open recommendations whose deployment has ended since
+    for (const stale of openByDeployment.values()) {
+      if (claims.has(stale.id)) continue;
+      await store.update(COLLECTION, stale.id, {
+        status: "expired",
+        resolvedAt: new Date().toISOString(),
+      });
+      summary.expired += 1;
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    lastRun = summary;
+    return summary;
+  }
+
+  // One run at a time; callers during a run share its result
+  function run() {
+    if (!running) {
+      running = runNow().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function start() {
+    if (timer || !(intervalMs > 0)) return;
+    nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+    timer = setInterval(() => {
+      nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+      run().catch((err) => console.warn("⚠️  Migration advisor run failed:", err.message));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    nextRunAt = null;
+  }
+
+  async function list({ status, deploymentId } = {}) {
+    const all = await store.list(COLLECTION);
+    return all
+      .filter((r) => !status || r.status === status)
+      .filter((r) => !deploymentId || r.deploymentId === deploymentId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  function get(id) {
+    return store.get(COLLECTION, id);
+  }
+
+  // Marks an open recommendation as being applied
+  function begin(id) {
+    return store.update(COLLECTION, id, {
+      status: "applying",
+      applyingAt: new Date().toISOString(),
+    });
+  }
+
+  // Closes an open recommendation with `status` (applied, dismissed, failed)
+  // and ends its claim
+  async function resolve(id, status, fields = {}) {
+    try {
+      return await store.update(COLLECTION, id, {
+        ...fields,
+        status,
+        resolvedAt: new Date().toISOString(),
+      });
+    } finally {
+      release(id);
+    }
+  }
+
+  function stats() {
+    return {
+      enabled: !!timer,
+      intervalMinutes: intervalMs / 60000,
+      marginScore,
+      running: !!running,
+      nextRunAt,
+      lastRun,
+    };
+  }
+
+  return { evaluate, run, start, stop, list, get, claim, release, begin, resolve, stats };
+}
+
+module.exports = {
+  RECOMMENDATION_STATUSES,
+  policyOf,
+  parsePlacementPolicy,
+  energyInRegion,
+  createMigrationAdvisor,
+};
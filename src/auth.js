@@ -0,0 +1,304 @@
+// src/auth.js
+// Who is calling, and what they may do.
+//
+// Callers authenticate with one of:
+//   API key   "X-API-Key: <key>" or "Authorization: Bearer <key>". Keys are
+//             listed in API_KEYS_FILE (default config/api-keys.json; see
+//             config/api-keys.example.json) by their SHA-256, never in clear:
+//
+//               {
+//                 "keys": [
+//                   { "name": "ci", "role": "deployer", "sha256": "<hex>",
+//                     "rateLimitPerMinute": 30, "projects": ["shop-api"] }
+//                 ]
+//               }
+//
+//             `npm run create-api-key -- <name> <role>` prints a new key and
+//             its entry.
+//   JWT       "Authorization: Bearer <jwt>", HS256-signed with
+//             AUTH_JWT_SECRET. `sub` names the caller and `role` (or the
+//             highest of `roles`) sets the role; `exp`/`nbf` are enforced,
+//             and `iss`/`aud` when AUTH_JWT_ISSUER/AUTH_JWT_AUDIENCE are set.
+//
+// Keys (`projects`) and JWTs (a `projects` claim) can be limited to some
+// projects; without, they reach every project (see src/projects.js).
+//
+// Roles are ordered, each including the ones before it:
+//   viewer     plan, schedule, export, read deployments, jobs, analytics
+//   deployer   deploy, roll back, tear down, apply migrations
+//   admin      manage the region catalog, see cluster details in /api/health
+//
+// Requests without credentials get `anonymousRole` (none by default). With
+// no keys and no JWT secret configured, auth is off and every caller is an
+// admin; the server only allows that while ENABLE_CIVO_DEPLOY is off.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const ROLES = ["viewer", "deployer", "admin"];
+const API_KEY_PREFIX = "gok_";
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// -------------------- API keys file --------------------
+
+// Returns a list of problems; empty means the key entry is valid.
+function validateApiKey(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return ["key must be an object"];
+  }
+  if (typeof entry.name !== "string" || !entry.name.trim()) {
+    errors.push("name must be a non-empty string");
+  }
+  if (!ROLES.includes(entry.role)) {
+    errors.push(`role must be one of: ${ROLES.join(", ")}`);
+  }
+  if (typeof entry.sha256 !== "string" || !/^[0-9a-f]{64}$/.test(entry.sha256)) {
+    errors.push("sha256 must be the hex SHA-256 of the key");
+  }
+  const limit = entry.rateLimitPerMinute;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    errors.push("rateLimitPerMinute must be a positive integer");
+  }
+  const projects = entry.projects;
+  if (
+    projects !== undefined &&
+    !(Array.isArray(projects) && projects.every((p) => typeof p === "string" && p))
+  ) {
+    errors.push("projects must be a list of project ids");
+  }
+  return errors;
+}
+
+// Read and validate the keys file. Returns [] when the file does not exist;
+// throws on any invalid entry so a broken file fails at startup.
+function loadApiKeys(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const keys = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(keys)) {
+    throw new Error(`${filePath}: expected an array of keys or { "keys": [...] }`);
+  }
+
+  const names = new Set();
+  const hashes = new Set();
+  const problems = [];
+  keys.forEach((k, idx) => {
+    validateApiKey(k).forEach((e) => problems.push(`keys[${idx}]: ${e}`));
+    if (k && names.has(k.name)) problems.push(`keys[${idx}]: duplicate name ${k.name}`);
+    if (k && hashes.has(k.sha256)) problems.push(`keys[${idx}]: duplicate key`);
+    if (k) {
+      names.add(k.name);
+      hashes.add(k.sha256);
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid API keys file ${filePath}:\n  ${problems.join("\n  ")}`);
+  }
+
+  return keys.map((k) => ({
+    name: k.name,
+    role: k.role,
+    sha256: k.sha256,
+    rateLimitPerMinute: k.rateLimitPerMinute || null,
+    projects: k.projects || null,
+  }));
+}
+
+// -------------------- JWT --------------------
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new AuthError("Malformed token.");
+  }
+}
+
+// Verifies an HS256 JWT and returns its claims; throws AuthError otherwise
+function verifyJwt(token, { secret, issuer, audience, clockSkewSeconds = 30 }) {
+  const [headerPart, payloadPart, signaturePart] = token.split(".");
+  const header = decodeSegment(headerPart);
+  if (header.alg !== "HS256") {
+    throw new AuthError(`Unsupported token algorithm ${header.alg}; only HS256 is accepted.`);
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${headerPart}.${payloadPart}`)
+    .digest();
+  const actual = Buffer.from(signaturePart, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthError("Invalid token signature.");
+  }
+
+  const claims = decodeSegment(payloadPart);
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && now > claims.exp + clockSkewSeconds) {
+    throw new AuthError("Token has expired.");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf - clockSkewSeconds) {
+    throw new AuthError("Token is not valid yet.");
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError("Token issuer is not accepted.");
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) throw new AuthError("Token audience is not accepted.");
+  }
+  return claims;
+}
+
+// Highest known role in `role` / `roles`, or null
+function roleFromClaims(claims) {
+  const candidates = [claims.role, ...(Array.isArray(claims.roles) ? claims.roles : [])];
+  return candidates
+    .filter((r) => ROLES.includes(r))
+    .sort((a, b) => roleRank(b) - roleRank(a))[0] || null;
+}
+
+// -------------------- Middleware --------------------
+
+// Principals (req.principal): { type: "api-key" | "jwt" | "anonymous",
+// id, name, role, projects, rateLimitPerMinute }. `id` keys rate limits;
+// `projects` is null when the caller is not limited to some projects.
+function createAuth({
+  apiKeys = [],
+  jwtSecret = "",
+  jwtIssuer = "",
+  jwtAudience = "",
+  anonymousRole = null,
+}) {
+  const enabled = apiKeys.length > 0 || !!jwtSecret;
+  const keysByHash = new Map(apiKeys.map((k) => [k.sha256, k]));
+
+  function credentialsOf(req, { allowQueryToken }) {
+    const header = req.get("authorization") || "";
+    if (/^bearer /i.test(header)) return header.slice(7).trim();
+    if (req.get("x-api-key")) return req.get("x-api-key").trim();
+    // EventSource cannot set headers
+    if (allowQueryToken && typeof req.query.access_token === "string") {
+      return req.query.access_token;
+    }
+    return null;
+  }
+
+  function principalFor(credential, ip) {
+    if (!enabled) {
+      return { type: "anonymous", id: `ip:${ip}`, name: "anonymous", role: "admin" };
+    }
+    if (!credential) {
+      return { type: "anonymous", id: `ip:${ip}`, name: "anonymous", role: anonymousRole };
+    }
+
+    const key = keysByHash.get(hashApiKey(credential));
+    if (key) {
+      return {
+        type: "api-key",
+        id: `key:${key.name}`,
+        name: key.name,
+        role: key.role,
+        rateLimitPerMinute: key.rateLimitPerMinute,
+        projects: key.projects,
+      };
+    }
+    if (jwtSecret && JWT_PATTERN.test(credential)) {
+      const claims = verifyJwt(credential, {
+        secret: jwtSecret,
+        issuer: jwtIssuer,
+        audience: jwtAudience,
+      });
+      const role = roleFromClaims(claims);
+      if (!role) throw new AuthError(`Token carries no role (${ROLES.join(", ")}).`, 403);
+      const name = String(claims.sub || claims.email || "unknown");
+      const projects = Array.isArray(claims.projects) ? claims.projects.map(String) : null;
+      return { type: "jwt", id: `jwt:${name}`, name, role, projects };
+    }
+    throw new AuthError("Invalid API key or token.");
+  }
+
+  // Sets req.principal; answers 401 for credentials that do not check out
+  function authenticate({ allowQueryToken = false } = {}) {
+    return (req, res, next) => {
+      try {
+        req.principal = principalFor(credentialsOf(req, { allowQueryToken }), req.ip);
+        next();
+      } catch (err) {
+        if (!(err instanceof AuthError)) return next(err);
+        res.status(err.status).json({ error: err.message });
+      }
+    };
+  }
+
+  // 401 without credentials, 403 with a role below `role`
+  function requireRole(role) {
+    return (req, res, next) => {
+      const principal = req.principal;
+      if (hasRole(principal, role)) return next();
+      if (!principal || principal.type === "anonymous") {
+        res.set("WWW-Authenticate", 'Bearer realm="greenops"');
+        return res.status(401).json({
+          error: `Authentication required: send an API key or token with the ${role} role.`,
+        });
+      }
+      res.status(403).json({
+        error: `${principal.name} has the ${principal.role} role; this needs ${role}.`,
+      });
+    };
+  }
+
+  function describe() {
+    return {
+      enabled,
+      apiKeys: apiKeys.length,
+      jwt: !!jwtSecret,
+      anonymousRole: enabled ? anonymousRole : "admin",
+    };
+  }
+
+  return { enabled, authenticate, requireRole, describe };
+}
+
+// Whether `principal` has at least `role`
+function hasRole(principal, role) {
+  return !!(principal && principal.role && roleRank(principal.role) >= roleRank(role));
+}
+
+// Who a deployment record is attributed to
+function attributionOf(principal) {
+  if (!principal) return null;
+  return { type: principal.type, name: principal.name, role: principal.role };
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  hashApiKey,
+  generateApiKey,
+  loadApiKeys,
+  verifyJwt,
+  hasRole,
+  attributionOf,
+  createAuth,
+};
@@ -0,0 +1,390 @@
+// src/budgets.js
+// Monthly carbon and cost budgets, evaluated against the deployment history
+// (src/accounting.js) for the current calendar month (UTC).
+//
+// Budget fields ("budgets" collection):
+//   name          human readable name
+//   projectId     budget one project's deployments, or
+//   region        one region's, across projects (exactly one of the two)
+//   metric        "co2Kg"    kgCO2e, operational plus embodied
+//                 "costUsd"  USD
+//                 "costInr"  INR (USD at the configured rate)
+//   monthlyLimit  the month's limit, in the metric's unit
+//   warnAt        share of the limit that raises a warning (default 0.8)
+//   enforcement   what /api/deploy does when a deploy would push the month's
+//                 projection over the limit:
+//                   warn      deploy, and report it (default)
+//                   override  refuse unless the request sets budgetOverride
+//                   block     refuse
+//   createdAt, updatedAt
+//   notified      { month, level }: the highest level already notified this
+//                 month, so each month warns and breaches at most once
+//
+// Evaluations report what the month has used so far (`spent`) and where it
+// ends if everything running now keeps running (`projected`):
+//   ok         neither threshold is reached
+//   warning    spent reaches warnAt × limit, or projected reaches the limit
+//   breached   spent reaches the limit
+
+const { integrateEmissions } = require("./accounting");
+const { canAccessProject, projectOf } = require("./projects");
+const { planKeyOf } = require("./deployments");
+
+const COLLECTION = "budgets";
+const BUDGET_METRICS = ["co2Kg", "costUsd", "costInr"];
+const ENFORCEMENT_MODES = ["warn", "override", "block"];
+const LEVELS = ["ok", "warning", "breached"];
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const UNITS = { co2Kg: "kgCO₂e", costUsd: "USD", costInr: "INR" };
+
+class BudgetError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "BudgetError";
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+const rounded = (x, digits = 3) => Number(x.toFixed(digits));
+
+// -------------------- Validation --------------------
+
+// Returns a list of problems; empty means the budget is valid.
+function validateBudget(budget) {
+  const errors = [];
+  if (!budget || typeof budget !== "object" || Array.isArray(budget)) {
+    return ["budget must be an object"];
+  }
+  if (typeof budget.name !== "string" || !budget.name.trim()) {
+    errors.push("name must be a non-empty string");
+  }
+  const hasProject = budget.projectId !== undefined && budget.projectId !== null;
+  const hasRegion = budget.region !== undefined && budget.region !== null;
+  if (hasProject === hasRegion) {
+    errors.push("set exactly one of projectId and region");
+  }
+  if (hasProject && typeof budget.projectId !== "string") {
+    errors.push("projectId must be a project id");
+  }
+  if (hasRegion && typeof budget.region !== "string") {
+    errors.push("region must be a region id");
+  }
+  if (!BUDGET_METRICS.includes(budget.metric)) {
+    errors.push(`metric must be one of: ${BUDGET_METRICS.join(", ")}`);
+  }
+  if (!(typeof budget.monthlyLimit === "number" && budget.monthlyLimit > 0)) {
+    errors.push("monthlyLimit must be a positive number");
+  }
+  if (
+    budget.warnAt !== undefined &&
+    !(typeof budget.warnAt === "number" && budget.warnAt > 0 && budget.warnAt < 1)
+  ) {
+    errors.push("warnAt must be a number between 0 and 1 (exclusive)");
+  }
+  if (budget.enforcement !== undefined && !ENFORCEMENT_MODES.includes(budget.enforcement)) {
+    errors.push(`enforcement must be one of: ${ENFORCEMENT_MODES.join(", ")}`);
+  }
+  return errors;
+}
+
+function normalizeBudget(budget) {
+  return {
+    name: budget.name.trim(),
+    projectId: budget.projectId ?? null,
+    region: budget.region ?? null,
+    metric: budget.metric,
+    monthlyLimit: budget.monthlyLimit,
+    warnAt: budget.warnAt ?? 0.8,
+    enforcement: budget.enforcement || "warn",
+  };
+}
+
+// Whether `principal` may see `budget`: project budgets follow the project,
+// region budgets span projects and need access to all of them
+function canSeeBudget(principal, budget) {
+  if (budget.projectId) return canAccessProject(principal, budget.projectId);
+  return !!principal && (principal.role === "admin" || !principal.projects);
+}
+
+// -------------------- Evaluation --------------------
+
+// [start, end) of the UTC calendar month `now` falls in, and its "YYYY-MM"
+function monthOf(now) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { start, end, id: start.toISOString().slice(0, 7) };
+}
+
+const inScope = (budget) => (d) =>
+  budget.projectId ? projectOf(d) === budget.projectId : d.region === budget.region;
+
+// Hourly rate of a deployment in the budget's metric
+function hourlyRate(d, metric, usdToInr) {
+  if (metric === "co2Kg") {
+    return (d.estimatedHourlyCO2Kg || 0) + (d.estimatedHourlyEmbodiedCO2Kg || 0);
+  }
+  const usd = d.estimatedHourlyCostUsd || 0;
+  return metric === "costInr" ? usd * usdToInr : usd;
+}
+
+function levelOf(budget, spent, projected) {
+  if (spent >= budget.monthlyLimit) {
+    return { status: "breached", reason: "spent" };
+  }
+  if (spent >= budget.warnAt * budget.monthlyLimit) {
+    return { status: "warning", reason: "spent" };
+  }
+  if (projected >= budget.monthlyLimit) {
+    return { status: "warning", reason: "projected" };
+  }
+  return { status: "ok", reason: null };
+}
+
+// Where `budget` stands this month, given the whole deployment history
+function evaluateBudget(budget, history, { usdToInr, now = new Date() }) {
+  const month = monthOf(now);
+  const scoped = history.filter(inScope(budget));
+  const { totals } = integrateEmissions(
+    scoped,
+    { from: month.start, to: now, groupBy: "month" },
+    usdToInr,
+    now
+  );
+  const spent =
+    budget.metric === "co2Kg" ? totals.co2Kg + totals.embodiedCo2Kg : totals[budget.metric];
+  const runningRate = scoped
+    .filter((d) => !d.endedAt)
+    .reduce((sum, d) => sum + hourlyRate(d, budget.metric, usdToInr), 0);
+  const hoursLeft = (month.end.getTime() - now.getTime()) / MS_PER_HOUR;
+  const projected = spent + runningRate * hoursLeft;
+
+  return {
+    budgetId: budget.id,
+    name: budget.name,
+    projectId: budget.projectId,
+    region: budget.region,
+    month: month.id,
+    metric: budget.metric,
+    unit: UNITS[budget.metric],
+    monthlyLimit: budget.monthlyLimit,
+    spent: rounded(spent),
+    projected: rounded(projected),
+    runningHourlyRate: rounded(runningRate, 4),
+    hoursLeftInMonth: rounded(hoursLeft, 1),
+    percentSpent: rounded((spent / budget.monthlyLimit) * 100, 1),
+    percentProjected: rounded((projected / budget.monthlyLimit) * 100, 1),
+    enforcement: budget.enforcement,
+    ...levelOf(budget, spent, projected),
+  };
+}
+
+// -------------------- Registry and monitor --------------------
+
+function createBudgets({
+  store,
+  notifier,
+  projects,
+  regionCatalog,
+  usdToInr,
+  intervalMs = 15 * 60 * 1000,
+}) {
+  let timer = null;
+  let running = null;
+  let lastRun = null;
+
+  async function list(principal) {
+    const all = await store.list(COLLECTION);
+    return principal ? all.filter((b) => canSeeBudget(principal, b)) : all;
+  }
+
+  function get(id) {
+    return store.get(COLLECTION, id);
+  }
+
+  // Field problems, then whether the project or region exists
+  function problemsOf(budget) {
+    const errors = validateBudget(budget);
+    if (errors.length > 0) return errors;
+    if (budget.projectId && !projects.get(budget.projectId)) {
+      return [`unknown project ${budget.projectId}`];
+    }
+    if (budget.region && !regionCatalog.get(budget.region)) {
+      return [`unknown region ${budget.region}`];
+    }
+    return [];
+  }
+
+  async function create(input) {
+    const errors = problemsOf(input);
+    if (errors.length > 0) {
+      throw new BudgetError("Invalid budget.", 400, errors);
+    }
+    const now = new Date().toISOString();
+    return store.insert(COLLECTION, {
+      ...normalizeBudget(input),
+      createdAt: now,
+      updatedAt: now,
+      notified: null,
+    });
+  }
+
+  // Merges the patch into the existing budget. A new limit or threshold
+  // re-arms this month's notifications.
+  async function update(id, patch) {
+    const existing = await get(id);
+    if (!existing) {
+      throw new BudgetError(`Budget ${id} not found.`, 404);
+    }
+    const merged = { ...existing, ...patch };
+    const errors = problemsOf(merged);
+    if (errors.length > 0) {
+      throw new BudgetError("Invalid budget.", 400, errors);
+    }
+    return store.update(COLLECTION, id, {
+      ...normalizeBudget(merged),
+      updatedAt: new Date().toISOString(),
+      notified: null,
+    });
+  }
+
+  async function remove(id) {
+    if (!(await store.remove(COLLECTION, id))) {
+      throw new BudgetError(`Budget ${id} not found.`, 404);
+    }
+  }
+
+  async function evaluateAll(budgets, now = new Date()) {
+    const history = await store.list("deployments");
+    return budgets.map((b) => evaluateBudget(b, history, { usdToInr, now }));
+  }
+
+  function summaryOf(evaluation) {
+    const scope = evaluation.projectId
+      ? `project ${evaluation.projectId}`
+      : `region ${evaluation.region}`;
+    const figure = evaluation.reason === "projected" ? "is projected to reach" : "has used";
+    const amount = evaluation.reason === "projected" ? evaluation.projected : evaluation.spent;
+    return `Budget "${evaluation.name}" (${scope}) ${figure} ${amount} of ${evaluation.monthlyLimit} ${evaluation.unit} for ${evaluation.month} (${evaluation.status}).`;
+  }
+
+  // Evaluates every budget and notifies levels not yet notified this month
+  async function runNow() {
+    const budgets = await store.list(COLLECTION);
+    const evaluations = await evaluateAll(budgets);
+    const summary = { startedAt: new Date().toISOString(), evaluated: 0, notified: 0 };
+
+    for (const [idx, evaluation] of evaluations.entries()) {
+      const budget = budgets[idx];
+      summary.evaluated += 1;
+      const thisMonth = budget.notified && budget.notified.month === evaluation.month;
+      const notified = thisMonth ? budget.notified.level : "ok";
+      if (LEVELS.indexOf(evaluation.status) <= LEVELS.indexOf(notified)) continue;
+
+      await store.update(COLLECTION, budget.id, {
+        notified: { month: evaluation.month, level: evaluation.status },
+      });
+      summary.notified += 1;
+      console.log(`💸 ${summaryOf(evaluation)}`);
+      notifier
+        .notify(`budget.${evaluation.status}`, summaryOf(evaluation), { budget: evaluation })
+        .catch((err) => console.warn("⚠️  Budget notification failed:", err.message));
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    lastRun = summary;
+    return { ...summary, evaluations };
+  }
+
+  // One run at a time; callers during a run share its result
+  function run() {
+    if (!running) {
+      running = runNow().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Budgets a new deployment (`candidate`: projectId, region, planId,
+  // planLabel and hourly estimates) would push over their limit this month.
+  // The deployments it supersedes (same plan, project and region) stop
+  // counting.
+  async function checkDeploy(candidate, now = new Date()) {
+    const [budgets, history] = await Promise.all([
+      store.list(COLLECTION),
+      store.list("deployments"),
+    ]);
+    const superseded = history.filter(
+      (d) =>
+        !d.endedAt &&
+        planKeyOf(d) === planKeyOf(candidate) &&
+        projectOf(d) === candidate.projectId &&
+        d.region === candidate.region
+    );
+    const hoursLeft = (monthOf(now).end.getTime() - now.getTime()) / MS_PER_HOUR;
+
+    return budgets
+      .filter((b) => inScope(b)(candidate))
+      .map((budget) => {
+        const evaluation = evaluateBudget(budget, history, { usdToInr, now });
+        const before = superseded
+          .filter(inScope(budget))
+          .reduce((sum, d) => sum + hourlyRate(d, budget.metric, usdToInr), 0);
+        const delta = (hourlyRate(candidate, budget.metric, usdToInr) - before) * hoursLeft;
+        return {
+          ...evaluation,
+          projectedAfterDeploy: rounded(evaluation.projected + delta),
+          deployDelta: rounded(delta),
+        };
+      })
+      .filter((e) => e.deployDelta > 0 && e.projectedAfterDeploy > e.monthlyLimit);
+  }
+
+  function start() {
+    if (timer || !(intervalMs > 0)) return;
+    timer = setInterval(() => {
+      run().catch((err) => console.warn("⚠️  Budget check failed:", err.message));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function stats() {
+    return {
+      enabled: !!timer,
+      intervalMinutes: intervalMs / 60000,
+      running: !!running,
+      lastRun,
+    };
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    evaluateAll,
+    run,
+    checkDeploy,
+    start,
+    stop,
+    stats,
+  };
+}
+
+module.exports = {
+  BUDGET_METRICS,
+  ENFORCEMENT_MODES,
+  BudgetError,
+  validateBudget,
+  canSeeBudget,
+  evaluateBudget,
+  createBudgets,
+};
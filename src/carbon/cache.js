@@ -0,0 +1,58 @@
+// src/carbon/cache.js
+// Tiny TTL cache with stale-while-revalidate semantics.
+//
+//   age <= ttl              → fresh, served as-is
+//   ttl < age <= maxStale   → stale, served while a background refresh runs
+//   age > maxStale          → dropped, caller must fetch
+//
+// Concurrent loads for the same key share one in-flight promise.
+
+function createTtlCache({ ttlMs, maxStaleMs }) {
+  const entries = new Map(); // key -> { value, fetchedAt }
+  const inFlight = new Map(); // key -> Promise
+
+  function peek(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    const ageMs = Date.now() - entry.fetchedAt;
+    if (ageMs > maxStaleMs) {
+      entries.delete(key);
+      return null;
+    }
+    return { ...entry, ageMs, fresh: ageMs <= ttlMs };
+  }
+
+  function set(key, value) {
+    entries.set(key, { value, fetchedAt: Date.now() });
+  }
+
+  // Run loader once per key at a time; stores the result on success.
+  function load(key, loader) {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const p = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        set(key, value);
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, p);
+    return p;
+  }
+
+  return {
+    peek,
+    set,
+    load,
+    stats() {
+      return {
+        entries: entries.size,
+        refreshing: inFlight.size,
+        ttlSeconds: ttlMs / 1000,
+        maxStaleSeconds: maxStaleMs / 1000,
+      };
+    },
+  };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,119 @@
+// src/carbon/http.js
+// fetch() wrapper for carbon-intensity upstreams: per-request timeout,
+// retry with exponential backoff, a global concurrency cap and a cool-down
+// after the upstream tells us to back off (HTTP 429 + Retry-After).
+
+class UpstreamError extends Error {
+  constructor(message, { status, body, retryable } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.body = body;
+    this.retryable = !!retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseRetryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createHttpClient({
+  timeoutMs = 3000,
+  retries = 2,
+  backoffMs = 250,
+  maxConcurrent = 4,
+} = {}) {
+  let active = 0;
+  const waiting = [];
+  let coolDownUntil = 0;
+
+  async function acquire() {
+    if (active < maxConcurrent) {
+      active += 1;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+    active += 1;
+  }
+
+  function release() {
+    active -= 1;
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  async function attempt(url, options) {
+    const resp = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (resp.ok) {
+      return resp.json();
+    }
+
+    const body = await resp.text();
+    if (resp.status === 429) {
+      const retryAfter = parseRetryAfterMs(resp.headers.get("retry-after"));
+      coolDownUntil = Date.now() + (retryAfter ?? backoffMs * 8);
+    }
+    throw new UpstreamError(`HTTP ${resp.status}`, {
+      status: resp.status,
+      body,
+      retryable: resp.status === 429 || resp.status >= 500,
+    });
+  }
+
+  async function getJson(url, options = {}) {
+    if (Date.now() < coolDownUntil) {
+      throw new UpstreamError("Upstream rate limit cool-down in effect", {
+        status: 429,
+        retryable: false,
+      });
+    }
+
+    await acquire();
+    try {
+      let lastError;
+      for (let i = 0; i <= retries; i += 1) {
+        try {
+          return await attempt(url, options);
+        } catch (err) {
+          lastError =
+            err instanceof UpstreamError
+              ? err
+              : new UpstreamError(
+                  err.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : err.message,
+                  { retryable: true }
+                );
+          if (!lastError.retryable || i === retries || Date.now() < coolDownUntil) {
+            break;
+          }
+          await sleep(backoffMs * 2 ** i);
+        }
+      }
+      throw lastError;
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    getJson,
+    stats() {
+      return {
+        activeRequests: active,
+        queuedRequests: waiting.length,
+        coolDownUntil: coolDownUntil > Date.now() ? new Date(coolDownUntil).toISOString() : null,
+      };
+    },
+  };
+}
+
+module.exports = { UpstreamError, createHttpClient };
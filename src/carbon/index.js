@@ -0,0 +1,129 @@
+// src/carbon/index.js
+// Carbon-intensity service: provider + TTL cache + safe fallbacks.
+// One service per provider; see ./providers for the provider interface.
+//
+// Every lookup resolves (never throws) to a value and where it came from:
+//   source: "<provider name>"  fresh from upstream ("electricitymaps", "watttime", "static-file")
+//           "cache"            served from cache within TTL
+//           "stale-cache"      past TTL, served while refreshing / upstream failing
+//           "fallback-static"  region.defaultCarbonIntensity
+// plus ageSeconds, so the UI can show how fresh the number is.
+
+const { createTtlCache } = require("./cache");
+const { createHttpClient } = require("./http");
+const { PROVIDER_NAMES, createProvider } = require("./providers");
+const { flatForecast } = require("../scheduler");
+
+function createCarbonService({
+  provider,
+  zoneFor,
+  ttlMs = 5 * 60 * 1000,
+  forecastTtlMs = 30 * 60 * 1000,
+  maxStaleMs = 6 * 60 * 60 * 1000,
+}) {
+  const latestCache = createTtlCache({ ttlMs, maxStaleMs });
+  const forecastCache = createTtlCache({ ttlMs: forecastTtlMs, maxStaleMs });
+
+  // Shared cache-first lookup used by latest() and forecast() below.
+  async function lookup(cache, key, loader, fallback, label) {
+    const cached = cache.peek(key);
+
+    if (cached && cached.fresh) {
+      return { value: cached.value, source: "cache", ageSeconds: Math.round(cached.ageMs / 1000) };
+    }
+
+    if (cached) {
+      // Stale-while-revalidate: answer now, refresh in the background.
+      cache.load(key, loader).catch((err) => {
+        console.warn(`⚠️  Background refresh of ${label} failed:`, err.message);
+      });
+      return {
+        value: cached.value,
+        source: "stale-cache",
+        ageSeconds: Math.round(cached.ageMs / 1000),
+      };
+    }
+
+    try {
+      const value = await cache.load(key, loader);
+      return { value, source: provider.name, ageSeconds: 0 };
+    } catch (err) {
+      console.warn(`⚠️  ${provider.name} lookup for ${label} failed, using fallback:`, err.message);
+      return fallback();
+    }
+  }
+
+  // Live carbon intensity (gCO2eq/kWh) for a region
+  async function getCarbonIntensityForRegion(region) {
+    const zone = zoneFor(region, provider);
+    const fallback = () => ({
+      value: region.defaultCarbonIntensity,
+      source: "fallback-static",
+      ageSeconds: null,
+    });
+
+    // No key or no mapping => fallback to static default
+    if (!provider.configured || !zone) {
+      return fallback();
+    }
+
+    return lookup(
+      latestCache,
+      zone,
+      () => provider.latest(zone),
+      fallback,
+      `${region.id} / zone ${zone}`
+    );
+  }
+
+  // Hourly forecast for a region. Falls back to a flat forecast at
+  // defaultCarbonIntensity (up to `until`).
+  async function getCarbonForecastForRegion(region, until) {
+    const zone = zoneFor(region, provider);
+    const fallback = () => ({
+      value: flatForecast(region.defaultCarbonIntensity, new Date(), until),
+      source: "fallback-static",
+      ageSeconds: null,
+    });
+
+    if (!provider.configured || !zone) {
+      return rename(fallback());
+    }
+
+    return rename(
+      await lookup(
+        forecastCache,
+        zone,
+        () => provider.forecast(zone),
+        fallback,
+        `forecast ${region.id} / zone ${zone}`
+      )
+    );
+  }
+
+  function rename({ value, ...rest }) {
+    return { forecast: value, ...rest };
+  }
+
+  return {
+    provider,
+    getCarbonIntensityForRegion,
+    getCarbonForecastForRegion,
+    stats() {
+      return {
+        provider: provider.name,
+        signal: provider.signal,
+        configured: provider.configured,
+        latestCache: latestCache.stats(),
+        forecastCache: forecastCache.stats(),
+      };
+    },
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createCarbonService,
+  createProvider,
+  createHttpClient,
+};
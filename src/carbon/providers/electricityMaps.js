@@ -0,0 +1,47 @@
+// src/carbon/providers/electricityMaps.js
+// Electricity Maps v3 (average grid intensity).
+// Docs: /v3/carbon-intensity/latest?zone=ZONE_ID with auth-token header
+
+function createElectricityMapsProvider({ apiKey, baseUrl, http }) {
+  const headers = { "auth-token": apiKey };
+
+  return {
+    name: "electricitymaps",
+    signal: "average",
+    zoneKey: "zone",
+    configured: !!apiKey,
+
+    // Returns gCO2eq/kWh for the zone right now
+    async latest(zone) {
+      const data = await http.getJson(
+        `${baseUrl}/carbon-intensity/latest?zone=${encodeURIComponent(zone)}`,
+        { headers }
+      );
+      // response contains carbonIntensity in gCO2eq/kWh
+      if (typeof data.carbonIntensity !== "number") {
+        throw new Error("response has no numeric carbonIntensity");
+      }
+      return data.carbonIntensity;
+    },
+
+    // Returns [{ datetime, carbonIntensity }, ...] hourly points
+    async forecast(zone) {
+      const data = await http.getJson(
+        `${baseUrl}/carbon-intensity/forecast?zone=${encodeURIComponent(zone)}`,
+        { headers }
+      );
+      const points = Array.isArray(data.forecast)
+        ? data.forecast.filter((p) => typeof p.carbonIntensity === "number" && p.datetime)
+        : [];
+      if (points.length === 0) {
+        throw new Error("response has no forecast points");
+      }
+      return points.map((p) => ({
+        datetime: p.datetime,
+        carbonIntensity: p.carbonIntensity,
+      }));
+    },
+  };
+}
+
+module.exports = { createElectricityMapsProvider };
@@ -0,0 +1,46 @@
+// src/carbon/providers/index.js
+// Provider registry. Every provider implements:
+//   name       — reported as `source` for fresh values
+//   signal     — "average" or "marginal"
+//   zoneKey    — which REGION_ZONE_MAP field holds its zone/region code
+//   configured — false means "don't call me, use the static fallback"
+//   latest(zone)   → gCO2eq/kWh
+//   forecast(zone) → [{ datetime, carbonIntensity }]
+
+const { createElectricityMapsProvider } = require("./electricityMaps");
+const { createStaticFileProvider } = require("./staticFile");
+const { createWattTimeProvider } = require("./wattTime");
+
+const PROVIDER_NAMES = ["electricitymaps", "watttime", "static-file"];
+
+function createProvider(name, config, http) {
+  switch (name) {
+    case "electricitymaps":
+      return createElectricityMapsProvider({
+        apiKey: config.electricityMapsApiKey,
+        baseUrl: config.electricityMapsBaseUrl,
+        http,
+      });
+    case "watttime":
+      return createWattTimeProvider({
+        username: config.wattTimeUsername,
+        password: config.wattTimePassword,
+        baseUrl: config.wattTimeBaseUrl,
+        http,
+      });
+    case "static-file":
+      return createStaticFileProvider({ filePath: config.staticFile });
+    default:
+      throw new Error(
+        `Unknown carbon provider "${name}" (expected one of: ${PROVIDER_NAMES.join(", ")}).`
+      );
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider,
+  createElectricityMapsProvider,
+  createStaticFileProvider,
+  createWattTimeProvider,
+};
@@ -0,0 +1,120 @@
+// src/carbon/providers/staticFile.js
+// Hourly intensities from a local CSV or JSON file, for offline demos and
+// reproducible tests. Keys are Electricity Maps zone codes.
+//
+// CSV (header required), either absolute timestamps or a 24h daily profile:
+//   zone,datetime,carbonIntensity        zone,hour,carbonIntensity
+//   GB,2025-03-01T00:00:00Z,212          GB,0,180
+//
+// JSON, same two shapes:
+//   { "GB": [{ "datetime": "...", "carbonIntensity": 212 }, ...] }
+//   { "GB": { "hourly": [180, 175, ... 24 values] } }
+
+const fs = require("fs");
+const path = require("path");
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const PROFILE_FORECAST_HOURS = 48;
+
+function parseCsv(raw) {
+  const lines = raw.split(/\r?\n/).filter((l) => l.trim() && !l.startsWith("#"));
+  const header = lines.shift().split(",").map((h) => h.trim());
+  const col = (name) => header.indexOf(name);
+  const zoneIdx = col("zone");
+  const ciIdx = col("carbonIntensity");
+  const dtIdx = col("datetime");
+  const hourIdx = col("hour");
+
+  if (zoneIdx === -1 || ciIdx === -1 || (dtIdx === -1 && hourIdx === -1)) {
+    throw new Error('CSV header must have "zone", "carbonIntensity" and "datetime" or "hour"');
+  }
+
+  const data = {};
+  lines.forEach((line, idx) => {
+    const cells = line.split(",").map((c) => c.trim());
+    const zone = cells[zoneIdx];
+    const value = Number(cells[ciIdx]);
+    if (!zone || !Number.isFinite(value)) {
+      throw new Error(`Invalid CSV row ${idx + 2}: "${line}"`);
+    }
+    if (dtIdx !== -1) {
+      data[zone] = data[zone] || [];
+      data[zone].push({ datetime: cells[dtIdx], carbonIntensity: value });
+    } else {
+      data[zone] = data[zone] || { hourly: [] };
+      data[zone].hourly[Number(cells[hourIdx])] = value;
+    }
+  });
+  return data;
+}
+
+function loadFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  return path.extname(filePath).toLowerCase() === ".csv" ? parseCsv(raw) : JSON.parse(raw);
+}
+
+function createStaticFileProvider({ filePath }) {
+  let data = null;
+
+  // Loaded lazily (and once) so a missing file only breaks lookups, which
+  // then fall back to static defaults, instead of crashing the server.
+  function series(zone) {
+    if (!data) data = loadFile(filePath);
+    const entry = data[zone];
+    if (!entry) {
+      throw new Error(`no data for zone ${zone} in ${filePath}`);
+    }
+    return entry;
+  }
+
+  function profileForecast(hourly, from) {
+    const start = new Date(from);
+    start.setUTCMinutes(0, 0, 0);
+    const points = [];
+    for (let i = 0; i < PROFILE_FORECAST_HOURS; i += 1) {
+      const t = new Date(start.getTime() + i * MS_PER_HOUR);
+      points.push({
+        datetime: t.toISOString(),
+        carbonIntensity: hourly[t.getUTCHours()],
+      });
+    }
+    return points;
+  }
+
+  return {
+    name: "static-file",
+    signal: "average",
+    zoneKey: "zone",
+    configured: !!filePath,
+
+    async latest(zone) {
+      const entry = series(zone);
+      const now = Date.now();
+      if (entry.hourly) {
+        return entry.hourly[new Date(now).getUTCHours()];
+      }
+      const past = entry
+        .filter((p) => new Date(p.datetime).getTime() <= now)
+        .sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+      if (past.length === 0) {
+        throw new Error(`no data point at or before now for zone ${zone}`);
+      }
+      return past[past.length - 1].carbonIntensity;
+    },
+
+    async forecast(zone) {
+      const entry = series(zone);
+      if (entry.hourly) {
+        return profileForecast(entry.hourly, new Date());
+      }
+      const from = Date.now() - MS_PER_HOUR;
+      const points = entry.filter((p) => new Date(p.datetime).getTime() >= from);
+      if (points.length === 0) {
+        throw new Error(`no future data points for zone ${zone}`);
+      }
+      return points;
+    },
+  };
+}
+
+module.exports = { createStaticFileProvider };
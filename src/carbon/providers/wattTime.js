@@ -0,0 +1,74 @@
+// src/carbon/providers/wattTime.js
+// WattTime v3 (marginal operating emissions rate, MOER).
+// Docs: GET /login (basic auth) → token, then
+//       GET /v3/forecast?region=REGION&signal_type=co2_moer with Bearer token
+//
+// WattTime reports lbs CO2 per MWh; we convert to gCO2eq/kWh so marginal and
+// average signals can be compared side by side.
+
+const LBS_PER_MWH_TO_G_PER_KWH = 0.453592;
+
+function createWattTimeProvider({ username, password, baseUrl, http }) {
+  let token = null;
+
+  async function login() {
+    const basic = Buffer.from(`${username}:${password}`).toString("base64");
+    const data = await http.getJson(`${baseUrl}/login`, {
+      headers: { Authorization: `Basic ${basic}` },
+    });
+    if (!data.token) {
+      throw new Error("WattTime login returned no token");
+    }
+    token = data.token;
+    return token;
+  }
+
+  // Tokens expire after ~30 minutes; log in again once on 401.
+  async function authorizedGet(url) {
+    if (!token) await login();
+    try {
+      return await http.getJson(url, { headers: { Authorization: `Bearer ${token}` } });
+    } catch (err) {
+      if (err.status !== 401) throw err;
+      await login();
+      return http.getJson(url, { headers: { Authorization: `Bearer ${token}` } });
+    }
+  }
+
+  function toPoints(data) {
+    const points = Array.isArray(data.data)
+      ? data.data.filter((p) => typeof p.value === "number" && p.point_time)
+      : [];
+    if (points.length === 0) {
+      throw new Error("response has no forecast points");
+    }
+    return points.map((p) => ({
+      datetime: p.point_time,
+      carbonIntensity: p.value * LBS_PER_MWH_TO_G_PER_KWH,
+    }));
+  }
+
+  async function forecast(region) {
+    const data = await authorizedGet(
+      `${baseUrl}/v3/forecast?region=${encodeURIComponent(region)}&signal_type=co2_moer`
+    );
+    return toPoints(data);
+  }
+
+  return {
+    name: "watttime",
+    signal: "marginal",
+    zoneKey: "wattTimeRegion",
+    configured: !!(username && password),
+
+    // The first forecast point is the current 5-minute MOER value
+    async latest(region) {
+      const points = await forecast(region);
+      return points[0].carbonIntensity;
+    },
+
+    forecast,
+  };
+}
+
+module.exports = { createWattTimeProvider, LBS_PER_MWH_TO_G_PER_KWH };
@@ -0,0 +1,208 @@
+// src/clusters.js
+// Cluster registry: which Kubernetes cluster each region deploys to.
+//
+// Read once at startup from CLUSTERS_CONFIG_FILE (default
+// config/clusters.json; see config/clusters.example.json). A missing file
+// means no clusters, which is fine while ENABLE_CIVO_DEPLOY is off.
+//
+//   {
+//     "clusters": [
+//       { "region": "FRA1", "context": "civo-greenops-fra1" },
+//       { "region": "LON1", "kubeconfig": "/etc/greenops/lon1.yaml" },
+//       { "region": "NYC1", "inCluster": true }
+//     ]
+//   }
+//
+// Cluster fields:
+//   region       region id from the catalog, at most one cluster per region
+//   context      kubeconfig context to use (optional if kubeconfig is set)
+//   kubeconfig   kubeconfig file to use instead of the default (optional if
+//                context is set); relative paths resolve against the config file
+//   client       "kubectl" (spawn the kubectl binary, src/kubectl.js) or "api"
+//                (call the Kubernetes API from Node, src/kube/); defaults to
+//                the registry's defaultClient (KUBE_CLIENT)
+//   inCluster    true to use the service account of the pod the backend runs
+//                in, instead of context/kubeconfig (implies client "api")
+//
+// Each cluster gets its own client. Reachability for /api/health comes from
+// `kubectl version` or GET /version, cached for `healthTtlMs` so a polling
+// dashboard does not hit every cluster on every request.
+
+const fs = require("fs");
+const path = require("path");
+const { isValidContext, createKubectl } = require("./kubectl");
+const { createKubeClient } = require("./kube");
+const { REGION_ID_PATTERN } = require("./regions");
+
+const KUBE_CLIENTS = ["kubectl", "api"];
+
+// -------------------- Validation --------------------
+
+// Returns a list of problems; empty means the cluster entry is valid.
+function validateCluster(cluster) {
+  const errors = [];
+  const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+  if (!cluster || typeof cluster !== "object" || Array.isArray(cluster)) {
+    return ["cluster must be an object"];
+  }
+  if (!isNonEmptyString(cluster.region) || !REGION_ID_PATTERN.test(cluster.region)) {
+    errors.push("region must be a region id (e.g. FRA1)");
+  }
+  if (cluster.inCluster !== undefined && typeof cluster.inCluster !== "boolean") {
+    errors.push("inCluster must be a boolean");
+  }
+  if (cluster.inCluster === true) {
+    if (cluster.context !== undefined || cluster.kubeconfig !== undefined) {
+      errors.push("inCluster cannot be combined with context or kubeconfig");
+    }
+    if (cluster.client === "kubectl") {
+      errors.push('inCluster needs client "api"');
+    }
+  } else if (cluster.context === undefined && cluster.kubeconfig === undefined) {
+    errors.push("context, kubeconfig or inCluster is required");
+  }
+  if (cluster.client !== undefined && !KUBE_CLIENTS.includes(cluster.client)) {
+    errors.push(`client must be one of: ${KUBE_CLIENTS.join(", ")}`);
+  }
+  if (cluster.context !== undefined && !isValidContext(cluster.context)) {
+    errors.push("context must be a kubeconfig context name (no spaces, no leading dash)");
+  }
+  if (cluster.kubeconfig !== undefined && !isNonEmptyString(cluster.kubeconfig)) {
+    errors.push("kubeconfig must be a non-empty file path");
+  }
+  return errors;
+}
+
+// Read and validate the config file. Returns [] when the file does not
+// exist; throws on any invalid entry so a broken config fails at startup.
+function loadClustersConfig(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const clusters = Array.isArray(parsed) ? parsed : parsed.clusters;
+  if (!Array.isArray(clusters)) {
+    throw new Error(`${filePath}: expected an array of clusters or { "clusters": [...] }`);
+  }
+
+  const seen = new Set();
+  const problems = [];
+  clusters.forEach((c, idx) => {
+    validateCluster(c).forEach((e) => problems.push(`clusters[${idx}]: ${e}`));
+    if (c && seen.has(c.region)) problems.push(`clusters[${idx}]: duplicate region ${c.region}`);
+    if (c) seen.add(c.region);
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid cluster config ${filePath}:\n  ${problems.join("\n  ")}`);
+  }
+
+  return clusters.map((c) => ({
+    region: c.region,
+    context: c.context || null,
+    kubeconfig: c.kubeconfig ? path.resolve(path.dirname(filePath), c.kubeconfig) : null,
+    client: c.client || null,
+    inCluster: c.inCluster === true,
+  }));
+}
+
+// -------------------- Registry --------------------
+
+// kubectl or Kubernetes API client for one cluster entry
+function clientFor(cluster, { binary, timeoutMs }) {
+  const options = {
+    context: cluster.context || "",
+    kubeconfig: cluster.kubeconfig || "",
+    timeoutMs,
+  };
+  if (cluster.client === "api") {
+    return createKubeClient({ ...options, inCluster: cluster.inCluster });
+  }
+  return createKubectl({ ...options, binary });
+}
+
+function createClusterRegistry({
+  configFile,
+  binary,
+  timeoutMs,
+  defaultClient = "kubectl",
+  healthTtlMs = 30 * 1000,
+  probeTimeoutSeconds = 5,
+}) {
+  if (!KUBE_CLIENTS.includes(defaultClient)) {
+    throw new Error(`KUBE_CLIENT must be one of: ${KUBE_CLIENTS.join(", ")}.`);
+  }
+  const clusters = loadClustersConfig(configFile).map((c) => {
+    const cluster = { ...c, client: c.inCluster ? "api" : c.client || defaultClient };
+    try {
+      return { ...cluster, kube: clientFor(cluster, { binary, timeoutMs }) };
+    } catch (err) {
+      throw new Error(`Cluster ${c.region} in ${configFile}: ${err.message}`);
+    }
+  });
+
+  let health = null; // { at, results } of the last probe round
+  let inFlight = null;
+
+  const describe = (c) => ({
+    region: c.region,
+    client: c.client,
+    context: c.context,
+    kubeconfig: c.kubeconfig,
+    inCluster: c.inCluster,
+    server: c.kube.server || null,
+  });
+
+  // Cluster for a region, or null when none is configured
+  function get(region) {
+    return clusters.find((c) => c.region === region) || null;
+  }
+
+  function list() {
+    return clusters.map(describe);
+  }
+
+  // Probes every cluster in parallel. Concurrent callers share one round.
+  function probeAll() {
+    if (!inFlight) {
+      inFlight = Promise.all(
+        clusters.map(async (c) => ({
+          ...describe(c),
+          ...(await c.kube.probe({ timeoutSeconds: probeTimeoutSeconds })),
+        }))
+      ).then((results) => {
+        const checkedAt = new Date().toISOString();
+        health = { at: Date.now(), results: results.map((r) => ({ ...r, checkedAt })) };
+        inFlight = null;
+        return health.results;
+      });
+    }
+    return inFlight;
+  }
+
+  // Reachability per cluster: { region, client, context, kubeconfig,
+  // inCluster, server, reachable, serverVersion, error, checkedAt }. Reuses
+  // results younger than healthTtlMs.
+  async function healthCheck() {
+    if (health && Date.now() - health.at < healthTtlMs) return health.results;
+    return probeAll();
+  }
+
+  // Configured regions that the catalog does not know (or has disabled)
+  function unknownRegions(regionCatalog) {
+    return clusters
+      .filter((c) => {
+        const meta = regionCatalog.get(c.region);
+        return !meta || !meta.enabled;
+      })
+      .map((c) => c.region);
+  }
+
+  return { configFile, get, list, healthCheck, unknownRegions, size: clusters.length };
+}
+
+module.exports = {
+  KUBE_CLIENTS,
+  validateCluster,
+  loadClustersConfig,
+  createClusterRegistry,
+};
@@ -0,0 +1,321 @@
+// src/components.js
+// Component schema for /api/plan. Only `name` and `type` are required; the
+// rest describes how the component is deployed:
+//
+// {
+//   name: "api",
+//   type: "container",                  // api-gateway | frontend | container | function
+//                                       // database | cache | queue | storage
+//   image: "ghcr.io/acme/api:1.4.2",    // default: your-docker-username/<name>:latest
+//   engine: "postgres",                 // stateful types: postgres | mysql | mongodb | redis | rabbitmq
+//   ports: [8080, { name: "metrics", containerPort: 9090 }],
+//   env: {                              // plain values go into a ConfigMap
+//     LOG_LEVEL: "info",
+//     DATABASE_URL: { secretRef: { name: "db", key: "url" } },
+//   },
+//   resources: { requests: { cpu, memory }, limits: { cpu, memory } },
+//   probes: {
+//     readiness: { path: "/ready", port: 8080, initialDelaySeconds: 5, periodSeconds: 10 },
+//     liveness: { path: "/healthz" },
+//   },
+//   autoscaling: { minReplicas: 2, maxReplicas: 10, targetCpuUtilization: 70 },
+//   storage: { size: "10Gi", storageClass: "civo-volume", mountPath: "/data" },
+// }
+//
+// Sizing fields (cpu, memory, expectedRps, …) are described in sizing.js.
+
+const RUNTIME_TYPES = ["api-gateway", "frontend", "container", "function"];
+const STATEFUL_WORKLOAD_TYPES = ["database", "cache", "queue"];
+const COMPONENT_TYPES = [...RUNTIME_TYPES, ...STATEFUL_WORKLOAD_TYPES, "storage"];
+
+const DEFAULT_PORT = 4000;
+
+// Image, port and data directory per engine for stateful components.
+// passwordEnv is read from the Secret "<name>-credentials" (key "password")
+// unless the component's env sets it. Plans never contain Secrets (see
+// manifests.ALLOWED_KINDS), so the reference is optional: the objects apply
+// as-is, and the database starts once the user has created the Secret.
+const ENGINES = {
+  postgres: {
+    image: "postgres:16",
+    port: 5432,
+    mountPath: "/var/lib/postgresql/data",
+    passwordEnv: "POSTGRES_PASSWORD",
+  },
+  mysql: {
+    image: "mysql:8.4",
+    port: 3306,
+    mountPath: "/var/lib/mysql",
+    passwordEnv: "MYSQL_ROOT_PASSWORD",
+  },
+  mongodb: { image: "mongo:7", port: 27017, mountPath: "/data/db" },
+  redis: { image: "redis:7", port: 6379, mountPath: "/data" },
+  rabbitmq: { image: "rabbitmq:3.13", port: 5672, mountPath: "/var/lib/rabbitmq" },
+};
+const DEFAULT_ENGINE = { database: "postgres", cache: "redis", queue: "rabbitmq" };
+
+const DEFAULT_STORAGE_SIZE = "10Gi";
+
+const QUANTITY_PATTERN = /^\d+(\.\d+)?(m|Mi|Gi|Ti)?$/;
+const STORAGE_SIZE_PATTERN = /^\d+(Mi|Gi|Ti)$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+// Kubernetes object name derived from the component name
+function safeName(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 50) || "service"
+  );
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isPort(v) {
+  return Number.isInteger(v) && v >= 1 && v <= 65535;
+}
+
+// -------------------- Validation --------------------
+
+function validatePorts(ports, where) {
+  if (!Array.isArray(ports) || ports.length === 0) {
+    throw new Error(`${where}.ports must be a non-empty list.`);
+  }
+  return ports.map((p, idx) => {
+    if (isPort(p)) return { name: idx === 0 ? "http" : `port-${p}`, containerPort: p };
+    if (isPlainObject(p) && isPort(p.containerPort)) {
+      if (p.name !== undefined && !/^[a-z0-9-]{1,15}$/.test(p.name)) {
+        throw new Error(`${where}.ports[${idx}].name must be 1-15 lowercase letters, digits or dashes.`);
+      }
+      if (p.protocol !== undefined && !["TCP", "UDP"].includes(p.protocol)) {
+        throw new Error(`${where}.ports[${idx}].protocol must be TCP or UDP.`);
+      }
+      return {
+        name: p.name || (idx === 0 ? "http" : `port-${p.containerPort}`),
+        containerPort: p.containerPort,
+        protocol: p.protocol,
+      };
+    }
+    throw new Error(`${where}.ports[${idx}] must be a port number or { containerPort }.`);
+  });
+}
+
+function validateEnv(env, where) {
+  if (!isPlainObject(env)) {
+    throw new Error(`${where}.env must be an object of NAME: value.`);
+  }
+  return Object.entries(env).map(([name, value]) => {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      throw new Error(`${where}.env: "${name}" is not a valid variable name.`);
+    }
+    if (["string", "number", "boolean"].includes(typeof value)) {
+      return { name, value: String(value) };
+    }
+    const ref = isPlainObject(value) && (value.secretRef || value.configMapRef);
+    if (ref && typeof ref.name === "string" && typeof ref.key === "string") {
+      return { name, [value.secretRef ? "secretRef" : "configMapRef"]: ref };
+    }
+    throw new Error(
+      `${where}.env.${name} must be a string, number, boolean or { secretRef: { name, key } }.`
+    );
+  });
+}
+
+function validateResources(resources, where) {
+  if (!isPlainObject(resources)) {
+    throw new Error(`${where}.resources must be { requests, limits }.`);
+  }
+  ["requests", "limits"].forEach((kind) => {
+    const section = resources[kind];
+    if (section === undefined) return;
+    if (!isPlainObject(section)) {
+      throw new Error(`${where}.resources.${kind} must be { cpu, memory }.`);
+    }
+    ["cpu", "memory"].forEach((key) => {
+      const v = section[key];
+      if (v !== undefined && !(typeof v === "number" || QUANTITY_PATTERN.test(String(v)))) {
+        throw new Error(`${where}.resources.${kind}.${key} is not a valid quantity.`);
+      }
+    });
+  });
+  return resources;
+}
+
+function validateProbe(probe, where) {
+  if (!isPlainObject(probe) || typeof probe.path !== "string" || !probe.path.startsWith("/")) {
+    throw new Error(`${where} must be { path: "/...", port?, initialDelaySeconds?, periodSeconds? }.`);
+  }
+  if (probe.port !== undefined && !isPort(probe.port)) {
+    throw new Error(`${where}.port must be a port number.`);
+  }
+  ["initialDelaySeconds", "periodSeconds"].forEach((key) => {
+    if (probe[key] !== undefined && !(Number.isInteger(probe[key]) && probe[key] >= 0)) {
+      throw new Error(`${where}.${key} must be an integer >= 0.`);
+    }
+  });
+  return probe;
+}
+
+function validateAutoscaling(autoscaling, where) {
+  if (!isPlainObject(autoscaling)) {
+    throw new Error(`${where}.autoscaling must be { minReplicas, maxReplicas, targetCpuUtilization }.`);
+  }
+  const { minReplicas, maxReplicas, targetCpuUtilization } = autoscaling;
+  if (!Number.isInteger(maxReplicas) || maxReplicas < 1) {
+    throw new Error(`${where}.autoscaling.maxReplicas must be an integer >= 1.`);
+  }
+  if (minReplicas !== undefined && !(Number.isInteger(minReplicas) && minReplicas >= 1 && minReplicas <= maxReplicas)) {
+    throw new Error(`${where}.autoscaling.minReplicas must be an integer between 1 and maxReplicas.`);
+  }
+  if (
+    targetCpuUtilization !== undefined &&
+    !(Number.isInteger(targetCpuUtilization) && targetCpuUtilization >= 1 && targetCpuUtilization <= 100)
+  ) {
+    throw new Error(`${where}.autoscaling.targetCpuUtilization must be a percentage (1-100).`);
+  }
+  return autoscaling;
+}
+
+// Validates the deployment fields of every component and fills in defaults.
+// Throws with a user-facing message; returns components with a `deploy` block.
+function parseComponents(components) {
+  if (!Array.isArray(components)) {
+    throw new Error("components must be a list.");
+  }
+  const seen = new Set();
+
+  return components.map((c, idx) => {
+    const where = `components[${idx}]`;
+    if (!isPlainObject(c) || typeof c.name !== "string" || c.name.trim() === "") {
+      throw new Error(`${where}.name must be a non-empty string.`);
+    }
+    if (typeof c.type !== "string") {
+      throw new Error(`${where}.type must be one of: ${COMPONENT_TYPES.join(", ")}.`);
+    }
+    const objectName = safeName(c.name);
+    if (seen.has(objectName)) {
+      throw new Error(`${where}: another component already maps to the name "${objectName}".`);
+    }
+    seen.add(objectName);
+
+    // Unknown types are accepted for planning but not deployed
+    if (!COMPONENT_TYPES.includes(c.type)) {
+      return { ...c, deploy: null };
+    }
+
+    let engine = null;
+    if (STATEFUL_WORKLOAD_TYPES.includes(c.type)) {
+      const engineName = c.engine || DEFAULT_ENGINE[c.type];
+      if (!ENGINES[engineName]) {
+        throw new Error(`${where}.engine must be one of: ${Object.keys(ENGINES).join(", ")}.`);
+      }
+      engine = { name: engineName, ...ENGINES[engineName] };
+    }
+
+    if (c.image !== undefined && (typeof c.image !== "string" || /\s/.test(c.image) || !c.image)) {
+      throw new Error(`${where}.image must be an image reference without spaces.`);
+    }
+
+    const ports =
+      c.ports !== undefined
+        ? validatePorts(c.ports, where)
+        : c.type === "storage"
+        ? []
+        : engine
+        ? [{ name: engine.name, containerPort: engine.port }]
+        : [{ name: "http", containerPort: DEFAULT_PORT }];
+
+    const env = c.env !== undefined ? validateEnv(c.env, where) : [];
+    if (engine && engine.passwordEnv && !env.some((e) => e.name === engine.passwordEnv)) {
+      env.push({
+        name: engine.passwordEnv,
+        secretRef: { name: `${objectName}-credentials`, key: "password", optional: true },
+      });
+    }
+
+    const probes = {};
+    if (c.probes !== undefined) {
+      if (!isPlainObject(c.probes)) {
+        throw new Error(`${where}.probes must be { readiness, liveness }.`);
+      }
+      ["readiness", "liveness"].forEach((kind) => {
+        if (c.probes[kind] !== undefined) {
+          probes[kind] = validateProbe(c.probes[kind], `${where}.probes.${kind}`);
+        }
+      });
+    }
+
+    let storage = null;
+    if (engine && c.type !== "cache") {
+      storage = { size: DEFAULT_STORAGE_SIZE, mountPath: engine.mountPath };
+    }
+    if (c.type === "storage") {
+      storage = { size: DEFAULT_STORAGE_SIZE };
+    }
+    if (c.storage !== undefined) {
+      const s = c.storage;
+      if (!isPlainObject(s)) {
+        throw new Error(`${where}.storage must be { size, storageClass?, mountPath? }.`);
+      }
+      if (s.size !== undefined && !STORAGE_SIZE_PATTERN.test(String(s.size))) {
+        throw new Error(`${where}.storage.size must be a quantity like "10Gi".`);
+      }
+      if (s.mountPath !== undefined && !(typeof s.mountPath === "string" && s.mountPath.startsWith("/"))) {
+        throw new Error(`${where}.storage.mountPath must be an absolute path.`);
+      }
+      storage = {
+        ...storage,
+        ...s,
+        mountPath: s.mountPath || (storage && storage.mountPath) || "/data",
+        size: s.size || DEFAULT_STORAGE_SIZE,
+      };
+    }
+
+    return {
+      ...c,
+      deploy: {
+        objectName,
+        image: c.image || (engine ? engine.image : `your-docker-username/${objectName}:latest`),
+        engine: engine ? engine.name : null,
+        ports,
+        env,
+        resources: c.resources !== undefined ? validateResources(c.resources, where) : {},
+        probes,
+        autoscaling:
+          c.autoscaling !== undefined ? validateAutoscaling(c.autoscaling, where) : null,
+        storage,
+      },
+    };
+  });
+}
+
+// Secrets the deployable components read, which the user has to create:
+// [{ name, key, component, env }], one entry per Secret key
+function requiredSecrets(components) {
+  const secrets = new Map();
+  components
+    .filter((c) => c.deploy)
+    .forEach((c) => {
+      c.deploy.env
+        .filter((e) => e.secretRef)
+        .forEach(({ name: env, secretRef: { name, key } }) => {
+          const id = `${name}/${key}`;
+          if (!secrets.has(id)) secrets.set(id, { name, key, component: c.name, env });
+        });
+    });
+  return [...secrets.values()];
+}
+
+module.exports = {
+  RUNTIME_TYPES,
+  STATEFUL_WORKLOAD_TYPES,
+  COMPONENT_TYPES,
+  ENGINES,
+  safeName,
+  parseComponents,
+  requiredSecrets,
+};
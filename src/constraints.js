@@ -0,0 +1,158 @@
+// src/constraints.js
+// Hard constraints for the planner. Regions that violate any constraint are
+// removed before scoring, and each removal is explained.
+//
+// Accepted in the /api/plan body as `constraints`:
+// {
+//   maxCostPerHourUsd: number,      // region hourly cost for the recommended replicas
+//   maxCarbonIntensity: number,     // live gCO2eq/kWh
+//   maxLatencyMs: number,           // traffic-weighted p50 estimate
+//   maxLatencyP95Ms: number,        // traffic-weighted p95 estimate
+//   allowedRegions: ["FRA1", ...],
+//   blockedRegions: ["BLR1", ...],
+//   dataResidency: "EU" | ["EU", "GB"]   // residency groups or ISO country codes
+// }
+
+// Residency groups → ISO 3166-1 alpha-2 country codes
+const RESIDENCY_GROUPS = {
+  EU: [
+    "AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR", "HU", "IE",
+    "IT", "LV", "LT", "LU", "MT", "NL", "PL", "PT", "RO", "SK", "SI", "ES", "SE",
+  ],
+  get EEA() {
+    return [...this.EU, "IS", "LI", "NO"];
+  },
+};
+
+const NUMERIC_CONSTRAINTS = [
+  "maxCostPerHourUsd",
+  "maxCarbonIntensity",
+  "maxLatencyMs",
+  "maxLatencyP95Ms",
+];
+const KNOWN_CONSTRAINTS = new Set([
+  ...NUMERIC_CONSTRAINTS,
+  "allowedRegions",
+  "blockedRegions",
+  "dataResidency",
+]);
+
+// Validate and normalize; throws with a user-facing message on bad input.
+function parseConstraints(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("constraints must be an object.");
+  }
+
+  const unknown = Object.keys(input).filter((k) => !KNOWN_CONSTRAINTS.has(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown constraint(s): ${unknown.join(", ")}.`);
+  }
+
+  const parsed = {};
+
+  NUMERIC_CONSTRAINTS.forEach((key) => {
+    if (input[key] === undefined) return;
+    if (typeof input[key] !== "number" || !(input[key] >= 0)) {
+      throw new Error(`constraints.${key} must be a number >= 0.`);
+    }
+    parsed[key] = input[key];
+  });
+
+  ["allowedRegions", "blockedRegions"].forEach((key) => {
+    if (input[key] === undefined) return;
+    if (!Array.isArray(input[key]) || input[key].some((id) => typeof id !== "string")) {
+      throw new Error(`constraints.${key} must be a list of region ids.`);
+    }
+    parsed[key] = input[key].map((id) => id.toUpperCase());
+  });
+
+  if (input.dataResidency !== undefined) {
+    const values = Array.isArray(input.dataResidency)
+      ? input.dataResidency
+      : [input.dataResidency];
+    const countries = new Set();
+    values.forEach((v) => {
+      const code = typeof v === "string" ? v.toUpperCase() : "";
+      if (RESIDENCY_GROUPS[code]) {
+        RESIDENCY_GROUPS[code].forEach((c) => countries.add(c));
+      } else if (/^[A-Z]{2}$/.test(code)) {
+        countries.add(code);
+      } else {
+        throw new Error(
+          `constraints.dataResidency entries must be ${Object.keys(RESIDENCY_GROUPS).join(
+            "/"
+          )} or ISO country codes (got "${v}").`
+        );
+      }
+    });
+    parsed.dataResidency = {
+      requested: values.map((v) => v.toUpperCase()),
+      countries: [...countries],
+    };
+  }
+
+  return parsed;
+}
+
+// Returns [{ constraint, message }] for every constraint `candidate` violates.
+// candidate: { region, carbonIntensity, hourlyCostUsd, latency: { p50Ms, p95Ms } }
+function checkRegion(constraints, candidate) {
+  const { region, carbonIntensity, hourlyCostUsd, latency } = candidate;
+  const reasons = [];
+  const fail = (constraint, message) => reasons.push({ constraint, message });
+
+  if (constraints.allowedRegions && !constraints.allowedRegions.includes(region.id)) {
+    fail("allowedRegions", `${region.id} is not in the allowed list.`);
+  }
+  if (constraints.blockedRegions && constraints.blockedRegions.includes(region.id)) {
+    fail("blockedRegions", `${region.id} is blocked.`);
+  }
+  if (constraints.dataResidency) {
+    if (!region.country) {
+      fail("dataResidency", `${region.id} has no country set, so residency cannot be verified.`);
+    } else if (!constraints.dataResidency.countries.includes(region.country)) {
+      fail(
+        "dataResidency",
+        `${region.id} is in ${region.country}, outside ${constraints.dataResidency.requested.join(", ")}.`
+      );
+    }
+  }
+  if (
+    constraints.maxCarbonIntensity !== undefined &&
+    carbonIntensity > constraints.maxCarbonIntensity
+  ) {
+    fail(
+      "maxCarbonIntensity",
+      `${Math.round(carbonIntensity)} gCO2eq/kWh exceeds ${constraints.maxCarbonIntensity}.`
+    );
+  }
+  if (
+    constraints.maxCostPerHourUsd !== undefined &&
+    hourlyCostUsd > constraints.maxCostPerHourUsd
+  ) {
+    fail(
+      "maxCostPerHourUsd",
+      `$${hourlyCostUsd.toFixed(2)}/hour exceeds $${constraints.maxCostPerHourUsd}/hour.`
+    );
+  }
+  [
+    ["maxLatencyMs", "p50Ms", "p50"],
+    ["maxLatencyP95Ms", "p95Ms", "p95"],
+  ].forEach(([key, field, label]) => {
+    if (constraints[key] === undefined) return;
+    if (latency[field] === null) {
+      fail(key, `${region.id} has no latency estimate (no coordinates or measured RTT).`);
+    } else if (latency[field] > constraints[key]) {
+      fail(key, `estimated ${label} ${latency[field]} ms exceeds ${constraints[key]} ms.`);
+    }
+  });
+
+  return reasons;
+}
+
+module.exports = {
+  RESIDENCY_GROUPS,
+  parseConstraints,
+  checkRegion,
+};
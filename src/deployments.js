@@ -0,0 +1,153 @@
+// src/deployments.js
+// Deployment records and their lifecycle (deploy, rollback, teardown).
+//
+// Each record in the "deployments" collection runs from startedAt until
+// endedAt, with endReason one of:
+//   superseded    a newer deploy (or rollback) of the same plan in the same
+//                 region replaced it
+//   rolled-back   replaced by re-applying an earlier deployment's manifests
+//   teardown      its resources were deleted via DELETE /api/deployments/:id
+//   migrated      moved to a greener region by the migration advisor
+//                 (src/advisor.js); supersededBy points at the new record
+//
+// The applied YAML is kept in a separate "deploymentManifests" collection
+// (keyed by deployment id) so analytics never has to carry it around.
+
+const { validateManifests } = require("./manifests");
+const { projectOf } = require("./projects");
+
+// Resource types deleted on teardown, all selected by the greenops-plan label.
+// The Namespace is left alone: other plans of the project may share it.
+const TEARDOWN_RESOURCES = [
+  "deployments",
+  "statefulsets",
+  "services",
+  "configmaps",
+  "horizontalpodautoscalers",
+  "poddisruptionbudgets",
+];
+const VOLUME_RESOURCES = ["persistentvolumeclaims"];
+
+// A deployment's plan is its greenops-plan label (planLabel), not its planId:
+// two saved plans deployed with the same strategy share the planId. Records
+// from before planLabel was stored were labelled with their planId.
+function planKeyOf(deployment) {
+  return deployment.planLabel || deployment.planId;
+}
+
+function createDeploymentLog(store) {
+  // Inserts `fields` as a running deployment, stores its manifests and ends
+  // whatever was running for the same plan (planKeyOf), project and region,
+  // or only the record `replaces` when given (a migration moves one region of
+  // the plan). Returns the new record.
+  async function record(fields, kubernetesYaml, { endReason = "superseded", replaces } = {}) {
+    const now = fields.startedAt || new Date().toISOString();
+    const deployment = await store.insert("deployments", {
+      timestamp: now,
+      startedAt: now,
+      endedAt: null,
+      endReason: null,
+      supersededBy: null,
+      ...fields,
+    });
+    await store.insert("deploymentManifests", {
+      id: deployment.id,
+      planId: deployment.planId,
+      kubernetesYaml,
+    });
+
+    // A new deploy of the same plan replaces whatever was running for it in
+    // that region, so earlier records stop accruing emissions from now on.
+    // Other regions of a multi-region plan keep running.
+    const history = await store.list("deployments");
+    const superseded = history.filter(
+      (d) =>
+        (replaces
+          ? d.id === replaces
+          : planKeyOf(d) === planKeyOf(deployment) &&
+            projectOf(d) === projectOf(deployment) &&
+            d.region === deployment.region) &&
+        d.id !== deployment.id &&
+        !d.endedAt
+    );
+    for (const d of superseded) {
+      await store.update("deployments", d.id, {
+        endedAt: now,
+        endReason,
+        supersededBy: deployment.id,
+      });
+    }
+    return deployment;
+  }
+
+  async function manifestsFor(id) {
+    const doc = await store.get("deploymentManifests", id);
+    return doc ? doc.kubernetesYaml : null;
+  }
+
+  // Latest deployment of the same plan (planKeyOf), project and region that
+  // started before `deployment` and still has its manifests, or null
+  async function previousOf(deployment) {
+    const history = await store.list("deployments");
+    const earlier = history
+      .filter(
+        (d) =>
+          planKeyOf(d) === planKeyOf(deployment) &&
+          projectOf(d) === projectOf(deployment) &&
+          d.region === deployment.region &&
+          d.id !== deployment.id &&
+          d.startedAt < deployment.startedAt
+      )
+      .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    for (const d of earlier) {
+      const kubernetesYaml = await manifestsFor(d.id);
+      if (kubernetesYaml) return { deployment: d, kubernetesYaml };
+    }
+    return null;
+  }
+
+  // `fields` adds to the record, e.g. endedBy for teardowns
+  async function end(id, endReason, fields = {}) {
+    return store.update("deployments", id, {
+      ...fields,
+      endedAt: new Date().toISOString(),
+      endReason,
+    });
+  }
+
+  return { record, manifestsFor, previousOf, end };
+}
+
+// Deployments and StatefulSets in a stored manifest, for rollout status
+function workloadsOf(kubernetesYaml) {
+  const { docs } = validateManifests(kubernetesYaml);
+  return docs
+    .filter((d) => d.kind === "Deployment" || d.kind === "StatefulSet")
+    .map((d) => ({ kind: d.kind, name: d.metadata.name }));
+}
+
+// Value of the greenops-plan label the manifest's objects carry, or null
+function planLabelOf(kubernetesYaml) {
+  const { docs } = validateManifests(kubernetesYaml);
+  const labelled = docs.find((d) => d.metadata.labels && d.metadata.labels["greenops-plan"]);
+  return labelled ? String(labelled.metadata.labels["greenops-plan"]) : null;
+}
+
+// greenops-plan label to select a deployment's objects by (teardowns, pod
+// status): the record's planLabel, else the label in its stored manifests
+// (null when none were stored), else its planId
+function selectorLabelOf(deployment, kubernetesYaml) {
+  return (
+    deployment.planLabel || (kubernetesYaml && planLabelOf(kubernetesYaml)) || deployment.planId
+  );
+}
+
+module.exports = {
+  TEARDOWN_RESOURCES,
+  VOLUME_RESOURCES,
+  planKeyOf,
+  createDeploymentLog,
+  workloadsOf,
+  planLabelOf,
+  selectorLabelOf,
+};
@@ -0,0 +1,155 @@
+// src/export/helm.js
+// Helm chart for a plan:
+//
+//   Chart.yaml
+//   values.yaml              namespace, region and per-component replicas/image
+//   values-<REGION>.yaml     one override file per cluster in the plan
+//   templates/*.yaml         one template per object
+//
+// Install per cluster with
+//   helm install <name> . -f values-<REGION>.yaml
+//
+// Templates are the plan's manifests with the namespace, region, replica
+// counts and images swapped for values. Components a region does not run
+// (split placements) are disabled in that region's values file.
+
+const { toYaml, unionObjects, findObject, objectFileName } = require("./objects");
+
+const PLACEHOLDER = {
+  namespace: "__GREENOPS_NAMESPACE__",
+  region: "__GREENOPS_REGION__",
+  replicas: (name) => `__GREENOPS_REPLICAS_${name}__`,
+  image: (name) => `__GREENOPS_IMAGE_${name}__`,
+};
+
+const WORKLOAD_KINDS = ["Deployment", "StatefulSet"];
+
+const valuesRef = (name) => `(index .Values.components ${JSON.stringify(name)})`;
+
+// Component an object belongs to (all component objects carry `app`)
+function componentOf(obj) {
+  return (obj.metadata.labels && obj.metadata.labels.app) || null;
+}
+
+// Copy of `obj` with placeholders where values apply
+function templatize(obj) {
+  const copy = JSON.parse(JSON.stringify(obj));
+  const name = componentOf(copy);
+  copy.metadata.namespace = PLACEHOLDER.namespace;
+
+  if (WORKLOAD_KINDS.includes(copy.kind) && name) {
+    copy.spec.replicas = PLACEHOLDER.replicas(name);
+    copy.spec.template.spec.containers.forEach((container, idx) => {
+      if (idx === 0) container.image = PLACEHOLDER.image(name);
+      (container.env || []).forEach((e) => {
+        if (e.name === "GREENOPS_REGION") e.value = PLACEHOLDER.region;
+      });
+    });
+  }
+  return copy;
+}
+
+// Serialize, then swap placeholders for template expressions
+function renderTemplate(obj) {
+  const name = componentOf(obj);
+  let text = toYaml(templatize(obj))
+    .split(PLACEHOLDER.namespace)
+    .join("{{ .Values.namespace }}")
+    .split(PLACEHOLDER.region)
+    .join("{{ .Values.region | quote }}");
+  if (name) {
+    text = text
+      .split(PLACEHOLDER.replicas(name))
+      .join(`{{ ${valuesRef(name)}.replicas }}`)
+      .split(PLACEHOLDER.image(name))
+      .join(`{{ ${valuesRef(name)}.image | quote }}`);
+    // PDBs depend on the region's replica floor, so they get their own switch
+    const condition =
+      obj.kind === "PodDisruptionBudget"
+        ? `and ${valuesRef(name)}.enabled ${valuesRef(name)}.podDisruptionBudget`
+        : `${valuesRef(name)}.enabled`;
+    return `{{- if ${condition} }}\n${text}{{- end }}\n`;
+  }
+  return text;
+}
+
+function namespaceTemplate(planId) {
+  return [
+    "{{- if .Values.createNamespace }}",
+    toYaml({
+      apiVersion: "v1",
+      kind: "Namespace",
+      metadata: { name: PLACEHOLDER.namespace, labels: { "greenops-plan": planId } },
+    })
+      .split(PLACEHOLDER.namespace)
+      .join("{{ .Values.namespace }}")
+      .trimEnd(),
+    "{{- end }}",
+    "",
+  ].join("\n");
+}
+
+// Per-component values. Defaults (region null) carry every field; region
+// files only switch components (and their PDBs) on or off and set replica
+// counts.
+function componentValues(entries, region) {
+  const values = {};
+  entries.forEach(({ obj }) => {
+    const name = componentOf(obj);
+    if (!name) return;
+    const local = region ? findObject(region, obj) : obj;
+    if (!values[name]) values[name] = { enabled: false };
+    if (obj.kind === "PodDisruptionBudget") {
+      values[name].podDisruptionBudget = !!local;
+      return;
+    }
+    if (!local) return;
+    values[name].enabled = true;
+    if (WORKLOAD_KINDS.includes(obj.kind)) {
+      values[name].replicas = local.spec.replicas;
+      if (!region) values[name].image = local.spec.template.spec.containers[0].image;
+    }
+  });
+  return values;
+}
+
+function helmChart(plan) {
+  const entries = unionObjects(plan.regions).filter(({ obj }) => obj.kind !== "Namespace");
+  const chartName = `greenops-${plan.planId}`;
+
+  return [
+    {
+      path: "Chart.yaml",
+      content: toYaml({
+        apiVersion: "v2",
+        name: chartName,
+        description: `GreenOps ${plan.planId} plan across ${plan.regions
+          .map((r) => r.region)
+          .join(", ")}`,
+        type: "application",
+        version: "0.1.0",
+        appVersion: plan.planId,
+      }),
+    },
+    {
+      path: "values.yaml",
+      content: toYaml({
+        namespace: plan.namespace,
+        createNamespace: true,
+        region: plan.regions[0].region,
+        components: componentValues(entries, null),
+      }),
+    },
+    ...plan.regions.map((r) => ({
+      path: `values-${r.region}.yaml`,
+      content: toYaml({ region: r.region, components: componentValues(entries, r) }),
+    })),
+    { path: "templates/namespace.yaml", content: namespaceTemplate(plan.planId) },
+    ...entries.map(({ obj }) => ({
+      path: `templates/${objectFileName(obj)}`,
+      content: renderTemplate(obj),
+    })),
+  ];
+}
+
+module.exports = { helmChart };
@@ -0,0 +1,76 @@
+// src/export/index.js
+// Export a plan (one entry of /api/plan's `plans`) as a Helm chart, a
+// Kustomize base with per-region overlays, or Terraform for Civo clusters.
+// Every format is returned as a gzipped tarball.
+//
+// The plan's manifests are the source of truth: they are re-validated with
+// validateManifests and reshaped, so an export deploys exactly what
+// /api/deploy would.
+
+const { validateManifests } = require("../manifests");
+const { createTarGz } = require("./tar");
+const { ExportError } = require("./objects");
+const { helmChart } = require("./helm");
+const { kustomizeBundle } = require("./kustomize");
+const { terraformBundle } = require("./terraform");
+
+const EXPORT_FORMATS = {
+  helm: helmChart,
+  kustomize: kustomizeBundle,
+  terraform: terraformBundle,
+};
+
+// Validate the posted plan and parse each region's manifests.
+function readPlan(plan) {
+  if (!plan || typeof plan !== "object" || typeof plan.id !== "string") {
+    throw new ExportError("plan must be one entry of /api/plan's plans.", 400);
+  }
+  if (!Array.isArray(plan.manifests) || plan.manifests.length === 0) {
+    throw new ExportError("plan.manifests must list at least one region bundle.", 400);
+  }
+
+  const details = [];
+  const regions = plan.manifests.map((m, idx) => {
+    if (!m || typeof m.region !== "string" || typeof m.kubernetesYaml !== "string") {
+      details.push({ manifest: idx, message: "Each manifest needs region and kubernetesYaml." });
+      return null;
+    }
+    const check = validateManifests(m.kubernetesYaml);
+    check.errors.forEach((e) => details.push({ manifest: idx, region: m.region, ...e }));
+    return {
+      region: m.region,
+      kubernetesYaml: m.kubernetesYaml,
+      instanceClass: m.instanceClass || (plan.civo && plan.civo.instanceClass) || null,
+      components: Array.isArray(m.components) ? m.components : [],
+      namespace: check.namespace,
+      objects: check.docs,
+    };
+  });
+  if (details.length > 0) {
+    throw new ExportError("plan.manifests failed validation.", 422, details);
+  }
+
+  const namespaces = new Set(regions.map((r) => r.namespace));
+  if (namespaces.size > 1) {
+    throw new ExportError("All region bundles must use the same namespace.", 422);
+  }
+
+  return { planId: plan.id, namespace: regions[0].namespace, regions };
+}
+
+// format → { filename, buffer }
+function exportPlan(format, plan, context) {
+  const build = EXPORT_FORMATS[format];
+  if (!build) {
+    throw new ExportError(
+      `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`,
+      400
+    );
+  }
+  const parsed = readPlan(plan);
+  const root = `greenops-${parsed.planId}-${format}`;
+  const files = build(parsed, context).map((f) => ({ ...f, path: `${root}/${f.path}` }));
+  return { filename: `${root}.tar.gz`, buffer: createTarGz(files) };
+}
+
+module.exports = { EXPORT_FORMATS, ExportError, exportPlan };
@@ -0,0 +1,93 @@
+// src/export/kustomize.js
+// Kustomize base plus one overlay per cluster:
+//
+//   base/                    objects every region runs
+//   overlays/<REGION>/       replica counts, GREENOPS_REGION, a
+//                            greenops-region label and region-only objects
+//
+// Apply per cluster with
+//   kubectl apply -k overlays/<REGION>
+
+const { toYaml, unionObjects, findObject, objectFileName } = require("./objects");
+
+const WORKLOAD_KINDS = ["Deployment", "StatefulSet"];
+
+// Strategic-merge patch pointing GREENOPS_REGION at the overlay's region
+function regionPatch(obj, regionId) {
+  return {
+    apiVersion: obj.apiVersion,
+    kind: obj.kind,
+    metadata: { name: obj.metadata.name, namespace: obj.metadata.namespace },
+    spec: {
+      template: {
+        spec: {
+          containers: obj.spec.template.spec.containers.map((c) => ({
+            name: c.name,
+            env: [{ name: "GREENOPS_REGION", value: regionId }],
+          })),
+        },
+      },
+    },
+  };
+}
+
+function kustomizeBundle(plan) {
+  const entries = unionObjects(plan.regions);
+  const inEveryRegion = ({ regions }) => regions.size === plan.regions.length;
+  const baseObjects = entries.filter(inEveryRegion).map(({ obj }) => obj);
+
+  const files = [
+    ...baseObjects.map((obj) => ({ path: `base/${objectFileName(obj)}`, content: toYaml(obj) })),
+    {
+      path: "base/kustomization.yaml",
+      content: toYaml({
+        apiVersion: "kustomize.config.k8s.io/v1beta1",
+        kind: "Kustomization",
+        resources: baseObjects.map(objectFileName),
+      }),
+    },
+  ];
+
+  plan.regions.forEach((r) => {
+    const dir = `overlays/${r.region}`;
+    const regionOnly = entries
+      .filter((e) => !inEveryRegion(e) && e.regions.has(r.region))
+      .map(({ obj }) => findObject(r, obj));
+    const baseWorkloads = baseObjects
+      .filter((obj) => WORKLOAD_KINDS.includes(obj.kind))
+      .map((obj) => findObject(r, obj));
+
+    regionOnly.forEach((obj) => {
+      files.push({ path: `${dir}/${objectFileName(obj)}`, content: toYaml(obj) });
+    });
+    baseWorkloads.forEach((obj) => {
+      files.push({
+        path: `${dir}/patch-${objectFileName(obj)}`,
+        content: toYaml(regionPatch(obj, r.region)),
+      });
+    });
+
+    files.push({
+      path: `${dir}/kustomization.yaml`,
+      content: toYaml({
+        apiVersion: "kustomize.config.k8s.io/v1beta1",
+        kind: "Kustomization",
+        resources: ["../../base", ...regionOnly.map(objectFileName)],
+        labels: [{ pairs: { "greenops-region": r.region } }],
+        ...(baseWorkloads.length > 0
+          ? {
+              replicas: baseWorkloads.map((obj) => ({
+                name: obj.metadata.name,
+                count: obj.spec.replicas,
+              })),
+              patches: baseWorkloads.map((obj) => ({ path: `patch-${objectFileName(obj)}` })),
+            }
+          : {}),
+      }),
+    });
+  });
+
+  return files;
+}
+
+module.exports = { kustomizeBundle };
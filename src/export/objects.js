@@ -0,0 +1,48 @@
+// src/export/objects.js
+// Helpers shared by the export formats.
+
+const YAML = require("yaml");
+
+// Bad plan or unsupported export; `status` is the HTTP status to answer with
+class ExportError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "ExportError";
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+const objectKey = (obj) => `${obj.kind}/${obj.metadata.name}`;
+
+// Same options as manifests.js, so exported files match /api/plan's YAML
+function toYaml(value) {
+  return YAML.stringify(value, { lineWidth: 0, aliasDuplicateObjects: false });
+}
+
+// Objects across all regions (first occurrence wins) with the regions each
+// one appears in. Split placements put different components in different
+// regions.
+function unionObjects(regions) {
+  const byKey = new Map();
+  regions.forEach((r) => {
+    r.objects.forEach((obj) => {
+      const key = objectKey(obj);
+      if (!byKey.has(key)) byKey.set(key, { obj, regions: new Set() });
+      byKey.get(key).regions.add(r.region);
+    });
+  });
+  return [...byKey.values()];
+}
+
+// The same object as it appears in one region, or null
+function findObject(region, obj) {
+  return region.objects.find((o) => objectKey(o) === objectKey(obj)) || null;
+}
+
+// File name for an object inside a bundle directory
+function objectFileName(obj) {
+  return `${obj.kind.toLowerCase()}-${obj.metadata.name}.yaml`;
+}
+
+module.exports = { ExportError, objectKey, toYaml, unionObjects, findObject, objectFileName };
@@ -0,0 +1,65 @@
+// src/export/tar.js
+// Minimal ustar writer: enough for small generated text bundles
+// (regular files only), gzip-compressed with zlib.
+
+const zlib = require("zlib");
+
+const BLOCK = 512;
+
+function writeString(buf, offset, length, value) {
+  buf.write(value.slice(0, length), offset, length, "utf8");
+}
+
+function writeOctal(buf, offset, length, value) {
+  // length - 1 digits followed by a NUL
+  writeString(buf, offset, length, value.toString(8).padStart(length - 1, "0") + "\0");
+}
+
+// ustar stores paths up to 100 chars in `name`, longer ones split into a
+// 155-char `prefix` at a slash.
+function splitPath(path) {
+  if (Buffer.byteLength(path) <= 100) return { name: path, prefix: "" };
+  const cut = path.lastIndexOf("/", 155);
+  if (cut <= 0 || Buffer.byteLength(path.slice(cut + 1)) > 100) {
+    throw new Error(`Path too long for tar: ${path}`);
+  }
+  return { name: path.slice(cut + 1), prefix: path.slice(0, cut) };
+}
+
+function header(path, size, mtime) {
+  const buf = Buffer.alloc(BLOCK, 0);
+  const { name, prefix } = splitPath(path);
+  writeString(buf, 0, 100, name);
+  writeOctal(buf, 100, 8, 0o644);
+  writeOctal(buf, 108, 8, 0);
+  writeOctal(buf, 116, 8, 0);
+  writeOctal(buf, 124, 12, size);
+  writeOctal(buf, 136, 12, mtime);
+  buf.fill(" ", 148, 156); // checksum placeholder
+  buf.write("0", 156); // regular file
+  writeString(buf, 257, 6, "ustar\0");
+  writeString(buf, 263, 2, "00");
+  writeString(buf, 265, 32, "greenops");
+  writeString(buf, 297, 32, "greenops");
+  writeString(buf, 345, 155, prefix);
+
+  const checksum = buf.reduce((sum, byte) => sum + byte, 0);
+  writeString(buf, 148, 8, checksum.toString(8).padStart(6, "0") + "\0 ");
+  return buf;
+}
+
+// files: [{ path, content }] → gzipped tarball Buffer
+function createTarGz(files, { mtime = new Date() } = {}) {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const parts = [];
+  files.forEach(({ path, content }) => {
+    const data = Buffer.from(content, "utf8");
+    parts.push(header(path, data.length, seconds), data);
+    const padding = (BLOCK - (data.length % BLOCK)) % BLOCK;
+    if (padding) parts.push(Buffer.alloc(padding, 0));
+  });
+  parts.push(Buffer.alloc(BLOCK * 2, 0)); // end-of-archive marker
+  return zlib.gzipSync(Buffer.concat(parts));
+}
+
+module.exports = { createTarGz };
@@ -0,0 +1,140 @@
+// src/export/terraform.js
+// Terraform for the Civo clusters a plan needs, one per region:
+//
+//   main.tf            provider alias, network, firewall and Kubernetes
+//                      cluster with a node pool per region
+//   variables.tf       civo_token
+//   outputs.tf         kubeconfig and API endpoint per cluster
+//   manifests/*.yaml   the plan's manifests, to apply once clusters are up
+//
+// Node size comes from the plan's instanceClass (INSTANCE_CLASSES[…].civoNodeSize)
+// and node count from the region's sized components (nodeCountFor).
+
+const {
+  INSTANCE_CLASSES,
+  DEFAULT_INSTANCE_CLASS,
+  sizeComponents,
+  defaultComponents,
+  nodeCountFor,
+} = require("../sizing");
+const { ExportError } = require("./objects");
+
+// HCL string literal (JSON escaping is valid HCL)
+const hcl = (value) => JSON.stringify(value);
+
+function nodePoolFor(region) {
+  const instanceClass = INSTANCE_CLASSES[region.instanceClass]
+    ? region.instanceClass
+    : DEFAULT_INSTANCE_CLASS;
+  const components =
+    region.components.length > 0
+      ? sizeComponents(region.components).components
+      : defaultComponents(1);
+  return {
+    instanceClass,
+    size: INSTANCE_CLASSES[instanceClass].civoNodeSize,
+    nodeCount: nodeCountFor(components, instanceClass),
+  };
+}
+
+function clusterBlocks(planId, region, regionMeta) {
+  const id = region.region.toLowerCase();
+  const name = `greenops-${planId}-${id}`;
+  const pool = nodePoolFor(region);
+  return `# ${region.region}${regionMeta ? ` (${regionMeta.label})` : ""}: ${pool.nodeCount} × ${
+    pool.size
+  } for ${pool.instanceClass}
+provider "civo" {
+  alias  = ${hcl(id)}
+  token  = var.civo_token
+  region = ${hcl(region.region)}
+}
+
+resource "civo_network" ${hcl(id)} {
+  provider = civo.${id}
+  label    = ${hcl(name)}
+}
+
+resource "civo_firewall" ${hcl(id)} {
+  provider             = civo.${id}
+  name                 = ${hcl(name)}
+  network_id           = civo_network.${id}.id
+  create_default_rules = true
+}
+
+resource "civo_kubernetes_cluster" ${hcl(id)} {
+  provider     = civo.${id}
+  name         = ${hcl(name)}
+  network_id   = civo_network.${id}.id
+  firewall_id  = civo_firewall.${id}.id
+  cluster_type = "k3s"
+
+  pools {
+    label      = "greenops"
+    size       = ${hcl(pool.size)}
+    node_count = ${pool.nodeCount}
+  }
+}
+`;
+}
+
+function terraformBundle(plan, { regionCatalog }) {
+  const nonCivo = plan.regions.filter((r) => {
+    const meta = regionCatalog.get(r.region);
+    return !meta || meta.cloud !== "civo";
+  });
+  if (nonCivo.length > 0) {
+    throw new ExportError(
+      `Terraform export only supports Civo regions (not: ${nonCivo
+        .map((r) => r.region)
+        .join(", ")}).`,
+      400
+    );
+  }
+
+  const main = [
+    `terraform {
+  required_providers {
+    civo = {
+      source = "civo/civo"
+    }
+  }
+}
+`,
+    ...plan.regions.map((r) => clusterBlocks(plan.planId, r, regionCatalog.get(r.region))),
+  ].join("\n");
+
+  const variables = `variable "civo_token" {
+  description = "Civo API key"
+  type        = string
+  sensitive   = true
+}
+`;
+
+  const outputs = plan.regions
+    .map((r) => {
+      const id = r.region.toLowerCase();
+      return `output "kubeconfig_${id}" {
+  value     = civo_kubernetes_cluster.${id}.kubeconfig
+  sensitive = true
+}
+
+output "api_endpoint_${id}" {
+  value = civo_kubernetes_cluster.${id}.api_endpoint
+}
+`;
+    })
+    .join("\n");
+
+  return [
+    { path: "main.tf", content: main },
+    { path: "variables.tf", content: variables },
+    { path: "outputs.tf", content: outputs },
+    ...plan.regions.map((r) => ({
+      path: `manifests/${r.region}.yaml`,
+      content: r.kubernetesYaml,
+    })),
+  ];
+}
+
+module.exports = { terraformBundle };
@@ -0,0 +1,217 @@
+// src/jobs.js
+// In-memory job queue for kubectl work (deploys, rollbacks, teardowns).
+//
+// Jobs run FIFO with at most `concurrencyPerKey` running per key (the region
+// of the target cluster), so two deploys never race on one cluster.
+// Each job keeps a numbered log that subscribers (the SSE endpoint) can
+// replay from any point, so a client that reconnects picks up where it left
+// off:
+//
+//   status   queued → running → succeeded | failed
+//   log      { seq, at, stream, line }   stream: "stdout" | "stderr" | "info"
+//
+// Jobs live in memory only; the most recent `maxFinishedJobs` finished jobs
+// are kept for lookups after they end.
+
+const crypto = require("crypto");
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+
+function createJobQueue({
+  concurrencyPerKey = 1,
+  maxLogLines = 2000,
+  maxFinishedJobs = 100,
+} = {}) {
+  const jobs = new Map(); // id → job (insertion order = creation order)
+  const waiting = []; // queued jobs, FIFO
+  const running = new Map(); // key → count
+  const listeners = new Map(); // id → Set<fn(event, data)>
+
+  const isFinished = (job) => job.status === "succeeded" || job.status === "failed";
+
+  // Public view of a job (no internals, optional log)
+  function describe(job, { withLog = false } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      key: job.key,
+      status: job.status,
+      meta: job.meta,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      queuePosition: job.status === "queued" ? waiting.indexOf(job) + 1 : null,
+      result: job.result,
+      error: job.error,
+      logLines: job.nextSeq,
+      ...(withLog ? { log: job.log, logTruncated: job.logTruncated } : {}),
+    };
+  }
+
+  function notify(job, event, data) {
+    const subs = listeners.get(job.id);
+    if (!subs) return;
+    subs.forEach((fn) => {
+      try {
+        fn(event, data);
+      } catch (err) {
+        console.warn(`⚠️  Job ${job.id} listener failed:`, err.message);
+      }
+    });
+  }
+
+  function appendLine(job, stream, line) {
+    const entry = { seq: job.nextSeq++, at: new Date().toISOString(), stream, line };
+    job.log.push(entry);
+    if (job.log.length > maxLogLines) {
+      job.log.shift();
+      job.logTruncated = true;
+    }
+    notify(job, "log", entry);
+  }
+
+  // Splits output chunks into lines; partial lines wait for the next chunk
+  function logger(job) {
+    const partial = { stdout: "", stderr: "", info: "" };
+    function write(stream, text) {
+      const lines = (partial[stream] + text).split(/\r?\n/);
+      partial[stream] = lines.pop();
+      lines.forEach((line) => appendLine(job, stream, line));
+    }
+    write.flush = () => {
+      Object.keys(partial).forEach((stream) => {
+        if (partial[stream]) appendLine(job, stream, partial[stream]);
+        partial[stream] = "";
+      });
+    };
+    return write;
+  }
+
+  function setStatus(job, status) {
+    job.status = status;
+    notify(job, "status", describe(job));
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter(isFinished);
+    finished.slice(0, Math.max(0, finished.length - maxFinishedJobs)).forEach((job) => {
+      jobs.delete(job.id);
+      listeners.delete(job.id);
+    });
+  }
+
+  function pump() {
+    for (let i = 0; i < waiting.length; ) {
+      const job = waiting[i];
+      if ((running.get(job.key) || 0) >= concurrencyPerKey) {
+        i += 1;
+        continue;
+      }
+      waiting.splice(i, 1);
+      start(job);
+    }
+  }
+
+  async function start(job) {
+    running.set(job.key, (running.get(job.key) || 0) + 1);
+    job.startedAt = new Date().toISOString();
+    setStatus(job, "running");
+
+    const log = logger(job);
+    try {
+      job.result = await job.run(log);
+      log.flush();
+      job.finishedAt = new Date().toISOString();
+      setStatus(job, "succeeded");
+    } catch (err) {
+      log.flush();
+      job.error = {
+        message: err.message,
+        exitCode: err.code !== undefined ? err.code : null,
+      };
+      job.finishedAt = new Date().toISOString();
+      console.warn(`⚠️  Job ${job.id} (${job.type}) failed:`, err.message);
+      setStatus(job, "failed");
+    }
+
+    notify(job, "end", describe(job));
+    listeners.delete(job.id);
+    running.set(job.key, running.get(job.key) - 1);
+    job.settle();
+    prune();
+    pump();
+  }
+
+  // Queue `run(log)`; log(stream, text) appends output to the job's log.
+  // Returns { job, done } where done resolves with the finished job (it
+  // never rejects; check job.status).
+  function enqueue({ type, key = "default", meta = {}, run }) {
+    let settle;
+    const done = new Promise((resolve) => {
+      settle = () => resolve(describe(job, { withLog: true }));
+    });
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      key,
+      meta,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      log: [],
+      logTruncated: false,
+      nextSeq: 0,
+      run,
+      settle,
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    pump();
+    return { job: describe(job), done };
+  }
+
+  function get(id, options) {
+    const job = jobs.get(id);
+    return job ? describe(job, options) : null;
+  }
+
+  function list({ status } = {}) {
+    return [...jobs.values()]
+      .filter((job) => !status || job.status === status)
+      .map((job) => describe(job))
+      .reverse();
+  }
+
+  // Log entries after `afterSeq` (for replay on reconnect)
+  function logSince(id, afterSeq = -1) {
+    const job = jobs.get(id);
+    return job ? job.log.filter((entry) => entry.seq > afterSeq) : [];
+  }
+
+  // listener(event, data) with event "status" | "log" | "end". Returns an
+  // unsubscribe function. Finished jobs never emit again.
+  function subscribe(id, listener) {
+    if (!listeners.has(id)) listeners.set(id, new Set());
+    listeners.get(id).add(listener);
+    return () => {
+      const subs = listeners.get(id);
+      if (subs) subs.delete(listener);
+    };
+  }
+
+  function stats() {
+    return {
+      concurrencyPerKey,
+      queued: waiting.length,
+      running: [...running.values()].reduce((sum, n) => sum + n, 0),
+      retained: jobs.size,
+    };
+  }
+
+  return { enqueue, get, list, logSince, subscribe, stats, isFinished };
+}
+
+module.exports = { JOB_STATUSES, createJobQueue };
@@ -0,0 +1,247 @@
+// src/kube/api.js
+// Minimal HTTPS transport for the Kubernetes API: JSON requests and watch
+// streams, authenticated with the settings from kubeconfig.js. Uses Node's
+// http/https modules rather than fetch() because client-certificate auth
+// needs a TLS agent.
+
+const http = require("http");
+const https = require("https");
+
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Non-2xx answer (or transport failure) from the API server. `status` is the
+// HTTP status (null when the server was not reached), `reason` the
+// Kubernetes Status reason (NotFound, Conflict, Forbidden, ...).
+class KubeApiError extends Error {
+  constructor(message, { status = null, reason = null, method, path } = {}) {
+    super(message);
+    this.name = "KubeApiError";
+    this.status = status;
+    this.reason = reason;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+function createKubeApi(connection, { timeoutMs = 30 * 1000 } = {}) {
+  const url = new URL(connection.server);
+  const transport = url.protocol === "http:" ? http : https;
+  const agent =
+    url.protocol === "http:"
+      ? new http.Agent({ keepAlive: true })
+      : new https.Agent({
+          keepAlive: true,
+          ca: connection.ca || undefined,
+          cert: connection.cert || undefined,
+          key: connection.key || undefined,
+          rejectUnauthorized: !connection.insecureSkipTlsVerify,
+        });
+  const basePath = url.pathname.replace(/\/+$/, "");
+
+  function headersFor(contentType, body) {
+    const headers = { Accept: "application/json" };
+    const token = connection.token();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    } else if (connection.username) {
+      const basic = Buffer.from(`${connection.username}:${connection.password || ""}`);
+      headers.Authorization = `Basic ${basic.toString("base64")}`;
+    }
+    if (body !== undefined) {
+      headers["Content-Type"] = contentType;
+      headers["Content-Length"] = Buffer.byteLength(body);
+    }
+    return headers;
+  }
+
+  function fullPath(path, query) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([k, v]) => {
+      if (v !== undefined && v !== null) params.set(k, String(v));
+    });
+    const qs = params.toString();
+    return `${basePath}${path}${qs ? `?${qs}` : ""}`;
+  }
+
+  // Starts a request; onResponse(res) handles 2xx answers, errors reject
+  function send({ method, path, query, body, contentType, timeout }, onResponse) {
+    const payload =
+      body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+      let headers;
+      try {
+        headers = headersFor(contentType || "application/json", payload);
+      } catch (err) {
+        return reject(
+          new KubeApiError(`Cannot read credentials: ${err.message}`, { method, path })
+        );
+      }
+      const req = transport.request(
+        {
+          protocol: url.protocol,
+          hostname: url.hostname,
+          port: url.port || undefined,
+          method,
+          path: fullPath(path, query),
+          headers,
+          agent,
+        },
+        (res) => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return onResponse(res, resolve, reject);
+          }
+          readBody(res)
+            .then((text) => reject(statusError(res.statusCode, text, method, path)))
+            .catch(reject);
+        }
+      );
+      req.setTimeout(timeout, () => {
+        req.destroy(
+          new KubeApiError(`Kubernetes API did not answer within ${Math.round(timeout / 1000)}s.`, {
+            method,
+            path,
+          })
+        );
+      });
+      req.on("error", (err) => {
+        reject(
+          err instanceof KubeApiError
+            ? err
+            : new KubeApiError(`Cannot reach ${connection.server}: ${err.message}`, {
+                method,
+                path,
+              })
+        );
+      });
+      if (payload !== undefined) req.write(payload);
+      req.end();
+    });
+  }
+
+  function readBody(res) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let bytes = 0;
+      res.on("data", (chunk) => {
+        bytes += chunk.length;
+        if (bytes > MAX_RESPONSE_BYTES) {
+          res.destroy(new Error("Kubernetes API response is too large."));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+      res.on("error", reject);
+    });
+  }
+
+  function statusError(statusCode, text, method, path) {
+    let status = null;
+    try {
+      status = JSON.parse(text);
+    } catch (err) {
+      // not a Status object (e.g. a proxy error page)
+    }
+    const message =
+      status && status.message ? status.message : text.trim() || `HTTP ${statusCode}`;
+    return new KubeApiError(message, {
+      status: statusCode,
+      reason: status && status.reason ? status.reason : null,
+      method,
+      path,
+    });
+  }
+
+  // JSON request; resolves with the parsed response body
+  function request(options) {
+    const { method, path } = options;
+    return send({ ...options, timeout: options.timeoutMs || timeoutMs }, (res, resolve, reject) => {
+      readBody(res)
+        .then((text) => {
+          try {
+            resolve(text ? JSON.parse(text) : null);
+          } catch (err) {
+            reject(
+              new KubeApiError(`Invalid JSON from Kubernetes API: ${err.message}`, {
+                method,
+                path,
+              })
+            );
+          }
+        })
+        .catch(reject);
+    });
+  }
+
+  // Watch stream (?watch=true). onEvent({ type, object }) is called per
+  // event; returning true stops the watch and throwing rejects with that
+  // error. Resolves { stopped } once the watch is stopped or the server
+  // closes it (at query.timeoutSeconds).
+  function watch(path, query, onEvent) {
+    const serverTimeout = (query && query.timeoutSeconds) || 300;
+    return send(
+      {
+        method: "GET",
+        path,
+        query: { ...query, watch: "true" },
+        timeout: (serverTimeout + 30) * 1000,
+      },
+      (res, resolve, reject) => {
+        let buffered = "";
+        let stopped = false;
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (stopped) return;
+          const lines = (buffered + chunk).split("\n");
+          buffered = lines.pop();
+          for (const line of lines) {
+            if (!line.trim()) continue;
+            let event;
+            try {
+              event = JSON.parse(line);
+            } catch (err) {
+              continue;
+            }
+            if (event.type === "ERROR") {
+              stopped = true;
+              res.destroy();
+              const status = event.object || {};
+              return reject(
+                new KubeApiError(status.message || "Watch failed.", {
+                  status: status.code || null,
+                  reason: status.reason || null,
+                  method: "GET",
+                  path,
+                })
+              );
+            }
+            let stop;
+            try {
+              stop = onEvent(event) === true;
+            } catch (err) {
+              stopped = true;
+              res.destroy();
+              return reject(err);
+            }
+            if (stop) {
+              stopped = true;
+              res.destroy();
+              return resolve({ stopped: true });
+            }
+          }
+        });
+        res.on("end", () => {
+          if (!stopped) resolve({ stopped: false });
+        });
+        res.on("error", (err) => {
+          if (stopped) return;
+          reject(new KubeApiError(`Watch failed: ${err.message}`, { method: "GET", path }));
+        });
+      }
+    );
+  }
+
+  return { server: connection.server, request, watch };
+}
+
+module.exports = { KubeApiError, createKubeApi };
@@ -0,0 +1,308 @@
+// src/kube/index.js
+// Kubernetes API client for /api/deploy that needs no kubectl binary. It
+// talks to the API server directly, with a kubeconfig or with the service
+// account of the pod it runs in, so the backend can manage the cluster it
+// is deployed to.
+//
+// Same interface as createKubectl (src/kubectl.js), so clusters can use
+// either one (see src/clusters.js):
+//
+//   apply            server-side apply (PATCH application/apply-patch+yaml,
+//                    fieldManager=greenops, force=true)
+//   server-dry-run   the same with dryRun=All
+//   diff             dry-run apply compared with the live objects
+//                    (`changed` = any object would be created or modified)
+//   rolloutStatus    reads Deployment/StatefulSet status once
+//   watchRollout     watches each workload until it is rolled out
+//   deleteByLabel    lists objects by label selector and deletes each one
+//   podStatus        pods matching a label selector
+//   probe            GET /version
+
+const { validateManifests } = require("../manifests");
+const { KubeApiError, createKubeApi } = require("./api");
+const { loadKubeconfig, loadInCluster } = require("./kubeconfig");
+const {
+  resourceFor,
+  resourceForPlural,
+  resourcePath,
+  displayName,
+  rolloutOf,
+  podSummary,
+} = require("./resources");
+
+const FIELD_MANAGER = "greenops";
+const KUBE_MODES = ["apply", "server-dry-run", "diff"];
+
+// Fields the API server sets, ignored when comparing for diff
+function comparable(obj) {
+  if (!obj) return null;
+  const { status, ...rest } = obj;
+  const {
+    managedFields,
+    resourceVersion,
+    uid,
+    creationTimestamp,
+    generation,
+    ...metadata
+  } = rest.metadata || {};
+  if (metadata.annotations) {
+    const { "deployment.kubernetes.io/revision": revision, ...annotations } = metadata.annotations;
+    metadata.annotations = Object.keys(annotations).length > 0 ? annotations : undefined;
+  }
+  return JSON.parse(JSON.stringify({ ...rest, metadata }));
+}
+
+// Line diff (LCS) of two texts; only changed lines, prefixed "-" or "+"
+function lineDiff(before, after) {
+  const a = before ? before.split("\n") : [];
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      out.push(`+${b[j]}`);
+      j += 1;
+    } else {
+      out.push(`-${a[i]}`);
+      i += 1;
+    }
+  }
+  return out;
+}
+
+function createKubeClient({
+  kubeconfig = "",
+  context = "",
+  inCluster = false,
+  timeoutMs = 120 * 1000,
+} = {}) {
+  const connection = inCluster
+    ? loadInCluster()
+    : loadKubeconfig({ kubeconfig: kubeconfig || undefined, context: context || undefined });
+  const api = createKubeApi(connection, { timeoutMs });
+
+  // Writes one output line, kubectl style
+  const emit = (lines, onOutput) => (line) => {
+    lines.push(line);
+    if (onOutput) onOutput("stdout", `${line}\n`);
+  };
+
+  function applyPath(obj) {
+    const resource = resourceFor(obj.kind);
+    return { resource, path: resourcePath(resource, obj.metadata.namespace, obj.metadata.name) };
+  }
+
+  function serverSideApply(obj, { dryRun = false } = {}) {
+    const { path } = applyPath(obj);
+    return api.request({
+      method: "PATCH",
+      path,
+      query: { fieldManager: FIELD_MANAGER, force: "true", dryRun: dryRun ? "All" : undefined },
+      body: obj,
+      contentType: "application/apply-patch+yaml",
+    });
+  }
+
+  async function getLive(obj) {
+    try {
+      return await api.request({ method: "GET", path: applyPath(obj).path });
+    } catch (err) {
+      if (err instanceof KubeApiError && err.status === 404) return null;
+      throw err;
+    }
+  }
+
+  // Applies the objects of `yaml` in order. Returns { mode, command, stdout,
+  // stderr, changed } like kubectl; throws KubeApiError on the first failure.
+  async function applyManifests(yaml, { mode = "apply", onOutput } = {}) {
+    if (!KUBE_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${KUBE_MODES.join(", ")}.`);
+    }
+    const { docs, errors } = validateManifests(yaml);
+    if (errors.length > 0) {
+      throw new Error(`Manifests are invalid: ${errors[0].message}`);
+    }
+
+    const lines = [];
+    const write = emit(lines, onOutput);
+    let changed = false;
+
+    for (const obj of docs) {
+      const { resource } = applyPath(obj);
+      const name = displayName(resource, obj.metadata.name);
+
+      if (mode === "diff") {
+        const live = await getLive(obj);
+        const merged = await serverSideApply(obj, { dryRun: true });
+        const before = live ? JSON.stringify(comparable(live), null, 2) : "";
+        const after = JSON.stringify(comparable(merged), null, 2);
+        if (before === after) continue;
+        changed = true;
+        write(`diff ${name} (${live ? "changed" : "new"})`);
+        lineDiff(before, after).forEach(write);
+      } else {
+        await serverSideApply(obj, { dryRun: mode === "server-dry-run" });
+        write(`${name} serverside-applied${mode === "server-dry-run" ? " (server dry run)" : ""}`);
+      }
+    }
+
+    return {
+      mode,
+      command: commandFor(mode),
+      stdout: lines.length > 0 ? `${lines.join("\n")}\n` : "",
+      stderr: "",
+      changed: mode === "diff" ? changed : undefined,
+    };
+  }
+
+  async function readWorkload(namespace, w) {
+    const resource = resourceFor(w.kind);
+    return api.request({ method: "GET", path: resourcePath(resource, namespace, w.name) });
+  }
+
+  // One snapshot per workload: { kind, name, ready, message }
+  async function rolloutStatus(namespace, workloads) {
+    const results = [];
+    for (const w of workloads) {
+      const { ready, message } = rolloutOf(await readWorkload(namespace, w));
+      results.push({ kind: w.kind, name: w.name, ready, message });
+    }
+    return results;
+  }
+
+  // Watches each workload until it is rolled out, printing each new status
+  // message. Throws KubeApiError when a rollout exceeds timeoutSeconds.
+  async function watchRollout(namespace, workloads, { timeoutSeconds = 300, onOutput } = {}) {
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    const write = emit([], onOutput);
+
+    for (const w of workloads) {
+      const resource = resourceFor(w.kind);
+      let lastMessage = null;
+      let done = false;
+      // The server may end a watch early; keep watching until the deadline
+      while (!done) {
+        const remaining = Math.ceil((deadline - Date.now()) / 1000);
+        if (remaining <= 0) {
+          throw new KubeApiError(
+            `${w.kind} ${w.name} did not finish rolling out within ${timeoutSeconds}s.`,
+            { reason: "Timeout" }
+          );
+        }
+        const { stopped } = await api.watch(
+          resourcePath(resource, namespace),
+          { fieldSelector: `metadata.name=${w.name}`, timeoutSeconds: remaining },
+          ({ type, object }) => {
+            if (type === "DELETED") {
+              throw new KubeApiError(`${w.kind} ${w.name} was deleted during the rollout.`, {
+                status: 404,
+                reason: "NotFound",
+              });
+            }
+            const { ready, message } = rolloutOf(object);
+            if (message !== lastMessage) write(message);
+            lastMessage = message;
+            return ready;
+          }
+        );
+        done = stopped;
+      }
+    }
+  }
+
+  // Deletes every object of `resources` (plural names) matching `selector`
+  async function deleteByLabel(namespace, selector, resources, { onOutput } = {}) {
+    const lines = [];
+    const write = emit(lines, onOutput);
+    for (const plural of resources) {
+      const resource = resourceForPlural(plural);
+      if (!resource) throw new Error(`Resource type ${plural} is not supported.`);
+      const list = await api.request({
+        method: "GET",
+        path: resourcePath(resource, namespace),
+        query: { labelSelector: selector },
+      });
+      for (const item of list.items || []) {
+        try {
+          await api.request({
+            method: "DELETE",
+            path: resourcePath(resource, namespace, item.metadata.name),
+            body: { kind: "DeleteOptions", apiVersion: "v1", propagationPolicy: "Background" },
+          });
+          write(`${displayName(resource, item.metadata.name).replace("/", ` "`)}" deleted`);
+        } catch (err) {
+          if (!(err instanceof KubeApiError && err.status === 404)) throw err;
+        }
+      }
+    }
+    return {
+      command: deleteCommandFor(namespace, selector, resources),
+      stdout: lines.length > 0 ? `${lines.join("\n")}\n` : "",
+      stderr: "",
+    };
+  }
+
+  async function podStatus(namespace, selector) {
+    const list = await api.request({
+      method: "GET",
+      path: resourcePath(resourceFor("Pod"), namespace),
+      query: { labelSelector: selector },
+    });
+    return (list.items || []).map(podSummary);
+  }
+
+  // Never rejects: { reachable, serverVersion, error }
+  async function probe({ timeoutSeconds = 5 } = {}) {
+    try {
+      const version = await api.request({
+        method: "GET",
+        path: "/version",
+        timeoutMs: timeoutSeconds * 1000,
+      });
+      return { reachable: true, serverVersion: version.gitVersion || null, error: null };
+    } catch (err) {
+      return { reachable: false, serverVersion: null, error: err.message };
+    }
+  }
+
+  // What a mode does, for responses and dry runs
+  function commandFor(mode) {
+    const action =
+      mode === "diff"
+        ? "dry-run server-side apply compared with live objects"
+        : `server-side apply${mode === "server-dry-run" ? " (dryRun=All)" : ""}`;
+    return `${action} via ${api.server} (fieldManager=${FIELD_MANAGER})`;
+  }
+
+  function deleteCommandFor(namespace, selector, resources) {
+    return `delete ${resources.join(",")} in ${namespace} with ${selector} via ${api.server}`;
+  }
+
+  return {
+    client: "api",
+    server: api.server,
+    source: connection.source,
+    context: context || null,
+    kubeconfig: kubeconfig || null,
+    applyManifests,
+    rolloutStatus,
+    watchRollout,
+    deleteByLabel,
+    podStatus,
+    probe,
+    commandFor,
+    deleteCommandFor,
+  };
+}
+
+module.exports = { FIELD_MANAGER, KubeApiError, createKubeClient };
@@ -0,0 +1,128 @@
+// src/kube/kubeconfig.js
+// Connection settings for the Kubernetes API client, from a kubeconfig file
+// or from the service account of the pod the backend runs in.
+//
+// Returns { server, ca, cert, key, insecureSkipTlsVerify, token(), username,
+// password, namespace, source }. token() re-reads token files on every call,
+// because service-account tokens are rotated on disk by the kubelet.
+//
+// Supported credentials: client certificates, bearer tokens (inline or
+// tokenFile) and basic auth. exec and auth-provider plugins need kubectl,
+// so they are rejected with a clear error.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const YAML = require("yaml");
+
+const SERVICE_ACCOUNT_DIR = "/var/run/secrets/kubernetes.io/serviceaccount";
+
+class KubeconfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "KubeconfigError";
+  }
+}
+
+// $KUBECONFIG (first entry) or ~/.kube/config
+function defaultKubeconfigPath() {
+  const fromEnv = (process.env.KUBECONFIG || "").split(path.delimiter).find(Boolean);
+  return fromEnv || path.join(os.homedir(), ".kube", "config");
+}
+
+const byName = (list, name) => (list || []).find((entry) => entry.name === name);
+
+// Inline base64 "*-data" wins over the file path, like kubectl
+function readMaterial(section, key, baseDir) {
+  if (section[`${key}-data`]) return Buffer.from(section[`${key}-data`], "base64");
+  if (section[key]) return fs.readFileSync(path.resolve(baseDir, section[key]));
+  return null;
+}
+
+function loadKubeconfig({ kubeconfig, context } = {}) {
+  const file = kubeconfig || defaultKubeconfigPath();
+  let config;
+  try {
+    config = YAML.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new KubeconfigError(`Cannot read kubeconfig ${file}: ${err.message}`);
+  }
+  if (!config || typeof config !== "object") {
+    throw new KubeconfigError(`Kubeconfig ${file} is empty.`);
+  }
+
+  const contextName = context || config["current-context"];
+  const ctx = byName(config.contexts, contextName);
+  if (!ctx || !ctx.context) {
+    throw new KubeconfigError(
+      contextName
+        ? `Context "${contextName}" not found in ${file}.`
+        : `${file} has no current-context; set a context for this cluster.`
+    );
+  }
+  const cluster = byName(config.clusters, ctx.context.cluster);
+  if (!cluster || !cluster.cluster || !cluster.cluster.server) {
+    throw new KubeconfigError(`Cluster "${ctx.context.cluster}" not found in ${file}.`);
+  }
+  const userEntry = byName(config.users, ctx.context.user);
+  const user = (userEntry && userEntry.user) || {};
+  if (user.exec || user["auth-provider"]) {
+    throw new KubeconfigError(
+      `User "${ctx.context.user}" in ${file} uses an exec/auth-provider plugin, which the Kubernetes API client does not support. Use a token or client certificate, or the kubectl client.`
+    );
+  }
+
+  const baseDir = path.dirname(file);
+  try {
+    return {
+      source: `${file} (context ${contextName})`,
+      server: cluster.cluster.server.replace(/\/+$/, ""),
+      ca: readMaterial(cluster.cluster, "certificate-authority", baseDir),
+      insecureSkipTlsVerify: cluster.cluster["insecure-skip-tls-verify"] === true,
+      cert: readMaterial(user, "client-certificate", baseDir),
+      key: readMaterial(user, "client-key", baseDir),
+      token: user.tokenFile
+        ? () => fs.readFileSync(path.resolve(baseDir, user.tokenFile), "utf8").trim()
+        : () => user.token || null,
+      username: user.username || null,
+      password: user.password || null,
+      namespace: ctx.context.namespace || null,
+    };
+  } catch (err) {
+    throw new KubeconfigError(`Cannot read credentials from ${file}: ${err.message}`);
+  }
+}
+
+// Service-account credentials mounted into every pod
+function loadInCluster({ serviceAccountDir = SERVICE_ACCOUNT_DIR } = {}) {
+  const host = process.env.KUBERNETES_SERVICE_HOST;
+  const port = process.env.KUBERNETES_SERVICE_PORT || "443";
+  if (!host) {
+    throw new KubeconfigError(
+      "inCluster is set, but KUBERNETES_SERVICE_HOST is not: the backend is not running in a pod."
+    );
+  }
+  const tokenFile = path.join(serviceAccountDir, "token");
+  try {
+    return {
+      source: "in-cluster service account",
+      server: `https://${host.includes(":") ? `[${host}]` : host}:${port}`,
+      ca: fs.readFileSync(path.join(serviceAccountDir, "ca.crt")),
+      insecureSkipTlsVerify: false,
+      cert: null,
+      key: null,
+      token: () => fs.readFileSync(tokenFile, "utf8").trim(),
+      username: null,
+      password: null,
+      namespace: fs.existsSync(path.join(serviceAccountDir, "namespace"))
+        ? fs.readFileSync(path.join(serviceAccountDir, "namespace"), "utf8").trim()
+        : null,
+    };
+  } catch (err) {
+    throw new KubeconfigError(
+      `Cannot read service account from ${serviceAccountDir}: ${err.message}`
+    );
+  }
+}
+
+module.exports = { KubeconfigError, defaultKubeconfigPath, loadKubeconfig, loadInCluster };
@@ -0,0 +1,111 @@
+// src/kube/resources.js
+// REST paths for the kinds /api/deploy accepts (manifests.ALLOWED_KINDS), and
+// helpers that read workload and pod status the way kubectl reports it.
+
+const RESOURCES = {
+  Namespace: { apiVersion: "v1", plural: "namespaces", namespaced: false },
+  ConfigMap: { apiVersion: "v1", plural: "configmaps", namespaced: true },
+  Service: { apiVersion: "v1", plural: "services", namespaced: true },
+  PersistentVolumeClaim: { apiVersion: "v1", plural: "persistentvolumeclaims", namespaced: true },
+  Pod: { apiVersion: "v1", plural: "pods", namespaced: true },
+  Deployment: { apiVersion: "apps/v1", plural: "deployments", namespaced: true },
+  StatefulSet: { apiVersion: "apps/v1", plural: "statefulsets", namespaced: true },
+  HorizontalPodAutoscaler: {
+    apiVersion: "autoscaling/v2",
+    plural: "horizontalpodautoscalers",
+    namespaced: true,
+  },
+  PodDisruptionBudget: {
+    apiVersion: "policy/v1",
+    plural: "poddisruptionbudgets",
+    namespaced: true,
+  },
+};
+
+function resourceFor(kind) {
+  const resource = RESOURCES[kind];
+  if (!resource) throw new Error(`Kind ${kind} is not supported by the Kubernetes API client.`);
+  return { kind, ...resource };
+}
+
+// "deployments" → Deployment resource (for teardown's resource list)
+function resourceForPlural(plural) {
+  const kind = Object.keys(RESOURCES).find((k) => RESOURCES[k].plural === plural);
+  return kind ? resourceFor(kind) : null;
+}
+
+// /api/v1/namespaces/ns/services[/name], /apis/apps/v1/namespaces/ns/deployments[/name]
+function resourcePath(resource, namespace, name) {
+  const base = resource.apiVersion.includes("/") ? `/apis/${resource.apiVersion}` : "/api/v1";
+  const scope = resource.namespaced ? `/namespaces/${encodeURIComponent(namespace)}` : "";
+  const suffix = name ? `/${encodeURIComponent(name)}` : "";
+  return `${base}${scope}/${resource.plural}${suffix}`;
+}
+
+// kubectl's name for an object: deployment.apps/api, service/api-svc
+function displayName(resource, name) {
+  const group = resource.apiVersion.includes("/") ? `.${resource.apiVersion.split("/")[0]}` : "";
+  return `${resource.kind.toLowerCase()}${group}/${name}`;
+}
+
+// Whether a Deployment or StatefulSet has finished rolling out, with the
+// message `kubectl rollout status` would print: { ready, message }
+function rolloutOf(obj) {
+  const kind = obj.kind.toLowerCase();
+  const name = obj.metadata.name;
+  const spec = obj.spec || {};
+  const status = obj.status || {};
+  const desired = spec.replicas === undefined ? 1 : spec.replicas;
+  const updated = status.updatedReplicas || 0;
+  const waiting = (text) => ({
+    ready: false,
+    message: `Waiting for ${kind} "${name}" rollout to finish: ${text}...`,
+  });
+
+  if ((status.observedGeneration || 0) < (obj.metadata.generation || 0)) {
+    return waiting("waiting for the rollout to be observed");
+  }
+  if (obj.kind === "StatefulSet") {
+    const ready = status.readyReplicas || 0;
+    if (ready < desired) return waiting(`${ready} of ${desired} Pods are ready`);
+    if (status.updateRevision && status.currentRevision !== status.updateRevision) {
+      return waiting(`${updated} of ${desired} Pods have been updated`);
+    }
+  } else {
+    const available = status.availableReplicas || 0;
+    if (updated < desired) {
+      return waiting(`${updated} out of ${desired} new replicas have been updated`);
+    }
+    if ((status.replicas || 0) > updated) {
+      return waiting(`${status.replicas - updated} old replicas are pending termination`);
+    }
+    if (available < updated) {
+      return waiting(`${available} of ${updated} updated replicas are available`);
+    }
+  }
+  return { ready: true, message: `${kind} "${name}" successfully rolled out` };
+}
+
+// { name, phase, ready, restarts, node, reason } for GET /api/deployments/:id
+function podSummary(pod) {
+  const statuses = (pod.status && pod.status.containerStatuses) || [];
+  const waiting = statuses.map((s) => s.state && s.state.waiting).find(Boolean);
+  return {
+    name: pod.metadata.name,
+    phase: (pod.status && pod.status.phase) || "Unknown",
+    ready: statuses.length > 0 && statuses.every((s) => s.ready),
+    restarts: statuses.reduce((sum, s) => sum + (s.restartCount || 0), 0),
+    node: (pod.spec && pod.spec.nodeName) || null,
+    reason: waiting ? waiting.reason : (pod.status && pod.status.reason) || null,
+  };
+}
+
+module.exports = {
+  RESOURCES,
+  resourceFor,
+  resourceForPlural,
+  resourcePath,
+  displayName,
+  rolloutOf,
+  podSummary,
+};
@@ -0,0 +1,311 @@
+// src/kubectl.js
+// Runs kubectl for /api/deploy. kubectl is spawned with an argument list (no
+// shell), so nothing from a request is ever parsed as shell syntax, and the
+// manifests go through a private temp directory that is removed afterwards.
+//
+// Modes:
+//   apply            kubectl apply -f <file>
+//   server-dry-run   kubectl apply --dry-run=server -f <file>   (validated by
+//                    the API server, nothing persisted)
+//   diff             kubectl diff -f <file>   (exit 1 = differences found)
+//
+// Lifecycle commands (GET/DELETE /api/deployments/:id):
+//   rolloutStatus    kubectl rollout status <kind>/<name> --watch=false
+//   watchRollout     kubectl rollout status <kind>/<name> --timeout=<n>s
+//   deleteByLabel    kubectl delete <types> --selector=<label> --ignore-not-found
+//   podStatus        kubectl get pods --selector=<label> --output=json
+//
+// Health (GET /api/health):
+//   probe            kubectl version --output=json --request-timeout=<n>s
+//
+// Each instance targets one cluster through `context` and/or `kubeconfig`
+// (see src/clusters.js); every command gets --kubeconfig/--context first.
+//
+// The binary is looked up on PATH (or KUBECTL_BIN), so tests can put a fake
+// kubectl first on PATH; see scripts/fake-kubectl/.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { podSummary } = require("./kube/resources");
+
+const KUBECTL_MODES = ["apply", "server-dry-run", "diff"];
+
+// kubeconfig context names: no whitespace, no leading dash
+const CONTEXT_PATTERN = /^[A-Za-z0-9_.:@/][A-Za-z0-9_.:@/-]*$/;
+
+const DEFAULT_TIMEOUT_MS = 120 * 1000;
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+class KubectlError extends Error {
+  constructor(message, { code = null, stdout = "", stderr = "", args = [] } = {}) {
+    super(message);
+    this.name = "KubectlError";
+    this.code = code;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.args = args;
+  }
+}
+
+function isValidContext(context) {
+  return typeof context === "string" && CONTEXT_PATTERN.test(context);
+}
+
+// Human-readable form of a command, for logs and responses only
+function formatCommand(binary, args) {
+  return [binary, ...args]
+    .map((a) => (/^[A-Za-z0-9_.:@/=,-]+$/.test(a) ? a : `'${a.replace(/'/g, "'\\''")}'`))
+    .join(" ");
+}
+
+function argsFor(mode, file) {
+  if (mode === "diff") return ["diff", "-f", file];
+  if (mode === "server-dry-run") return ["apply", "--dry-run=server", "-f", file];
+  return ["apply", "-f", file];
+}
+
+function createKubectl({
+  binary = "kubectl",
+  context = "",
+  kubeconfig = "",
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  if (context && !isValidContext(context)) {
+    throw new Error(`"${context}" is not a valid kubeconfig context name.`);
+  }
+
+  // Cluster selection, put in front of every command
+  const targetArgs = [
+    ...(kubeconfig ? [`--kubeconfig=${kubeconfig}`] : []),
+    ...(context ? [`--context=${context}`] : []),
+  ];
+
+  // Resolves { code, stdout, stderr } for any exit code; rejects only when
+  // kubectl cannot be started, times out or floods its output.
+  // onOutput(stream, text) receives output as it arrives.
+  function run(args, { onOutput, timeoutMs: runTimeoutMs = timeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(binary, args, { shell: false, stdio: ["ignore", "pipe", "pipe"] });
+      const out = { stdout: [], stderr: [], bytes: 0 };
+      let failure = null;
+
+      const timer = setTimeout(() => {
+        failure = `kubectl did not finish within ${Math.round(runTimeoutMs / 1000)}s.`;
+        child.kill("SIGKILL");
+      }, runTimeoutMs);
+
+      ["stdout", "stderr"].forEach((stream) => {
+        child[stream].on("data", (chunk) => {
+          out.bytes += chunk.length;
+          if (out.bytes > MAX_OUTPUT_BYTES) {
+            failure = "kubectl produced too much output.";
+            child.kill("SIGKILL");
+            return;
+          }
+          out[stream].push(chunk);
+          if (onOutput) onOutput(stream, chunk.toString("utf8"));
+        });
+      });
+
+      child.on("error", (err) => {
+        clearTimeout(timer);
+        reject(new KubectlError(`Could not start ${binary}: ${err.message}`, { args }));
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        const stdout = Buffer.concat(out.stdout).toString("utf8");
+        const stderr = Buffer.concat(out.stderr).toString("utf8");
+        if (failure) {
+          return reject(new KubectlError(failure, { code, stdout, stderr, args }));
+        }
+        resolve({ code, stdout, stderr });
+      });
+    });
+  }
+
+  // Writes `yaml` to a temp file, runs kubectl in `mode` and removes the file.
+  // Returns { mode, command, stdout, stderr, changed }; `changed` is only set
+  // for diff. Throws KubectlError when kubectl fails.
+  async function applyManifests(yaml, { mode = "apply", onOutput } = {}) {
+    if (!KUBECTL_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${KUBECTL_MODES.join(", ")}.`);
+    }
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "greenops-deploy-"));
+    const file = path.join(dir, "manifests.yaml");
+    const args = [...targetArgs, ...argsFor(mode, file)];
+    const command = formatCommand(binary, args);
+
+    try {
+      await fs.promises.writeFile(file, yaml, { encoding: "utf8", mode: 0o600 });
+      const { code, stdout, stderr } = await run(args, { onOutput });
+
+      // kubectl diff exits 1 when there are differences, >1 on errors
+      const ok = code === 0 || (mode === "diff" && code === 1);
+      if (!ok) {
+        throw new KubectlError(`kubectl exited with code ${code}.`, { code, stdout, stderr, args });
+      }
+      return {
+        mode,
+        command,
+        stdout,
+        stderr,
+        changed: mode === "diff" ? code === 1 : undefined,
+      };
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // Runs kubectl and throws KubectlError unless it exits 0
+  async function runChecked(args, options) {
+    const { code, stdout, stderr } = await run(args, options);
+    if (code !== 0) {
+      throw new KubectlError(`kubectl exited with code ${code}.`, { code, stdout, stderr, args });
+    }
+    return { command: formatCommand(binary, args), stdout, stderr };
+  }
+
+  // One snapshot per workload: { kind, name, ready, message }
+  async function rolloutStatus(namespace, workloads) {
+    const results = [];
+    for (const w of workloads) {
+      const { stdout } = await runChecked([
+        ...targetArgs,
+        "rollout",
+        "status",
+        `${w.kind.toLowerCase()}/${w.name}`,
+        `--namespace=${namespace}`,
+        "--watch=false",
+      ]);
+      results.push({
+        kind: w.kind,
+        name: w.name,
+        ready: /successfully rolled out/.test(stdout),
+        message: stdout.trim(),
+      });
+    }
+    return results;
+  }
+
+  // Waits for each workload to finish rolling out, streaming progress.
+  // Throws KubectlError when a rollout fails or exceeds timeoutSeconds.
+  async function watchRollout(namespace, workloads, { timeoutSeconds = 300, onOutput } = {}) {
+    for (const w of workloads) {
+      await runChecked(
+        [
+          ...targetArgs,
+          "rollout",
+          "status",
+          `${w.kind.toLowerCase()}/${w.name}`,
+          `--namespace=${namespace}`,
+          `--timeout=${timeoutSeconds}s`,
+        ],
+        { onOutput, timeoutMs: (timeoutSeconds + 30) * 1000 }
+      );
+    }
+  }
+
+  function deleteArgs(namespace, selector, resources) {
+    return [
+      ...targetArgs,
+      "delete",
+      resources.join(","),
+      `--namespace=${namespace}`,
+      `--selector=${selector}`,
+      "--ignore-not-found",
+    ];
+  }
+
+  function deleteByLabel(namespace, selector, resources, { onOutput } = {}) {
+    return runChecked(deleteArgs(namespace, selector, resources), { onOutput });
+  }
+
+  // Pods matching `selector`: [{ name, phase, ready, restarts, node, reason }]
+  async function podStatus(namespace, selector) {
+    const { stdout } = await runChecked([
+      ...targetArgs,
+      "get",
+      "pods",
+      `--namespace=${namespace}`,
+      `--selector=${selector}`,
+      "--output=json",
+    ]);
+    let list;
+    try {
+      list = JSON.parse(stdout);
+    } catch (err) {
+      throw new KubectlError(`kubectl get pods printed invalid JSON: ${err.message}`, { stdout });
+    }
+    return (list.items || []).map(podSummary);
+  }
+
+  // Command a mode would run, for dry-run responses
+  function commandFor(mode) {
+    const file = path.join(os.tmpdir(), "greenops-deploy-XXXXXX", "manifests.yaml");
+    return formatCommand(binary, [...targetArgs, ...argsFor(mode, file)]);
+  }
+
+  function deleteCommandFor(namespace, selector, resources) {
+    return formatCommand(binary, deleteArgs(namespace, selector, resources));
+  }
+
+  // Asks the API server for its version. Resolves { reachable, serverVersion,
+  // error } and never rejects, so one dead cluster cannot fail a health check.
+  async function probe({ timeoutSeconds = 5 } = {}) {
+    const args = [
+      ...targetArgs,
+      "version",
+      "--output=json",
+      `--request-timeout=${timeoutSeconds}s`,
+    ];
+    try {
+      const { code, stdout, stderr } = await run(args, {
+        timeoutMs: (timeoutSeconds + 5) * 1000,
+      });
+      let serverVersion = null;
+      try {
+        const parsed = JSON.parse(stdout);
+        serverVersion = parsed.serverVersion ? parsed.serverVersion.gitVersion || null : null;
+      } catch (err) {
+        // kubectl prints no JSON when it cannot reach the server
+      }
+      if (code === 0 && serverVersion) {
+        return { reachable: true, serverVersion, error: null };
+      }
+      const lines = stderr.trim().split(/\r?\n/).filter(Boolean);
+      return {
+        reachable: false,
+        serverVersion: null,
+        error: lines.length > 0 ? lines[lines.length - 1] : `kubectl exited with code ${code}.`,
+      };
+    } catch (err) {
+      return { reachable: false, serverVersion: null, error: err.message };
+    }
+  }
+
+  return {
+    client: "kubectl",
+    binary,
+    context: context || null,
+    kubeconfig: kubeconfig || null,
+    run,
+    applyManifests,
+    rolloutStatus,
+    watchRollout,
+    deleteByLabel,
+    podStatus,
+    commandFor,
+    deleteCommandFor,
+    probe,
+  };
+}
+
+module.exports = {
+  KUBECTL_MODES,
+  KubectlError,
+  isValidContext,
+  createKubectl,
+};
@@ -0,0 +1,269 @@
+// src/latency.js
+// Latency model: estimate user → region round-trip times from coordinates,
+// optionally overridden by a measured RTT matrix.
+//
+// Model: RTT ≈ 2 × great-circle distance × ROUTE_FACTOR / fiber speed + overhead.
+// Real routes are longer than great circles, hence ROUTE_FACTOR.
+//
+// userRegion accepted by the planner:
+//   "eu-west"                               one named location, 100% of traffic
+//   "global"                                equal share across all named locations
+//   [{ location: "ap-south", share: 0.7 },  weighted mix; location may also be
+//    { location: "eu-west", share: 0.3 }]   { lat, lon }. Shares are normalized.
+
+const fs = require("fs");
+
+const EARTH_RADIUS_KM = 6371;
+const FIBER_KM_PER_MS = 200; // ~2/3 the speed of light
+const ROUTE_FACTOR = 1.5;
+const BASE_OVERHEAD_MS = 5;
+const P95_FACTOR = 1.25;
+const P95_EXTRA_MS = 8;
+
+// Score = exp(-p50 / scale): ~0.96 at 10 ms, ~0.67 at 100 ms, ~0.45 at 200 ms
+const LATENCY_SCORE_SCALE_MS = 250;
+
+// Round trip between two services in the same region
+const INTRA_REGION_RTT_MS = 1;
+
+// Neutral score when a region has neither coordinates nor a measurement
+const UNKNOWN_LATENCY_SCORE = 0.6;
+
+// Representative coordinates for named user locations
+const USER_LOCATIONS = {
+  "ap-south": { lat: 19.076, lon: 72.8777, label: "India (Mumbai)" },
+  "ap-southeast": { lat: 1.3521, lon: 103.8198, label: "South-East Asia (Singapore)" },
+  "ap-northeast": { lat: 35.6762, lon: 139.6503, label: "North-East Asia (Tokyo)" },
+  oceania: { lat: -33.8688, lon: 151.2093, label: "Oceania (Sydney)" },
+  "eu-west": { lat: 48.8566, lon: 2.3522, label: "Western Europe (Paris)" },
+  "eu-central": { lat: 50.1109, lon: 8.6821, label: "Central Europe (Frankfurt)" },
+  "us-east": { lat: 38.9072, lon: -77.0369, label: "US East (Washington DC)" },
+  "us-west": { lat: 37.7749, lon: -122.4194, label: "US West (San Francisco)" },
+  "sa-east": { lat: -23.5505, lon: -46.6333, label: "South America (São Paulo)" },
+  "af-south": { lat: -26.2041, lon: 28.0473, label: "Africa (Johannesburg)" },
+  "me-central": { lat: 25.2048, lon: 55.2708, label: "Middle East (Dubai)" },
+};
+
+// Fallback coordinates when a region has a geoGroup but no coordinates
+const GEO_GROUP_COORDINATES = {
+  eu: USER_LOCATIONS["eu-central"],
+  "us-east": USER_LOCATIONS["us-east"],
+  "us-west": USER_LOCATIONS["us-west"],
+  "ap-south": USER_LOCATIONS["ap-south"],
+  "ap-southeast": USER_LOCATIONS["ap-southeast"],
+};
+
+function greatCircleKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function modelRtt(from, to) {
+  const p50 = (2 * greatCircleKm(from, to) * ROUTE_FACTOR) / FIBER_KM_PER_MS + BASE_OVERHEAD_MS;
+  return { p50, p95: p50 * P95_FACTOR + P95_EXTRA_MS };
+}
+
+function latencyScoreFromMs(ms) {
+  return Math.exp(-ms / LATENCY_SCORE_SCALE_MS);
+}
+
+// -------------------- userRegion parsing --------------------
+
+// Turns any accepted userRegion shape into [{ name, coords, share }] with
+// shares summing to 1. Throws with a user-facing message on bad input.
+function parseUserLocations(userRegion) {
+  if (userRegion === undefined || userRegion === null || userRegion === "global") {
+    const names = Object.keys(USER_LOCATIONS);
+    return names.map((name) => ({ name, coords: USER_LOCATIONS[name], share: 1 / names.length }));
+  }
+
+  if (typeof userRegion === "string") {
+    if (!USER_LOCATIONS[userRegion]) {
+      throw new Error(
+        `Unknown userRegion "${userRegion}". Use "global", one of ${Object.keys(USER_LOCATIONS).join(", ")}, or a list of { location, share }.`
+      );
+    }
+    return [{ name: userRegion, coords: USER_LOCATIONS[userRegion], share: 1 }];
+  }
+
+  if (!Array.isArray(userRegion) || userRegion.length === 0) {
+    throw new Error("userRegion must be a string or a non-empty list of { location, share }.");
+  }
+
+  const entries = userRegion.map((entry, idx) => {
+    const share = entry && entry.share;
+    if (typeof share !== "number" || !(share > 0)) {
+      throw new Error(`userRegion[${idx}].share must be a positive number.`);
+    }
+    const location = entry.location;
+    if (typeof location === "string") {
+      if (!USER_LOCATIONS[location]) {
+        throw new Error(`userRegion[${idx}].location "${location}" is not a known location.`);
+      }
+      return { name: location, coords: USER_LOCATIONS[location], share };
+    }
+    if (
+      location &&
+      typeof location.lat === "number" &&
+      typeof location.lon === "number" &&
+      Math.abs(location.lat) <= 90 &&
+      Math.abs(location.lon) <= 180
+    ) {
+      return {
+        name: location.name || `${location.lat},${location.lon}`,
+        coords: { lat: location.lat, lon: location.lon },
+        share,
+      };
+    }
+    throw new Error(`userRegion[${idx}].location must be a known location name or { lat, lon }.`);
+  });
+
+  const total = entries.reduce((sum, e) => sum + e.share, 0);
+  return entries.map((e) => ({ ...e, share: e.share / total }));
+}
+
+// -------------------- Measured RTT matrix --------------------
+// JSON: { "<user location>": { "<region id>": p50Ms | { "p50": ms, "p95": ms } } }
+
+function loadRttMatrix(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const matrix = {};
+  Object.entries(parsed).forEach(([location, regions]) => {
+    matrix[location] = {};
+    Object.entries(regions).forEach(([regionId, value]) => {
+      const p50 = typeof value === "number" ? value : value && value.p50;
+      const p95 = typeof value === "number" ? undefined : value && value.p95;
+      if (typeof p50 !== "number" || p50 < 0 || (p95 !== undefined && typeof p95 !== "number")) {
+        throw new Error(`${filePath}: invalid RTT for ${location} → ${regionId}`);
+      }
+      matrix[location][regionId] = { p50, p95: p95 ?? p50 * P95_FACTOR + P95_EXTRA_MS };
+    });
+  });
+  return matrix;
+}
+
+// -------------------- Model --------------------
+
+// Traffic-weighted percentile: smallest value such that `q` of traffic sees
+// at most that value.
+function weightedPercentile(samples, q) {
+  const sorted = [...samples].sort((a, b) => a.value - b.value);
+  let cumulative = 0;
+  for (const s of sorted) {
+    cumulative += s.share;
+    if (cumulative >= q - 1e-9) return s.value;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+function createLatencyModel({ matrixFile } = {}) {
+  const matrix = matrixFile ? loadRttMatrix(matrixFile) : {};
+
+  function regionCoords(region) {
+    return region.coordinates || GEO_GROUP_COORDINATES[region.geoGroup] || null;
+  }
+
+  function rttFor(location, region) {
+    const measured = matrix[location.name] && matrix[location.name][region.id];
+    if (measured) {
+      return { ...measured, source: "measured" };
+    }
+    const coords = regionCoords(region);
+    if (!coords) return null;
+    return { ...modelRtt(location.coords, coords), source: "model" };
+  }
+
+  // RTT between two regions (e.g. app tier → database). Not in the matrix:
+  // the matrix only covers user locations.
+  function interRegionRtt(a, b) {
+    if (a.id === b.id) return { p50: INTRA_REGION_RTT_MS, p95: INTRA_REGION_RTT_MS * 2 };
+    const from = regionCoords(a);
+    const to = regionCoords(b);
+    return from && to ? modelRtt(from, to) : null;
+  }
+
+  // Weighted latency estimate when traffic can be served from any of
+  // `servingRegions` (each user location goes to its fastest option) and,
+  // optionally, every request also makes a round trip to `dataRegion`.
+  function estimatePlacement(locations, servingRegions, dataRegion = null) {
+    const perLocation = locations.map((loc) => {
+      let best = null;
+      servingRegions.forEach((region) => {
+        const edge = rttFor(loc, region);
+        const hop = dataRegion ? interRegionRtt(region, dataRegion) : { p50: 0, p95: 0 };
+        if (!edge || !hop) return;
+        const rtt = {
+          p50: edge.p50 + hop.p50,
+          p95: edge.p95 + hop.p95,
+          source: edge.source,
+        };
+        if (!best || rtt.p50 < best.rtt.p50) best = { region, rtt };
+      });
+      return { loc, best };
+    });
+
+    if (perLocation.some((p) => !p.best)) {
+      return {
+        score: UNKNOWN_LATENCY_SCORE,
+        p50Ms: null,
+        p95Ms: null,
+        source: "unknown",
+        trafficShares: Object.fromEntries(
+          servingRegions.map((r) => [r.id, 1 / servingRegions.length])
+        ),
+      };
+    }
+
+    const score = perLocation.reduce(
+      (sum, p) => sum + p.loc.share * latencyScoreFromMs(p.best.rtt.p50),
+      0
+    );
+    const sources = new Set(perLocation.map((p) => p.best.rtt.source));
+    const trafficShares = Object.fromEntries(servingRegions.map((r) => [r.id, 0]));
+    perLocation.forEach((p) => {
+      trafficShares[p.best.region.id] += p.loc.share;
+    });
+
+    return {
+      score,
+      p50Ms: Math.round(
+        weightedPercentile(
+          perLocation.map((p) => ({ value: p.best.rtt.p50, share: p.loc.share })),
+          0.5
+        )
+      ),
+      p95Ms: Math.round(
+        weightedPercentile(
+          perLocation.map((p) => ({ value: p.best.rtt.p95, share: p.loc.share })),
+          0.95
+        )
+      ),
+      source: sources.size === 1 ? [...sources][0] : "mixed",
+      trafficShares,
+    };
+  }
+
+  // Weighted latency estimate for one region across all user locations.
+  function estimate(locations, region) {
+    const { trafficShares, ...rest } = estimatePlacement(locations, [region]);
+    return rest;
+  }
+
+  return {
+    estimate,
+    estimatePlacement,
+    interRegionRtt,
+    hasMatrix: Object.keys(matrix).length > 0,
+  };
+}
+
+module.exports = {
+  USER_LOCATIONS,
+  parseUserLocations,
+  latencyScoreFromMs,
+  createLatencyModel,
+};
@@ -0,0 +1,469 @@
+// src/manifests.js
+// Kubernetes manifests for a plan. Per component:
+//
+//   runtime types   Deployment + Service (+ ConfigMap, HPA, PDB)
+//   cache           Deployment + Service
+//   database/queue  StatefulSet with a PVC template + headless Service
+//   storage         PersistentVolumeClaim
+//
+// The api-gateway (or first runtime component) gets a LoadBalancer Service
+// on port 80; every other Service is cluster-internal.
+// Components come from parseComponents (components.js) and sizeComponents
+// (sizing.js), so each has `deploy`, `sizing` and `replicas`.
+//
+// Manifests are built as objects and serialized with the `yaml` package, so
+// names and values never need hand-quoting. validateManifests checks YAML
+// submitted to /api/deploy before anything is applied.
+
+const YAML = require("yaml");
+const { isRuntime } = require("./sizing");
+
+const DEFAULT_NAMESPACE = "greenops-app";
+
+// Namespaces the backend manages: greenops-app and greenops-<project>
+const NAMESPACE_PATTERN = /^greenops-[a-z0-9]([a-z0-9-]{0,52}[a-z0-9])?$/;
+const DNS_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Kinds /api/deploy accepts, with their apiVersion
+const ALLOWED_KINDS = {
+  Namespace: "v1",
+  ConfigMap: "v1",
+  Service: "v1",
+  PersistentVolumeClaim: "v1",
+  Deployment: "apps/v1",
+  StatefulSet: "apps/v1",
+  HorizontalPodAutoscaler: "autoscaling/v2",
+  PodDisruptionBudget: "policy/v1",
+};
+
+// "Shop API" → "greenops-shop-api"; throws if nothing usable is left.
+function namespaceForProject(project) {
+  const slug = String(project)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  const namespace = `greenops-${slug}`;
+  if (!slug || !NAMESPACE_PATTERN.test(namespace)) {
+    throw new Error("project must contain letters or digits.");
+  }
+  return namespace;
+}
+
+function cpuQuantity(v) {
+  return typeof v === "number" ? `${Math.round(v * 1000)}m` : String(v);
+}
+
+function memoryQuantity(v) {
+  return typeof v === "number" ? `${Math.round(v)}Mi` : String(v);
+}
+
+function metadata(name, namespace, labels) {
+  return { name, namespace, labels };
+}
+
+// -------------------- Container --------------------
+
+function resourcesFor(comp) {
+  const limits = (comp.deploy.resources && comp.deploy.resources.limits) || {};
+  const resources = {
+    requests: {
+      cpu: cpuQuantity(comp.sizing.cpuCores),
+      memory: memoryQuantity(comp.sizing.memoryMiB),
+    },
+  };
+  if (limits.cpu !== undefined || limits.memory !== undefined) {
+    resources.limits = {};
+    if (limits.cpu !== undefined) resources.limits.cpu = cpuQuantity(limits.cpu);
+    if (limits.memory !== undefined) resources.limits.memory = memoryQuantity(limits.memory);
+  }
+  return resources;
+}
+
+function probeFor(probe, defaultPort) {
+  return {
+    httpGet: { path: probe.path, port: probe.port || defaultPort },
+    ...(probe.initialDelaySeconds !== undefined
+      ? { initialDelaySeconds: probe.initialDelaySeconds }
+      : {}),
+    ...(probe.periodSeconds !== undefined ? { periodSeconds: probe.periodSeconds } : {}),
+  };
+}
+
+function containerFor(comp, ctx) {
+  const { deploy } = comp;
+  const name = deploy.objectName;
+  const container = { name, image: deploy.image };
+
+  if (deploy.ports.length > 0) {
+    container.ports = deploy.ports.map((p) => ({
+      name: p.name,
+      containerPort: p.containerPort,
+      ...(p.protocol ? { protocol: p.protocol } : {}),
+    }));
+  }
+  if (deploy.env.some((e) => e.value !== undefined)) {
+    container.envFrom = [{ configMapRef: { name: `${name}-config` } }];
+  }
+
+  container.env = [
+    { name: "GREENOPS_PLAN_ID", value: ctx.planId },
+    { name: "GREENOPS_REGION", value: ctx.regionId },
+    { name: "GREENOPS_INSTANCE_CLASS", value: ctx.instanceClass },
+    ...deploy.env
+      .filter((e) => e.value === undefined)
+      .map((e) => ({
+        name: e.name,
+        valueFrom: e.secretRef
+          ? {
+              secretKeyRef: {
+                name: e.secretRef.name,
+                key: e.secretRef.key,
+                ...(e.secretRef.optional === true ? { optional: true } : {}),
+              },
+            }
+          : { configMapKeyRef: { name: e.configMapRef.name, key: e.configMapRef.key } },
+      })),
+  ];
+
+  container.resources = resourcesFor(comp);
+
+  const defaultPort = deploy.ports.length > 0 ? deploy.ports[0].containerPort : 80;
+  if (deploy.probes.readiness) {
+    container.readinessProbe = probeFor(deploy.probes.readiness, defaultPort);
+  }
+  if (deploy.probes.liveness) {
+    container.livenessProbe = probeFor(deploy.probes.liveness, defaultPort);
+  }
+  if (deploy.storage && deploy.storage.mountPath) {
+    container.volumeMounts = [{ name: "data", mountPath: deploy.storage.mountPath }];
+  }
+  return container;
+}
+
+// -------------------- Objects --------------------
+
+function configMapFor(comp, ctx, labels) {
+  const plain = comp.deploy.env.filter((e) => e.value !== undefined);
+  if (plain.length === 0) return null;
+  return {
+    apiVersion: "v1",
+    kind: "ConfigMap",
+    metadata: metadata(`${comp.deploy.objectName}-config`, ctx.namespace, labels),
+    data: Object.fromEntries(plain.map((e) => [e.name, e.value])),
+  };
+}
+
+function podTemplateFor(comp, ctx, labels) {
+  return {
+    metadata: { labels },
+    spec: { containers: [containerFor(comp, ctx)] },
+  };
+}
+
+function deploymentFor(comp, ctx, labels) {
+  const name = comp.deploy.objectName;
+  return {
+    apiVersion: "apps/v1",
+    kind: "Deployment",
+    metadata: metadata(name, ctx.namespace, labels),
+    spec: {
+      replicas: comp.replicas || ctx.replicas,
+      selector: { matchLabels: { app: name } },
+      template: podTemplateFor(comp, ctx, labels),
+    },
+  };
+}
+
+function volumeClaimSpec(storage) {
+  return {
+    accessModes: ["ReadWriteOnce"],
+    ...(storage.storageClass ? { storageClassName: storage.storageClass } : {}),
+    resources: { requests: { storage: storage.size } },
+  };
+}
+
+function statefulSetFor(comp, ctx, labels) {
+  const name = comp.deploy.objectName;
+  const { storage } = comp.deploy;
+  return {
+    apiVersion: "apps/v1",
+    kind: "StatefulSet",
+    metadata: metadata(name, ctx.namespace, labels),
+    spec: {
+      serviceName: `${name}-svc`,
+      replicas: comp.replicas || 1,
+      selector: { matchLabels: { app: name } },
+      template: podTemplateFor(comp, ctx, labels),
+      ...(storage
+        ? { volumeClaimTemplates: [{ metadata: { name: "data" }, spec: volumeClaimSpec(storage) }] }
+        : {}),
+    },
+  };
+}
+
+function pvcFor(comp, ctx, labels) {
+  return {
+    apiVersion: "v1",
+    kind: "PersistentVolumeClaim",
+    metadata: metadata(comp.deploy.objectName, ctx.namespace, labels),
+    spec: volumeClaimSpec(comp.deploy.storage),
+  };
+}
+
+function serviceFor(comp, ctx, labels, { public: isPublic, headless }) {
+  const name = comp.deploy.objectName;
+  const ports = isPublic
+    ? [{ name: "http", port: 80, targetPort: comp.deploy.ports[0].containerPort }]
+    : comp.deploy.ports.map((p) => ({
+        name: p.name,
+        port: p.containerPort,
+        targetPort: p.containerPort,
+        ...(p.protocol ? { protocol: p.protocol } : {}),
+      }));
+  return {
+    apiVersion: "v1",
+    kind: "Service",
+    metadata: metadata(`${name}-svc`, ctx.namespace, labels),
+    spec: {
+      ...(isPublic ? { type: "LoadBalancer" } : {}),
+      ...(headless ? { clusterIP: "None" } : {}),
+      selector: { app: name },
+      ports,
+    },
+  };
+}
+
+function hpaMinReplicas(comp) {
+  const { autoscaling } = comp.deploy;
+  return Math.min(autoscaling.minReplicas || comp.replicas, autoscaling.maxReplicas);
+}
+
+function hpaFor(comp, ctx, labels) {
+  const name = comp.deploy.objectName;
+  const { autoscaling } = comp.deploy;
+  return {
+    apiVersion: "autoscaling/v2",
+    kind: "HorizontalPodAutoscaler",
+    metadata: metadata(name, ctx.namespace, labels),
+    spec: {
+      scaleTargetRef: { apiVersion: "apps/v1", kind: "Deployment", name },
+      minReplicas: hpaMinReplicas(comp),
+      maxReplicas: autoscaling.maxReplicas,
+      metrics: [
+        {
+          type: "Resource",
+          resource: {
+            name: "cpu",
+            target: {
+              type: "Utilization",
+              averageUtilization:
+                autoscaling.targetCpuUtilization || Math.round(comp.sizing.utilization * 100),
+            },
+          },
+        },
+      ],
+    },
+  };
+}
+
+function pdbFor(comp, ctx, labels) {
+  const name = comp.deploy.objectName;
+  return {
+    apiVersion: "policy/v1",
+    kind: "PodDisruptionBudget",
+    metadata: metadata(name, ctx.namespace, labels),
+    spec: { maxUnavailable: 1, selector: { matchLabels: { app: name } } },
+  };
+}
+
+// -------------------- Bundle --------------------
+
+// Manifest objects for one cluster. Every object carries the greenops-plan
+// label `planLabel` (the plan id by default), which teardowns select by;
+// GREENOPS_PLAN_ID stays the plan id.
+function buildManifests(
+  planId,
+  regionId,
+  instanceClass,
+  replicas,
+  components,
+  { namespace = DEFAULT_NAMESPACE, planLabel = planId } = {}
+) {
+  const ctx = { planId, regionId, instanceClass, replicas, namespace };
+  const docs = [
+    {
+      apiVersion: "v1",
+      kind: "Namespace",
+      metadata: { name: namespace, labels: { "greenops-plan": planLabel } },
+    },
+  ];
+
+  const deployable = components.filter((c) => c.deploy);
+  const runtime = deployable.filter(isRuntime);
+  const gateway = runtime.find((c) => c.type === "api-gateway") || runtime[0] || null;
+
+  deployable.forEach((comp) => {
+    const labels = { app: comp.deploy.objectName, "greenops-plan": planLabel };
+    const configMap = configMapFor(comp, ctx, labels);
+    if (configMap) docs.push(configMap);
+
+    if (comp.type === "storage") {
+      docs.push(pvcFor(comp, ctx, labels));
+      return;
+    }
+
+    const stateful = comp.type === "database" || comp.type === "queue";
+    docs.push(stateful ? statefulSetFor(comp, ctx, labels) : deploymentFor(comp, ctx, labels));
+
+    if (comp.deploy.ports.length > 0) {
+      docs.push(serviceFor(comp, ctx, labels, { public: comp === gateway, headless: stateful }));
+    }
+    if (!stateful && comp.deploy.autoscaling) {
+      docs.push(hpaFor(comp, ctx, labels));
+    }
+    const floor = comp.deploy.autoscaling ? hpaMinReplicas(comp) : comp.replicas;
+    if (!stateful && floor >= 2) {
+      docs.push(pdbFor(comp, ctx, labels));
+    }
+  });
+
+  return docs;
+}
+
+function serializeManifests(docs) {
+  return docs.map((d) => YAML.stringify(d, { lineWidth: 0, aliasDuplicateObjects: false })).join("---\n");
+}
+
+// The same manifests for another region: only each container's
+// GREENOPS_REGION changes. `kubernetesYaml` must already be valid.
+function retargetManifests(kubernetesYaml, regionId) {
+  const { docs } = validateManifests(kubernetesYaml);
+  docs
+    .filter((d) => d.kind === "Deployment" || d.kind === "StatefulSet")
+    .forEach((d) => {
+      d.spec.template.spec.containers.forEach((c) => {
+        (c.env || []).forEach((e) => {
+          if (e.name === "GREENOPS_REGION") e.value = regionId;
+        });
+      });
+    });
+  return serializeManifests(docs);
+}
+
+function generateKubernetesYaml(planId, regionId, instanceClass, replicas, components, options) {
+  return serializeManifests(
+    buildManifests(planId, regionId, instanceClass, replicas, components, options)
+  );
+}
+
+// -------------------- Validation --------------------
+
+// Parse and check YAML submitted for deployment. Returns
+// { docs, namespace, errors: [{ line, column, document, message }] }.
+// Every namespaced object must sit in one managed namespace (see
+// NAMESPACE_PATTERN), and only ALLOWED_KINDS are accepted.
+function validateManifests(text) {
+  const errors = [];
+  if (typeof text !== "string" || text.trim() === "") {
+    return {
+      docs: [],
+      namespace: null,
+      errors: [{ line: 1, column: 1, document: null, message: "kubernetesYaml is empty." }],
+    };
+  }
+
+  const lineCounter = new YAML.LineCounter();
+  const parsed = YAML.parseAllDocuments(text, { lineCounter, prettyErrors: false });
+  const position = (node) => {
+    const offset = node && node.range ? node.range[0] : 0;
+    return lineCounter.linePos(offset);
+  };
+  const fail = (node, document, message) => {
+    const { line, col } = position(node);
+    errors.push({ line, column: col, document, message });
+  };
+
+  const docs = [];
+  const namespaces = new Set();
+
+  parsed.forEach((doc, idx) => {
+    const document = idx + 1;
+    if (doc.errors.length > 0) {
+      doc.errors.forEach((err) => {
+        const { line, col } = lineCounter.linePos(err.pos[0]);
+        errors.push({ line, column: col, document, message: err.message.split("\n")[0] });
+      });
+      return;
+    }
+    if (doc.contents === null) return; // empty document, e.g. trailing "---"
+
+    const obj = doc.toJS();
+    const node = (path) => doc.getIn(path, true) || doc.contents;
+
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+      fail(doc.contents, document, "Each document must be a Kubernetes object.");
+      return;
+    }
+    if (!ALLOWED_KINDS[obj.kind]) {
+      fail(
+        node(["kind"]),
+        document,
+        `kind "${obj.kind}" is not allowed. Allowed kinds: ${Object.keys(ALLOWED_KINDS).join(", ")}.`
+      );
+      return;
+    }
+    if (obj.apiVersion !== ALLOWED_KINDS[obj.kind]) {
+      fail(
+        node(["apiVersion"]),
+        document,
+        `${obj.kind} must use apiVersion ${ALLOWED_KINDS[obj.kind]} (got ${obj.apiVersion}).`
+      );
+    }
+    const name = obj.metadata && obj.metadata.name;
+    if (typeof name !== "string" || !DNS_LABEL_PATTERN.test(name)) {
+      fail(node(["metadata", "name"]), document, "metadata.name must be a lowercase DNS label.");
+    }
+
+    const namespace = obj.kind === "Namespace" ? name : obj.metadata && obj.metadata.namespace;
+    const namespacePath = obj.kind === "Namespace" ? ["metadata", "name"] : ["metadata", "namespace"];
+    if (typeof namespace !== "string" || !NAMESPACE_PATTERN.test(namespace)) {
+      fail(
+        node(namespacePath),
+        document,
+        obj.kind === "Namespace"
+          ? `Namespace name must start with greenops- (got ${namespace}).`
+          : `${obj.kind} ${name || ""} must be in a greenops-* namespace (got ${namespace || "none"}).`
+      );
+    } else {
+      namespaces.add(namespace);
+    }
+
+    docs.push(obj);
+  });
+
+  if (namespaces.size > 1) {
+    errors.push({
+      line: 1,
+      column: 1,
+      document: null,
+      message: `All objects must share one namespace (found ${[...namespaces].join(", ")}).`,
+    });
+  }
+  if (errors.length === 0 && docs.length === 0) {
+    errors.push({ line: 1, column: 1, document: null, message: "kubernetesYaml has no objects." });
+  }
+
+  return { docs, namespace: namespaces.size === 1 ? [...namespaces][0] : null, errors };
+}
+
+module.exports = {
+  DEFAULT_NAMESPACE,
+  ALLOWED_KINDS,
+  namespaceForProject,
+  buildManifests,
+  serializeManifests,
+  generateKubernetesYaml,
+  retargetManifests,
+  validateManifests,
+};
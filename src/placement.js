@@ -0,0 +1,260 @@
+// src/placement.js
+// Placement modes for /api/plan:
+//
+//   single        every component in the best-scoring region (the default)
+//   multi-region  the whole stack replicated across 2–3 regions (stateful
+//                 components as one regional instance each); users are served
+//                 by their fastest region
+//   split         stateless components in one region (e.g. a green one),
+//                 stateful components in the region closest to users
+//
+// Split placements add the round trip from the app region to the data region
+// to every request, so a green app tier far from its database is penalized
+// accordingly.
+
+const { isRuntime } = require("./sizing");
+
+const PLACEMENT_MODES = ["single", "multi-region", "split"];
+const STATEFUL_TYPES = new Set(["database", "cache", "queue", "storage"]);
+const MIN_REGION_COUNT = 2;
+const MAX_REGION_COUNT = 3;
+
+function isStateful(component) {
+  return STATEFUL_TYPES.has(component.type);
+}
+
+// Split `total` replicas across regions proportionally to traffic share,
+// with at least one replica per region (largest remainder method).
+function allocateReplicas(total, shares) {
+  const ids = Object.keys(shares);
+  const budget = Math.max(total, ids.length);
+  const raw = ids.map((id) => ({ id, exact: shares[id] * (budget - ids.length) }));
+  const result = Object.fromEntries(raw.map((r) => [r.id, 1 + Math.floor(r.exact)]));
+  let remaining = budget - Object.values(result).reduce((a, b) => a + b, 0);
+  raw
+    .sort((a, b) => (b.exact % 1) - (a.exact % 1))
+    .forEach((r) => {
+      if (remaining > 0) {
+        result[r.id] += 1;
+        remaining -= 1;
+      }
+    });
+  return result;
+}
+
+function combine(weights, co2, latency, cost) {
+  return co2 * weights.co2 + latency * weights.latency + cost * weights.cost;
+}
+
+// Weighted average of per-region co2/cost scores.
+function weightedRegionScores(entries) {
+  const total = entries.reduce((sum, e) => sum + e.weight, 0) || 1;
+  return {
+    co2: entries.reduce((sum, e) => sum + e.rs.co2 * e.weight, 0) / total,
+    cost: entries.reduce((sum, e) => sum + e.rs.cost * e.weight, 0) / total,
+  };
+}
+
+function servingReplicasFor(serving, shares, totalReplicas) {
+  return serving.length === 1
+    ? { [serving[0].region.id]: totalReplicas }
+    : allocateReplicas(totalReplicas * serving.length, shares);
+}
+
+// Evaluate a set of serving regions (+ optional separate data region).
+// CO2 and cost scores are weighted by where the replicas run.
+function evaluate({ serving, dataRegion, weights, locations, latencyModel, totalReplicas }) {
+  const servingRegions = serving.map((rs) => rs.region);
+  const latency = latencyModel.estimatePlacement(
+    locations,
+    servingRegions,
+    dataRegion ? dataRegion.region : null
+  );
+
+  const replicas = servingReplicasFor(serving, latency.trafficShares, totalReplicas);
+  const entries = serving.map((rs) => ({ rs, weight: replicas[rs.region.id] }));
+  if (dataRegion && !serving.includes(dataRegion)) {
+    // Give the data tier the same weight as one app replica
+    entries.push({ rs: dataRegion, weight: 1 });
+  }
+  const { co2, cost } = weightedRegionScores(entries);
+
+  return {
+    latency,
+    scores: {
+      co2,
+      cost,
+      latency: latency.score,
+      overall: combine(weights, co2, latency.score, cost),
+    },
+  };
+}
+
+// Same choice and scores as the classic planner: the top region overall.
+function planSingle(ctx) {
+  const best = [...ctx.regionScores].sort((a, b) => b.overall - a.overall)[0];
+  return {
+    serving: [best],
+    dataRegion: best,
+    evaluation: {
+      latency: ctx.latencyModel.estimatePlacement(ctx.locations, [best.region]),
+      scores: {
+        co2: best.co2,
+        cost: best.cost,
+        latency: best.latency,
+        overall: best.overall,
+      },
+    },
+  };
+}
+
+function planMultiRegion(ctx) {
+  const count = Math.min(ctx.regionCount, ctx.regionScores.length);
+  const byOverall = [...ctx.regionScores].sort((a, b) => b.overall - a.overall);
+  let serving = [byOverall[0]];
+  let evaluation = null;
+
+  // Greedily add whichever region improves the combined score the most
+  while (serving.length < count) {
+    let bestNext = null;
+    byOverall
+      .filter((rs) => !serving.includes(rs))
+      .forEach((rs) => {
+        const candidate = evaluate({ ...ctx, serving: [...serving, rs], dataRegion: null });
+        if (!bestNext || candidate.scores.overall > bestNext.evaluation.scores.overall) {
+          bestNext = { rs, evaluation: candidate };
+        }
+      });
+    serving = [...serving, bestNext.rs];
+    evaluation = bestNext.evaluation;
+  }
+
+  return {
+    serving,
+    dataRegion: null,
+    evaluation: evaluation || evaluate({ ...ctx, serving, dataRegion: null }),
+  };
+}
+
+function planSplit(ctx) {
+  if (!ctx.hasStateful) {
+    return planSingle(ctx);
+  }
+
+  // Keep data near users: best latency, then best overall as tie-breaker
+  const dataRegion = [...ctx.regionScores].sort(
+    (a, b) => b.latency - a.latency || b.overall - a.overall
+  )[0];
+
+  let best = null;
+  ctx.regionScores.forEach((rs) => {
+    const evaluation = evaluate({ ...ctx, serving: [rs], dataRegion });
+    if (!best || evaluation.scores.overall > best.evaluation.scores.overall) {
+      best = { serving: [rs], dataRegion, evaluation };
+    }
+  });
+  return best;
+}
+
+// Build a placement for one strategy.
+// Returns per-region replica counts and per-component assignments.
+// Components carry their own `replicas` (see sizing.js); in multi-region
+// placements each component's replicas are split by traffic share.
+function buildPlacement({
+  mode,
+  regionScores,
+  weights,
+  components,
+  totalReplicas,
+  locations,
+  latencyModel,
+  regionCount = MIN_REGION_COUNT,
+}) {
+  const hasStateful = components.some(isStateful);
+  const ctx = {
+    regionScores,
+    weights,
+    locations,
+    latencyModel,
+    hasStateful,
+    regionCount,
+    totalReplicas,
+  };
+
+  const planner =
+    mode === "multi-region" ? planMultiRegion : mode === "split" ? planSplit : planSingle;
+  const { serving, dataRegion, evaluation } = planner(ctx);
+
+  const shares = evaluation.latency.trafficShares;
+  const perComponent = new Map(
+    components.map((c) => [
+      c,
+      isStateful(c) ? null : servingReplicasFor(serving, shares, c.replicas || totalReplicas),
+    ])
+  );
+  // Stateful components run as one instance per region that holds them
+  const inRegion = (c, rs) => ({
+    ...c,
+    replicas: isStateful(c) ? 1 : perComponent.get(c)[rs.region.id],
+  });
+  const runtimeReplicas = (regionComponents) =>
+    regionComponents.filter(isRuntime).reduce((sum, c) => sum + c.replicas, 0);
+
+  // Without a separate data region, every serving region runs the full stack
+  // (multi-region: one regional instance of each stateful component).
+  const separateData = hasStateful && dataRegion && !serving.includes(dataRegion);
+  const statelessComponents = components.filter((c) => !isStateful(c));
+  const statefulComponents = components.filter(isStateful);
+
+  const regionEntries = serving.map((rs) => {
+    const regionComponents = (separateData ? statelessComponents : components).map((c) =>
+      inRegion(c, rs)
+    );
+    return {
+      rs,
+      replicas: runtimeReplicas(regionComponents),
+      trafficShare: shares[rs.region.id],
+      components: regionComponents,
+    };
+  });
+  if (separateData) {
+    regionEntries.push({
+      rs: dataRegion,
+      replicas: 0,
+      trafficShare: 0,
+      components: statefulComponents.map((c) => inRegion(c, dataRegion)),
+    });
+  }
+
+  const statefulRegions = separateData ? [dataRegion] : serving;
+  const componentAssignments = components.map((c) => ({
+    name: c.name,
+    type: c.type,
+    stateful: isStateful(c),
+    regions: isStateful(c)
+      ? statefulRegions.map((rs) => ({ region: rs.region.id, replicas: 1 }))
+      : serving.map((rs) => ({
+          region: rs.region.id,
+          replicas: perComponent.get(c)[rs.region.id],
+        })),
+  }));
+
+  return {
+    mode,
+    primary: serving[0],
+    dataRegion: separateData ? dataRegion : null,
+    regionEntries,
+    componentAssignments,
+    latency: evaluation.latency,
+    scores: evaluation.scores,
+  };
+}
+
+module.exports = {
+  PLACEMENT_MODES,
+  MIN_REGION_COUNT,
+  MAX_REGION_COUNT,
+  isStateful,
+  allocateReplicas,
+  buildPlacement,
+};
@@ -0,0 +1,403 @@
+// src/plans.js
+// Saved plans. Every /api/plan response is stored as a version of a saved
+// plan, together with the inputs it was made from and the carbon intensity
+// of every region at that moment. /api/deploy can then deploy a saved plan by
+// id, with the stored region, manifests, sizing and intensity instead of
+// whatever the client sends back.
+//
+// Records ("savedPlans" collection), one per version:
+//   id                "<savedPlanId>@v<version>"
+//   savedPlanId       shared by all versions of the plan
+//   version           1, 2, ... (re-planning with savedPlanId adds one)
+//   projectId         fixed by version 1
+//   createdAt, createdBy
+//   inputs            the /api/plan request as used (components filled in
+//                     from the project when the request sent none)
+//   carbonSnapshot    [{ region, value, source, ageSeconds, provider }] for
+//                     every enabled region at planning time
+//   namespace, recommendedPlanId, plans    as in the /api/plan response
+//
+// Plans whose newest version is older than `retentionDays` are pruned,
+// unless a running deployment was made from them.
+
+const crypto = require("crypto");
+const { projectOf } = require("./projects");
+
+const COLLECTION = "savedPlans";
+// Longest manifests (in lines) the line diff compares; beyond, it only
+// reports that they changed
+const MAX_DIFF_LINES = 2000;
+
+class PlanError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "PlanError";
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+// `value` as a version number; throws a 400 PlanError otherwise
+function parseVersion(value, name = "version") {
+  const version = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new PlanError(`${name} must be a positive integer.`, 400);
+  }
+  return version;
+}
+
+// -------------------- Deploying a saved plan --------------------
+
+// greenops-plan label of one plan (strategy) of a saved plan. Two saved plans
+// with the same strategy must not share it: deployments are told apart, and
+// torn down, by this label.
+function planLabelFor(savedPlanId, planId) {
+  return `${planId}-${savedPlanId}`;
+}
+
+// Fields /api/deploy takes from the saved plan; sending them alongside
+// savedPlanId is an error
+const SAVED_PLAN_FIELDS = [
+  "regionLabel",
+  "carbonIntensity",
+  "replicas",
+  "scores",
+  "kubernetesYaml",
+  "instanceClass",
+  "components",
+  "placementPolicy",
+];
+
+// /api/deploy fields for one plan (strategy) of a saved version. `region`
+// picks the bundle of a multi-region plan.
+function deployFieldsFrom(record, { planId = record.recommendedPlanId, region } = {}) {
+  const plan = record.plans.find((p) => p.id === planId);
+  if (!plan) {
+    throw new PlanError(
+      `Saved plan ${record.savedPlanId} v${record.version} has no plan ${planId}.`,
+      400,
+      record.plans.map((p) => p.id)
+    );
+  }
+
+  const regions = plan.manifests.map((m) => m.region);
+  if (region === undefined && plan.manifests.length > 1) {
+    throw new PlanError(
+      `Plan ${planId} spans ${regions.join(", ")}; send region to deploy one of them.`,
+      400,
+      regions
+    );
+  }
+  const bundle =
+    region === undefined ? plan.manifests[0] : plan.manifests.find((m) => m.region === region);
+  if (!bundle) {
+    throw new PlanError(`Plan ${planId} does not place anything in ${region}.`, 400, regions);
+  }
+
+  const placed = plan.placement.regions.find((r) => r.region === bundle.region);
+  const snapshot = record.carbonSnapshot.find((c) => c.region === bundle.region);
+  const { latencyTolerance, weights, userRegion } = record.inputs;
+  return {
+    planId,
+    projectId: record.projectId,
+    region: bundle.region,
+    regionLabel: placed ? placed.regionLabel : undefined,
+    carbonIntensity: snapshot ? snapshot.value : placed.carbonIntensity_gCo2PerKwh,
+    replicas: bundle.replicas,
+    scores: plan.scores,
+    kubernetesYaml: bundle.kubernetesYaml,
+    instanceClass: bundle.instanceClass,
+    components: bundle.components,
+    placementPolicy: {
+      strategy: planId,
+      latencyTolerance,
+      weights: weights || undefined,
+      userRegion,
+    },
+  };
+}
+
+// -------------------- Diff --------------------
+
+// Leaf-by-leaf differences between two JSON values: [{ path, from, to }].
+// Arrays compare by index; a missing side is null.
+function diffValues(from, to, path = "") {
+  const isContainer = (v) => v !== null && typeof v === "object";
+  if (isContainer(from) && isContainer(to) && Array.isArray(from) === Array.isArray(to)) {
+    const keys = Array.isArray(from)
+      ? [...Array(Math.max(from.length, to.length)).keys()]
+      : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    return keys.flatMap((k) =>
+      diffValues(
+        from[k],
+        to[k],
+        Array.isArray(from) ? `${path}[${k}]` : path ? `${path}.${k}` : String(k)
+      )
+    );
+  }
+  if (JSON.stringify(from) === JSON.stringify(to)) return [];
+  return [{ path, from: from === undefined ? null : from, to: to === undefined ? null : to }];
+}
+
+// Removed ("-") and added ("+") lines between two texts, from their longest
+// common subsequence. `line` numbers the old text for "-", the new for "+".
+function diffLines(fromText, toText) {
+  const a = fromText ? fromText.split("\n") : [];
+  const b = toText ? toText.split("\n") : [];
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) return null;
+
+  // lcs[i][j]: common lines of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] =
+        a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      changes.push({ op: "-", line: i + 1, text: a[i] });
+      i += 1;
+    } else {
+      changes.push({ op: "+", line: j + 1, text: b[j] });
+      j += 1;
+    }
+  }
+  return changes;
+}
+
+// What /api/plan decided for one strategy, without the prose and manifests
+function planSummary(plan) {
+  return {
+    region: plan.civo.region,
+    instanceClass: plan.energy.instanceClass,
+    placement: plan.placement.regions.map((r) => ({
+      region: r.region,
+      replicas: r.replicas,
+      trafficShare: r.trafficShare,
+      carbonIntensity_gCo2PerKwh: r.carbonIntensity_gCo2PerKwh,
+    })),
+    scores: plan.scores,
+    carbonIntensity_gCo2PerKwh: plan.carbonIntensity.value_gCo2PerKwh,
+    hourlyCO2Kg: plan.energy.hourlyCO2Kg,
+    hourlyCostUsd: plan.energy.hourlyCostUsd,
+    latency: { p50Ms: plan.latency.p50Ms, p95Ms: plan.latency.p95Ms },
+  };
+}
+
+function diffManifests(fromPlan, toPlan) {
+  const bundles = (plan) => new Map((plan ? plan.manifests : []).map((m) => [m.region, m]));
+  const before = bundles(fromPlan);
+  const after = bundles(toPlan);
+  return [...new Set([...before.keys(), ...after.keys()])].flatMap((region) => {
+    const a = before.get(region);
+    const b = after.get(region);
+    if (a && b && a.kubernetesYaml === b.kubernetesYaml) return [];
+    return [
+      {
+        region,
+        status: !a ? "added" : !b ? "removed" : "changed",
+        lines: diffLines(a ? a.kubernetesYaml : "", b ? b.kubernetesYaml : ""),
+      },
+    ];
+  });
+}
+
+// Differences between two versions of a saved plan: inputs, per-region
+// carbon intensity, and per strategy the placement, scores, footprint and
+// manifests
+function diffVersions(from, to) {
+  const snapshot = (record) => new Map(record.carbonSnapshot.map((c) => [c.region, c]));
+  const before = snapshot(from);
+  const after = snapshot(to);
+  const carbonIntensity = [...new Set([...before.keys(), ...after.keys()])]
+    .map((region) => {
+      const a = before.get(region);
+      const b = after.get(region);
+      return {
+        region,
+        from: a ? a.value : null,
+        to: b ? b.value : null,
+        delta: a && b ? Number((b.value - a.value).toFixed(1)) : null,
+        source: { from: a ? a.source : null, to: b ? b.source : null },
+      };
+    })
+    .filter((c) => c.from !== c.to);
+
+  const plansOf = (record) => new Map(record.plans.map((p) => [p.id, p]));
+  const fromPlans = plansOf(from);
+  const toPlans = plansOf(to);
+  const plans = [...new Set([...fromPlans.keys(), ...toPlans.keys()])].map((planId) => {
+    const a = fromPlans.get(planId);
+    const b = toPlans.get(planId);
+    const changes = a && b ? diffValues(planSummary(a), planSummary(b)) : [];
+    const manifests = diffManifests(a, b);
+    return {
+      planId,
+      status: !a
+        ? "added"
+        : !b
+        ? "removed"
+        : changes.length > 0 || manifests.length > 0
+        ? "changed"
+        : "unchanged",
+      changes,
+      manifests,
+    };
+  });
+
+  return {
+    savedPlanId: to.savedPlanId,
+    from: { version: from.version, createdAt: from.createdAt },
+    to: { version: to.version, createdAt: to.createdAt },
+    inputs: diffValues(from.inputs, to.inputs),
+    recommendedPlanId:
+      from.recommendedPlanId === to.recommendedPlanId
+        ? null
+        : { from: from.recommendedPlanId, to: to.recommendedPlanId },
+    carbonIntensity,
+    plans,
+  };
+}
+
+// -------------------- Store --------------------
+
+function createSavedPlans({ store, retentionDays = 30 }) {
+  // One entry per saved plan, for lists: versions without their content
+  function summarize(records) {
+    const byPlan = new Map();
+    records.forEach((r) => {
+      if (!byPlan.has(r.savedPlanId)) byPlan.set(r.savedPlanId, []);
+      byPlan.get(r.savedPlanId).push(r);
+    });
+    return [...byPlan.values()].map((versions) => {
+      versions.sort((a, b) => a.version - b.version);
+      const latest = versions[versions.length - 1];
+      return {
+        id: latest.savedPlanId,
+        projectId: latest.projectId,
+        latestVersion: latest.version,
+        createdAt: versions[0].createdAt,
+        updatedAt: latest.createdAt,
+        recommendedPlanId: latest.recommendedPlanId,
+        versions: versions.map((v) => ({
+          version: v.version,
+          createdAt: v.createdAt,
+          createdBy: v.createdBy,
+          recommendedPlanId: v.recommendedPlanId,
+        })),
+      };
+    });
+  }
+
+  // Saved plans, newest change first; `filter` sees each summary
+  async function list(filter = () => true) {
+    return summarize(await store.list(COLLECTION))
+      .filter(filter)
+      .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  }
+
+  async function versionsOf(savedPlanId) {
+    const all = await store.list(COLLECTION);
+    return all
+      .filter((r) => r.savedPlanId === savedPlanId)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  // One version (the latest when `version` is undefined), or null
+  async function get(savedPlanId, version) {
+    if (version === undefined) {
+      const versions = await versionsOf(savedPlanId);
+      return versions.length > 0 ? versions[versions.length - 1] : null;
+    }
+    return store.get(COLLECTION, `${savedPlanId}@v${version}`);
+  }
+
+  // Stores `content` as version 1 of a new saved plan (with id `newId`, for
+  // callers that label manifests with it first), or as the next version of
+  // `savedPlanId`
+  async function save({ savedPlanId, newId, projectId, createdBy, ...content }) {
+    const previous = savedPlanId ? await get(savedPlanId) : null;
+    if (savedPlanId && !previous) {
+      throw new PlanError(`Saved plan ${savedPlanId} not found.`, 404);
+    }
+    const id = previous ? previous.savedPlanId : newId || crypto.randomUUID();
+    const version = previous ? previous.version + 1 : 1;
+    const record = await store.insert(COLLECTION, {
+      id: `${id}@v${version}`,
+      savedPlanId: id,
+      version,
+      projectId: previous ? previous.projectId : projectId,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      ...content,
+    });
+    await prune();
+    return record;
+  }
+
+  async function remove(savedPlanId) {
+    const versions = await versionsOf(savedPlanId);
+    for (const v of versions) {
+      await store.remove(COLLECTION, v.id);
+    }
+    return versions.length;
+  }
+
+  // Drops saved plans untouched for `retentionDays` that no running
+  // deployment was made from. Returns how many versions went.
+  async function prune() {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const [records, deployments] = await Promise.all([
+      store.list(COLLECTION),
+      store.list("deployments"),
+    ]);
+    const inUse = new Set(
+      deployments.filter((d) => !d.endedAt && d.savedPlan).map((d) => d.savedPlan.id)
+    );
+    let removed = 0;
+    for (const plan of summarize(records)) {
+      if (plan.updatedAt >= cutoff || inUse.has(plan.id)) continue;
+      removed += await remove(plan.id);
+    }
+    return removed;
+  }
+
+  return { list, versionsOf, get, save, remove, prune };
+}
+
+// Deployments made from `savedPlanId`, for the plan's detail view
+function deploymentsOf(history, savedPlanId) {
+  return history
+    .filter((d) => d.savedPlan && d.savedPlan.id === savedPlanId)
+    .map((d) => ({
+      id: d.id,
+      version: d.savedPlan.version,
+      planId: d.planId,
+      projectId: projectOf(d),
+      region: d.region,
+      startedAt: d.startedAt,
+      endedAt: d.endedAt,
+    }));
+}
+
+module.exports = {
+  SAVED_PLAN_FIELDS,
+  PlanError,
+  parseVersion,
+  planLabelFor,
+  deployFieldsFrom,
+  diffValues,
+  diffLines,
+  diffVersions,
+  deploymentsOf,
+  createSavedPlans,
+};
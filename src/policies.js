@@ -0,0 +1,371 @@
+// src/policies.js
+// Policy-as-code guardrails: organisation rules checked by /api/plan (each
+// plan is annotated with what it breaks), /api/deploy (errors refuse the
+// deploy, warnings are recorded with it) and migrations (a move that breaks
+// an error rule is not made).
+//
+// Read once at startup from POLICIES_FILE (default config/policies.yaml; see
+// config/policies.example.yaml), YAML or JSON. A missing file means no rules.
+//
+//   rules:
+//     - id: max-carbon-intensity
+//       description: No deploys to regions above 450 gCO2/kWh.
+//       require:
+//         carbonIntensity: { lte: 450 }
+//     - id: production-replicas
+//       when:
+//         projectId: { in: [shop-api, checkout] }
+//       require:
+//         replicas: { gte: 2 }
+//
+// Rule fields:
+//   id           unique, reported with each violation
+//   description  optional, what the rule is for
+//   severity     "error" (default) refuses the deploy, "warning" records it
+//   message      optional, replaces the generated violation message
+//   when         conditions that make the rule apply (default: always)
+//   require      conditions every deploy the rule applies to must meet
+//
+// Conditions map a field (POLICY_FIELDS) to operators, all of which must
+// hold: eq, ne, lt, lte, gt, gte, in, notIn, matches, notMatches (regular
+// expressions). On list fields each element must satisfy the operator. A
+// field that is not known for a deploy (userRegions of an ad-hoc deploy)
+// breaks `require`. In `when` it cannot exempt a deploy: unless another
+// condition there fails, the rule applies, so residency rules refuse
+// deploys whose users are unknown instead of skipping them.
+
+const fs = require("fs");
+const YAML = require("yaml");
+const { parseUserLocations } = require("./latency");
+
+const SEVERITIES = ["error", "warning"];
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/;
+
+// Fields rules can test, and their types ("numbers"/"strings" are lists)
+const POLICY_FIELDS = {
+  projectId: "string",
+  namespace: "string",
+  planId: "string",
+  region: "string",
+  carbonIntensity: "number", // gCO2/kWh of the target region
+  replicas: "number", // runtime replicas in the target region
+  instanceClass: "string",
+  userRegions: "strings", // user locations the plan serves ("global" is all)
+  hourlyCO2Kg: "number", // operational plus embodied
+  hourlyCostUsd: "number",
+  "manifest.kinds": "strings",
+  "manifest.images": "strings",
+  "manifest.imageTags": "strings", // "latest" when untagged, the digest when pinned
+  "manifest.replicas": "numbers", // spec.replicas of each Deployment/StatefulSet
+};
+
+const OPERATORS = {
+  eq: { text: (v) => `must be ${v}` },
+  ne: { text: (v) => `must not be ${v}` },
+  lt: { numeric: true, text: (v) => `must be below ${v}` },
+  lte: { numeric: true, text: (v) => `must be at most ${v}` },
+  gt: { numeric: true, text: (v) => `must be above ${v}` },
+  gte: { numeric: true, text: (v) => `must be at least ${v}` },
+  in: { list: true, text: (v) => `must be one of ${v.join(", ")}` },
+  notIn: { list: true, text: (v) => `must not be one of ${v.join(", ")}` },
+  matches: { regex: true, text: (v) => `must match /${v}/` },
+  notMatches: { regex: true, text: (v) => `must not match /${v}/` },
+};
+const POLICY_OPERATORS = Object.keys(OPERATORS);
+
+// -------------------- Validation --------------------
+
+function validateConditions(conditions, where) {
+  const errors = [];
+  if (!conditions || typeof conditions !== "object" || Array.isArray(conditions)) {
+    return [`${where} must map fields to conditions, e.g. { replicas: { gte: 2 } }`];
+  }
+  if (Object.keys(conditions).length === 0) return [`${where} needs at least one field`];
+
+  Object.entries(conditions).forEach(([field, ops]) => {
+    if (!POLICY_FIELDS[field]) {
+      errors.push(`${where}.${field} is not a field (${Object.keys(POLICY_FIELDS).join(", ")})`);
+      return;
+    }
+    if (!ops || typeof ops !== "object" || Array.isArray(ops) || Object.keys(ops).length === 0) {
+      errors.push(`${where}.${field} must map operators to values, e.g. { lte: 450 }`);
+      return;
+    }
+    Object.entries(ops).forEach(([op, value]) => {
+      const operator = OPERATORS[op];
+      if (!operator) {
+        errors.push(`${where}.${field}.${op} is not an operator (${POLICY_OPERATORS.join(", ")})`);
+      } else if (operator.numeric && !POLICY_FIELDS[field].startsWith("number")) {
+        errors.push(`${where}.${field}.${op} needs a numeric field`);
+      } else if (operator.numeric && typeof value !== "number") {
+        errors.push(`${where}.${field}.${op} must be a number`);
+      } else if (operator.list && !(Array.isArray(value) && value.length > 0)) {
+        errors.push(`${where}.${field}.${op} must be a non-empty list`);
+      } else if (operator.regex) {
+        try {
+          new RegExp(value);
+        } catch (err) {
+          errors.push(`${where}.${field}.${op} is not a valid regular expression`);
+        }
+      } else if (!operator.list && (value === null || typeof value === "object")) {
+        errors.push(`${where}.${field}.${op} must be a string or number`);
+      }
+    });
+  });
+  return errors;
+}
+
+// Returns a list of problems; empty means the rule is valid.
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return ["rule must be an object"];
+  }
+  if (typeof rule.id !== "string" || !RULE_ID_PATTERN.test(rule.id)) {
+    errors.push("id must be 1-63 letters, digits, dots, dashes or underscores");
+  }
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+  ["description", "message"].forEach((key) => {
+    if (rule[key] !== undefined && typeof rule[key] !== "string") {
+      errors.push(`${key} must be a string`);
+    }
+  });
+  if (rule.when !== undefined) errors.push(...validateConditions(rule.when, "when"));
+  if (rule.require === undefined) {
+    errors.push("require is required");
+  } else {
+    errors.push(...validateConditions(rule.require, "require"));
+  }
+  return errors;
+}
+
+// Read and validate the policy file. Returns [] when the file does not
+// exist; throws on any invalid rule so a broken policy fails at startup.
+function loadPolicies(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const parsed = YAML.parse(fs.readFileSync(filePath, "utf8"));
+  const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error(`${filePath}: expected a list of rules or { rules: [...] }`);
+  }
+
+  const ids = new Set();
+  const problems = [];
+  rules.forEach((r, idx) => {
+    validateRule(r).forEach((e) => problems.push(`rules[${idx}]: ${e}`));
+    if (r && ids.has(r.id)) problems.push(`rules[${idx}]: duplicate id ${r.id}`);
+    if (r) ids.add(r.id);
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid policy file ${filePath}:\n  ${problems.join("\n  ")}`);
+  }
+
+  return rules.map((r) => ({
+    id: r.id,
+    description: r.description || null,
+    severity: r.severity || "error",
+    message: r.message || null,
+    when: r.when || null,
+    require: r.require,
+  }));
+}
+
+// -------------------- Subjects --------------------
+
+// "ghcr.io/acme/api:1.4" → "1.4"; "redis" → "latest"; "x@sha256:..." → "sha256:..."
+function imageTagOf(image) {
+  const at = image.indexOf("@");
+  if (at !== -1) return image.slice(at + 1);
+  const name = image.slice(image.lastIndexOf("/") + 1);
+  const colon = name.indexOf(":");
+  return colon === -1 ? "latest" : name.slice(colon + 1);
+}
+
+// What rules can see of parsed manifests (validateManifests' docs)
+function manifestFacts(docs) {
+  const workloads = docs.filter((d) => d.kind === "Deployment" || d.kind === "StatefulSet");
+  const images = workloads.flatMap((d) => {
+    const pod = (d.spec && d.spec.template && d.spec.template.spec) || {};
+    return [...(pod.initContainers || []), ...(pod.containers || [])]
+      .map((c) => c.image)
+      .filter((image) => typeof image === "string");
+  });
+  return {
+    "manifest.kinds": [...new Set(docs.map((d) => d.kind))],
+    "manifest.images": images,
+    "manifest.imageTags": images.map(imageTagOf),
+    "manifest.replicas": workloads.map((d) =>
+      d.spec && typeof d.spec.replicas === "number" ? d.spec.replicas : 1
+    ),
+  };
+}
+
+// The facts of one deployable unit (a plan's bundle for one region, a
+// /api/deploy request, a migration) in POLICY_FIELDS terms. `userRegion` is
+// /api/plan's input, as stored with a saved plan; undefined leaves
+// userRegions unknown.
+function policySubject({
+  projectId,
+  namespace,
+  planId,
+  region,
+  carbonIntensity,
+  replicas,
+  instanceClass,
+  userRegion,
+  hourlyCO2Kg,
+  hourlyCostUsd,
+  manifests = [],
+}) {
+  return {
+    projectId,
+    namespace,
+    planId,
+    region,
+    carbonIntensity,
+    replicas,
+    instanceClass,
+    userRegions:
+      userRegion === undefined ? undefined : parseUserLocations(userRegion).map((l) => l.name),
+    hourlyCO2Kg,
+    hourlyCostUsd,
+    ...manifestFacts(manifests),
+  };
+}
+
+// -------------------- Evaluation --------------------
+
+function holds(op, expected, actual) {
+  switch (op) {
+    case "eq":
+      return actual === expected;
+    case "ne":
+      return actual !== expected;
+    case "lt":
+      return actual < expected;
+    case "lte":
+      return actual <= expected;
+    case "gt":
+      return actual > expected;
+    case "gte":
+      return actual >= expected;
+    case "in":
+      return expected.includes(actual);
+    case "notIn":
+      return !expected.includes(actual);
+    case "matches":
+      return new RegExp(expected).test(String(actual));
+    case "notMatches":
+      return !new RegExp(expected).test(String(actual));
+    default:
+      return false;
+  }
+}
+
+const rounded = (x) => (typeof x === "number" ? Math.round(x * 100) / 100 : x);
+
+// Failed conditions of `conditions` against `subject`, as messages
+function failures(conditions, subject) {
+  const failed = [];
+  Object.entries(conditions).forEach(([field, ops]) => {
+    const actual = subject[field];
+    if (actual === undefined || actual === null) {
+      failed.push({ field, message: `${field} is not known`, unknown: true });
+      return;
+    }
+    Object.entries(ops).forEach(([op, expected]) => {
+      if (Array.isArray(actual)) {
+        const offending = [...new Set(actual.filter((v) => !holds(op, expected, v)))];
+        if (offending.length > 0) {
+          const rule = OPERATORS[op].text(expected);
+          failed.push({ field, message: `${field} has ${offending.join(", ")}; each ${rule}` });
+        }
+      } else if (!holds(op, expected, actual)) {
+        failed.push({
+          field,
+          message: `${field} is ${rounded(actual)}; it ${OPERATORS[op].text(expected)}`,
+        });
+      }
+    });
+  });
+  return failed;
+}
+
+// Rules `subject` breaks: [{ ruleId, severity, description, fields, message }]
+function evaluatePolicies(rules, subject) {
+  const violations = [];
+  rules.forEach((rule) => {
+    // A known condition that fails means the rule does not apply. Unknown
+    // fields cannot show that, so the deploy must meet `require` anyway.
+    const unmet = rule.when ? failures(rule.when, subject) : [];
+    if (unmet.some((f) => !f.unknown)) return;
+    const broken = failures(rule.require, subject);
+    if (broken.length === 0) return;
+    const failed = [...unmet, ...broken];
+    violations.push({
+      ruleId: rule.id,
+      severity: rule.severity,
+      description: rule.description,
+      fields: [...new Set(failed.map((f) => f.field))],
+      message: rule.message || failed.map((f) => f.message).join("; "),
+    });
+  });
+  return violations;
+}
+
+// "fail" when any error rule is broken, "warn" for warnings only
+function policyStatus(violations) {
+  if (violations.some((v) => v.severity === "error")) return "fail";
+  return violations.length > 0 ? "warn" : "pass";
+}
+
+function createPolicyEngine({ rules = [] } = {}) {
+  // Deploys (and migrations) refused, and let through with warnings
+  const counters = { refused: 0, warned: 0 };
+
+  // Evaluates one subject; returns { status, violations, errors, warnings }
+  function check(subject) {
+    const violations = evaluatePolicies(rules, subject);
+    return {
+      status: policyStatus(violations),
+      violations,
+      errors: violations.filter((v) => v.severity === "error"),
+      warnings: violations.filter((v) => v.severity === "warning"),
+    };
+  }
+
+  // Counts a deploy-time outcome for stats()
+  function record(result) {
+    if (result.status === "fail") counters.refused += 1;
+    if (result.status === "warn") counters.warned += 1;
+  }
+
+  function stats() {
+    return {
+      rules: rules.length,
+      errorRules: rules.filter((r) => r.severity === "error").length,
+      ...counters,
+    };
+  }
+
+  return {
+    check,
+    record,
+    list: () => rules.map((r) => ({ ...r })),
+    stats,
+  };
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  POLICY_OPERATORS,
+  loadPolicies,
+  manifestFacts,
+  policySubject,
+  evaluatePolicies,
+  policyStatus,
+  createPolicyEngine,
+};
@@ -0,0 +1,192 @@
+// src/projects.js
+// Projects: the unit teams share the backend by. Each project has its own
+// Kubernetes namespace, default components for /api/plan, and its own slice
+// of the deployment history and analytics.
+//
+// Project fields:
+//   id           "shop-api" (lowercase letters, digits, dashes); fixed once created
+//   name         human readable name
+//   description  optional
+//   namespace    greenops-<id>, derived from the id (the default project
+//                keeps the shared greenops-app)
+//   components   components /api/plan uses when a request sends none (optional)
+//   createdAt, updatedAt
+//
+// The "default" project always exists: requests without a projectId and
+// deployments from before projects belong to it.
+//
+// API keys and JWTs can be limited to some projects (see src/auth.js);
+// admins always see every project.
+
+const { DEFAULT_NAMESPACE, namespaceForProject } = require("./manifests");
+const { parseComponents } = require("./components");
+
+const COLLECTION = "projects";
+const DEFAULT_PROJECT_ID = "default";
+const PROJECT_ID_PATTERN = /^[a-z0-9]([a-z0-9-]{0,38}[a-z0-9])?$/;
+// "app" would share greenops-app with the default project
+const RESERVED_PROJECT_IDS = ["app"];
+
+class ProjectError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "ProjectError";
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+// -------------------- Validation --------------------
+
+// Returns a list of problems; empty means the project is valid.
+function validateProject(project) {
+  const errors = [];
+  const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+  if (!project || typeof project !== "object" || Array.isArray(project)) {
+    return ["project must be an object"];
+  }
+  if (!isNonEmptyString(project.id) || !PROJECT_ID_PATTERN.test(project.id)) {
+    errors.push("id must be 1-40 lowercase letters, digits or dashes (e.g. shop-api)");
+  } else if (RESERVED_PROJECT_IDS.includes(project.id)) {
+    errors.push(`id "${project.id}" is reserved`);
+  }
+  if (!isNonEmptyString(project.name)) {
+    errors.push("name must be a non-empty string");
+  }
+  if (
+    project.description !== undefined &&
+    project.description !== null &&
+    typeof project.description !== "string"
+  ) {
+    errors.push("description must be a string or null");
+  }
+  if (project.components !== undefined && project.components !== null) {
+    try {
+      parseComponents(project.components);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return errors;
+}
+
+function normalizeProject(project) {
+  return {
+    id: project.id,
+    name: project.name.trim(),
+    description: project.description || null,
+    namespace:
+      project.id === DEFAULT_PROJECT_ID ? DEFAULT_NAMESPACE : namespaceForProject(project.id),
+    components: project.components || null,
+  };
+}
+
+// Whether `principal` (req.principal) may see and act on `projectId`
+function canAccessProject(principal, projectId) {
+  if (!principal) return false;
+  if (principal.role === "admin" || !principal.projects) return true;
+  return principal.projects.includes(projectId);
+}
+
+// Deployments from before projects have no projectId
+const projectOf = (deployment) => deployment.projectId || DEFAULT_PROJECT_ID;
+
+// -------------------- Registry --------------------
+
+function createProjectRegistry({ store }) {
+  let projects = [];
+
+  async function init() {
+    projects = await store.list(COLLECTION);
+    if (!get(DEFAULT_PROJECT_ID)) {
+      const now = new Date().toISOString();
+      await store.insert(COLLECTION, {
+        ...normalizeProject({ id: DEFAULT_PROJECT_ID, name: "Default" }),
+        createdAt: now,
+        updatedAt: now,
+      });
+      projects = await store.list(COLLECTION);
+    }
+  }
+
+  // Projects `principal` may see (all of them without a principal)
+  function list(principal) {
+    return principal ? projects.filter((p) => canAccessProject(principal, p.id)) : projects;
+  }
+
+  function get(id) {
+    return projects.find((p) => p.id === id) || null;
+  }
+
+  async function create(input) {
+    const errors = validateProject(input);
+    if (errors.length > 0) {
+      throw new ProjectError("Invalid project.", 400, errors);
+    }
+    if (get(input.id)) {
+      throw new ProjectError(`Project ${input.id} already exists.`, 409);
+    }
+    const now = new Date().toISOString();
+    const created = await store.insert(COLLECTION, {
+      ...normalizeProject(input),
+      createdAt: now,
+      updatedAt: now,
+    });
+    projects = await store.list(COLLECTION);
+    return created;
+  }
+
+  // Merges the patch into the existing project; id and namespace cannot change.
+  async function update(id, patch) {
+    const existing = get(id);
+    if (!existing) {
+      throw new ProjectError(`Project ${id} not found.`, 404);
+    }
+    const merged = { ...existing, ...patch, id };
+    const errors = validateProject(merged);
+    if (errors.length > 0) {
+      throw new ProjectError("Invalid project.", 400, errors);
+    }
+    const updated = await store.update(COLLECTION, id, {
+      ...normalizeProject(merged),
+      namespace: existing.namespace,
+      updatedAt: new Date().toISOString(),
+    });
+    projects = await store.list(COLLECTION);
+    return updated;
+  }
+
+  // Only projects without running deployments can go; their history stays.
+  async function remove(id) {
+    if (!get(id)) {
+      throw new ProjectError(`Project ${id} not found.`, 404);
+    }
+    if (id === DEFAULT_PROJECT_ID) {
+      throw new ProjectError("The default project cannot be deleted.", 409);
+    }
+    const history = await store.list("deployments");
+    const running = history.filter((d) => projectOf(d) === id && !d.endedAt);
+    if (running.length > 0) {
+      throw new ProjectError(
+        `Project ${id} still has ${running.length} running deployment(s). Tear them down first.`,
+        409,
+        running.map((d) => d.id)
+      );
+    }
+    await store.remove(COLLECTION, id);
+    projects = await store.list(COLLECTION);
+  }
+
+  return { init, list, get, create, update, remove };
+}
+
+module.exports = {
+  DEFAULT_PROJECT_ID,
+  PROJECT_ID_PATTERN,
+  ProjectError,
+  validateProject,
+  canAccessProject,
+  projectOf,
+  createProjectRegistry,
+};
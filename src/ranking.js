@@ -0,0 +1,85 @@
+// src/ranking.js
+// Full region ranking and the Pareto frontier for /api/plan, so clients can
+// chart the CO2 / latency / cost trade-off and pick a non-default region.
+//
+// Dominance is decided on the 0–1 scores (higher is better), the same ones
+// the ranking weighs. The CO2 and cost scores are monotonic in gCO2/kWh and
+// USD/hour. The latency score is the traffic-weighted mean of each user
+// location's exp(-p50 / scale) (src/latency.js), which is not a function of
+// the reported weighted p50: with several user locations, a region with the
+// lower latencyP50Ms can still have the lower latency score, and the
+// frontier can differ from one drawn on raw ms. Regions without a latency
+// estimate take part via their neutral latency score.
+
+const rounded = (x) => Math.round(x * 100) / 100;
+
+const OBJECTIVES = ["co2", "latency", "cost"];
+
+// a dominates b: at least as good on every objective, strictly better on one
+function dominates(a, b) {
+  return (
+    OBJECTIVES.every((k) => a[k] >= b[k]) && OBJECTIVES.some((k) => a[k] > b[k])
+  );
+}
+
+// Region ids that no other region dominates.
+function paretoFrontierIds(regionScores) {
+  return new Set(
+    regionScores
+      .filter((rs) => !regionScores.some((other) => other !== rs && dominates(other, rs)))
+      .map((rs) => rs.region.id)
+  );
+}
+
+// Raw (unnormalized) values behind a region's scores.
+function rawValues(rs, replicas) {
+  return {
+    carbonIntensity_gCo2PerKwh: rounded(rs.region.liveCarbonIntensity),
+    costPerHourUsd: rounded(rs.region.baseCost * replicas),
+    latencyP50Ms: rs.region.latencyEstimate.p50Ms,
+    latencyP95Ms: rs.region.latencyEstimate.p95Ms,
+  };
+}
+
+function describeRegion(rs, replicas, frontier) {
+  return {
+    region: rs.region.id,
+    regionLabel: rs.region.label,
+    paretoOptimal: frontier.has(rs.region.id),
+    scores: {
+      co2: rounded(rs.co2),
+      latency: rounded(rs.latency),
+      cost: rounded(rs.cost),
+    },
+    raw: rawValues(rs, replicas),
+  };
+}
+
+// Every eligible region for one strategy, best overall score first.
+// scoredRegions carry { region, co2, latency, cost, overall }.
+function rankRegions(scoredRegions, replicas, frontier) {
+  return [...scoredRegions]
+    .sort((a, b) => b.overall - a.overall)
+    .map((rs, idx) => {
+      const entry = describeRegion(rs, replicas, frontier);
+      return {
+        rank: idx + 1,
+        ...entry,
+        scores: { ...entry.scores, overall: rounded(rs.overall) },
+      };
+    });
+}
+
+// The Pareto-optimal regions, independent of strategy weights.
+function paretoFrontier(regionScores, replicas) {
+  const frontier = paretoFrontierIds(regionScores);
+  return regionScores
+    .filter((rs) => frontier.has(rs.region.id))
+    .map((rs) => describeRegion(rs, replicas, frontier));
+}
+
+module.exports = {
+  paretoFrontierIds,
+  paretoFrontier,
+  rankRegions,
+};
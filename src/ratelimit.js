@@ -0,0 +1,64 @@
+// src/ratelimit.js
+// Per-caller request limits: a fixed one-minute window per principal id
+// (API key name, JWT subject or client IP; see src/auth.js). Counters live
+// in memory, so each backend instance limits on its own.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+// (seconds); over the limit, 429 with Retry-After.
+
+const WINDOW_MS = 60 * 1000;
+
+function createRateLimiter({ defaultPerMinute = 120, anonymousPerMinute = 30 } = {}) {
+  const windows = new Map(); // principal id → { startedAt, count }
+
+  // Drop windows that have ended, so idle callers do not pile up
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - WINDOW_MS;
+    windows.forEach((w, id) => {
+      if (w.startedAt < cutoff) windows.delete(id);
+    });
+  }, WINDOW_MS);
+  sweeper.unref();
+
+  function limitFor(principal) {
+    if (principal.rateLimitPerMinute) return principal.rateLimitPerMinute;
+    return principal.type === "anonymous" ? anonymousPerMinute : defaultPerMinute;
+  }
+
+  // Express middleware; runs after authentication sets req.principal.
+  // A limit of 0 turns limiting off.
+  function middleware(req, res, next) {
+    const principal = req.principal;
+    const limit = principal ? limitFor(principal) : 0;
+    if (!(limit > 0)) return next();
+
+    const now = Date.now();
+    let w = windows.get(principal.id);
+    if (!w || now - w.startedAt >= WINDOW_MS) {
+      w = { startedAt: now, count: 0 };
+      windows.set(principal.id, w);
+    }
+    w.count += 1;
+
+    const resetSeconds = Math.ceil((w.startedAt + WINDOW_MS - now) / 1000);
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit - w.count)));
+    res.set("RateLimit-Reset", String(resetSeconds));
+    if (w.count > limit) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        error: `Rate limit of ${limit} requests per minute exceeded for ${principal.name}.`,
+        retryAfterSeconds: resetSeconds,
+      });
+    }
+    next();
+  }
+
+  function stats() {
+    return { defaultPerMinute, anonymousPerMinute, trackedCallers: windows.size };
+  }
+
+  return { middleware, stats };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,293 @@
+// src/regions.js
+// Region catalog: the single list of deployable regions used by /api/plan,
+// /api/schedule, /api/deploy and /api/analytics.
+//
+// The catalog is seeded from a JSON config file (REGIONS_CONFIG_FILE, default
+// config/regions.json) the first time the store has no regions. From then on
+// the store is the source of truth, and /api/regions edits survive restarts.
+// On later starts the file only fills in fields a stored region lacks (fields
+// added to the schema since it was stored); regions or values that differ
+// from the store are logged, not applied.
+//
+// Region fields:
+//   id                      "FRA1" (uppercase letters, digits, dashes)
+//   label                   human readable name
+//   cloud                   "civo" (default) or any other provider name
+//   country                 ISO 3166-1 alpha-2 code, used for data residency (optional)
+//   zone                    Electricity Maps zone code (optional)
+//   wattTimeRegion          WattTime region code (optional)
+//   defaultCarbonIntensity  fallback in gCO2eq/kWh if API fails or no key
+//   baseCost                APPROX hourly cost per replica in USD
+//   pue                     datacenter power usage effectiveness, >= 1 (optional)
+//   geoGroup                coarse area; latency fallback when coordinates are missing
+//   coordinates             { lat, lon } of the datacenter (optional)
+//   enabled                 disabled regions are kept but never planned/deployed
+
+const fs = require("fs");
+
+const COLLECTION = "regions";
+const REGION_ID_PATTERN = /^[A-Z0-9-]{2,16}$/;
+
+class CatalogError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "CatalogError";
+    this.status = status;
+    this.details = details || [];
+  }
+}
+
+// -------------------- Validation --------------------
+
+// Returns a list of problems; empty means the region is valid.
+function validateRegion(region) {
+  const errors = [];
+  const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+  const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+  if (!region || typeof region !== "object" || Array.isArray(region)) {
+    return ["region must be an object"];
+  }
+  if (!isNonEmptyString(region.id) || !REGION_ID_PATTERN.test(region.id)) {
+    errors.push("id must be 2-16 uppercase letters, digits or dashes (e.g. FRA1)");
+  }
+  if (!isNonEmptyString(region.label)) {
+    errors.push("label must be a non-empty string");
+  }
+  if (region.cloud !== undefined && !isNonEmptyString(region.cloud)) {
+    errors.push("cloud must be a non-empty string");
+  }
+  if (
+    region.country !== undefined &&
+    region.country !== null &&
+    !(typeof region.country === "string" && /^[A-Z]{2}$/.test(region.country))
+  ) {
+    errors.push("country must be an ISO 3166-1 alpha-2 code (e.g. DE) or null");
+  }
+  ["zone", "wattTimeRegion"].forEach((key) => {
+    if (region[key] !== undefined && region[key] !== null && !isNonEmptyString(region[key])) {
+      errors.push(`${key} must be a non-empty string or null`);
+    }
+  });
+  if (!isNumber(region.defaultCarbonIntensity) || region.defaultCarbonIntensity < 0) {
+    errors.push("defaultCarbonIntensity must be a number >= 0 (gCO2eq/kWh)");
+  }
+  if (!isNumber(region.baseCost) || region.baseCost <= 0) {
+    errors.push("baseCost must be a number > 0 (USD per replica-hour)");
+  }
+  if (region.pue !== undefined && region.pue !== null && (!isNumber(region.pue) || region.pue < 1)) {
+    errors.push("pue must be a number >= 1 or null");
+  }
+  if (!isNonEmptyString(region.geoGroup)) {
+    errors.push("geoGroup must be a non-empty string");
+  }
+  if (region.coordinates !== undefined && region.coordinates !== null) {
+    const { lat, lon } = region.coordinates;
+    if (!isNumber(lat) || lat < -90 || lat > 90 || !isNumber(lon) || lon < -180 || lon > 180) {
+      errors.push("coordinates must be { lat: -90..90, lon: -180..180 }");
+    }
+  }
+  if (region.enabled !== undefined && typeof region.enabled !== "boolean") {
+    errors.push("enabled must be a boolean");
+  }
+
+  return errors;
+}
+
+function normalizeRegion(region) {
+  return {
+    id: region.id,
+    label: region.label.trim(),
+    cloud: region.cloud || "civo",
+    country: region.country || null,
+    zone: region.zone || null,
+    wattTimeRegion: region.wattTimeRegion || null,
+    defaultCarbonIntensity: region.defaultCarbonIntensity,
+    baseCost: region.baseCost,
+    pue: region.pue || null,
+    geoGroup: region.geoGroup,
+    coordinates: region.coordinates || null,
+    enabled: region.enabled !== false,
+  };
+}
+
+// Read and validate the seed file. Throws on any invalid entry so a broken
+// config fails at startup rather than producing odd plans later.
+function loadRegionsConfig(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const regions = Array.isArray(parsed) ? parsed : parsed.regions;
+  if (!Array.isArray(regions)) {
+    throw new Error(`${filePath}: expected an array of regions or { "regions": [...] }`);
+  }
+
+  const seen = new Set();
+  const problems = [];
+  regions.forEach((r, idx) => {
+    validateRegion(r).forEach((e) => problems.push(`regions[${idx}]: ${e}`));
+    if (r && seen.has(r.id)) problems.push(`regions[${idx}]: duplicate id ${r.id}`);
+    if (r) seen.add(r.id);
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid region config ${filePath}:\n  ${problems.join("\n  ")}`);
+  }
+
+  return regions.map(normalizeRegion);
+}
+
+// -------------------- Catalog --------------------
+
+function createRegionCatalog({ store, configFile }) {
+  let regions = [];
+
+  async function init() {
+    regions = await store.list(COLLECTION);
+    if (regions.length === 0) {
+      const seed = loadRegionsConfig(configFile);
+      for (const r of seed) {
+        await store.insert(COLLECTION, r);
+      }
+      regions = await store.list(COLLECTION);
+      console.log(`🗺️  Seeded region catalog with ${regions.length} regions from ${configFile}.`);
+      return;
+    }
+    await reconcile();
+  }
+
+  // Fills fields stored regions lack from the config file and reports where
+  // the two disagree. The store wins: it holds the /api/regions edits.
+  async function reconcile() {
+    if (!fs.existsSync(configFile)) return;
+    let configured;
+    try {
+      configured = loadRegionsConfig(configFile);
+    } catch (err) {
+      console.warn(`⚠️  Ignoring region config: ${err.message}`);
+      return;
+    }
+
+    const filled = [];
+    const differing = [];
+    const missing = [];
+    for (const fromConfig of configured) {
+      const stored = get(fromConfig.id);
+      if (!stored) {
+        missing.push(fromConfig.id);
+        continue;
+      }
+      const additions = {};
+      Object.entries(fromConfig).forEach(([key, value]) => {
+        if (stored[key] === undefined) {
+          additions[key] = value;
+        } else if (JSON.stringify(stored[key]) !== JSON.stringify(value)) {
+          differing.push(`${fromConfig.id}.${key}`);
+        }
+      });
+      if (Object.keys(additions).length > 0) {
+        await store.update(COLLECTION, stored.id, additions);
+        filled.push(`${stored.id} (${Object.keys(additions).join(", ")})`);
+      }
+    }
+    regions = await store.list(COLLECTION);
+
+    if (filled.length > 0) {
+      console.log(`🗺️  Filled region fields from ${configFile}: ${filled.join(", ")}.`);
+    }
+    if (differing.length > 0 || missing.length > 0) {
+      const problems = [
+        ...(differing.length > 0 ? [`values differ for ${differing.join(", ")}`] : []),
+        ...(missing.length > 0 ? [`regions not in the catalog: ${missing.join(", ")}`] : []),
+      ];
+      console.warn(
+        `⚠️  ${configFile} no longer matches the region catalog (${problems.join("; ")}). The catalog is kept; change regions through /api/regions.`
+      );
+    }
+  }
+
+  function list({ includeDisabled = false } = {}) {
+    return includeDisabled ? regions : regions.filter((r) => r.enabled);
+  }
+
+  function get(id) {
+    return regions.find((r) => r.id === id) || null;
+  }
+
+  async function create(input) {
+    const errors = validateRegion(input);
+    if (errors.length > 0) {
+      throw new CatalogError("Invalid region.", 400, errors);
+    }
+    if (get(input.id)) {
+      throw new CatalogError(`Region ${input.id} already exists.`, 409);
+    }
+    const created = await store.insert(COLLECTION, normalizeRegion(input));
+    regions = await store.list(COLLECTION);
+    return created;
+  }
+
+  // Merges the patch into the existing region; the id cannot change.
+  async function update(id, patch) {
+    const existing = get(id);
+    if (!existing) {
+      throw new CatalogError(`Region ${id} not found.`, 404);
+    }
+    const merged = { ...existing, ...patch, id };
+    const errors = validateRegion(merged);
+    if (errors.length > 0) {
+      throw new CatalogError("Invalid region.", 400, errors);
+    }
+    const updated = await store.update(COLLECTION, id, normalizeRegion(merged));
+    regions = await store.list(COLLECTION);
+    return updated;
+  }
+
+  // Records that still point at region `id`: running deployments, budgets
+  // and migrations that are open or being applied, as "<kind> <id>"
+  async function referencesTo(id) {
+    const [deployments, budgets, migrations] = await Promise.all([
+      store.list("deployments"),
+      store.list("budgets"),
+      store.list("migrationRecommendations"),
+    ]);
+    return [
+      ...deployments
+        .filter((d) => !d.endedAt && d.region === id)
+        .map((d) => `deployment ${d.id}`),
+      ...budgets.filter((b) => b.region === id).map((b) => `budget ${b.id}`),
+      ...migrations
+        .filter(
+          (m) =>
+            ["open", "applying"].includes(m.status) && (m.fromRegion === id || m.toRegion === id)
+        )
+        .map((m) => `migration ${m.id}`),
+    ];
+  }
+
+  // Refuses while anything references the region; `references` adds what
+  // lives outside the store (e.g. a configured cluster). Disabling the
+  // region is the way to retire it while records still need it.
+  async function remove(id, { references = [] } = {}) {
+    if (!get(id)) {
+      throw new CatalogError(`Region ${id} not found.`, 404);
+    }
+    const inUse = [...references, ...(await referencesTo(id))];
+    if (inUse.length > 0) {
+      throw new CatalogError(
+        `Region ${id} is still in use. Set "enabled": false to retire it instead.`,
+        409,
+        inUse
+      );
+    }
+    await store.remove(COLLECTION, id);
+    regions = await store.list(COLLECTION);
+  }
+
+  return { init, list, get, create, update, remove };
+}
+
+module.exports = {
+  REGION_ID_PATTERN,
+  CatalogError,
+  validateRegion,
+  loadRegionsConfig,
+  createRegionCatalog,
+};
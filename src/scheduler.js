@@ -0,0 +1,101 @@
+// src/scheduler.js
+// Carbon-aware scheduling: given an hourly intensity forecast for a zone,
+// find the start time that minimizes the average gCO2eq/kWh over a job's
+// duration while still finishing before its deadline.
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Upper bound on how far ahead we build flat fallback forecasts (hours).
+const MAX_FORECAST_HORIZON_HOURS = 7 * 24;
+
+// Flat forecast used when no live forecast is available: one point per hour
+// from the start of the current hour up to `until`.
+function flatForecast(value, from, until) {
+  const points = [];
+  const start = new Date(from);
+  start.setUTCMinutes(0, 0, 0);
+  const limit = Math.min(
+    until.getTime(),
+    start.getTime() + MAX_FORECAST_HORIZON_HOURS * MS_PER_HOUR
+  );
+  for (let t = start.getTime(); t < limit; t += MS_PER_HOUR) {
+    points.push({ datetime: new Date(t).toISOString(), carbonIntensity: value });
+  }
+  return points;
+}
+
+// Forecast points are treated as piecewise-constant: each value holds until
+// the next point (the last one holds for one hour).
+function toSegments(forecast) {
+  const sorted = forecast
+    .map((p) => ({ t: new Date(p.datetime).getTime(), value: p.carbonIntensity }))
+    .filter((p) => !Number.isNaN(p.t) && typeof p.value === "number")
+    .sort((a, b) => a.t - b.t);
+
+  return sorted.map((p, idx) => ({
+    start: p.t,
+    end: idx + 1 < sorted.length ? sorted[idx + 1].t : p.t + MS_PER_HOUR,
+    value: p.value,
+  }));
+}
+
+// Time-weighted average intensity over [start, end). Returns null when the
+// forecast does not cover the whole interval.
+function averageIntensity(segments, start, end) {
+  if (!segments.length) return null;
+  if (start < segments[0].start || end > segments[segments.length - 1].end) {
+    return null;
+  }
+
+  let weighted = 0;
+  segments.forEach((s) => {
+    const lo = Math.max(s.start, start);
+    const hi = Math.min(s.end, end);
+    if (hi > lo) weighted += s.value * (hi - lo);
+  });
+  return weighted / (end - start);
+}
+
+// Find the lowest-carbon window of `durationHours` that starts no earlier than
+// `now` and ends no later than `deadline`.
+// Candidate starts are `now` plus every forecast point boundary after it.
+function findBestWindow(forecast, durationHours, deadline, now = new Date()) {
+  const segments = toSegments(forecast);
+  const durationMs = durationHours * MS_PER_HOUR;
+  const nowMs = now.getTime();
+  const latestStart = deadline.getTime() - durationMs;
+
+  const runNowAvg = averageIntensity(segments, nowMs, nowMs + durationMs);
+
+  const candidates = [nowMs, ...segments.map((s) => s.start).filter((t) => t > nowMs)];
+
+  let best = null;
+  candidates
+    .filter((t) => t <= latestStart)
+    .forEach((t) => {
+      const avg = averageIntensity(segments, t, t + durationMs);
+      if (avg === null) return;
+      if (!best || avg < best.avg) {
+        best = { start: t, avg };
+      }
+    });
+
+  if (!best) {
+    return { runNow: runNowAvg, best: null };
+  }
+
+  return {
+    runNow: runNowAvg,
+    best: {
+      start: new Date(best.start).toISOString(),
+      end: new Date(best.start + durationMs).toISOString(),
+      avgCarbonIntensity: best.avg,
+    },
+  };
+}
+
+module.exports = {
+  MAX_FORECAST_HORIZON_HOURS,
+  flatForecast,
+  findBestWindow,
+};
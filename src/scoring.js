@@ -0,0 +1,111 @@
+// src/scoring.js
+// Region scoring shared by /api/plan and the migration advisor: min-max
+// normalization of raw values and the CO₂/latency/cost weights of each
+// strategy.
+
+function normalizeScores(values, invert = false) {
+  if (!values.length) return [];
+  let v = [...values];
+  if (invert) {
+    v = v.map((x) => -x); // lower input -> higher score
+  }
+  const min = Math.min(...v);
+  const max = Math.max(...v);
+  if (max === min) {
+    // all equal, give neutral scores
+    return v.map(() => 0.7);
+  }
+  return v.map((x) => (x - min) / (max - min));
+}
+
+// adjust weights based on strategy + latencyTolerance, and renormalize to 1.
+// "custom" uses the caller's weights as-is (only renormalized).
+function getWeights(strategy, latencyTolerance, customWeights) {
+  let wCo2, wLat, wCost;
+
+  if (strategy === "custom" && customWeights) {
+    const sum = customWeights.co2 + customWeights.latency + customWeights.cost;
+    return {
+      co2: customWeights.co2 / sum,
+      latency: customWeights.latency / sum,
+      cost: customWeights.cost / sum,
+    };
+  }
+
+  switch (strategy) {
+    case "max-green":
+      wCo2 = 0.6;
+      wLat = 0.25;
+      wCost = 0.15;
+      break;
+    case "budget":
+      wCo2 = 0.15;
+      wLat = 0.25;
+      wCost = 0.6;
+      break;
+    case "balanced":
+    default:
+      wCo2 = 0.34;
+      wLat = 0.33;
+      wCost = 0.33;
+      break;
+  }
+
+  if (latencyTolerance === "strict") {
+    wLat *= 1.2;
+    wCo2 *= 0.9;
+    wCost *= 0.9;
+  } else if (latencyTolerance === "relaxed") {
+    wLat *= 0.7;
+    wCo2 *= 1.1;
+    wCost *= 1.1;
+  }
+
+  const sum = wCo2 + wLat + wCost;
+  return {
+    co2: wCo2 / sum,
+    latency: wLat / sum,
+    cost: wCost / sum,
+  };
+}
+
+const STRATEGY_IDS = ["balanced", "max-green", "budget", "custom"];
+const LATENCY_TOLERANCES = ["strict", "balanced", "relaxed"];
+
+// Validate user-supplied { co2, latency, cost } weights; throws on bad input.
+function parseCustomWeights(weights) {
+  if (weights === undefined || weights === null) return null;
+  const keys = ["co2", "latency", "cost"];
+  if (typeof weights !== "object" || Array.isArray(weights)) {
+    throw new Error("weights must be an object like { co2, latency, cost }.");
+  }
+  const unknown = Object.keys(weights).filter((k) => !keys.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown weight(s): ${unknown.join(", ")}. Use co2, latency and cost.`);
+  }
+  const parsed = {};
+  keys.forEach((k) => {
+    const v = weights[k] === undefined ? 0 : weights[k];
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) {
+      throw new Error(`weights.${k} must be a finite number >= 0.`);
+    }
+    parsed[k] = v;
+  });
+  const total = parsed.co2 + parsed.latency + parsed.cost;
+  if (total === 0) {
+    throw new Error("At least one weight must be greater than 0.");
+  }
+  // Weights are normalized by their sum, which must stay finite too
+  if (!Number.isFinite(total)) {
+    throw new Error("weights are too large; use relative values such as { co2: 2, cost: 1 }.");
+  }
+  return parsed;
+}
+
+module.exports = {
+  STRATEGY_IDS,
+  LATENCY_TOLERANCES,
+  normalizeScores,
+  getWeights,
+  parseCustomWeights,
+};
@@ -1,10 +1,93 @@
 // src/server.js
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
-const fs = require("fs");
-const os = require("os");
 const path = require("path");
-const { exec } = require("child_process");
+const { createStore } = require("./storage");
+const { CatalogError, createRegionCatalog } = require("./regions");
+const {
+  parseUserLocations,
+  latencyScoreFromMs,
+  createLatencyModel,
+} = require("./latency");
+const { parseConstraints, checkRegion } = require("./constraints");
+const { paretoFrontier, paretoFrontierIds, rankRegions } = require("./ranking");
+const {
+  STRATEGY_IDS,
+  normalizeScores,
+  getWeights,
+  parseCustomWeights,
+} = require("./scoring");
+const { parseComponents, requiredSecrets } = require("./components");
+const {
+  generateKubernetesYaml,
+  retargetManifests,
+  validateManifests,
+} = require("./manifests");
+const {
+  INSTANCE_CLASSES,
+  DEFAULT_INSTANCE_CLASS,
+  isRuntime,
+  isWorkload,
+  sizeComponents,
+  defaultComponents,
+  estimateFootprint,
+} = require("./sizing");
+const {
+  PLACEMENT_MODES,
+  MIN_REGION_COUNT,
+  MAX_REGION_COUNT,
+  buildPlacement,
+} = require("./placement");
+const { parseWindow, isActiveInWindow, integrateEmissions } = require("./accounting");
+const { MAX_FORECAST_HORIZON_HOURS, findBestWindow } = require("./scheduler");
+const { createCarbonService, createProvider, createHttpClient } = require("./carbon");
+const { EXPORT_FORMATS, ExportError, exportPlan } = require("./export");
+const { KUBECTL_MODES, KubectlError, createKubectl } = require("./kubectl");
+const { KubeApiError } = require("./kube");
+const { createClusterRegistry } = require("./clusters");
+const { JOB_STATUSES, createJobQueue } = require("./jobs");
+const { ROLES, loadApiKeys, hasRole, attributionOf, createAuth } = require("./auth");
+const { createRateLimiter } = require("./ratelimit");
+const {
+  DEFAULT_PROJECT_ID,
+  ProjectError,
+  canAccessProject,
+  projectOf,
+  createProjectRegistry,
+} = require("./projects");
+const {
+  SAVED_PLAN_FIELDS,
+  PlanError,
+  parseVersion,
+  planLabelFor,
+  deployFieldsFrom,
+  diffVersions,
+  deploymentsOf,
+  createSavedPlans,
+} = require("./plans");
+const { BudgetError, canSeeBudget, createBudgets } = require("./budgets");
+const { loadWebhooksConfig, createNotifier } = require("./webhooks");
+const {
+  loadPolicies,
+  policySubject,
+  policyStatus,
+  createPolicyEngine,
+} = require("./policies");
+const {
+  RECOMMENDATION_STATUSES,
+  parsePlacementPolicy,
+  energyInRegion,
+  createMigrationAdvisor,
+} = require("./advisor");
+const {
+  TEARDOWN_RESOURCES,
+  VOLUME_RESOURCES,
+  createDeploymentLog,
+  workloadsOf,
+  planLabelOf,
+  selectorLabelOf,
+} = require("./deployments");
 
 // -------------------- Config --------------------
 
@@ -12,401 +95,499 @@ const app = express();
 const PORT = process.env.PORT || 4000;
 
 const ELECTRICITYMAPS_API_KEY = process.env.ELECTRICITYMAPS_API_KEY || "";
-const ELECTRICITYMAPS_API_BASE_URL = "https://api.electricitymaps.com/v3";
+const ELECTRICITYMAPS_API_BASE_URL =
+  process.env.ELECTRICITYMAPS_API_BASE_URL || "https://api.electricitymaps.com/v3";
+
+// Carbon-intensity providers: "electricitymaps" (average), "watttime"
+// (marginal) or "static-file" (CSV/JSON of hourly values).
+// The optional secondary provider is reported next to the primary in each
+// plan so average vs. marginal signals can be compared; only the primary is
+// used for scoring.
+const CARBON_PROVIDER = process.env.CARBON_PROVIDER || "electricitymaps";
+const CARBON_SECONDARY_PROVIDER = process.env.CARBON_SECONDARY_PROVIDER || "";
+const WATTTIME_USERNAME = process.env.WATTTIME_USERNAME || "";
+const WATTTIME_PASSWORD = process.env.WATTTIME_PASSWORD || "";
+const WATTTIME_API_BASE_URL = process.env.WATTTIME_API_BASE_URL || "https://api.watttime.org";
+const CARBON_STATIC_FILE = process.env.CARBON_STATIC_FILE || "";
+
+// Carbon-intensity lookups: cache TTLs, per-request timeout, retry/backoff
+// and max concurrent upstream requests
+const CARBON_CACHE_TTL_SECONDS = parseFloat(process.env.CARBON_CACHE_TTL_SECONDS || "300");
+const CARBON_FORECAST_CACHE_TTL_SECONDS = parseFloat(
+  process.env.CARBON_FORECAST_CACHE_TTL_SECONDS || "1800"
+);
+const CARBON_CACHE_MAX_STALE_SECONDS = parseFloat(
+  process.env.CARBON_CACHE_MAX_STALE_SECONDS || "21600"
+);
+const CARBON_FETCH_TIMEOUT_MS = parseInt(process.env.CARBON_FETCH_TIMEOUT_MS || "3000", 10);
+const CARBON_FETCH_RETRIES = parseInt(process.env.CARBON_FETCH_RETRIES || "2", 10);
+const CARBON_FETCH_BACKOFF_MS = parseInt(process.env.CARBON_FETCH_BACKOFF_MS || "250", 10);
+const CARBON_MAX_CONCURRENT_REQUESTS = parseInt(
+  process.env.CARBON_MAX_CONCURRENT_REQUESTS || "4",
+  10
+);
 
 // For deployment to CIVO via kubectl
-// You MUST have kubectl configured locally with context pointing to your CIVO cluster.
+// Each region deploys to the cluster mapped to it in CLUSTERS_CONFIG_FILE
+// (kubeconfig context or kubeconfig file); see src/clusters.js.
 const ENABLE_CIVO_DEPLOY = process.env.ENABLE_CIVO_DEPLOY === "true";
-const KUBECTL_CONTEXT = process.env.KUBECTL_CONTEXT || ""; // optional
+const CLUSTERS_CONFIG_FILE =
+  process.env.CLUSTERS_CONFIG_FILE || path.join(__dirname, "..", "config", "clusters.json");
+// How long /api/health reuses the last cluster reachability check
+const CLUSTER_HEALTH_TTL_SECONDS = parseFloat(process.env.CLUSTER_HEALTH_TTL_SECONDS || "30");
+// How clusters are reached unless their entry sets "client": "kubectl"
+// (spawn the kubectl binary) or "api" (call the Kubernetes API from Node)
+const KUBE_CLIENT = process.env.KUBE_CLIENT || "kubectl";
+// kubectl binary (resolved on PATH) and how long one invocation may take
+const KUBECTL_BIN = process.env.KUBECTL_BIN || "kubectl";
+const KUBECTL_TIMEOUT_SECONDS = parseFloat(process.env.KUBECTL_TIMEOUT_SECONDS || "120");
+// How long async deploy jobs wait for `kubectl rollout status`
+const KUBECTL_ROLLOUT_TIMEOUT_SECONDS = parseInt(
+  process.env.KUBECTL_ROLLOUT_TIMEOUT_SECONDS || "300",
+  10
+);
+// kubectl jobs running at once per cluster, and finished jobs kept
+const DEPLOY_JOB_CONCURRENCY = parseInt(process.env.DEPLOY_JOB_CONCURRENCY || "1", 10);
+const DEPLOY_JOB_HISTORY = parseInt(process.env.DEPLOY_JOB_HISTORY || "100", 10);
+
+// Seed file for the region catalog (only read when the store has no regions)
+const REGIONS_CONFIG_FILE =
+  process.env.REGIONS_CONFIG_FILE || path.join(__dirname, "..", "config", "regions.json");
+
+// Optional measured RTT matrix overriding the coordinate-based latency model
+const LATENCY_MATRIX_FILE = process.env.LATENCY_MATRIX_FILE || "";
+
+// Traffic-weighted p50 (ms) a region may have for /api/schedule to recommend
+// it with the "balanced" latency tolerance
+const SCHEDULE_MAX_LATENCY_MS = parseFloat(process.env.SCHEDULE_MAX_LATENCY_MS || "100");
+
+// Migration advisor: how often active deployments are re-scored (0 turns it
+// off) and how much higher another region's overall score (0..1) must be
+const MIGRATION_ADVISOR_INTERVAL_MINUTES = parseFloat(
+  process.env.MIGRATION_ADVISOR_INTERVAL_MINUTES || "30"
+);
+const MIGRATION_SCORE_MARGIN = parseFloat(process.env.MIGRATION_SCORE_MARGIN || "0.1");
+
+// Saved plans (src/plans.js): days a plan is kept after its last version,
+// unless a running deployment uses it (0 keeps them forever), and whether
+// /api/deploy only accepts saved plans
+const SAVED_PLAN_RETENTION_DAYS = parseFloat(process.env.SAVED_PLAN_RETENTION_DAYS || "30");
+const REQUIRE_SAVED_PLANS = process.env.REQUIRE_SAVED_PLANS === "true";
+
+// Budgets (src/budgets.js): how often they are checked for notifications
+// (0 turns the timer off; deploys still trigger a check)
+const BUDGET_CHECK_INTERVAL_MINUTES = parseFloat(
+  process.env.BUDGET_CHECK_INTERVAL_MINUTES || "15"
+);
+
+// Webhooks budget notifications go to (src/webhooks.js)
+const WEBHOOKS_CONFIG_FILE =
+  process.env.WEBHOOKS_CONFIG_FILE || path.join(__dirname, "..", "config", "webhooks.json");
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "5000", 10);
+const WEBHOOK_RETRIES = parseInt(process.env.WEBHOOK_RETRIES || "2", 10);
+
+// Policy-as-code rules /api/plan, /api/deploy and migrations are checked
+// against (src/policies.js)
+const POLICIES_FILE =
+  process.env.POLICIES_FILE || path.join(__dirname, "..", "config", "policies.yaml");
 
 // Currency conversion (approx, for estimation only)
 const USD_TO_INR = parseFloat(process.env.USD_TO_INR || "85.0");
 
-// Allow frontend on any origin (for dev + demo)
-app.use(
-  cors({
-    origin: "*",
-  })
+// Authentication (src/auth.js): hashed API keys, HS256 JWTs, and the role of
+// callers without credentials (none by default)
+const API_KEYS_FILE =
+  process.env.API_KEYS_FILE || path.join(__dirname, "..", "config", "api-keys.json");
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || "";
+const AUTH_JWT_ISSUER = process.env.AUTH_JWT_ISSUER || "";
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE || "";
+const AUTH_ANONYMOUS_ROLE = process.env.AUTH_ANONYMOUS_ROLE || "";
+// Requests per minute per API key / JWT subject (keys can override), and per
+// IP for callers without credentials; 0 turns limiting off
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || "120", 10);
+const ANONYMOUS_RATE_LIMIT_PER_MINUTE = parseInt(
+  process.env.ANONYMOUS_RATE_LIMIT_PER_MINUTE || "30",
+  10
 );
 
-app.use(express.json());
+// Browser origins allowed to call the API, comma-separated ("*" for any).
+// Unset: any origin, as before the allowlist existed, with a warning at
+// startup until it is set.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+// Behind a load balancer, so per-IP limits see the client's address: a hop
+// count, "true", or trusted subnets (Express "trust proxy")
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+
+// -------------------- Authentication --------------------
+if (AUTH_ANONYMOUS_ROLE && !ROLES.includes(AUTH_ANONYMOUS_ROLE)) {
+  console.error(`❌ AUTH_ANONYMOUS_ROLE must be one of: ${ROLES.join(", ")}.`);
+  process.exit(1);
+}
 
-if (!ELECTRICITYMAPS_API_KEY) {
-  console.warn(
-    "⚠️  ELECTRICITYMAPS_API_KEY not set. Falling back to static carbon intensities."
-  );
+let auth;
+try {
+  auth = createAuth({
+    apiKeys: loadApiKeys(API_KEYS_FILE),
+    jwtSecret: AUTH_JWT_SECRET,
+    jwtIssuer: AUTH_JWT_ISSUER,
+    jwtAudience: AUTH_JWT_AUDIENCE,
+    anonymousRole: AUTH_ANONYMOUS_ROLE || null,
+  });
+} catch (err) {
+  console.error("❌ Failed to load API keys:", err.message);
+  process.exit(1);
 }
 
-if (!ENABLE_CIVO_DEPLOY) {
+if (!auth.enabled) {
+  // Anyone who can reach the port could run kubectl against the clusters
+  if (ENABLE_CIVO_DEPLOY) {
+    console.error(
+      `❌ ENABLE_CIVO_DEPLOY needs authentication: add API keys to ${API_KEYS_FILE} or set AUTH_JWT_SECRET.`
+    );
+    process.exit(1);
+  }
   console.warn(
-    '⚠️  ENABLE_CIVO_DEPLOY is not "true". /api/deploy will run in DRY-RUN mode (no kubectl apply).'
+    "⚠️  No API keys or AUTH_JWT_SECRET configured. Authentication is OFF: every caller is an admin."
   );
 }
 
-// -------------------- Region metadata (CIVO-style) --------------------
-// defaultCarbonIntensity: fallback in gCO2eq/kWh if API fails or no key
-// baseCost: APPROX hourly cost per replica in USD (for cost estimation)
-// geoGroup: used to approximate latency vs userRegion
-
-const REGIONS = [
-  {
-    id: "LON1",
-    label: "London, UK",
-    defaultCarbonIntensity: 260,
-    baseCost: 0.24,
-    geoGroup: "eu",
-  },
-  {
-    id: "FRA1",
-    label: "Frankfurt, Germany",
-    defaultCarbonIntensity: 210,
-    baseCost: 0.26,
-    geoGroup: "eu",
-  },
-  {
-    id: "NYC1",
-    label: "New York, USA",
-    defaultCarbonIntensity: 390,
-    baseCost: 0.23,
-    geoGroup: "us-east",
-  },
-  {
-    id: "SFO1",
-    label: "San Francisco, USA",
-    defaultCarbonIntensity: 380,
-    baseCost: 0.27,
-    geoGroup: "us-west",
-  },
-  {
-    id: "BLR1",
-    label: "Bengaluru, India",
-    defaultCarbonIntensity: 650,
-    baseCost: 0.18,
-    geoGroup: "ap-south",
-  },
-  {
-    id: "SGP1",
-    label: "Singapore",
-    defaultCarbonIntensity: 510,
-    baseCost: 0.21,
-    geoGroup: "ap-southeast",
-  },
-];
-
-// Map our pseudo CIVO regions → Electricity Maps zone codes
-// Docs: /v3/carbon-intensity/latest?zone=ZONE_ID with auth-token header
-const REGION_ZONE_MAP = {
-  LON1: { zone: "GB" },           // UK
-  FRA1: { zone: "DE" },           // Germany
-  NYC1: { zone: "US-NY-NYIS" },   // New York ISO
-  SFO1: { zone: "US-CAL-CISO" },  // California ISO
-  BLR1: { zone: "IN" },           // Mainland India (proxy for Bengaluru)
-  SGP1: { zone: "SG" },           // Singapore
-};
-
-// -------------------- Simple in-memory analytics store --------------------
-// We record each deployment here when /api/deploy is called.
-const DEPLOYMENTS_HISTORY = [];
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === "true" || TRUST_PROXY
+  );
+}
 
-// -------------------- Helper functions --------------------
+const { requireRole } = auth;
+// EventSource cannot send headers, so job streams also take ?access_token=
+const authenticateStream = auth.authenticate({ allowQueryToken: true });
+const rateLimiter = createRateLimiter({
+  defaultPerMinute: RATE_LIMIT_PER_MINUTE,
+  anonymousPerMinute: auth.enabled ? ANONYMOUS_RATE_LIMIT_PER_MINUTE : RATE_LIMIT_PER_MINUTE,
+});
 
-function normalizeScores(values, invert = false) {
-  if (!values.length) return [];
-  let v = [...values];
-  if (invert) {
-    v = v.map((x) => -x); // lower input -> higher score
-  }
-  const min = Math.min(...v);
-  const max = Math.max(...v);
-  if (max === min) {
-    // all equal, give neutral scores
-    return v.map(() => 0.7);
-  }
-  return v.map((x) => (x - min) / (max - min));
+if (CORS_ORIGINS.length === 0) {
+  console.warn(
+    "⚠️  CORS_ORIGINS is not set, so any origin may call the API. Set it to your Studio origin(s); a later release will refuse cross-origin calls without it."
+  );
 }
 
-function latencyBaseScore(userRegion, region) {
-  // Very rough approximation: higher score = closer = lower latency
-  const map = {
-    "ap-south": "ap-south",
-    "eu-west": "eu",
-    "us-east": "us-east",
-    "us-west": "us-west",
-    global: "global",
-  };
-
-  const target = map[userRegion] || "global";
+app.use(
+  cors({
+    origin: CORS_ORIGINS.length === 0 || CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS,
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "Last-Event-ID"],
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"],
+  })
+);
 
-  if (target === "global") {
-    // global workload: everyone is "medium"
-    return 0.6;
-  }
+app.use(express.json());
+app.use(auth.authenticate());
+// Health checks come from probes and load balancers, not API callers
+app.use((req, res, next) =>
+  req.path === "/api/health" ? next() : rateLimiter.middleware(req, res, next)
+);
 
-  if (target === "ap-south") {
-    if (region.geoGroup === "ap-south") return 1.0;
-    if (region.geoGroup === "ap-southeast") return 0.85;
-    if (region.geoGroup === "eu") return 0.6;
-    if (region.geoGroup.startsWith("us")) return 0.45;
-  }
+if (!ENABLE_CIVO_DEPLOY) {
+  console.warn(
+    '⚠️  ENABLE_CIVO_DEPLOY is not "true". /api/deploy will run in DRY-RUN mode (no kubectl apply).'
+  );
+}
 
-  if (target === "eu") {
-    if (region.geoGroup === "eu") return 1.0;
-    if (region.geoGroup === "us-east") return 0.8;
-    if (region.geoGroup === "us-west") return 0.7;
-    if (region.geoGroup.startsWith("ap")) return 0.55;
-  }
+// -------------------- Carbon-intensity service --------------------
+const carbonProviderConfig = {
+  electricityMapsApiKey: ELECTRICITYMAPS_API_KEY,
+  electricityMapsBaseUrl: ELECTRICITYMAPS_API_BASE_URL,
+  wattTimeUsername: WATTTIME_USERNAME,
+  wattTimePassword: WATTTIME_PASSWORD,
+  wattTimeBaseUrl: WATTTIME_API_BASE_URL,
+  staticFile: CARBON_STATIC_FILE,
+};
 
-  if (target === "us-east") {
-    if (region.geoGroup === "us-east") return 1.0;
-    if (region.geoGroup === "eu") return 0.8;
-    if (region.geoGroup === "us-west") return 0.75;
-    if (region.geoGroup.startsWith("ap")) return 0.5;
-  }
+// Each provider gets its own HTTP client, so one upstream's 429 cool-down
+// and concurrency slots never hold up the other's lookups
+function createCarbonServiceFor(providerName) {
+  const http = createHttpClient({
+    timeoutMs: CARBON_FETCH_TIMEOUT_MS,
+    retries: CARBON_FETCH_RETRIES,
+    backoffMs: CARBON_FETCH_BACKOFF_MS,
+    maxConcurrent: CARBON_MAX_CONCURRENT_REQUESTS,
+  });
+  return createCarbonService({
+    provider: createProvider(providerName, carbonProviderConfig, http),
+    zoneFor: (region, provider) => region[provider.zoneKey],
+    ttlMs: CARBON_CACHE_TTL_SECONDS * 1000,
+    forecastTtlMs: CARBON_FORECAST_CACHE_TTL_SECONDS * 1000,
+    maxStaleMs: CARBON_CACHE_MAX_STALE_SECONDS * 1000,
+  });
+}
 
-  if (target === "us-west") {
-    if (region.geoGroup === "us-west") return 1.0;
-    if (region.geoGroup === "us-east") return 0.8;
-    if (region.geoGroup === "ap-southeast") return 0.7;
-    if (region.geoGroup === "eu") return 0.6;
-    if (region.geoGroup === "ap-south") return 0.5;
-  }
+const carbon = createCarbonServiceFor(CARBON_PROVIDER);
+const secondaryCarbon = CARBON_SECONDARY_PROVIDER
+  ? createCarbonServiceFor(CARBON_SECONDARY_PROVIDER)
+  : null;
+const { getCarbonIntensityForRegion, getCarbonForecastForRegion } = carbon;
 
-  return 0.6;
+if (!carbon.provider.configured) {
+  console.warn(
+    `⚠️  Carbon provider "${CARBON_PROVIDER}" is not configured. Falling back to static carbon intensities.`
+  );
 }
 
-// adjust weights based on strategy + latencyTolerance, and renormalize to 1
-function getWeights(strategy, latencyTolerance) {
-  let wCo2, wLat, wCost;
-
-  switch (strategy) {
-    case "max-green":
-      wCo2 = 0.6;
-      wLat = 0.25;
-      wCost = 0.15;
-      break;
-    case "budget":
-      wCo2 = 0.15;
-      wLat = 0.25;
-      wCost = 0.6;
-      break;
-    case "balanced":
-    default:
-      wCo2 = 0.34;
-      wLat = 0.33;
-      wCost = 0.33;
-      break;
-  }
-
-  if (latencyTolerance === "strict") {
-    wLat *= 1.2;
-    wCo2 *= 0.9;
-    wCost *= 0.9;
-  } else if (latencyTolerance === "relaxed") {
-    wLat *= 0.7;
-    wCo2 *= 1.1;
-    wCost *= 1.1;
-  }
-
-  const sum = wCo2 + wLat + wCost;
-  return {
-    co2: wCo2 / sum,
-    latency: wLat / sum,
-    cost: wCost / sum,
-  };
+// -------------------- Clusters and kubectl --------------------
+let clusterRegistry;
+try {
+  clusterRegistry = createClusterRegistry({
+    configFile: CLUSTERS_CONFIG_FILE,
+    binary: KUBECTL_BIN,
+    timeoutMs: KUBECTL_TIMEOUT_SECONDS * 1000,
+    defaultClient: KUBE_CLIENT,
+    healthTtlMs: CLUSTER_HEALTH_TTL_SECONDS * 1000,
+  });
+} catch (err) {
+  console.error("❌ Failed to load cluster config:", err.message);
+  process.exit(1);
 }
 
-function countRuntimeComponents(components) {
-  const runtimeTypes = new Set(["api-gateway", "frontend", "container", "function"]);
-  return components.filter((c) => runtimeTypes.has(c.type)).length;
+if (process.env.KUBECTL_CONTEXT) {
+  console.warn(
+    `⚠️  KUBECTL_CONTEXT is no longer used. Map each region to a context in ${CLUSTERS_CONFIG_FILE}.`
+  );
 }
 
-function calcReplicas(components, latencyTolerance) {
-  const runtimeCount = countRuntimeComponents(components);
-  let replicas = Math.max(1, Math.ceil(runtimeCount / 2));
-
-  if (latencyTolerance === "strict" && runtimeCount > 1) {
-    replicas += 1;
-  }
-
-  if (replicas > 4) replicas = 4;
-  return replicas;
+// Only renders commands for dry runs in regions without a cluster
+const previewKubectl = createKubectl({ binary: KUBECTL_BIN });
+
+// Client (kubectl or Kubernetes API) for the region's cluster. With
+// ENABLE_CIVO_DEPLOY, a region without one is refused with 409 (and null is
+// returned); dry runs fall back to previewKubectl, as they never run it.
+function kubeClientForRegion(res, region) {
+  const cluster = clusterRegistry.get(region);
+  if (cluster) return cluster.kube;
+  if (!ENABLE_CIVO_DEPLOY) return previewKubectl;
+  res.status(409).json({
+    error: `No cluster is configured for region ${region}. Add one to ${CLUSTERS_CONFIG_FILE}.`,
+    configuredRegions: clusterRegistry.list().map((c) => c.region),
+  });
+  return null;
 }
 
-function generateKubernetesYaml(planId, regionId, instanceClass, replicas, components) {
-  const runtimeTypes = new Set(["api-gateway", "frontend", "container", "function"]);
-  const runtimeComponents = components.filter((c) => runtimeTypes.has(c.type));
-
-  const lines = [];
-
-  // Namespace
-  lines.push(
-    "apiVersion: v1",
-    "kind: Namespace",
-    "metadata:",
-    "  name: greenops-app",
-    "  labels:",
-    "    greenops-plan: " + planId,
-    ""
-  );
+// Every kubectl call that touches a cluster runs as a job, so at most
+// DEPLOY_JOB_CONCURRENCY of them hit one cluster at a time
+const jobs = createJobQueue({
+  concurrencyPerKey: DEPLOY_JOB_CONCURRENCY,
+  maxFinishedJobs: DEPLOY_JOB_HISTORY,
+});
 
-  // If no runtime components, just return namespace
-  if (runtimeComponents.length === 0) {
-    return lines.join("\n");
-  }
-
-  // Deployment per runtime component
-  runtimeComponents.forEach((comp) => {
-    const safeName =
-      comp.name.toLowerCase().replace(/[^a-z0-9-]/g, "-") || "service";
-    lines.push(
-      "---",
-      "apiVersion: apps/v1",
-      "kind: Deployment",
-      "metadata:",
-      `  name: ${safeName}`,
-      "  namespace: greenops-app",
-      "  labels:",
-      `    app: ${safeName}`,
-      `    greenops-plan: ${planId}`,
-      "spec:",
-      `  replicas: ${replicas}`,
-      "  selector:",
-      "    matchLabels:",
-      `      app: ${safeName}`,
-      "  template:",
-      "    metadata:",
-      "      labels:",
-      `        app: ${safeName}`,
-      `        greenops-plan: ${planId}`,
-      "    spec:",
-      "      containers:",
-      "        - name: " + safeName,
-      "          image: your-docker-username/" + safeName + ":latest",
-      "          ports:",
-      "            - containerPort: 4000",
-      "          env:",
-      "            - name: GREENOPS_PLAN_ID",
-      "              value: \"" + planId + "\"",
-      "            - name: GREENOPS_REGION",
-      "              value: \"" + regionId + "\"",
-      "            - name: GREENOPS_INSTANCE_CLASS",
-      "              value: \"" + instanceClass + "\"",
-      ""
-    );
+// Queue `work(log)` behind other jobs for meta.region's cluster. `job` is the
+// queued job; `finished` resolves with { job, value, error } once it ends.
+// Job results leave out kubectl's stdout/stderr, which are already in the
+// job log.
+function queueKubectlJob(type, meta, work) {
+  let value;
+  let error = null;
+  const { job, done } = jobs.enqueue({
+    type,
+    key: meta.region,
+    meta,
+    run: async (log) => {
+      try {
+        value = await work(log);
+      } catch (err) {
+        error = err;
+        throw err;
+      }
+      const { stdout, stderr, ...result } = value || {};
+      return result;
+    },
   });
+  return { job, finished: done.then((finishedJob) => ({ job: finishedJob, value, error })) };
+}
 
-  // Service for API gateway or first runtime component
-  let gatewayName = null;
-  const apiGateway = runtimeComponents.find((c) => c.type === "api-gateway");
-  if (apiGateway) {
-    gatewayName = apiGateway.name.toLowerCase().replace(/[^a-z0-9-]/g, "-");
-  } else if (runtimeComponents.length > 0) {
-    gatewayName = runtimeComponents[0].name.toLowerCase().replace(/[^a-z0-9-]/g, "-");
-  }
-
-  if (gatewayName) {
-    lines.push(
-      "---",
-      "apiVersion: v1",
-      "kind: Service",
-      "metadata:",
-      "  name: " + gatewayName + "-svc",
-      "  namespace: greenops-app",
-      "spec:",
-      "  type: LoadBalancer",
-      "  selector:",
-      "    app: " + gatewayName,
-      "  ports:",
-      "    - name: http",
-      "      port: 80",
-      "      targetPort: 4000",
-      ""
-    );
-  }
-
-  return lines.join("\n");
+// 202 body for a queued job
+function jobAccepted(job) {
+  return {
+    status: "queued",
+    jobId: job.id,
+    job,
+    links: { job: `/api/jobs/${job.id}`, events: `/api/jobs/${job.id}/events` },
+  };
 }
 
-// Fetch live carbon intensity (gCO2eq/kWh) for a region using Electricity Maps
-async function getCarbonIntensityForRegion(region) {
-  const mapping = REGION_ZONE_MAP[region.id];
+// -------------------- Deployment history store --------------------
+// We record each deployment here once /api/deploy has applied it.
+// Driver is chosen by GREENOPS_STORE ("file" by default, "memory" for tests).
+const store = createStore();
+const deploymentLog = createDeploymentLog(store);
+
+// -------------------- Region catalog --------------------
+// Seeded from config/regions.json, then managed through /api/regions.
+// See src/regions.js for the region fields.
+const regionCatalog = createRegionCatalog({ store, configFile: REGIONS_CONFIG_FILE });
+
+// -------------------- Projects --------------------
+// Namespaces, default components and history per team; see src/projects.js.
+const projects = createProjectRegistry({ store });
+
+// -------------------- Saved plans --------------------
+// Every /api/plan response, versioned, with its inputs and carbon snapshot;
+// see src/plans.js.
+const savedPlans = createSavedPlans({ store, retentionDays: SAVED_PLAN_RETENTION_DAYS });
+
+// -------------------- Budgets and webhooks --------------------
+// Monthly kgCO2e / USD / INR budgets per project or region, checked on a
+// timer and after each deploy; warnings and breaches go to the webhooks in
+// WEBHOOKS_CONFIG_FILE.
+let notifier;
+try {
+  notifier = createNotifier({
+    webhooks: loadWebhooksConfig(WEBHOOKS_CONFIG_FILE),
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    retries: WEBHOOK_RETRIES,
+  });
+} catch (err) {
+  console.error("❌ Failed to load webhooks config:", err.message);
+  process.exit(1);
+}
 
-  // No key or no mapping => fallback to static default
-  if (!ELECTRICITYMAPS_API_KEY || !mapping) {
-    return {
-      value: region.defaultCarbonIntensity,
-      source: "fallback-static",
-    };
-  }
+const budgets = createBudgets({
+  store,
+  notifier,
+  projects,
+  regionCatalog,
+  usdToInr: USD_TO_INR,
+  intervalMs: BUDGET_CHECK_INTERVAL_MINUTES * 60 * 1000,
+});
 
-  const zone = mapping.zone;
-  const url = `${ELECTRICITYMAPS_API_BASE_URL}/carbon-intensity/latest?zone=${encodeURIComponent(
-    zone
-  )}`;
+// -------------------- Policies --------------------
+// Organisation rules over plans and their manifests: errors refuse deploys,
+// warnings are recorded with them.
+let policies;
+try {
+  policies = createPolicyEngine({ rules: loadPolicies(POLICIES_FILE) });
+} catch (err) {
+  console.error("❌ Failed to load policies:", err.message);
+  process.exit(1);
+}
 
-  try {
-    const resp = await fetch(url, {
-      headers: {
-        "auth-token": ELECTRICITYMAPS_API_KEY,
-      },
-    });
+// -------------------- Latency model --------------------
+// Great-circle distance → RTT, overridden by LATENCY_MATRIX_FILE where measured.
+let latencyModel;
+try {
+  latencyModel = createLatencyModel({ matrixFile: LATENCY_MATRIX_FILE });
+} catch (err) {
+  console.error("❌ Failed to load latency matrix:", err.message);
+  process.exit(1);
+}
 
-    if (!resp.ok) {
-      console.warn(
-        `⚠️  Electricity Maps API error for region ${region.id} / zone ${zone}:`,
-        resp.status,
-        await resp.text()
-      );
-      return {
-        value: region.defaultCarbonIntensity,
-        source: "fallback-static",
-      };
+// -------------------- Migration advisor --------------------
+// Re-scores active deployments on a timer; see src/advisor.js. New
+// recommendations for deployments flagged `movable` are applied right away.
+const ADVISOR_ATTRIBUTION = { type: "system", name: "migration-advisor", role: null };
+const advisor = createMigrationAdvisor({
+  store,
+  regionCatalog,
+  latencyModel,
+  getCarbonIntensityForRegion,
+  marginScore: MIGRATION_SCORE_MARGIN,
+  intervalMs: MIGRATION_ADVISOR_INTERVAL_MINUTES * 60 * 1000,
+  onRecommendation: async (recommendation) => {
+    if (!advisor.claim(recommendation)) return;
+    let prepared;
+    try {
+      prepared = await prepareMigration(recommendation);
+    } catch (err) {
+      advisor.release(recommendation.id);
+      throw err;
     }
-
-    const data = await resp.json();
-    // response contains carbonIntensity in gCO2eq/kWh
-    const ci = data.carbonIntensity;
-
-    if (typeof ci !== "number") {
+    if (prepared.error) {
       console.warn(
-        `⚠️  Electricity Maps returned no numeric carbonIntensity for ${region.id}, using fallback.`
+        `⚠️  Not moving deployment ${recommendation.deploymentId} automatically: ${prepared.error}`
       );
-      return {
-        value: region.defaultCarbonIntensity,
-        source: "fallback-static",
-      };
+      await advisor.resolve(recommendation.id, "failed", { error: prepared.error });
+      return;
     }
+    await startMigration(prepared, recommendation, ADVISOR_ATTRIBUTION);
+  },
+});
 
-    return {
-      value: ci,
-      source: "electricitymaps",
-    };
-  } catch (err) {
-    console.error(
-      `⚠️  Error calling Electricity Maps for ${region.id}:`,
-      err.message
-    );
-    return {
-      value: region.defaultCarbonIntensity,
-      source: "fallback-static",
-    };
+// -------------------- Helper functions --------------------
+// Scoring helpers (normalizeScores, getWeights) live in src/scoring.js.
+
+// Plan ids end up in labels, env values and file names
+const PLAN_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/;
+
+// The project a request names (the default project when `projectId` is
+// undefined). Answers 404/403 and returns null when it does not exist or is
+// outside the caller's projects.
+function projectForRequest(req, res, projectId = DEFAULT_PROJECT_ID) {
+  const project = typeof projectId === "string" ? projects.get(projectId) : null;
+  if (!project) {
+    res.status(404).json({
+      error: `Project ${projectId} not found. See /api/projects for available projects.`,
+    });
+    return null;
+  }
+  if (!canAccessProject(req.principal, project.id)) {
+    res.status(403).json({
+      error: `${req.principal.name} has no access to project ${project.id}.`,
+    });
+    return null;
   }
+  return project;
 }
 
-function execShellCommand(cmd) {
-  return new Promise((resolve, reject) => {
-    exec(cmd, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-      if (error) {
-        return reject({ error, stdout, stderr });
-      }
-      resolve({ stdout, stderr });
+function sendPlanError(res, err) {
+  if (err instanceof PlanError) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details,
     });
+  }
+  console.error("❌ Failed to read saved plans:", err.message);
+  return res.status(500).json({
+    error: "Failed to read saved plans.",
+    details: err.message,
   });
 }
 
+// A version of a saved plan the caller may see (the latest when `version`
+// is undefined). Answers 400/404 and returns null otherwise.
+async function loadSavedPlan(req, res, savedPlanId, version) {
+  try {
+    const wanted = version === undefined ? undefined : parseVersion(version);
+    const record =
+      typeof savedPlanId === "string" ? await savedPlans.get(savedPlanId, wanted) : null;
+    // Other projects' plans do not exist as far as the caller knows
+    if (!record || !canAccessProject(req.principal, record.projectId)) {
+      res.status(404).json({
+        error:
+          wanted === undefined
+            ? `Saved plan ${savedPlanId} not found.`
+            : `Saved plan ${savedPlanId} v${wanted} not found.`,
+      });
+      return null;
+    }
+    return record;
+  } catch (err) {
+    sendPlanError(res, err);
+    return null;
+  }
+}
+
+// Records (deployments, jobs, recommendations) the caller may see
+const visibleTo = (principal, projectIdOf) => (record) =>
+  canAccessProject(principal, projectIdOf(record));
+
 // -------------------- Routes --------------------
 
-app.get("/api/health", (req, res) => {
+app.get("/api/health", async (req, res) => {
+  // Cluster targets and storage paths are for admins only
+  const detailed = hasRole(req.principal, "admin");
+  const clusters = await clusterRegistry.healthCheck();
   res.json({
     status: "ok",
     app: "GreenOps CIVO Backend",
@@ -414,10 +595,32 @@ app.get("/api/health", (req, res) => {
     electricityMaps: {
       configured: !!ELECTRICITYMAPS_API_KEY,
     },
+    carbon: carbon.stats(),
+    secondaryCarbon: secondaryCarbon ? secondaryCarbon.stats() : null,
     deploy: {
       enabled: ENABLE_CIVO_DEPLOY,
-      kubectlContext: KUBECTL_CONTEXT || null,
+      kubeClient: KUBE_CLIENT,
+      kubectlBinary: KUBECTL_BIN,
+      clustersConfigFile: detailed ? CLUSTERS_CONFIG_FILE : undefined,
+      clusters: detailed
+        ? clusters
+        : { configured: clusters.length, reachable: clusters.filter((c) => c.reachable).length },
+      modes: KUBECTL_MODES,
+      requireSavedPlans: REQUIRE_SAVED_PLANS,
+      jobs: jobs.stats(),
     },
+    migrationAdvisor: advisor.stats(),
+    budgets: budgets.stats(),
+    webhooks: notifier.stats(),
+    policies: policies.stats(),
+    auth: auth.describe(),
+    rateLimits: rateLimiter.stats(),
+    storage: detailed ? store.describe() : undefined,
+    regions: {
+      total: regionCatalog.list({ includeDisabled: true }).length,
+      enabled: regionCatalog.list().length,
+    },
+    projects: projects.list().length,
     currency: {
       usdToInr: USD_TO_INR,
     },
@@ -425,13 +628,73 @@ app.get("/api/health", (req, res) => {
 });
 
 // Main planner endpoint
-app.post("/api/plan", async (req, res) => {
+app.post("/api/plan", requireRole("viewer"), async (req, res) => {
+  // Re-planning a saved plan starts from its inputs; the request overrides
+  // any of them and the result becomes the plan's next version
+  const { savedPlanId, ...overrides } = req.body || {};
+  let previous = null;
+  if (savedPlanId !== undefined) {
+    previous = await loadSavedPlan(req, res, savedPlanId);
+    if (!previous) return;
+    if (overrides.projectId !== undefined && overrides.projectId !== previous.projectId) {
+      return res.status(400).json({
+        error: `Saved plan ${previous.savedPlanId} belongs to project ${previous.projectId}.`,
+      });
+    }
+  }
+  const input = previous ? { ...previous.inputs, ...overrides } : overrides;
+
   const {
-    components = [],
+    components: requestedComponents,
+    projectId,
     userRegion = "global",
     latencyTolerance = "balanced",
-    optimizationPreference = "balanced",
-  } = req.body || {};
+    placement: placementMode = "single",
+    regionCount = MIN_REGION_COUNT,
+    includeRanking = false,
+  } = input;
+
+  if (typeof includeRanking !== "boolean") {
+    return res.status(400).json({ error: "includeRanking must be a boolean." });
+  }
+
+  let customWeights;
+  let constraints;
+  try {
+    customWeights = parseCustomWeights(input.weights);
+    constraints = parseConstraints(input.constraints);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Which plan to highlight; defaults to "custom" when weights were given
+  const optimizationPreference =
+    input.optimizationPreference || (customWeights ? "custom" : "balanced");
+  if (!STRATEGY_IDS.includes(optimizationPreference)) {
+    return res.status(400).json({
+      error: `optimizationPreference must be one of: ${STRATEGY_IDS.join(", ")}.`,
+    });
+  }
+  if (optimizationPreference === "custom" && !customWeights) {
+    return res.status(400).json({
+      error: 'optimizationPreference "custom" requires weights: { co2, latency, cost }.',
+    });
+  }
+
+  // Each project plans into its own namespace, with its components unless
+  // the request sends some
+  if (input.project !== undefined) {
+    return res.status(400).json({
+      error: "project was replaced by projectId. Create projects with POST /api/projects.",
+    });
+  }
+  const project = projectForRequest(req, res, projectId);
+  if (!project) return;
+  const namespace = project.namespace;
+  // Fixed now, because the manifests are labelled with it (planLabelFor)
+  const savedId = previous ? previous.savedPlanId : crypto.randomUUID();
+  const components =
+    requestedComponents !== undefined ? requestedComponents : project.components || [];
 
   // Basic validation
   if (!Array.isArray(components) || components.length === 0) {
@@ -440,44 +703,120 @@ app.post("/api/plan", async (req, res) => {
     });
   }
 
+  let userLocations;
+  try {
+    userLocations = parseUserLocations(userRegion);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (!PLACEMENT_MODES.includes(placementMode)) {
+    return res.status(400).json({
+      error: `placement must be one of: ${PLACEMENT_MODES.join(", ")}.`,
+    });
+  }
+  if (
+    !Number.isInteger(regionCount) ||
+    regionCount < MIN_REGION_COUNT ||
+    regionCount > MAX_REGION_COUNT
+  ) {
+    return res.status(400).json({
+      error: `regionCount must be an integer between ${MIN_REGION_COUNT} and ${MAX_REGION_COUNT}.`,
+    });
+  }
+
+  // Validate the component schema, then size each component from its
+  // CPU/memory requests and expected load
+  let sized;
+  try {
+    sized = sizeComponents(parseComponents(components), latencyTolerance);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const catalogRegions = regionCatalog.list();
+  if (catalogRegions.length === 0) {
+    return res.status(409).json({
+      error: "No enabled regions in the catalog. Add or enable one via /api/regions.",
+    });
+  }
+
   // 1) Get **live** carbon-intensity per region (with safe fallback)
-  const carbonResults = await Promise.all(
-    REGIONS.map((r) => getCarbonIntensityForRegion(r))
-  );
-  const carbonValues = carbonResults.map((r) => r.value);
+  const [carbonResults, secondaryResults] = await Promise.all([
+    Promise.all(catalogRegions.map((r) => getCarbonIntensityForRegion(r))),
+    secondaryCarbon
+      ? Promise.all(catalogRegions.map((r) => secondaryCarbon.getCarbonIntensityForRegion(r)))
+      : null,
+  ]);
+  const latencyEstimates = catalogRegions.map((r) => latencyModel.estimate(userLocations, r));
+
+  // 2) Replicas recommendation: total runtime replicas across components
+  const recommendedReplicas = sized.totalReplicas;
+
+  // 3) Drop regions that break a hard constraint, remembering why
+  const excludedRegions = [];
+  const eligible = [];
+  catalogRegions.forEach((r, idx) => {
+    const reasons = checkRegion(constraints, {
+      region: r,
+      carbonIntensity: carbonResults[idx].value,
+      hourlyCostUsd: r.baseCost * recommendedReplicas,
+      latency: latencyEstimates[idx],
+    });
+    if (reasons.length > 0) {
+      excludedRegions.push({ region: r.id, regionLabel: r.label, reasons });
+    } else {
+      eligible.push(idx);
+    }
+  });
+
+  if (eligible.length === 0) {
+    return res.status(422).json({
+      error: "No region satisfies the given constraints.",
+      constraints,
+      excludedRegions,
+    });
+  }
 
-  // 2) Compute cost / latency values for each region
-  const costValues = REGIONS.map((r) => r.baseCost);
+  const eligibleRegions = eligible.map((idx) => catalogRegions[idx]);
+  const carbonValues = eligible.map((idx) => carbonResults[idx].value);
+
+  // 4) Compute cost / latency values for each eligible region
+  const costValues = eligibleRegions.map((r) => r.baseCost);
   const co2Scores = normalizeScores(carbonValues, true); // lower gCO2 → higher score
   const costScores = normalizeScores(costValues, true);  // lower cost → higher score
-  const latencyScores = REGIONS.map((r) => latencyBaseScore(userRegion, r));
+  const latencyScores = eligible.map((idx) => latencyEstimates[idx].score);
 
   // Attach scores and live CI to region objects
-  const regionScores = REGIONS.map((r, idx) => ({
+  const regionScores = eligible.map((catalogIdx, idx) => ({
     region: {
-      ...r,
+      ...catalogRegions[catalogIdx],
       liveCarbonIntensity: carbonValues[idx],
-      carbonSource: carbonResults[idx].source,
+      carbonSource: carbonResults[catalogIdx].source,
+      carbonAgeSeconds: carbonResults[catalogIdx].ageSeconds,
+      secondaryCarbon: secondaryResults ? secondaryResults[catalogIdx] : null,
+      latencyEstimate: latencyEstimates[catalogIdx],
     },
     co2: co2Scores[idx],
     cost: costScores[idx],
     latency: latencyScores[idx],
   }));
 
-  // 3) Compute replicas recommendation
-  const recommendedReplicas = calcReplicas(components, latencyTolerance);
-
-  // 4) Define strategies
+  // 5) Define strategies (plus "custom" when the caller sent weights)
   const strategies = [
     { id: "balanced", label: "Balanced" },
     { id: "max-green", label: "Max Green" },
     { id: "budget", label: "Budget Friendly" },
   ];
+  if (customWeights) {
+    strategies.push({ id: "custom", label: "Custom" });
+  }
 
   const plans = [];
+  const frontier = includeRanking ? paretoFrontierIds(regionScores) : null;
 
   strategies.forEach((strategy) => {
-    const weights = getWeights(strategy.id, latencyTolerance);
+    const weights = getWeights(strategy.id, latencyTolerance, customWeights);
 
     // For each region, compute overall score for this strategy
     const scoredRegions = regionScores.map((rs) => {
@@ -492,9 +831,18 @@ app.post("/api/plan", async (req, res) => {
       };
     });
 
-    // Pick best region for this strategy
-    scoredRegions.sort((a, b) => b.overall - a.overall);
-    const best = scoredRegions[0];
+    // Pick region(s) for this strategy; "single" is simply the top region
+    const placement = buildPlacement({
+      mode: placementMode,
+      regionScores: scoredRegions,
+      weights,
+      components: sized.components,
+      totalReplicas: recommendedReplicas,
+      locations: userLocations,
+      latencyModel,
+      regionCount,
+    });
+    const best = placement.primary;
 
     // Choose instance class based on strategy
     let instanceClass;
@@ -508,206 +856,1867 @@ app.post("/api/plan", async (req, res) => {
 
     const rounded = (x) => Math.round(x * 100) / 100;
 
+    const manifests = placement.regionEntries.map((e) => ({
+      region: e.rs.region.id,
+      instanceClass,
+      replicas: e.replicas,
+      // Send these to /api/deploy so it uses the same energy model
+      components: e.components.filter(isWorkload).map((c) => ({
+        name: c.name,
+        type: c.type,
+        cpu: c.sizing.cpuCores,
+        memory: c.sizing.memoryMiB,
+        utilization: c.sizing.utilization,
+        replicas: c.replicas,
+      })),
+      kubernetesYaml: generateKubernetesYaml(
+        strategy.id,
+        e.rs.region.id,
+        instanceClass,
+        e.replicas,
+        e.components,
+        { namespace, planLabel: planLabelFor(savedId, strategy.id) }
+      ),
+      // Secrets the manifests read but do not contain
+      secrets: requiredSecrets(e.components),
+    }));
+
+    // Hourly energy / CO₂ / cost of the whole placement
+    const footprints = placement.regionEntries.map((e) => ({
+      e,
+      footprint: estimateFootprint({
+        components: e.components,
+        instanceClass,
+        pue: e.rs.region.pue,
+        carbonIntensity: e.rs.region.liveCarbonIntensity,
+      }),
+    }));
+    const sumOf = (key) => footprints.reduce((sum, f) => sum + f.footprint[key], 0);
+    const hourlyCostUsd = footprints.reduce(
+      (sum, f) => sum + f.e.rs.region.baseCost * f.e.replicas,
+      0
+    );
+
+    // What /api/deploy's policy check would say about each region's bundle
+    const policyViolations = footprints.flatMap(({ e, footprint }, idx) =>
+      policies
+        .check(
+          policySubject({
+            projectId: project.id,
+            namespace,
+            planId: strategy.id,
+            region: e.rs.region.id,
+            carbonIntensity: e.rs.region.liveCarbonIntensity,
+            replicas: e.replicas,
+            instanceClass,
+            userRegion,
+            hourlyCO2Kg: footprint.hourlyCO2Kg,
+            hourlyCostUsd: e.rs.region.baseCost * e.replicas,
+            manifests: validateManifests(manifests[idx].kubernetesYaml).docs,
+          })
+        )
+        .violations.map((v) => ({ ...v, region: e.rs.region.id }))
+    );
+
     const plan = {
       id: strategy.id,
       label: strategy.label + " Plan",
+      recommended: strategy.id === optimizationPreference,
       description:
-        strategy.id === "max-green"
+        strategy.id === "custom"
+          ? "Uses the caller-supplied CO₂, latency and cost weights."
+          : strategy.id === "max-green"
           ? "Prioritizes regions with lower carbon intensity while still keeping latency and cost within acceptable bounds."
           : strategy.id === "budget"
           ? "Prioritizes lower-cost regions and instance types, while keeping latency and carbon footprint reasonable."
           : "Balanced trade-off between carbon efficiency, latency, and cost for general workloads.",
       scores: {
-        co2: rounded(best.co2),
-        latency: rounded(best.latency),
-        cost: rounded(best.cost),
-        overall: rounded(best.overall),
+        co2: rounded(placement.scores.co2),
+        latency: rounded(placement.scores.latency),
+        cost: rounded(placement.scores.cost),
+        overall: rounded(placement.scores.overall),
       },
       carbonIntensity: {
         value_gCo2PerKwh: rounded(best.region.liveCarbonIntensity),
-        source: best.region.carbonSource, // "electricitymaps" or "fallback-static"
+        source: best.region.carbonSource, // "electricitymaps", "cache", "stale-cache" or "fallback-static"
+        ageSeconds: best.region.carbonAgeSeconds, // null for static fallback
+      },
+      // Primary signal (used for scoring) plus the secondary one, if configured
+      carbonSignals: [
+        {
+          provider: carbon.provider.name,
+          signal: carbon.provider.signal,
+          value_gCo2PerKwh: rounded(best.region.liveCarbonIntensity),
+          source: best.region.carbonSource,
+          ageSeconds: best.region.carbonAgeSeconds,
+        },
+        ...(best.region.secondaryCarbon
+          ? [
+              {
+                provider: secondaryCarbon.provider.name,
+                signal: secondaryCarbon.provider.signal,
+                value_gCo2PerKwh: rounded(best.region.secondaryCarbon.value),
+                source: best.region.secondaryCarbon.source,
+                ageSeconds: best.region.secondaryCarbon.ageSeconds,
+              },
+            ]
+          : []),
+      ],
+      energy: {
+        instanceClass,
+        hourlyEnergyKwh: Number(sumOf("hourlyEnergyKwh").toFixed(3)),
+        hourlyOperationalCO2Kg: Number(sumOf("hourlyOperationalCO2Kg").toFixed(4)),
+        hourlyEmbodiedCO2Kg: Number(sumOf("hourlyEmbodiedCO2Kg").toFixed(4)),
+        hourlyCO2Kg: Number(sumOf("hourlyCO2Kg").toFixed(4)),
+        hourlyCostUsd: Number(hourlyCostUsd.toFixed(4)),
+        regions: footprints.map(({ e, footprint }) => ({
+          region: e.rs.region.id,
+          pue: footprint.pue,
+          itPowerKw: Number(footprint.itPowerKw.toFixed(4)),
+          hourlyEnergyKwh: Number(footprint.hourlyEnergyKwh.toFixed(3)),
+          hourlyCO2Kg: Number(footprint.hourlyCO2Kg.toFixed(4)),
+        })),
+      },
+      latency: {
+        p50Ms: placement.latency.p50Ms,
+        p95Ms: placement.latency.p95Ms,
+        source: placement.latency.source, // "model", "measured", "mixed" or "unknown"
+      },
+      placement: {
+        mode: placement.mode,
+        dataRegion: placement.dataRegion ? placement.dataRegion.region.id : null,
+        regions: placement.regionEntries.map((e) => ({
+          region: e.rs.region.id,
+          regionLabel: e.rs.region.label,
+          replicas: e.replicas,
+          trafficShare: rounded(e.trafficShare),
+          carbonIntensity_gCo2PerKwh: rounded(e.rs.region.liveCarbonIntensity),
+          components: e.components.map((c) => c.name),
+        })),
+        components: placement.componentAssignments,
       },
       civo: {
         region: best.region.id,
         regionLabel: best.region.label,
         clusterType: "kubernetes",
         instanceClass,
-        replicas: recommendedReplicas,
+        replicas: placement.regionEntries[0].replicas,
       },
       notes: [
         `Strategy: ${strategy.label}`,
-        `Selected region ${best.region.id} (${best.region.label}) based on combined CO₂, latency, and cost scores.`,
+        placement.regionEntries.length === 1
+          ? `Selected region ${best.region.id} (${best.region.label}) based on combined CO₂, latency, and cost scores.`
+          : `Placement "${placement.mode}" across ${placement.regionEntries
+              .map((e) => `${e.rs.region.id} (${e.replicas} replicas)`)
+              .join(", ")}${
+              placement.dataRegion ? `; stateful components in ${placement.dataRegion.region.id}` : ""
+            }. Latency includes cross-region hops to the data region.`,
         `Estimated grid carbon intensity: ${rounded(
           best.region.liveCarbonIntensity
         )} gCO₂eq/kWh (source: ${best.region.carbonSource}).`,
-        `Recommended replicas: ${recommendedReplicas} (derived from ${countRuntimeComponents(
-          components
-        )} runtime components and "${latencyTolerance}" latency tolerance).`,
+        placement.latency.p50Ms === null
+          ? `No coordinates or measured RTT for ${best.region.id}; latency score is a neutral estimate.`
+          : `Estimated user latency: p50 ${placement.latency.p50Ms} ms, p95 ${placement.latency.p95Ms} ms (${placement.latency.source}).`,
+        `Recommended replicas: ${recommendedReplicas} across ${
+          sized.components.filter(isRuntime).length
+        } runtime components (sized from CPU/memory requests, expected RPS and "${latencyTolerance}" latency tolerance).`,
+        `Estimated footprint on ${instanceClass}: ${sumOf("hourlyEnergyKwh").toFixed(3)} kWh/hour, ${sumOf(
+          "hourlyCO2Kg"
+        ).toFixed(4)} kgCO₂e/hour including embodied emissions.`,
         `Weights used — CO₂: ${rounded(weights.co2)}, Latency: ${rounded(
           weights.latency
         )}, Cost: ${rounded(weights.cost)}.`,
       ],
-      kubernetesYaml: generateKubernetesYaml(
-        strategy.id,
-        best.region.id,
-        instanceClass,
-        recommendedReplicas,
-        components
-      ),
+      // Policy rules the plan breaks; "fail" plans cannot be deployed
+      policy: { status: policyStatus(policyViolations), violations: policyViolations },
+      // Every eligible region for this strategy, best first (includeRanking)
+      ranking: frontier ? rankRegions(scoredRegions, recommendedReplicas, frontier) : undefined,
+      // One bundle per target cluster; deploy each to its own region
+      manifests,
+      // Kept for single-cluster plans; null when the plan spans clusters
+      kubernetesYaml: manifests.length === 1 ? manifests[0].kubernetesYaml : null,
     };
 
+    if (plan.policy.status === "fail") {
+      const errors = policyViolations.filter((v) => v.severity === "error");
+      const ids = [...new Set(errors.map((v) => v.ruleId))];
+      plan.notes.push(`Breaks policy ${ids.join(", ")}; /api/deploy will refuse it as planned.`);
+    }
+
     plans.push(plan);
   });
 
+  // Keep the plan with what it was made from, so /api/deploy can trust it
+  let saved;
+  try {
+    saved = await savedPlans.save({
+      savedPlanId: previous ? previous.savedPlanId : undefined,
+      newId: savedId,
+      projectId: project.id,
+      createdBy: attributionOf(req.principal),
+      inputs: {
+        components,
+        projectId: project.id,
+        userRegion,
+        latencyTolerance,
+        optimizationPreference,
+        weights: input.weights ?? null,
+        constraints: input.constraints ?? null,
+        placement: placementMode,
+        regionCount,
+        includeRanking,
+      },
+      carbonSnapshot: catalogRegions.map((r, idx) => ({
+        region: r.id,
+        value: carbonResults[idx].value,
+        source: carbonResults[idx].source,
+        ageSeconds: carbonResults[idx].ageSeconds,
+        provider: carbon.provider.name,
+      })),
+      namespace,
+      recommendedPlanId: optimizationPreference,
+      plans,
+    });
+  } catch (err) {
+    console.error("❌ Failed to save plan:", err.message);
+    return res.status(500).json({
+      error: "Failed to save plan.",
+      details: err.message,
+    });
+  }
+
   res.json({
+    // Deploy with { savedPlanId, planId } instead of sending the plan back
+    savedPlan: { id: saved.savedPlanId, version: saved.version, createdAt: saved.createdAt },
     inputEcho: {
       components,
       userRegion,
       latencyTolerance,
       optimizationPreference,
+      weights: customWeights || undefined,
+      placement: placementMode,
+      regionCount: placementMode === "multi-region" ? regionCount : undefined,
+      projectId: project.id,
     },
+    namespace,
     electricityMaps: {
       enabled: !!ELECTRICITYMAPS_API_KEY,
     },
+    carbonProviders: {
+      primary: { name: carbon.provider.name, signal: carbon.provider.signal },
+      secondary: secondaryCarbon
+        ? { name: secondaryCarbon.provider.name, signal: secondaryCarbon.provider.signal }
+        : null,
+    },
+    recommendedPlanId: optimizationPreference,
+    constraints: {
+      applied: constraints,
+      eligibleRegions: eligibleRegions.map((r) => r.id),
+      excludedRegions,
+    },
+    sizing: {
+      totalReplicas: recommendedReplicas,
+      components: sized.components.map((c) => ({ name: c.name, type: c.type, ...c.sizing })),
+    },
+    // Regions no other region beats on CO₂, latency and cost at once (includeRanking)
+    paretoFrontier: includeRanking
+      ? paretoFrontier(regionScores, recommendedReplicas)
+      : undefined,
+    // Traffic-weighted latency estimate for every enabled region
+    latencyEstimates: catalogRegions.map((r, idx) => ({
+      region: r.id,
+      regionLabel: r.label,
+      score: Math.round(latencyEstimates[idx].score * 100) / 100,
+      p50Ms: latencyEstimates[idx].p50Ms,
+      p95Ms: latencyEstimates[idx].p95Ms,
+      source: latencyEstimates[idx].source,
+    })),
     plans,
   });
 });
 
-// -------------------- Deploy to CIVO endpoint --------------------
-// Expected body from frontend:
-// {
-//   planId: string,
-//   region: string,
-//   regionLabel: string,
-//   carbonIntensity: number, // gCO2/kWh
-//   replicas: number,
-//   scores: { co2, latency, cost, overall },
-//   kubernetesYaml: string
-// }
-app.post("/api/deploy", async (req, res) => {
-  const {
-    planId,
-    region,
-    regionLabel,
-    carbonIntensity,
-    replicas,
-    scores,
-    kubernetesYaml,
-  } = req.body || {};
-
-  if (!planId || !region || !kubernetesYaml) {
+// -------------------- Plan export endpoint --------------------
+// POST /api/plan/export?format=helm|kustomize|terraform
+// Body: { plan } where plan is one entry of /api/plan's `plans`.
+// Responds with a .tar.gz (see src/export/).
+app.post("/api/plan/export", requireRole("viewer"), (req, res) => {
+  const format = req.query.format;
+  if (!EXPORT_FORMATS[format]) {
     return res.status(400).json({
-      error: "planId, region, and kubernetesYaml are required to deploy.",
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`,
     });
   }
 
-  // Approximate energy + CO2 impact for analytics
-  // Assumption: each replica ~ 0.1 kW (100W), so hourlyEnergyKwh = 0.1 * replicas
-  const safeReplicas = typeof replicas === "number" && replicas > 0 ? replicas : 1;
-  const assumedPowerKwPerReplica = 0.1;
-  const hourlyEnergyKwh = safeReplicas * assumedPowerKwPerReplica;
-
-  // carbonIntensity is gCO2/kWh -> convert to kg
-  const ci = typeof carbonIntensity === "number" ? carbonIntensity : 500; // fallback
-  const estimatedHourlyCO2Kg = (ci / 1000) * hourlyEnergyKwh;
-
-  // Approximate cost per hour: baseCost (USD per replica) * replicas
-  const regionMeta = REGIONS.find((r) => r.id === region);
-  const baseCostUsdPerReplica = regionMeta?.baseCost ?? 0.25;
-  const estimatedHourlyCostUsd = baseCostUsdPerReplica * safeReplicas;
-  const estimatedHourlyCostInr = estimatedHourlyCostUsd * USD_TO_INR;
-
-  const now = new Date().toISOString();
+  let exported;
+  try {
+    exported = exportPlan(format, (req.body || {}).plan, { regionCatalog });
+  } catch (err) {
+    if (err instanceof ExportError) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error("❌ Plan export failed:", err.message);
+    return res.status(500).json({ error: "Plan export failed.", details: err.message });
+  }
 
-  // Store in in-memory analytics history
-  DEPLOYMENTS_HISTORY.push({
-    timestamp: now,
-    planId,
-    region,
-    regionLabel: regionLabel || region,
-    carbonIntensity_gCo2PerKwh: ci,
-    replicas: safeReplicas,
-    scores: scores || null,
-    estimatedHourlyEnergyKwh: Number(hourlyEnergyKwh.toFixed(3)),
-    estimatedHourlyCO2Kg: Number(estimatedHourlyCO2Kg.toFixed(3)),
-    estimatedHourlyCostUsd: Number(estimatedHourlyCostUsd.toFixed(4)),
-    estimatedHourlyCostInr: Number(estimatedHourlyCostInr.toFixed(2)),
+  res.set({
+    "Content-Type": "application/gzip",
+    "Content-Disposition": `attachment; filename="${exported.filename}"`,
   });
+  res.send(exported.buffer);
+});
 
-  // Prepare kubectl command
-  const tmpFile = path.join(
-    os.tmpdir(),
-    `greenops-plan-${Date.now()}-${planId}.yaml`
-  );
+// -------------------- Saved plan endpoints --------------------
+// GET    /api/plans                          saved plans the caller can see,
+//                                            newest first (?projectId=)
+// GET    /api/plans/:id                      latest version (?version=N for
+//                                            another), all versions, and the
+//                                            deployments made from the plan
+// GET    /api/plans/:id/diff/:otherVersion   changes from otherVersion to the
+//                                            latest version (or ?version=N)
+// DELETE /api/plans/:id                      every version of the plan
+// New versions come from POST /api/plan with { savedPlanId }.
+
+app.get("/api/plans", requireRole("viewer"), async (req, res) => {
+  const { projectId } = req.query;
+  if (projectId !== undefined && !projectForRequest(req, res, projectId)) return;
   try {
-    await fs.promises.writeFile(tmpFile, kubernetesYaml, "utf8");
+    const plans = await savedPlans.list(
+      (p) =>
+        canAccessProject(req.principal, p.projectId) &&
+        (projectId === undefined || p.projectId === projectId)
+    );
+    res.json({ plans });
   } catch (err) {
-    console.error("❌ Failed to write temp YAML file:", err.message);
-    return res.status(500).json({
-      error: "Failed to write temporary YAML file for deployment.",
-      details: err.message,
-    });
+    sendPlanError(res, err);
+  }
+});
+
+app.get("/api/plans/:id", requireRole("viewer"), async (req, res) => {
+  const plan = await loadSavedPlan(req, res, req.params.id, req.query.version);
+  if (!plan) return;
+  try {
+    const [versions, history] = await Promise.all([
+      savedPlans.versionsOf(plan.savedPlanId),
+      store.list("deployments"),
+    ]);
+    res.json({
+      plan,
+      versions: versions.map((v) => ({
+        version: v.version,
+        createdAt: v.createdAt,
+        createdBy: v.createdBy,
+        recommendedPlanId: v.recommendedPlanId,
+      })),
+      deployments: deploymentsOf(history, plan.savedPlanId),
+    });
+  } catch (err) {
+    sendPlanError(res, err);
+  }
+});
+
+app.get("/api/plans/:id/diff/:otherVersion", requireRole("viewer"), async (req, res) => {
+  const plan = await loadSavedPlan(req, res, req.params.id, req.query.version);
+  if (!plan) return;
+  const other = await loadSavedPlan(req, res, plan.savedPlanId, req.params.otherVersion);
+  if (!other) return;
+  res.json({ diff: diffVersions(other, plan) });
+});
+
+app.delete("/api/plans/:id", requireRole("deployer"), async (req, res) => {
+  const plan = await loadSavedPlan(req, res, req.params.id);
+  if (!plan) return;
+  try {
+    await savedPlans.remove(plan.savedPlanId);
+    res.status(204).end();
+  } catch (err) {
+    sendPlanError(res, err);
+  }
+});
+
+// -------------------- Carbon-aware scheduling endpoint --------------------
+// "Where *and when* should this batch job run?"
+// Expected body:
+// {
+//   durationHours: number,      // how long the job runs
+//   deadline: string,           // ISO-8601, job must be finished by then
+//   userRegion: string | list,  // same values as /api/plan
+//   latencyTolerance: string,   // "strict" | "balanced" | "relaxed"
+//   replicas: number,           // optional, used for the kgCO2 estimate
+//   instanceClass: string       // optional, energy profile (see src/sizing.js)
+// }
+app.post("/api/schedule", requireRole("viewer"), async (req, res) => {
+  const {
+    durationHours,
+    deadline,
+    userRegion = "global",
+    latencyTolerance = "balanced",
+    replicas,
+    instanceClass = DEFAULT_INSTANCE_CLASS,
+  } = req.body || {};
+
+  if (!INSTANCE_CLASSES[instanceClass]) {
+    return res.status(400).json({
+      error: `instanceClass must be one of: ${Object.keys(INSTANCE_CLASSES).join(", ")}.`,
+    });
+  }
+
+  if (typeof durationHours !== "number" || !(durationHours > 0)) {
+    return res.status(400).json({
+      error: "durationHours must be a positive number.",
+    });
+  }
+
+  let userLocations;
+  try {
+    userLocations = parseUserLocations(userRegion);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const now = new Date();
+  const deadlineDate = new Date(deadline);
+  if (!deadline || Number.isNaN(deadlineDate.getTime())) {
+    return res.status(400).json({
+      error: "deadline must be an ISO-8601 timestamp.",
+    });
+  }
+  if (deadlineDate.getTime() < now.getTime() + durationHours * 60 * 60 * 1000) {
+    return res.status(400).json({
+      error: "deadline is too early: the job cannot finish in time even if started now.",
+    });
+  }
+
+  const safeReplicas = typeof replicas === "number" && replicas > 0 ? replicas : 1;
+  const jobComponents = defaultComponents(safeReplicas);
+  // IT power and embodied emissions do not depend on region or start time
+  const itFootprint = estimateFootprint({
+    components: jobComponents,
+    instanceClass,
+    pue: 1,
+    carbonIntensity: 0,
+  });
+
+  const catalogRegions = regionCatalog.list();
+  if (catalogRegions.length === 0) {
+    return res.status(409).json({
+      error: "No enabled regions in the catalog. Add or enable one via /api/regions.",
+    });
+  }
+
+  const forecastResults = await Promise.all(
+    catalogRegions.map(async (r) => {
+      const result = await getCarbonForecastForRegion(r, deadlineDate);
+      // Live forecasts usually start at the next full hour; cover "now" with
+      // the latest value so run-now and early windows can be evaluated.
+      const first = result.forecast[0];
+      if (first && new Date(first.datetime) > now) {
+        const latest = await getCarbonIntensityForRegion(r);
+        result.forecast = [
+          { datetime: now.toISOString(), carbonIntensity: latest.value },
+          ...result.forecast,
+        ];
+      }
+      return result;
+    })
+  );
+
+  // Latency tolerance decides which regions we may recommend:
+  // strict → only the closest regions, balanced → within SCHEDULE_MAX_LATENCY_MS
+  // (as a latency score, so traffic mixes weigh each location), relaxed → any.
+  const latencyEstimates = catalogRegions.map((r) => latencyModel.estimate(userLocations, r));
+  const latencyScores = latencyEstimates.map((l) => l.score);
+  const bestLatency = Math.max(...latencyScores);
+  const minLatencyScore =
+    latencyTolerance === "strict"
+      ? bestLatency
+      : latencyTolerance === "relaxed"
+      ? 0
+      : latencyScoreFromMs(SCHEDULE_MAX_LATENCY_MS);
+
+  const rounded = (x) => Math.round(x * 100) / 100;
+
+  const regions = catalogRegions.map((r, idx) => {
+    const { forecast, source, ageSeconds } = forecastResults[idx];
+    const { runNow, best } = findBestWindow(forecast, durationHours, deadlineDate, now);
+
+    const savingsGPerKwh = best && runNow !== null ? runNow - best.avgCarbonIntensity : null;
+
+    // Energy depends on the region's PUE; the grid intensity is applied per window
+    const footprint = estimateFootprint({
+      components: jobComponents,
+      instanceClass,
+      pue: r.pue,
+      carbonIntensity: 0,
+    });
+    const jobEnergyKwh = footprint.hourlyEnergyKwh * durationHours;
+
+    return {
+      region: r.id,
+      regionLabel: r.label,
+      carbonSource: source,
+      carbonAgeSeconds: ageSeconds,
+      latencyScore: rounded(latencyScores[idx]),
+      latencyP50Ms: latencyEstimates[idx].p50Ms,
+      latencyP95Ms: latencyEstimates[idx].p95Ms,
+      eligible: latencyScores[idx] >= minLatencyScore,
+      forecastPoints: forecast.length,
+      jobEnergyKwh: Number(jobEnergyKwh.toFixed(3)),
+      runNow: {
+        avgCarbonIntensity_gCo2PerKwh: runNow === null ? null : rounded(runNow),
+        estimatedCO2Kg:
+          runNow === null ? null : Number(((runNow / 1000) * jobEnergyKwh).toFixed(3)),
+      },
+      bestWindow: best
+        ? {
+            start: best.start,
+            end: best.end,
+            avgCarbonIntensity_gCo2PerKwh: rounded(best.avgCarbonIntensity),
+            estimatedCO2Kg: Number(
+              ((best.avgCarbonIntensity / 1000) * jobEnergyKwh).toFixed(3)
+            ),
+          }
+        : null,
+      savingsVsNow:
+        savingsGPerKwh === null
+          ? null
+          : {
+              gCo2PerKwh: rounded(savingsGPerKwh),
+              percent: runNow > 0 ? rounded((savingsGPerKwh / runNow) * 100) : 0,
+              co2Kg: Number(((savingsGPerKwh / 1000) * jobEnergyKwh).toFixed(3)),
+            },
+    };
+  });
+
+  // Recommend the eligible region/window with the lowest average intensity,
+  // and compare against running now in the lowest-latency region.
+  const candidates = regions
+    .filter((r) => r.eligible && r.bestWindow)
+    .sort(
+      (a, b) =>
+        a.bestWindow.avgCarbonIntensity_gCo2PerKwh - b.bestWindow.avgCarbonIntensity_gCo2PerKwh
+    );
+  const recommended = candidates[0] || null;
+
+  const baseline = regions
+    .filter((r) => r.runNow.avgCarbonIntensity_gCo2PerKwh !== null)
+    .sort(
+      (a, b) =>
+        b.latencyScore - a.latencyScore ||
+        a.runNow.avgCarbonIntensity_gCo2PerKwh - b.runNow.avgCarbonIntensity_gCo2PerKwh
+    )[0];
+
+  res.json({
+    inputEcho: {
+      durationHours,
+      deadline: deadlineDate.toISOString(),
+      userRegion,
+      latencyTolerance,
+      replicas: safeReplicas,
+      instanceClass,
+    },
+    electricityMaps: {
+      enabled: !!ELECTRICITYMAPS_API_KEY,
+    },
+    carbonProvider: { name: carbon.provider.name, signal: carbon.provider.signal },
+    assumptions: {
+      instanceClass,
+      itPowerKwPerReplica: Number((itFootprint.itPowerKw / safeReplicas).toFixed(4)),
+      // Same wherever and whenever the job runs, so not part of the comparison
+      jobEmbodiedCO2Kg: Number((itFootprint.hourlyEmbodiedCO2Kg * durationHours).toFixed(3)),
+      maxFallbackHorizonHours: MAX_FORECAST_HORIZON_HOURS,
+    },
+    recommendation: recommended
+      ? {
+          region: recommended.region,
+          regionLabel: recommended.regionLabel,
+          window: recommended.bestWindow,
+          baseline: baseline
+            ? {
+                region: baseline.region,
+                runNow: baseline.runNow,
+              }
+            : null,
+          savingsVsBaselineNowCO2Kg: baseline
+            ? Number(
+                (baseline.runNow.estimatedCO2Kg - recommended.bestWindow.estimatedCO2Kg).toFixed(3)
+              )
+            : null,
+        }
+      : null,
+    regions,
+  });
+});
+
+// -------------------- Deploy to CIVO endpoint --------------------
+// Either a saved plan (see /api/plan's savedPlan):
+// {
+//   savedPlanId: string,
+//   version: number,         // optional, the latest by default
+//   planId: string,          // optional, which plan (strategy); the
+//                            // recommended one by default
+//   region: string,          // required when the plan spans regions
+//   mode, async, movable     // as below
+// }
+// The region, manifests, sizing and carbon intensity then come from the
+// saved plan. Otherwise (unless REQUIRE_SAVED_PLANS is set) the plan itself:
+// {
+//   planId: string,
+//   projectId: string,       // optional, defaults to the "default" project
+//   region: string,
+//   regionLabel: string,
+//   carbonIntensity: number, // ignored: the region's live intensity is used
+//   replicas: number,
+//   scores: { co2, latency, cost, overall },
+//   kubernetesYaml: string,
+//   instanceClass: string,   // optional, plan.civo.instanceClass
+//   components: [...],       // optional, plan.manifests[i].components
+//   mode: string,            // optional, "apply" (default), "server-dry-run" or "diff"
+//   placementPolicy: {...},  // optional, { strategy, latencyTolerance, weights,
+//                            // userRegion } the plan was made with, for the
+//                            // migration advisor
+//   movable: boolean         // optional, let the advisor move it automatically
+// }
+// server-dry-run and diff only preview the change: nothing is applied or
+// recorded in the deployment history. Deploys that break an error-level
+// policy rule (POLICIES_FILE) get 422 with the violations; warning-level
+// ones are recorded as the deployment's policyViolations.
+// Applies are recorded only once the kubectl job succeeds.
+app.post("/api/deploy", requireRole("deployer"), async (req, res) => {
+  let body = req.body || {};
+  let savedPlan = null;
+  if (body.savedPlanId !== undefined) {
+    const sent = SAVED_PLAN_FIELDS.filter((f) => body[f] !== undefined);
+    if (sent.length > 0) {
+      return res.status(400).json({
+        error: `${sent.join(", ")} come from the saved plan; do not send them with savedPlanId.`,
+      });
+    }
+    savedPlan = await loadSavedPlan(req, res, body.savedPlanId, body.version);
+    if (!savedPlan) return;
+    if (body.projectId !== undefined && body.projectId !== savedPlan.projectId) {
+      return res.status(400).json({
+        error: `Saved plan ${savedPlan.savedPlanId} belongs to project ${savedPlan.projectId}.`,
+      });
+    }
+    try {
+      body = { ...body, ...deployFieldsFrom(savedPlan, body) };
+    } catch (err) {
+      return sendPlanError(res, err);
+    }
+  } else if (REQUIRE_SAVED_PLANS) {
+    return res.status(400).json({
+      error: "savedPlanId is required: deploy a plan saved by /api/plan.",
+    });
+  }
+
+  const {
+    planId,
+    region,
+    regionLabel,
+    carbonIntensity,
+    replicas,
+    scores,
+    kubernetesYaml,
+    instanceClass = DEFAULT_INSTANCE_CLASS,
+    components,
+    mode = "apply",
+    async: runAsync = false,
+    placementPolicy,
+    movable = false,
+    projectId,
+    budgetOverride = false,
+  } = body;
+
+  if (!planId || !region || !kubernetesYaml) {
+    return res.status(400).json({
+      error: "planId, region, and kubernetesYaml are required to deploy.",
+    });
+  }
+
+  if (typeof planId !== "string" || !PLAN_ID_PATTERN.test(planId)) {
+    return res.status(400).json({
+      error: "planId must be 1-63 letters, digits, dots, dashes or underscores.",
+    });
+  }
+
+  if (!KUBECTL_MODES.includes(mode)) {
+    return res.status(400).json({
+      error: `mode must be one of: ${KUBECTL_MODES.join(", ")}.`,
+    });
+  }
+
+  if (typeof runAsync !== "boolean") {
+    return res.status(400).json({ error: "async must be a boolean." });
+  }
+
+  if (typeof movable !== "boolean") {
+    return res.status(400).json({ error: "movable must be a boolean." });
+  }
+
+  if (typeof budgetOverride !== "boolean") {
+    return res.status(400).json({ error: "budgetOverride must be a boolean." });
+  }
+
+  let policy;
+  try {
+    policy = parsePlacementPolicy(placementPolicy);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const regionMeta = regionCatalog.get(region);
+  if (!regionMeta || !regionMeta.enabled) {
+    return res.status(400).json({
+      error: regionMeta
+        ? `Region ${region} is disabled in the region catalog.`
+        : `Unknown region ${region}. See /api/regions for available regions.`,
+    });
+  }
+
+  if (!INSTANCE_CLASSES[instanceClass]) {
+    return res.status(400).json({
+      error: `instanceClass must be one of: ${Object.keys(INSTANCE_CLASSES).join(", ")}.`,
+    });
+  }
+
+  const project = projectForRequest(req, res, projectId);
+  if (!project) return;
+
+  const kube = kubeClientForRegion(res, region);
+  if (!kube) return;
+
+  // Reject YAML that does not parse, uses kinds we don't deploy, or leaves
+  // the project's greenops-* namespace, before anything is recorded/applied
+  const manifestCheck = validateManifests(kubernetesYaml);
+  if (manifestCheck.errors.length > 0) {
+    return res.status(422).json({
+      error: "kubernetesYaml failed validation.",
+      details: manifestCheck.errors,
+    });
+  }
+  // Other projects' namespaces are off limits
+  if (manifestCheck.namespace !== project.namespace) {
+    return res.status(422).json({
+      error: `kubernetesYaml targets namespace ${manifestCheck.namespace}, but project ${project.id} deploys to ${project.namespace}.`,
+    });
+  }
+  // Tells this deployment apart from other plans with the same planId (saved
+  // plans label theirs with planLabelFor); see planKeyOf
+  const planLabel = planLabelOf(kubernetesYaml) || planId;
+
+  // Approximate energy + CO2 impact for analytics, with the same sizing and
+  // energy model as /api/plan. Without components, `replicas` default-sized
+  // replicas are assumed.
+  let deployedComponents;
+  if (components !== undefined) {
+    if (!Array.isArray(components)) {
+      return res.status(400).json({ error: "components must be a list." });
+    }
+    try {
+      deployedComponents = sizeComponents(components).components;
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  const safeReplicas = deployedComponents
+    ? Math.max(
+        1,
+        deployedComponents.filter(isRuntime).reduce((sum, c) => sum + c.replicas, 0)
+      )
+    : typeof replicas === "number" && replicas > 0
+    ? replicas
+    : 1;
+
+  // carbonIntensity is gCO2/kWh. Saved plans carry the intensity the server
+  // saw when planning; for ad-hoc deploys the client's figure is ignored and
+  // the region's live one is used, so budgets and analytics cannot be gamed.
+  const liveCarbon = await getCarbonIntensityForRegion(regionMeta);
+  const ci = savedPlan ? carbonIntensity : liveCarbon.value;
+  const footprint = estimateFootprint({
+    components: deployedComponents || defaultComponents(safeReplicas),
+    instanceClass,
+    pue: regionMeta.pue,
+    carbonIntensity: ci,
+  });
+  const hourlyEnergyKwh = footprint.hourlyEnergyKwh;
+  const estimatedHourlyCO2Kg = footprint.hourlyOperationalCO2Kg;
+  const estimatedHourlyEmbodiedCO2Kg = footprint.hourlyEmbodiedCO2Kg;
+
+  // Approximate cost per hour: baseCost (USD per replica) * replicas
+  const baseCostUsdPerReplica = regionMeta.baseCost;
+  const estimatedHourlyCostUsd = baseCostUsdPerReplica * safeReplicas;
+  const estimatedHourlyCostInr = estimatedHourlyCostUsd * USD_TO_INR;
+
+  // Organisation policies, against the region's live intensity (also for
+  // saved plans). Errors refuse the deploy (and previews of it). Who the
+  // users are only comes from a saved plan's inputs: an ad-hoc
+  // placementPolicy is the client's word, so residency rules see them as
+  // unknown.
+  const policyCheck = policies.check(
+    policySubject({
+      projectId: project.id,
+      namespace: manifestCheck.namespace,
+      planId,
+      region,
+      carbonIntensity: liveCarbon.value,
+      replicas: safeReplicas,
+      instanceClass,
+      userRegion: savedPlan && policy ? policy.userRegion : undefined,
+      hourlyCO2Kg: estimatedHourlyCO2Kg + estimatedHourlyEmbodiedCO2Kg,
+      hourlyCostUsd: estimatedHourlyCostUsd,
+      manifests: manifestCheck.docs,
+    })
+  );
+  // Previews are checked the same way but do not count as refused or warned
+  if (mode === "apply") policies.record(policyCheck);
+  if (policyCheck.errors.length > 0) {
+    const ids = policyCheck.errors.map((v) => v.ruleId).join(", ");
+    return res.status(422).json({
+      error: `This deploy breaks policy ${ids}.`,
+      details: policyCheck.violations,
+    });
+  }
+
+  // Previews run kubectl without changing the cluster or the history
+  if (mode !== "apply") {
+    const meta = { planId, projectId: project.id, region, mode, requestedBy: req.principal.name };
+    const queued = queueKubectlJob("deploy", meta, async (log) => {
+      if (!ENABLE_CIVO_DEPLOY) {
+        const command = kube.commandFor(mode);
+        log("info", `DRY-RUN: would execute: ${command}\n`);
+        return { dryRun: true, command };
+      }
+      return kube.applyManifests(kubernetesYaml, { mode, onOutput: log });
+    });
+    if (runAsync) return res.status(202).json(jobAccepted(queued.job));
+
+    const { value, error } = await queued.finished;
+    if (error) return sendKubectlError(res, error, mode);
+    if (value.dryRun) {
+      return res.json({
+        status: "dry-run",
+        mode,
+        message: "kubectl was not executed because ENABLE_CIVO_DEPLOY is not true.",
+        command: value.command,
+      });
+    }
+    return res.json({
+      status: "ok",
+      mode,
+      message:
+        mode === "diff"
+          ? value.changed
+            ? "kubectl diff found changes against the cluster."
+            : "Cluster already matches these manifests."
+          : "Manifests passed server-side validation; nothing was persisted.",
+      command: value.command,
+      changed: value.changed,
+      kubectl: { stdout: value.stdout, stderr: value.stderr },
+    });
+  }
+
+  // Budgets this deploy would push over their monthly limit: "block" ones
+  // refuse it, "override" ones unless the request sets budgetOverride. The
+  // estimates are the server's own (saved or live intensity, see above).
+  let overBudget;
+  try {
+    overBudget = await budgets.checkDeploy({
+      planId,
+      planLabel,
+      projectId: project.id,
+      region,
+      estimatedHourlyCO2Kg,
+      estimatedHourlyEmbodiedCO2Kg,
+      estimatedHourlyCostUsd,
+    });
+  } catch (err) {
+    console.error("❌ Failed to check budgets:", err.message);
+    return res.status(500).json({
+      error: "Failed to check budgets.",
+      details: err.message,
+    });
+  }
+  const refusing = overBudget.filter(
+    (b) => b.enforcement === "block" || (b.enforcement === "override" && !budgetOverride)
+  );
+  if (refusing.length > 0) {
+    const names = refusing.map((b) => `"${b.name}"`).join(", ");
+    notifier.notify(
+      "budget.blocked",
+      `Deploy of ${planId} to ${region} (project ${project.id}) by ${req.principal.name} was refused: it would push ${names} over the monthly limit.`,
+      { planId, projectId: project.id, region, requestedBy: req.principal.name, budgets: refusing }
+    );
+    const overridable = refusing.every((b) => b.enforcement === "override");
+    return res.status(409).json({
+      error: overridable
+        ? `This deploy would push budget ${names} over its monthly limit. Send "budgetOverride": true to deploy anyway.`
+        : `This deploy would push budget ${names} over its monthly limit.`,
+      details: refusing,
+    });
+  }
+  const overridden = overBudget.filter((b) => b.enforcement === "override");
+
+  const now = new Date().toISOString();
+
+  // The history only changes once the apply (and, for async jobs, the
+  // rollout) has succeeded, as for migrations: a failed apply must neither
+  // leave a running record behind nor end the deployment it would have
+  // replaced. The id is fixed now for the job's meta and the response.
+  const deploymentId = crypto.randomUUID();
+  const deploymentFields = {
+    id: deploymentId,
+    planId,
+    projectId: project.id,
+    region,
+    regionLabel: regionLabel || regionMeta.label,
+    carbonIntensity_gCo2PerKwh: ci,
+    replicas: safeReplicas,
+    instanceClass,
+    namespace: manifestCheck.namespace,
+    planLabel,
+    scores: scores || null,
+    estimatedHourlyEnergyKwh: Number(hourlyEnergyKwh.toFixed(4)),
+    estimatedHourlyCO2Kg: Number(estimatedHourlyCO2Kg.toFixed(4)),
+    estimatedHourlyEmbodiedCO2Kg: Number(estimatedHourlyEmbodiedCO2Kg.toFixed(4)),
+    estimatedHourlyCostUsd: Number(estimatedHourlyCostUsd.toFixed(4)),
+    estimatedHourlyCostInr: Number(estimatedHourlyCostInr.toFixed(2)),
+    placementPolicy: policy,
+    movable,
+    savedPlan: savedPlan ? { id: savedPlan.savedPlanId, version: savedPlan.version } : null,
+    // Where carbonIntensity_gCo2PerKwh came from; never the client
+    carbonIntensitySource: savedPlan ? "saved-plan" : "live",
+    // Budgets deployed past with budgetOverride
+    budgetOverrides: overridden.length > 0 ? overridden.map((b) => b.budgetId) : null,
+    // Warning-level policy rules the deploy breaks
+    policyViolations: policyCheck.warnings.length > 0 ? policyCheck.warnings : null,
+    deployedBy: attributionOf(req.principal),
+  };
+
+  // Stores the deployment (ending earlier deployments of the plan in this
+  // region) and sends the notifications that depend on it
+  async function recordDeployment(fields = {}) {
+    const deployment = await deploymentLog.record(
+      { ...deploymentFields, ...fields, startedAt: new Date().toISOString() },
+      kubernetesYaml
+    );
+    if (overridden.length > 0) {
+      const names = overridden.map((b) => `"${b.name}"`).join(", ");
+      notifier.notify(
+        "budget.override",
+        `${req.principal.name} deployed ${planId} to ${region} (project ${project.id}) past budget ${names}.`,
+        { deploymentId: deployment.id, requestedBy: req.principal.name, budgets: overridden }
+      );
+    }
+    // Notify any budget this deploy moved into warning or breach
+    budgets.run().catch((err) => console.warn("⚠️  Budget check failed:", err.message));
+    return deployment;
+  }
+
+  const analytics = {
+    deploymentId,
+    savedPlan: deploymentFields.savedPlan,
+    // Budgets this deploy pushes over their limit ("warn" ones, or overridden)
+    overBudget,
+    policyViolations: deploymentFields.policyViolations,
+    timestamp: now,
+    instanceClass,
+    estimatedHourlyEnergyKwh: deploymentFields.estimatedHourlyEnergyKwh,
+    estimatedHourlyCO2Kg: deploymentFields.estimatedHourlyCO2Kg,
+    estimatedHourlyEmbodiedCO2Kg: deploymentFields.estimatedHourlyEmbodiedCO2Kg,
+    estimatedHourlyCostUsd: deploymentFields.estimatedHourlyCostUsd,
+    estimatedHourlyCostInr: deploymentFields.estimatedHourlyCostInr,
+  };
+
+  // Async jobs also follow the rollout, so the job ends when pods are ready.
+  // Their deployment is recorded as soon as the apply succeeds (the objects
+  // are in the cluster whatever the rollout does), with rolloutStatus
+  // "pending" until the rollout succeeds or fails.
+  let recording = null;
+  async function recordRollout(rolloutStatus, rolloutError = null) {
+    const deployment = await recording.catch(() => null);
+    if (!deployment) return;
+    try {
+      await store.update("deployments", deployment.id, { rolloutStatus, rolloutError });
+    } catch (err) {
+      console.error(`❌ Failed to record the rollout of deployment ${deployment.id}:`, err.message);
+    }
+  }
+
+  const queued = queueKubectlJob(
+    "deploy",
+    {
+      planId,
+      projectId: project.id,
+      region,
+      mode,
+      deploymentId,
+      requestedBy: req.principal.name,
+    },
+    async (log) => {
+      // If deployment is disabled, just simulate success (for hackathon demo or dry-run)
+      if (!ENABLE_CIVO_DEPLOY) {
+        const command = kube.commandFor("apply");
+        console.log("💡 DRY-RUN: would execute:", command);
+        log("info", `DRY-RUN: would execute: ${command}\n`);
+        return { dryRun: true, command };
+      }
+
+      const result = await kube.applyManifests(kubernetesYaml, {
+        mode: "apply",
+        onOutput: log,
+      });
+      console.log("✅ kubectl apply output:", result.stdout);
+      if (result.stderr) {
+        console.warn("⚠️ kubectl apply stderr:", result.stderr);
+      }
+
+      if (runAsync) {
+        recording = recordDeployment({ rolloutStatus: "pending", rolloutError: null });
+        const workloads = workloadsOf(kubernetesYaml);
+        log("info", `Waiting for ${workloads.length} workload(s) to roll out...\n`);
+        try {
+          await kube.watchRollout(manifestCheck.namespace, workloads, {
+            timeoutSeconds: KUBECTL_ROLLOUT_TIMEOUT_SECONDS,
+            onOutput: log,
+          });
+        } catch (err) {
+          await recordRollout("failed", err.message);
+          throw err;
+        }
+        await recordRollout("succeeded");
+      }
+      return result;
+    }
+  );
+  const recorded = queued.finished.then(
+    ({ error }) => recording || (error ? null : recordDeployment())
+  );
+  recorded.catch((err) => {
+    console.error(`❌ Failed to record deployment ${deploymentId}:`, err.message);
+  });
+  if (runAsync) {
+    return res.status(202).json({ ...jobAccepted(queued.job), analytics });
+  }
+
+  const { value, error } = await queued.finished;
+  if (error) return sendKubectlError(res, error, mode);
+  try {
+    await recorded;
+  } catch (err) {
+    return res.status(500).json({
+      error: "Deployment was applied but could not be recorded in the history store.",
+      details: err.message,
+    });
+  }
+  if (value.dryRun) {
+    return res.json({
+      status: "dry-run",
+      mode,
+      message:
+        "Deployment recorded for analytics, but kubectl apply was not executed because ENABLE_CIVO_DEPLOY is not true.",
+      command: value.command,
+      analytics,
+    });
+  }
+  return res.json({
+    status: "ok",
+    mode,
+    message: "Deployment applied to CIVO cluster via kubectl.",
+    command: value.command,
+    kubectl: { stdout: value.stdout, stderr: value.stderr },
+    analytics,
+  });
+});
+
+// Failures of either client: kubectl's exit code and output, or the
+// Kubernetes API's HTTP status and reason
+function sendKubectlError(res, err, mode) {
+  console.error(`❌ kubectl ${mode} failed:`, err.message);
+  return res.status(500).json({
+    status: "error",
+    mode,
+    message: `kubectl ${mode} failed. Check server logs.`,
+    error: err.message,
+    exitCode: err instanceof KubectlError ? err.code : null,
+    stdout: err.stdout,
+    stderr: err.stderr,
+    ...(err instanceof KubeApiError ? { apiStatus: err.status, apiReason: err.reason } : {}),
+  });
+}
+
+// -------------------- Deployment lifecycle endpoints --------------------
+// GET    /api/deployments/:id            record + rollout status via kubectl
+// POST   /api/deployments/:id/rollback   re-apply the plan's previous manifests
+// DELETE /api/deployments/:id            delete the plan's resources (by the
+//                                        greenops-plan label); ?keepVolumes=true
+//                                        keeps PersistentVolumeClaims
+// Rollbacks and teardowns end the deployment record once kubectl succeeds,
+// so analytics stops accruing its emissions from that moment.
+
+async function loadDeployment(req, res) {
+  try {
+    const deployment = await store.get("deployments", req.params.id);
+    // Other projects' deployments do not exist as far as the caller knows
+    if (!deployment || !canAccessProject(req.principal, projectOf(deployment))) {
+      res.status(404).json({ error: `Deployment ${req.params.id} not found.` });
+      return null;
+    }
+    return deployment;
+  } catch (err) {
+    console.error("❌ Failed to read deployment history:", err.message);
+    res.status(500).json({
+      error: "Failed to read deployment history.",
+      details: err.message,
+    });
+    return null;
+  }
+}
+
+function rejectEnded(res, deployment) {
+  return res.status(409).json({
+    error: `Deployment ${deployment.id} already ended (${deployment.endReason}) at ${deployment.endedAt}.`,
+  });
+}
+
+app.get("/api/deployments/:id", requireRole("viewer"), async (req, res) => {
+  const deployment = await loadDeployment(req, res);
+  if (!deployment) return;
+
+  if (deployment.endedAt) {
+    return res.json({ deployment, rollout: { status: "ended", workloads: [] } });
+  }
+  if (!ENABLE_CIVO_DEPLOY) {
+    return res.json({
+      deployment,
+      rollout: {
+        status: "unknown",
+        message: "kubectl was not executed because ENABLE_CIVO_DEPLOY is not true.",
+        workloads: [],
+      },
+    });
+  }
+
+  const cluster = clusterRegistry.get(deployment.region);
+  if (!cluster) {
+    return res.json({
+      deployment,
+      rollout: {
+        status: "unknown",
+        message: `No cluster is configured for region ${deployment.region}.`,
+        workloads: [],
+      },
+    });
+  }
+
+  const kubernetesYaml = await deploymentLog.manifestsFor(deployment.id);
+  if (!kubernetesYaml) {
+    return res.json({
+      deployment,
+      rollout: {
+        status: "unknown",
+        message: "No manifests were stored for this deployment.",
+        workloads: [],
+      },
+    });
+  }
+
+  const planLabel = selectorLabelOf(deployment, kubernetesYaml);
+  try {
+    const workloads = await cluster.kube.rolloutStatus(
+      deployment.namespace,
+      workloadsOf(kubernetesYaml)
+    );
+    const pods = PLAN_ID_PATTERN.test(planLabel)
+      ? await cluster.kube.podStatus(deployment.namespace, `greenops-plan=${planLabel}`)
+      : [];
+    res.json({
+      deployment,
+      rollout: {
+        status: workloads.every((w) => w.ready) ? "ready" : "progressing",
+        checkedAt: new Date().toISOString(),
+        workloads,
+        pods,
+      },
+    });
+  } catch (err) {
+    sendKubectlError(res, err, "rollout status");
+  }
+});
+
+app.post("/api/deployments/:id/rollback", requireRole("deployer"), async (req, res) => {
+  const deployment = await loadDeployment(req, res);
+  if (!deployment) return;
+  if (deployment.endedAt) return rejectEnded(res, deployment);
+  const kube = kubeClientForRegion(res, deployment.region);
+  if (!kube) return;
+
+  let previous;
+  try {
+    previous = await deploymentLog.previousOf(deployment);
+  } catch (err) {
+    console.error("❌ Failed to read deployment history:", err.message);
+    return res.status(500).json({
+      error: "Failed to read deployment history.",
+      details: err.message,
+    });
+  }
+  if (!previous) {
+    return res.status(409).json({
+      error: `No earlier deployment of plan ${deployment.planId} in ${deployment.region} to roll back to.`,
+    });
+  }
+
+  // The restored deployment takes over the earlier record's estimates. It is
+  // only recorded (ending the current one) once the manifests are applied.
+  const {
+    id,
+    timestamp,
+    startedAt,
+    endedAt,
+    endReason,
+    supersededBy,
+    rolloutStatus,
+    rolloutError,
+    ...restored
+  } = previous.deployment;
+  const rollbackId = crypto.randomUUID();
+  const recordRollback = () =>
+    deploymentLog.record(
+      {
+        ...restored,
+        id: rollbackId,
+        rollbackOf: deployment.id,
+        restoredFrom: previous.deployment.id,
+        deployedBy: attributionOf(req.principal),
+      },
+      previous.kubernetesYaml,
+      { endReason: "rolled-back" }
+    );
+  const sendRecordError = (err, message) => {
+    console.error("❌ Failed to record rollback:", err.message);
+    return res.status(500).json({ error: message, details: err.message });
+  };
+
+  if (!ENABLE_CIVO_DEPLOY) {
+    let rollback;
+    try {
+      rollback = await recordRollback();
+    } catch (err) {
+      return sendRecordError(err, "Failed to record rollback in history store.");
+    }
+    return res.json({
+      status: "dry-run",
+      message:
+        "Rollback recorded for analytics, but kubectl apply was not executed because ENABLE_CIVO_DEPLOY is not true.",
+      command: kube.commandFor("apply"),
+      deployment: rollback,
+    });
+  }
+
+  const queued = queueKubectlJob(
+    "rollback",
+    {
+      planId: deployment.planId,
+      projectId: projectOf(deployment),
+      region: deployment.region,
+      deploymentId: rollbackId,
+      requestedBy: req.principal.name,
+    },
+    (log) => kube.applyManifests(previous.kubernetesYaml, { mode: "apply", onOutput: log })
+  );
+  const { job, value, error } = await queued.finished;
+  if (error) return sendKubectlError(res, error, "apply");
+
+  let rollback;
+  try {
+    rollback = await recordRollback();
+  } catch (err) {
+    return sendRecordError(
+      err,
+      "Rollback was applied but could not be recorded in the history store."
+    );
+  }
+
+  console.log(`↩️  Rolled back plan ${deployment.planId} to deployment ${previous.deployment.id}`);
+  res.json({
+    status: "ok",
+    message: `Re-applied the manifests of deployment ${previous.deployment.id}.`,
+    jobId: job.id,
+    command: value.command,
+    kubectl: { stdout: value.stdout, stderr: value.stderr },
+    deployment: rollback,
+  });
+});
+
+app.delete("/api/deployments/:id", requireRole("deployer"), async (req, res) => {
+  const deployment = await loadDeployment(req, res);
+  if (!deployment) return;
+  if (deployment.endedAt) return rejectEnded(res, deployment);
+  const kube = kubeClientForRegion(res, deployment.region);
+  if (!kube) return;
+
+  // Select by the label the applied objects actually carry
+  const kubernetesYaml = await deploymentLog.manifestsFor(deployment.id);
+  const planLabel = selectorLabelOf(deployment, kubernetesYaml);
+  if (!PLAN_ID_PATTERN.test(planLabel)) {
+    return res.status(422).json({
+      error: `Cannot select resources by greenops-plan=${planLabel}; tear this deployment down manually.`,
+    });
+  }
+
+  const resources =
+    req.query.keepVolumes === "true"
+      ? TEARDOWN_RESOURCES
+      : [...TEARDOWN_RESOURCES, ...VOLUME_RESOURCES];
+  const selector = `greenops-plan=${planLabel}`;
+
+  let result = null;
+  if (ENABLE_CIVO_DEPLOY) {
+    const queued = queueKubectlJob(
+      "teardown",
+      {
+        planId: deployment.planId,
+        projectId: projectOf(deployment),
+        region: deployment.region,
+        deploymentId: deployment.id,
+        requestedBy: req.principal.name,
+      },
+      (log) => kube.deleteByLabel(deployment.namespace, selector, resources, { onOutput: log })
+    );
+    const { value, error } = await queued.finished;
+    // Resources may still be running, so the record stays active
+    if (error) return sendKubectlError(res, error, "delete");
+    result = value;
+    console.log(`🧹 Tore down plan ${deployment.planId} in ${deployment.namespace}`);
+  }
+
+  let ended;
+  try {
+    ended = await deploymentLog.end(deployment.id, "teardown", {
+      endedBy: attributionOf(req.principal),
+    });
+  } catch (err) {
+    console.error("❌ Failed to record teardown:", err.message);
+    return res.status(500).json({
+      error: "Failed to record teardown in history store.",
+      details: err.message,
+    });
+  }
+
+  res.json({
+    status: result ? "ok" : "dry-run",
+    message: result
+      ? `Deleted resources labelled ${selector} in ${deployment.namespace}.`
+      : "Teardown recorded for analytics, but kubectl delete was not executed because ENABLE_CIVO_DEPLOY is not true.",
+    command: result
+      ? result.command
+      : kube.deleteCommandFor(deployment.namespace, selector, resources),
+    kubectl: result ? { stdout: result.stdout, stderr: result.stderr } : undefined,
+    deployment: ended,
+  });
+});
+
+// -------------------- Job endpoints --------------------
+// GET /api/jobs                 recent jobs, newest first (?status=running)
+// GET /api/jobs/:id             one job with its full log
+// GET /api/jobs/:id/events      Server-Sent Events: "status", "log" and a
+//                               final "end"; resumes after Last-Event-ID
+//                               (or ?since=<seq>) so reloads miss nothing
+
+app.get("/api/jobs", requireRole("viewer"), (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${JOB_STATUSES.join(", ")}.`,
+    });
+  }
+  const visible = jobs
+    .list({ status })
+    .filter(visibleTo(req.principal, (job) => job.meta.projectId || DEFAULT_PROJECT_ID));
+  res.json({ jobs: visible, stats: jobs.stats() });
+});
+
+// Jobs of other projects are hidden like missing ones
+const jobVisibleTo = (principal, job) =>
+  !!job && canAccessProject(principal, job.meta.projectId || DEFAULT_PROJECT_ID);
+
+app.get("/api/jobs/:id", requireRole("viewer"), (req, res) => {
+  const job = jobs.get(req.params.id, { withLog: true });
+  if (!jobVisibleTo(req.principal, job)) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+  }
+  res.json({ job });
+});
+
+app.get("/api/jobs/:id/events", authenticateStream, requireRole("viewer"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!jobVisibleTo(req.principal, job)) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found.` });
+  }
+  const since = parseInt(req.get("Last-Event-ID") ?? req.query.since ?? "-1", 10);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Replay what the client has not seen, then follow live. Both happen in
+  // one tick, so no line can fall in between.
+  send("status", job);
+  jobs.logSince(job.id, Number.isNaN(since) ? -1 : since).forEach((entry) => {
+    send("log", entry, entry.seq);
+  });
+  if (jobs.isFinished(job)) {
+    send("end", jobs.get(job.id));
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const unsubscribe = jobs.subscribe(job.id, (event, data) => {
+    send(event, data, event === "log" ? data.seq : undefined);
+    if (event === "end") res.end();
+  });
+  res.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// -------------------- Migration endpoints --------------------
+// GET  /api/migrations                recommendations, newest first
+//                                     (?status=open&deploymentId=...)
+// GET  /api/migrations/:id            one recommendation
+// POST /api/migrations/evaluate       re-score every active deployment now
+// POST /api/migrations/:id/apply      move the deployment ({ async: true }
+//                                     returns 202 with the job)
+// POST /api/migrations/:id/dismiss    close it without moving anything
+//
+// A move applies the deployment's manifests (GREENOPS_REGION retargeted) to
+// the target region's cluster and waits for the rollout; only then is the
+// deployment recorded there (the old record ends as "migrated") and the old
+// region's resources deleted. StatefulSets and PersistentVolumeClaims are
+// never moved: their data would stay behind.
+
+// API clients know their server; kubectl ones only their kubeconfig target
+function sameCluster(a, b) {
+  if (a.kube.server && b.kube.server) return a.kube.server === b.kube.server;
+  return a.inCluster === b.inCluster && a.context === b.context && a.kubeconfig === b.kubeconfig;
+}
+
+// Everything a move needs, or { error } (a 409 for the API) when the
+// recommendation cannot be applied. Callers claim the recommendation first
+// (advisor.claim) and release it when they do not go on to startMigration.
+async function prepareMigration(recommendation) {
+  if (recommendation.status !== "open") {
+    return { error: `Recommendation ${recommendation.id} is ${recommendation.status}.` };
+  }
+  const deployment = await store.get("deployments", recommendation.deploymentId);
+  if (!deployment || deployment.endedAt) {
+    return { error: `Deployment ${recommendation.deploymentId} is no longer running.` };
+  }
+  if (deployment.region !== recommendation.fromRegion) {
+    return { error: `Deployment ${deployment.id} is no longer in ${recommendation.fromRegion}.` };
+  }
+  const target = regionCatalog.get(recommendation.toRegion);
+  if (!target || !target.enabled) {
+    return { error: `Region ${recommendation.toRegion} is not enabled in the region catalog.` };
+  }
+
+  const kubernetesYaml = await deploymentLog.manifestsFor(deployment.id);
+  if (!kubernetesYaml) {
+    return { error: `No manifests were stored for deployment ${deployment.id}.` };
+  }
+  const docs = validateManifests(kubernetesYaml).docs;
+  const stateful = docs
+    .filter((d) => d.kind === "StatefulSet" || d.kind === "PersistentVolumeClaim")
+    .map((d) => `${d.kind}/${d.metadata.name}`);
+  if (stateful.length > 0) {
+    return {
+      error: `Deployment ${deployment.id} keeps data in ${stateful.join(", ")}; move it by hand.`,
+    };
   }
 
-  const baseCmd = KUBECTL_CONTEXT
-    ? `kubectl --context ${KUBECTL_CONTEXT} apply -f "${tmpFile}"`
-    : `kubectl apply -f "${tmpFile}"`;
+  // The move is a deploy to the target region, under the same policies
+  // (userRegions is only known for deployments of saved plans)
+  const fromRegion = regionCatalog.get(deployment.region) || target;
+  const energyKwh = energyInRegion(deployment.estimatedHourlyEnergyKwh, fromRegion, target);
+  const policyCheck = policies.check(
+    policySubject({
+      projectId: projectOf(deployment),
+      namespace: deployment.namespace,
+      planId: deployment.planId,
+      region: target.id,
+      carbonIntensity: recommendation.carbonIntensity.to,
+      replicas: deployment.replicas,
+      instanceClass: deployment.instanceClass,
+      userRegion:
+        deployment.savedPlan && deployment.placementPolicy
+          ? deployment.placementPolicy.userRegion
+          : undefined,
+      hourlyCO2Kg:
+        (energyKwh * recommendation.carbonIntensity.to) / 1000 +
+        (deployment.estimatedHourlyEmbodiedCO2Kg || 0),
+      hourlyCostUsd: target.baseCost * deployment.replicas,
+      manifests: docs,
+    })
+  );
+  policies.record(policyCheck);
+  if (policyCheck.errors.length > 0) {
+    const ids = policyCheck.errors.map((v) => v.ruleId).join(", ");
+    return { error: `Moving deployment ${deployment.id} to ${target.id} breaks policy ${ids}.` };
+  }
 
-  // If deployment is disabled, just simulate success (for hackathon demo or dry-run)
-  if (!ENABLE_CIVO_DEPLOY) {
-    console.log("💡 DRY-RUN: would execute:", baseCmd);
-    return res.json({
-      status: "dry-run",
-      message:
-        "Deployment recorded for analytics, but kubectl apply was not executed because ENABLE_CIVO_DEPLOY is not true.",
-      command: baseCmd,
-      analytics: {
-        timestamp: now,
-        estimatedHourlyEnergyKwh: Number(hourlyEnergyKwh.toFixed(3)),
-        estimatedHourlyCO2Kg: Number(estimatedHourlyCO2Kg.toFixed(3)),
-        estimatedHourlyCostUsd: Number(estimatedHourlyCostUsd.toFixed(4)),
-        estimatedHourlyCostInr: Number(estimatedHourlyCostInr.toFixed(2)),
-      },
-    });
+  const source = clusterRegistry.get(deployment.region);
+  const destination = clusterRegistry.get(target.id);
+  if (ENABLE_CIVO_DEPLOY && (!source || !destination)) {
+    return {
+      error: `No cluster is configured for region ${source ? target.id : deployment.region}.`,
+    };
   }
+  return {
+    deployment,
+    kubernetesYaml: retargetManifests(kubernetesYaml, target.id),
+    target,
+    sourceKube: source ? source.kube : previewKubectl,
+    targetKube: destination ? destination.kube : previewKubectl,
+    // Both regions on one cluster: the apply updated the objects in place
+    teardown: !(source && destination && sameCluster(source, destination)),
+    policyViolations: policyCheck.warnings.length > 0 ? policyCheck.warnings : null,
+  };
+}
+
+// Queues the move on behalf of `deployedBy` (attributionOf the caller, or
+// the advisor itself). `finished` resolves with { job, error, deployment,
+// teardownJobId } once the new region is running (or the move failed).
+async function startMigration(prepared, recommendation, deployedBy) {
+  const { deployment, kubernetesYaml, target, sourceKube, targetKube } = prepared;
+  const meta = {
+    planId: deployment.planId,
+    projectId: projectOf(deployment),
+    region: target.id,
+    fromRegion: deployment.region,
+    deploymentId: deployment.id,
+    recommendationId: recommendation.id,
+    requestedBy: deployedBy.name,
+  };
 
   try {
-    const { stdout, stderr } = await execShellCommand(baseCmd);
-    console.log("✅ kubectl apply output:", stdout);
-    if (stderr) {
-      console.warn("⚠️ kubectl apply stderr:", stderr);
+    await advisor.begin(recommendation.id);
+  } catch (err) {
+    advisor.release(recommendation.id);
+    throw err;
+  }
+  const queued = queueKubectlJob("migrate", meta, async (log) => {
+    if (!ENABLE_CIVO_DEPLOY) {
+      const command = targetKube.commandFor("apply");
+      log("info", `DRY-RUN: would execute: ${command}\n`);
+      return { dryRun: true, command };
+    }
+    const result = await targetKube.applyManifests(kubernetesYaml, {
+      mode: "apply",
+      onOutput: log,
+    });
+    const workloads = workloadsOf(kubernetesYaml);
+    log("info", `Waiting for ${workloads.length} workload(s) to roll out in ${target.id}...\n`);
+    await targetKube.watchRollout(deployment.namespace, workloads, {
+      timeoutSeconds: KUBECTL_ROLLOUT_TIMEOUT_SECONDS,
+      onOutput: log,
+    });
+    return result;
+  });
+
+  const finished = queued.finished.then(async ({ job, error }) => {
+    if (error) {
+      console.error(`❌ Migration of deployment ${deployment.id} failed:`, error.message);
+      await advisor.resolve(recommendation.id, "failed", { error: error.message, jobId: job.id });
+      return { job, error };
     }
 
-    return res.json({
-      status: "ok",
-      message: "Deployment applied to CIVO cluster via kubectl.",
-      command: baseCmd,
-      kubectl: { stdout, stderr },
-      analytics: {
-        timestamp: now,
-        estimatedHourlyEnergyKwh: Number(hourlyEnergyKwh.toFixed(3)),
-        estimatedHourlyCO2Kg: Number(estimatedHourlyCO2Kg.toFixed(3)),
-        estimatedHourlyCostUsd: Number(estimatedHourlyCostUsd.toFixed(4)),
-        estimatedHourlyCostInr: Number(estimatedHourlyCostInr.toFixed(2)),
+    // Same workload, the target's PUE, live intensity and price
+    const fromRegion = regionCatalog.get(deployment.region) || target;
+    const energyKwh = energyInRegion(deployment.estimatedHourlyEnergyKwh, fromRegion, target);
+    const ci = recommendation.carbonIntensity.to;
+    const costUsd = target.baseCost * deployment.replicas;
+    const {
+      id,
+      timestamp,
+      startedAt,
+      endedAt,
+      endReason,
+      supersededBy,
+      rollbackOf,
+      restoredFrom,
+      rolloutStatus,
+      rolloutError,
+      ...kept
+    } = deployment;
+    const migrated = await deploymentLog.record(
+      {
+        ...kept,
+        region: target.id,
+        regionLabel: target.label,
+        carbonIntensity_gCo2PerKwh: ci,
+        carbonIntensitySource: "live",
+        estimatedHourlyEnergyKwh: Number(energyKwh.toFixed(4)),
+        estimatedHourlyCO2Kg: Number(((energyKwh * ci) / 1000).toFixed(4)),
+        estimatedHourlyCostUsd: Number(costUsd.toFixed(4)),
+        estimatedHourlyCostInr: Number((costUsd * USD_TO_INR).toFixed(2)),
+        policyViolations: prepared.policyViolations,
+        migratedFrom: deployment.id,
+        migrationRecommendationId: recommendation.id,
+        deployedBy,
       },
+      kubernetesYaml,
+      { endReason: "migrated", replaces: deployment.id }
+    );
+    await advisor.resolve(recommendation.id, "applied", {
+      migrationDeploymentId: migrated.id,
+      jobId: job.id,
+    });
+    console.log(
+      `🌍 Migrated plan ${deployment.planId} from ${deployment.region} to ${target.id} (deployment ${migrated.id})`
+    );
+
+    // The old region's copy goes once the new one is ready
+    const planLabel = selectorLabelOf(deployment, kubernetesYaml);
+    let teardownJobId = null;
+    if (ENABLE_CIVO_DEPLOY && prepared.teardown && PLAN_ID_PATTERN.test(planLabel)) {
+      const teardown = queueKubectlJob(
+        "teardown",
+        {
+          planId: deployment.planId,
+          projectId: projectOf(deployment),
+          region: deployment.region,
+          deploymentId: deployment.id,
+          requestedBy: deployedBy.name,
+        },
+        (log) =>
+          sourceKube.deleteByLabel(
+            deployment.namespace,
+            `greenops-plan=${planLabel}`,
+            TEARDOWN_RESOURCES,
+            { onOutput: log }
+          )
+      );
+      teardownJobId = teardown.job.id;
+      teardown.finished.then(({ error: teardownError }) => {
+        if (teardownError) {
+          console.error(
+            `❌ Teardown of plan ${deployment.planId} in ${deployment.region} after migration failed:`,
+            teardownError.message
+          );
+        }
+      });
+    }
+    return { job, deployment: migrated, teardownJobId };
+  });
+
+  finished.catch((err) => {
+    console.error(`❌ Failed to record migration of deployment ${deployment.id}:`, err.message);
+  });
+  return { job: queued.job, finished };
+}
+
+async function loadRecommendation(req, res) {
+  try {
+    const recommendation = await advisor.get(req.params.id);
+    if (!recommendation || !canAccessProject(req.principal, projectOf(recommendation))) {
+      res.status(404).json({ error: `Migration recommendation ${req.params.id} not found.` });
+      return null;
+    }
+    return recommendation;
+  } catch (err) {
+    console.error("❌ Failed to read migration recommendations:", err.message);
+    res.status(500).json({
+      error: "Failed to read migration recommendations.",
+      details: err.message,
+    });
+    return null;
+  }
+}
+
+app.get("/api/migrations", requireRole("viewer"), async (req, res) => {
+  const { status, deploymentId } = req.query;
+  if (status && !RECOMMENDATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${RECOMMENDATION_STATUSES.join(", ")}.`,
+    });
+  }
+  try {
+    const recommendations = (await advisor.list({ status, deploymentId })).filter(
+      visibleTo(req.principal, projectOf)
+    );
+    res.json({ recommendations, advisor: advisor.stats() });
+  } catch (err) {
+    console.error("❌ Failed to read migration recommendations:", err.message);
+    res.status(500).json({
+      error: "Failed to read migration recommendations.",
+      details: err.message,
+    });
+  }
+});
+
+app.post("/api/migrations/evaluate", requireRole("deployer"), async (req, res) => {
+  try {
+    const summary = await advisor.run();
+    const recommendations = (await advisor.list({ status: "open" })).filter(
+      visibleTo(req.principal, projectOf)
+    );
+    res.json({ summary, recommendations });
+  } catch (err) {
+    console.error("❌ Migration advisor run failed:", err.message);
+    res.status(500).json({ error: "Migration advisor run failed.", details: err.message });
+  }
+});
+
+app.get("/api/migrations/:id", requireRole("viewer"), async (req, res) => {
+  const recommendation = await loadRecommendation(req, res);
+  if (!recommendation) return;
+  res.json({ recommendation });
+});
+
+app.post("/api/migrations/:id/apply", requireRole("deployer"), async (req, res) => {
+  const { async: runAsync = false } = req.body || {};
+  if (typeof runAsync !== "boolean") {
+    return res.status(400).json({ error: "async must be a boolean." });
+  }
+  const recommendation = await loadRecommendation(req, res);
+  if (!recommendation) return;
+  // Claimed before anything else is awaited, so a concurrent apply (or the
+  // advisor) cannot start a second move
+  if (!advisor.claim(recommendation)) {
+    return res.status(409).json({
+      error: `Recommendation ${recommendation.id} is already being applied.`,
+    });
+  }
+
+  let prepared;
+  try {
+    // Re-read under the claim: the status may have changed since the lookup
+    prepared = await prepareMigration(await advisor.get(recommendation.id));
+  } catch (err) {
+    advisor.release(recommendation.id);
+    console.error("❌ Failed to prepare migration:", err.message);
+    return res.status(500).json({ error: "Failed to prepare migration.", details: err.message });
+  }
+  if (prepared.error) {
+    advisor.release(recommendation.id);
+    return res.status(409).json({ error: prepared.error });
+  }
+
+  let job;
+  let finished;
+  try {
+    ({ job, finished } = await startMigration(
+      prepared,
+      recommendation,
+      attributionOf(req.principal)
+    ));
+  } catch (err) {
+    console.error("❌ Failed to start migration:", err.message);
+    return res.status(500).json({ error: "Failed to start migration.", details: err.message });
+  }
+  if (runAsync) return res.status(202).json(jobAccepted(job));
+
+  let outcome;
+  try {
+    outcome = await finished;
+  } catch (err) {
+    return res.status(500).json({
+      error: "Migration was applied but could not be recorded in the history store.",
+      details: err.message,
+    });
+  }
+  if (outcome.error) return sendKubectlError(res, outcome.error, "apply");
+  res.json({
+    status: ENABLE_CIVO_DEPLOY ? "ok" : "dry-run",
+    message: ENABLE_CIVO_DEPLOY
+      ? `Moved plan ${prepared.deployment.planId} to ${prepared.target.id}.`
+      : "Migration recorded for analytics, but kubectl was not executed because ENABLE_CIVO_DEPLOY is not true.",
+    jobId: outcome.job.id,
+    teardownJobId: outcome.teardownJobId,
+    deployment: outcome.deployment,
+    recommendation: await advisor.get(recommendation.id),
+  });
+});
+
+app.post("/api/migrations/:id/dismiss", requireRole("deployer"), async (req, res) => {
+  const recommendation = await loadRecommendation(req, res);
+  if (!recommendation) return;
+  if (!advisor.claim(recommendation)) {
+    return res.status(409).json({
+      error: `Recommendation ${recommendation.id} is being applied.`,
     });
-  } catch (e) {
-    console.error("❌ kubectl apply failed:", e);
+  }
+  let current;
+  try {
+    current = await advisor.get(recommendation.id);
+  } catch (err) {
+    advisor.release(recommendation.id);
+    console.error("❌ Failed to read migration recommendations:", err.message);
     return res.status(500).json({
-      status: "error",
-      message: "kubectl apply failed. Check server logs.",
-      command: baseCmd,
-      error: e.error ? e.error.message : String(e),
-      stdout: e.stdout,
-      stderr: e.stderr,
+      error: "Failed to read migration recommendations.",
+      details: err.message,
+    });
+  }
+  if (current.status !== "open") {
+    advisor.release(recommendation.id);
+    return res.status(409).json({
+      error: `Recommendation ${recommendation.id} is ${current.status}.`,
     });
   }
+  try {
+    res.json({ recommendation: await advisor.resolve(recommendation.id, "dismissed") });
+  } catch (err) {
+    console.error("❌ Failed to dismiss recommendation:", err.message);
+    res.status(500).json({ error: "Failed to dismiss recommendation.", details: err.message });
+  }
 });
 
 // -------------------- Analytics endpoint --------------------
-// Returns deployment history + aggregate CO2 + cost metrics
-app.get("/api/analytics", (req, res) => {
-  const deployments = DEPLOYMENTS_HISTORY;
+// Returns deployment history + aggregate CO2 + cost metrics.
+// summary/byPlan/byRegion add up *hourly* rates of deployments active in the
+// window; emissions integrates those rates over time into kgCO2e, kWh and cost.
+// Query: from, to (ISO-8601), groupBy=day|week|month, projectId (default:
+// every project the caller can see)
+app.get("/api/analytics", requireRole("viewer"), async (req, res) => {
+  const { projectId } = req.query;
+  if (projectId !== undefined && !projectForRequest(req, res, projectId)) return;
+
+  let history;
+  try {
+    history = (await store.list("deployments")).filter((d) =>
+      projectId !== undefined
+        ? projectOf(d) === projectId
+        : canAccessProject(req.principal, projectOf(d))
+    );
+  } catch (err) {
+    console.error("❌ Failed to read deployment history:", err.message);
+    return res.status(500).json({
+      error: "Failed to read deployment history.",
+      details: err.message,
+    });
+  }
+
+  // Optional ?from=&to=&groupBy=day|week|month window
+  let window;
+  let emissions;
+  try {
+    window = parseWindow(req.query, history);
+    emissions = integrateEmissions(history, window, USD_TO_INR);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const deployments = history.filter((d) =>
+    isActiveInWindow(d, window.from, window.to)
+  );
   const totalDeployments = deployments.length;
 
   let totalCO2 = 0;
@@ -718,7 +2727,8 @@ app.get("/api/analytics", (req, res) => {
   const byPlan = {};   // { planId: { deployments, totalCO2, totalCI, totalCostUsd } }
   const byRegion = {}; // { region: { deployments, totalCO2, totalCI, totalCostUsd } }
 
-  const maxBaseCost = Math.max(...REGIONS.map((r) => r.baseCost));
+  const allRegions = regionCatalog.list({ includeDisabled: true });
+  const maxBaseCost = allRegions.length ? Math.max(...allRegions.map((r) => r.baseCost)) : 0;
 
   deployments.forEach((d) => {
     totalCO2 += d.estimatedHourlyCO2Kg;
@@ -781,6 +2791,7 @@ app.get("/api/analytics", (req, res) => {
   }));
 
   res.json({
+    projectId: projectId || null,
     summary: {
       totalDeployments,
       totalEstimatedHourlyCO2Kg: Number(totalCO2.toFixed(3)),
@@ -794,6 +2805,8 @@ app.get("/api/analytics", (req, res) => {
     },
     byPlan: byPlanArray,
     byRegion: byRegionArray,
+    // Integrated (actual) energy, CO2 and cost over each deployment's lifetime
+    emissions,
     deployments,
     currency: {
       usdToInr: USD_TO_INR,
@@ -801,11 +2814,367 @@ app.get("/api/analytics", (req, res) => {
   });
 });
 
+// Cross-project roll-up for admins: per project, what runs now (hourly
+// rates) and what was emitted and spent in the window. Query: from, to
+app.get("/api/analytics/projects", requireRole("admin"), async (req, res) => {
+  let history;
+  try {
+    history = await store.list("deployments");
+  } catch (err) {
+    console.error("❌ Failed to read deployment history:", err.message);
+    return res.status(500).json({
+      error: "Failed to read deployment history.",
+      details: err.message,
+    });
+  }
+
+  let window;
+  try {
+    window = parseWindow(req.query, history);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Deleted projects keep their history, so they still show up
+  const projectIds = new Set([...projects.list().map((p) => p.id), ...history.map(projectOf)]);
+  const byProject = [...projectIds].map((id) => {
+    const project = projects.get(id);
+    const own = history.filter((d) => projectOf(d) === id);
+    const running = own.filter((d) => !d.endedAt);
+    const hourlyCO2Kg = running.reduce((sum, d) => sum + (d.estimatedHourlyCO2Kg || 0), 0);
+    const hourlyCostUsd = running.reduce((sum, d) => sum + (d.estimatedHourlyCostUsd || 0), 0);
+    return {
+      projectId: id,
+      name: project ? project.name : null,
+      namespace: project ? project.namespace : null,
+      deleted: !project,
+      runningDeployments: running.length,
+      estimatedHourlyCO2Kg: Number(hourlyCO2Kg.toFixed(4)),
+      estimatedHourlyCostUsd: Number(hourlyCostUsd.toFixed(4)),
+      estimatedHourlyCostInr: Number((hourlyCostUsd * USD_TO_INR).toFixed(2)),
+      emissions: integrateEmissions(own, window, USD_TO_INR).totals,
+    };
+  });
+  byProject.sort((a, b) => b.emissions.co2Kg - a.emissions.co2Kg);
+
+  const overall = integrateEmissions(history, window, USD_TO_INR);
+  res.json({
+    window: overall.window,
+    totals: overall.totals,
+    projects: byProject,
+    currency: {
+      usdToInr: USD_TO_INR,
+    },
+  });
+});
+
+// -------------------- Project endpoints --------------------
+// GET    /api/projects                   projects the caller can see
+// GET    /api/projects/:id
+// GET    /api/projects/:id/deployments   the project's history, newest first
+//                                        (?active=true for running ones)
+// POST   /api/projects                   create (admin)
+// PUT    /api/projects/:id               update name, description, components (admin)
+// DELETE /api/projects/:id               delete; refused while deployments run (admin)
+
+function sendProjectError(res, err) {
+  if (err instanceof ProjectError) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details,
+    });
+  }
+  console.error("❌ Project update failed:", err.message);
+  return res.status(500).json({
+    error: "Project update failed.",
+    details: err.message,
+  });
+}
+
+app.get("/api/projects", requireRole("viewer"), (req, res) => {
+  res.json({ projects: projects.list(req.principal) });
+});
+
+app.get("/api/projects/:id", requireRole("viewer"), (req, res) => {
+  const project = projectForRequest(req, res, req.params.id);
+  if (!project) return;
+  res.json({ project });
+});
+
+app.get("/api/projects/:id/deployments", requireRole("viewer"), async (req, res) => {
+  const project = projectForRequest(req, res, req.params.id);
+  if (!project) return;
+  try {
+    const deployments = (await store.list("deployments"))
+      .filter((d) => projectOf(d) === project.id)
+      .filter((d) => req.query.active !== "true" || !d.endedAt)
+      .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    res.json({ project, deployments });
+  } catch (err) {
+    console.error("❌ Failed to read deployment history:", err.message);
+    res.status(500).json({
+      error: "Failed to read deployment history.",
+      details: err.message,
+    });
+  }
+});
+
+app.post("/api/projects", requireRole("admin"), async (req, res) => {
+  try {
+    const project = await projects.create(req.body || {});
+    console.log(`📁 Created project ${project.id} (namespace ${project.namespace})`);
+    res.status(201).json({ project });
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+app.put("/api/projects/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const project = await projects.update(req.params.id, req.body || {});
+    res.json({ project });
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+app.delete("/api/projects/:id", requireRole("admin"), async (req, res) => {
+  try {
+    await projects.remove(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+// -------------------- Budget endpoints --------------------
+// GET    /api/budgets              budgets the caller can see, each with this
+//                                  month's evaluation
+// GET    /api/budgets/:id
+// POST   /api/budgets              add a budget
+// PUT    /api/budgets/:id          update fields (re-arms this month's
+//                                  notifications)
+// DELETE /api/budgets/:id
+// POST   /api/budgets/evaluate     check every budget now and send due
+//                                  notifications
+
+function sendBudgetError(res, err) {
+  if (err instanceof BudgetError) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details,
+    });
+  }
+  console.error("❌ Budget update failed:", err.message);
+  return res.status(500).json({
+    error: "Budget update failed.",
+    details: err.message,
+  });
+}
+
+app.get("/api/budgets", requireRole("viewer"), async (req, res) => {
+  try {
+    const visible = await budgets.list(req.principal);
+    const evaluations = await budgets.evaluateAll(visible);
+    res.json({
+      budgets: visible.map((budget, idx) => ({ budget, evaluation: evaluations[idx] })),
+    });
+  } catch (err) {
+    sendBudgetError(res, err);
+  }
+});
+
+app.post("/api/budgets/evaluate", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await budgets.run());
+  } catch (err) {
+    sendBudgetError(res, err);
+  }
+});
+
+app.get("/api/budgets/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const budget = await budgets.get(req.params.id);
+    if (!budget || !canSeeBudget(req.principal, budget)) {
+      return res.status(404).json({ error: `Budget ${req.params.id} not found.` });
+    }
+    const [evaluation] = await budgets.evaluateAll([budget]);
+    res.json({ budget, evaluation });
+  } catch (err) {
+    sendBudgetError(res, err);
+  }
+});
+
+app.post("/api/budgets", requireRole("admin"), async (req, res) => {
+  try {
+    const budget = await budgets.create(req.body || {});
+    console.log(
+      `💸 Created budget "${budget.name}" (${budget.monthlyLimit} ${budget.metric}/month)`
+    );
+    res.status(201).json({ budget });
+  } catch (err) {
+    sendBudgetError(res, err);
+  }
+});
+
+app.put("/api/budgets/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const budget = await budgets.update(req.params.id, req.body || {});
+    res.json({ budget });
+  } catch (err) {
+    sendBudgetError(res, err);
+  }
+});
+
+app.delete("/api/budgets/:id", requireRole("admin"), async (req, res) => {
+  try {
+    await budgets.remove(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendBudgetError(res, err);
+  }
+});
+
+// -------------------- Webhook endpoints --------------------
+// GET  /api/webhooks              configured webhooks (hosts only, no URLs or
+//                                 secrets) and recent deliveries
+// POST /api/webhooks/:name/test   send a "webhook.test" event
+
+app.get("/api/webhooks", requireRole("admin"), (req, res) => {
+  res.json({ webhooks: notifier.describe(), deliveries: notifier.deliveries() });
+});
+
+app.post("/api/webhooks/:name/test", requireRole("admin"), async (req, res) => {
+  const delivery = await notifier.test(req.params.name);
+  if (!delivery) {
+    return res.status(404).json({ error: `Webhook ${req.params.name} not found.` });
+  }
+  res.status(delivery.status === "delivered" ? 200 : 502).json({ delivery });
+});
+
+// -------------------- Policy endpoint --------------------
+// GET /api/policies   the rules plans, deploys and migrations are checked
+//                     against (POLICIES_FILE, read at startup)
+
+app.get("/api/policies", requireRole("viewer"), (req, res) => {
+  res.json({ rules: policies.list() });
+});
+
+// -------------------- Region catalog endpoints --------------------
+// GET    /api/regions            all regions (including disabled ones)
+// GET    /api/regions/:id
+// POST   /api/regions            add a region
+// PUT    /api/regions/:id        update fields (e.g. { "enabled": false } to disable)
+// DELETE /api/regions/:id        remove a region from the catalog
+
+function sendCatalogError(res, err) {
+  if (err instanceof CatalogError) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details,
+    });
+  }
+  console.error("❌ Region catalog error:", err.message);
+  return res.status(500).json({
+    error: "Region catalog update failed.",
+    details: err.message,
+  });
+}
+
+app.get("/api/regions", requireRole("viewer"), (req, res) => {
+  res.json({
+    regions: regionCatalog.list({ includeDisabled: true }),
+  });
+});
+
+app.get("/api/regions/:id", requireRole("viewer"), (req, res) => {
+  const region = regionCatalog.get(req.params.id);
+  if (!region) {
+    return res.status(404).json({ error: `Region ${req.params.id} not found.` });
+  }
+  res.json({ region });
+});
+
+app.post("/api/regions", requireRole("admin"), async (req, res) => {
+  try {
+    const region = await regionCatalog.create(req.body || {});
+    res.status(201).json({ region });
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
+app.put("/api/regions/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const region = await regionCatalog.update(req.params.id, req.body || {});
+    res.json({ region });
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
+app.delete("/api/regions/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const cluster = clusterRegistry.get(req.params.id);
+    await regionCatalog.remove(req.params.id, {
+      references: cluster ? [`cluster ${cluster.region}`] : [],
+    });
+    res.status(204).end();
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
 // 404 fallback
 app.use((req, res) => {
   res.status(404).json({ error: "Not found" });
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ GreenOps backend running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+regionCatalog
+  .init()
+  .then(() => projects.init())
+  .then(() => {
+    if (clusterRegistry.size > 0) {
+      console.log(
+        `☸️  Loaded ${clusterRegistry.size} cluster(s) from ${CLUSTERS_CONFIG_FILE}: ${clusterRegistry
+          .list()
+          .map((c) => c.region)
+          .join(", ")}.`
+      );
+    } else if (ENABLE_CIVO_DEPLOY) {
+      console.warn(
+        `⚠️  No clusters configured (${CLUSTERS_CONFIG_FILE}). /api/deploy will refuse every region.`
+      );
+    }
+    const unknown = clusterRegistry.unknownRegions(regionCatalog);
+    if (unknown.length > 0) {
+      console.warn(
+        `⚠️  Clusters configured for regions missing from or disabled in the catalog: ${unknown.join(", ")}.`
+      );
+    }
+
+    advisor.start();
+    if (MIGRATION_ADVISOR_INTERVAL_MINUTES > 0) {
+      console.log(
+        `🌍 Migration advisor re-scores active deployments every ${MIGRATION_ADVISOR_INTERVAL_MINUTES} min.`
+      );
+    }
+
+    budgets.start();
+    if (notifier.stats().configured > 0) {
+      console.log(
+        `🔔 Sending budget notifications to ${notifier.stats().configured} webhook(s).`
+      );
+    }
+    if (policies.stats().rules > 0) {
+      console.log(`📜 Enforcing ${policies.stats().rules} policy rule(s) from ${POLICIES_FILE}.`);
+    }
+
+    app.listen(PORT, () => {
+      console.log(`✅ GreenOps backend running on http://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("❌ Failed to load region catalog or projects:", err.message);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,312 @@
+// src/sizing.js
+// Workload-aware sizing and the energy model shared by /api/plan,
+// /api/schedule and /api/deploy.
+//
+// Optional sizing fields on a component:
+//   cpu            CPU request per replica: cores (0.5) or millicores ("500m");
+//                  falls back to resources.requests.cpu
+//   memory         memory request per replica: MiB (512) or "512Mi" / "1Gi";
+//                  falls back to resources.requests.memory
+//   expectedRps    expected requests per second across all replicas
+//   rpsPerReplica  requests per second one replica handles at 100% CPU
+//   utilization    target average CPU utilization, 0–1 (default 0.5)
+//   minReplicas / maxReplicas   (fall back to autoscaling bounds)
+//   replicas       pin the replica count instead of deriving it
+//
+// With expectedRps and rpsPerReplica, replicas = ceil(expectedRps /
+// (rpsPerReplica × utilization)) and the actual utilization follows from the
+// load. Without them, a runtime component gets one replica running at
+// `utilization`. "strict" latency tolerance keeps at least two replicas.
+//
+// Energy per replica = its share of an instance (the larger of its CPU and
+// memory share) × (idle + (max − idle) × utilization) × region PUE.
+// Embodied emissions are amortized the same way over the instance lifetime.
+
+const { RUNTIME_TYPES: RUNTIME_TYPE_LIST, STATEFUL_WORKLOAD_TYPES } = require("./components");
+
+const RUNTIME_TYPES = new Set(RUNTIME_TYPE_LIST);
+// Everything that runs as pods: runtime plus database / cache / queue
+const WORKLOAD_TYPES = new Set([...RUNTIME_TYPE_LIST, ...STATEFUL_WORKLOAD_TYPES]);
+
+// Per-instance hardware profile for each instance class the planner picks,
+// plus the matching Civo node size for cluster provisioning
+const INSTANCE_CLASSES = {
+  "eco-small": {
+    civoNodeSize: "g4s.kube.medium",
+    vcpu: 2,
+    memoryGiB: 4,
+    idleWatts: 12,
+    maxWatts: 45,
+    embodiedKgCo2e: 450,
+    lifetimeYears: 5,
+  },
+  "standard-small": {
+    civoNodeSize: "g4s.kube.medium",
+    vcpu: 2,
+    memoryGiB: 4,
+    idleWatts: 22,
+    maxWatts: 75,
+    embodiedKgCo2e: 550,
+    lifetimeYears: 4,
+  },
+  "standard-medium": {
+    civoNodeSize: "g4s.kube.large",
+    vcpu: 4,
+    memoryGiB: 8,
+    idleWatts: 40,
+    maxWatts: 140,
+    embodiedKgCo2e: 900,
+    lifetimeYears: 4,
+  },
+};
+const DEFAULT_INSTANCE_CLASS = "standard-medium";
+
+// Used when a region has no pue in the catalog
+const DEFAULT_PUE = 1.5;
+
+const COMPONENT_DEFAULTS = {
+  cpuCores: 0.25,
+  memoryMiB: 256,
+  utilization: 0.5,
+};
+const MAX_REPLICAS_PER_COMPONENT = 20;
+
+const HOURS_PER_YEAR = 24 * 365;
+
+function isRuntime(component) {
+  return RUNTIME_TYPES.has(component.type);
+}
+
+function isWorkload(component) {
+  return WORKLOAD_TYPES.has(component.type);
+}
+
+// -------------------- Parsing --------------------
+
+function parseCpu(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const m = value.trim().match(/^(\d+(?:\.\d+)?)(m?)$/);
+    if (m) return m[2] ? Number(m[1]) / 1000 : Number(m[1]);
+  }
+  return NaN;
+}
+
+function parseMemoryMiB(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const m = value.trim().match(/^(\d+(?:\.\d+)?)(Mi|Gi)$/);
+    if (m) return m[2] === "Gi" ? Number(m[1]) * 1024 : Number(m[1]);
+  }
+  return NaN;
+}
+
+// Throws with a user-facing message on bad sizing fields.
+function parseSizing(component, idx) {
+  const where = `components[${idx}]`;
+  const positive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+  const requests = (component.resources && component.resources.requests) || {};
+  const cpu = component.cpu !== undefined ? component.cpu : requests.cpu;
+  const memory = component.memory !== undefined ? component.memory : requests.memory;
+
+  const cpuCores = cpu === undefined ? COMPONENT_DEFAULTS.cpuCores : parseCpu(cpu);
+  if (!positive(cpuCores)) {
+    throw new Error(`${where}.cpu must be cores (0.5) or millicores ("500m").`);
+  }
+  const memoryMiB =
+    memory === undefined ? COMPONENT_DEFAULTS.memoryMiB : parseMemoryMiB(memory);
+  if (!positive(memoryMiB)) {
+    throw new Error(`${where}.memory must be MiB (512) or a quantity like "512Mi" or "1Gi".`);
+  }
+
+  const utilization =
+    component.utilization === undefined ? COMPONENT_DEFAULTS.utilization : component.utilization;
+  if (!positive(utilization) || utilization > 1) {
+    throw new Error(`${where}.utilization must be between 0 (exclusive) and 1.`);
+  }
+
+  ["expectedRps", "rpsPerReplica"].forEach((key) => {
+    if (component[key] !== undefined && !positive(component[key])) {
+      throw new Error(`${where}.${key} must be a positive number.`);
+    }
+  });
+  if ((component.expectedRps === undefined) !== (component.rpsPerReplica === undefined)) {
+    throw new Error(`${where}: expectedRps and rpsPerReplica must be given together.`);
+  }
+
+  const autoscaling = component.autoscaling || {};
+  const minReplicas = component.minReplicas ?? autoscaling.minReplicas ?? 1;
+  const maxReplicas = Math.min(
+    component.maxReplicas ?? autoscaling.maxReplicas ?? MAX_REPLICAS_PER_COMPONENT,
+    MAX_REPLICAS_PER_COMPONENT
+  );
+  if (
+    !Number.isInteger(minReplicas) ||
+    !Number.isInteger(maxReplicas) ||
+    minReplicas < 1 ||
+    maxReplicas < minReplicas ||
+    maxReplicas > MAX_REPLICAS_PER_COMPONENT
+  ) {
+    throw new Error(
+      `${where}: minReplicas/maxReplicas must be integers with 1 <= min <= max <= ${MAX_REPLICAS_PER_COMPONENT}.`
+    );
+  }
+
+  if (
+    component.replicas !== undefined &&
+    (!Number.isInteger(component.replicas) ||
+      component.replicas < 1 ||
+      component.replicas > MAX_REPLICAS_PER_COMPONENT)
+  ) {
+    throw new Error(
+      `${where}.replicas must be an integer between 1 and ${MAX_REPLICAS_PER_COMPONENT}.`
+    );
+  }
+
+  return {
+    cpuCores,
+    memoryMiB,
+    utilization,
+    replicas: component.replicas,
+    expectedRps: component.expectedRps,
+    rpsPerReplica: component.rpsPerReplica,
+    minReplicas,
+    maxReplicas,
+  };
+}
+
+// -------------------- Sizing --------------------
+
+// Returns components with a `sizing` block ({ cpuCores, memoryMiB, replicas,
+// utilization, basis }) plus the total runtime replica count.
+// Non-runtime components are sized too but are not deployed as pods.
+function sizeComponents(components, latencyTolerance) {
+  const sized = components.map((c, idx) => {
+    const s = parseSizing(c, idx);
+    let replicas;
+    let utilization;
+    let basis;
+
+    if (s.replicas !== undefined) {
+      replicas = s.replicas;
+      basis = "fixed";
+    } else {
+      if (s.expectedRps !== undefined) {
+        replicas = Math.ceil(s.expectedRps / (s.rpsPerReplica * s.utilization));
+        basis = "throughput";
+      } else {
+        replicas = 1;
+        basis = "default";
+      }
+      if (latencyTolerance === "strict" && isRuntime(c)) {
+        replicas = Math.max(replicas, 2);
+      }
+      replicas = Math.min(Math.max(replicas, s.minReplicas), s.maxReplicas);
+    }
+
+    if (s.expectedRps !== undefined) {
+      utilization = Math.min(1, s.expectedRps / (replicas * s.rpsPerReplica));
+      if (basis === "throughput" && utilization > s.utilization) basis = "throughput-capped";
+    } else {
+      utilization = s.utilization;
+    }
+
+    return {
+      ...c,
+      replicas,
+      sizing: {
+        cpuCores: s.cpuCores,
+        memoryMiB: s.memoryMiB,
+        replicas,
+        utilization: Math.round(utilization * 100) / 100,
+        basis,
+      },
+    };
+  });
+
+  const totalReplicas = sized.filter(isRuntime).reduce((sum, c) => sum + c.replicas, 0);
+  return { components: sized, totalReplicas: Math.max(1, totalReplicas) };
+}
+
+// Default-sized replicas, for callers that only know a replica count
+function defaultComponents(replicas) {
+  return [
+    {
+      name: "workload",
+      type: "container",
+      replicas,
+      sizing: {
+        cpuCores: COMPONENT_DEFAULTS.cpuCores,
+        memoryMiB: COMPONENT_DEFAULTS.memoryMiB,
+        replicas,
+        utilization: COMPONENT_DEFAULTS.utilization,
+        basis: "default",
+      },
+    },
+  ];
+}
+
+// -------------------- Energy model --------------------
+
+// Fraction of one instance a replica reserves
+function instanceShare(sizing, profile) {
+  return Math.max(
+    sizing.cpuCores / profile.vcpu,
+    sizing.memoryMiB / (profile.memoryGiB * 1024)
+  );
+}
+
+// Nodes needed to fit the replicas' requests, keeping NODE_HEADROOM free
+const NODE_HEADROOM = 0.25;
+
+function nodeCountFor(components, instanceClass) {
+  const profile = INSTANCE_CLASSES[instanceClass] || INSTANCE_CLASSES[DEFAULT_INSTANCE_CLASS];
+  const used = components
+    .filter(isWorkload)
+    .reduce((sum, c) => sum + c.replicas * instanceShare(c.sizing, profile), 0);
+  return Math.max(1, Math.ceil(used / (1 - NODE_HEADROOM)));
+}
+
+// Hourly footprint of running `components` (sized, with `replicas`) on
+// `instanceClass` in a region with `pue` and grid `carbonIntensity` (gCO2/kWh).
+// Only workload components (runtime and stateful pods) count.
+function estimateFootprint({ components, instanceClass, pue, carbonIntensity }) {
+  const profile = INSTANCE_CLASSES[instanceClass] || INSTANCE_CLASSES[DEFAULT_INSTANCE_CLASS];
+  const effectivePue = typeof pue === "number" && pue >= 1 ? pue : DEFAULT_PUE;
+
+  let itWatts = 0;
+  let embodiedKgPerHour = 0;
+  components.filter(isWorkload).forEach((c) => {
+    const share = instanceShare(c.sizing, profile);
+    const watts =
+      profile.idleWatts + (profile.maxWatts - profile.idleWatts) * c.sizing.utilization;
+    itWatts += c.replicas * share * watts;
+    embodiedKgPerHour +=
+      (c.replicas * share * profile.embodiedKgCo2e) / (profile.lifetimeYears * HOURS_PER_YEAR);
+  });
+
+  const hourlyEnergyKwh = (itWatts * effectivePue) / 1000;
+  const operational = (carbonIntensity / 1000) * hourlyEnergyKwh;
+  return {
+    instanceClass: INSTANCE_CLASSES[instanceClass] ? instanceClass : DEFAULT_INSTANCE_CLASS,
+    pue: effectivePue,
+    itPowerKw: itWatts / 1000,
+    hourlyEnergyKwh,
+    hourlyOperationalCO2Kg: operational,
+    hourlyEmbodiedCO2Kg: embodiedKgPerHour,
+    hourlyCO2Kg: operational + embodiedKgPerHour,
+  };
+}
+
+module.exports = {
+  INSTANCE_CLASSES,
+  DEFAULT_INSTANCE_CLASS,
+  DEFAULT_PUE,
+  isRuntime,
+  isWorkload,
+  sizeComponents,
+  defaultComponents,
+  estimateFootprint,
+  nodeCountFor,
+};
@@ -0,0 +1,61 @@
+// src/storage/collectionStore.js
+// Shared collection logic used by every storage driver.
+// A driver hands us the migrated document plus a persist() hook that is
+// called after each write; the in-memory driver simply passes a no-op.
+
+const crypto = require("crypto");
+
+function createCollectionStore(document, persist, info) {
+  const data = document;
+
+  function collection(name) {
+    if (!data.collections[name]) {
+      data.collections[name] = [];
+    }
+    return data.collections[name];
+  }
+
+  return {
+    async insert(name, doc) {
+      const record = { id: doc.id || crypto.randomUUID(), ...doc };
+      collection(name).push(record);
+      await persist(data);
+      return structuredClone(record);
+    },
+
+    async list(name) {
+      return structuredClone(collection(name));
+    },
+
+    async get(name, id) {
+      const found = collection(name).find((d) => d.id === id);
+      return found ? structuredClone(found) : null;
+    },
+
+    async update(name, id, patch) {
+      const found = collection(name).find((d) => d.id === id);
+      if (!found) return null;
+      Object.assign(found, patch, { id: found.id });
+      await persist(data);
+      return structuredClone(found);
+    },
+
+    async remove(name, id) {
+      const items = collection(name);
+      const idx = items.findIndex((d) => d.id === id);
+      if (idx === -1) return false;
+      items.splice(idx, 1);
+      await persist(data);
+      return true;
+    },
+
+    describe() {
+      return {
+        ...info,
+        schemaVersion: data.schemaVersion,
+      };
+    },
+  };
+}
+
+module.exports = { createCollectionStore };
@@ -0,0 +1,53 @@
+// src/storage/fileStore.js
+// JSON-file store that survives process restarts (PM2 restarts included).
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a truncated store behind.
+
+const fs = require("fs");
+const path = require("path");
+const { createCollectionStore } = require("./collectionStore");
+const { emptyDocument, migrate } = require("./migrations");
+
+function readDocument(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return emptyDocument();
+  }
+  const raw = fs.readFileSync(filePath, "utf8");
+  if (!raw.trim()) {
+    return emptyDocument();
+  }
+  return JSON.parse(raw);
+}
+
+function createFileStore(filePath) {
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+  const { data, applied } = migrate(readDocument(resolved));
+
+  // Serialize writes so concurrent requests can't interleave renames.
+  let writeChain = Promise.resolve();
+
+  function persist(doc) {
+    const snapshot = JSON.stringify(doc, null, 2);
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tmpFile = `${resolved}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, snapshot, "utf8");
+        await fs.promises.rename(tmpFile, resolved);
+      });
+    return writeChain;
+  }
+
+  if (applied.length > 0) {
+    console.log(
+      `🗄️  Migrated store ${resolved} to schema v${data.schemaVersion} (applied: ${applied.join(", ")}).`
+    );
+    fs.writeFileSync(resolved, JSON.stringify(data, null, 2), "utf8");
+  }
+
+  return createCollectionStore(data, persist, { driver: "file", path: resolved });
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,32 @@
+// src/storage/index.js
+// Picks a storage driver from the environment.
+//
+//   GREENOPS_STORE=file   (default) JSON file at GREENOPS_DATA_FILE
+//   GREENOPS_STORE=memory           in-process only, wiped on restart
+
+const path = require("path");
+const { createFileStore } = require("./fileStore");
+const { createMemoryStore } = require("./memoryStore");
+
+const DEFAULT_DATA_FILE = path.join(__dirname, "..", "..", "data", "greenops-store.json");
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.GREENOPS_STORE || "file";
+
+  switch (driver) {
+    case "memory":
+      return createMemoryStore(options.initialData);
+    case "file":
+      return createFileStore(
+        options.filePath || process.env.GREENOPS_DATA_FILE || DEFAULT_DATA_FILE
+      );
+    default:
+      throw new Error(`Unknown GREENOPS_STORE driver "${driver}" (expected "file" or "memory").`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createFileStore,
+  createMemoryStore,
+};
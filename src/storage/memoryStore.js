@@ -0,0 +1,13 @@
+// src/storage/memoryStore.js
+// Volatile store: same behaviour as the old DEPLOYMENTS_HISTORY array.
+// Useful for tests and throwaway demos.
+
+const { createCollectionStore } = require("./collectionStore");
+const { emptyDocument, migrate } = require("./migrations");
+
+function createMemoryStore(initialData) {
+  const { data } = migrate(initialData || emptyDocument());
+  return createCollectionStore(data, async () => {}, { driver: "memory" });
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,183 @@
+// src/storage/migrations.js
+// Forward-only schema migrations for the persisted store.
+//
+// The on-disk document looks like:
+//   { schemaVersion: number, collections: { deployments: [...], ... } }
+//
+// To add a field to stored records, append a migration with the next version
+// number. Never edit a migration that has already shipped.
+
+const crypto = require("crypto");
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Wrap legacy deployment arrays in a collections document and give every record an id",
+    up(data) {
+      // Version 0 was either nothing at all or a bare array of deployments
+      // (the shape of the old in-memory DEPLOYMENTS_HISTORY).
+      const legacy = Array.isArray(data) ? data : data?.collections?.deployments || [];
+      return {
+        schemaVersion: 1,
+        collections: {
+          ...(data?.collections || {}),
+          deployments: legacy.map((d) => ({
+            id: d.id || crypto.randomUUID(),
+            ...d,
+          })),
+        },
+      };
+    },
+  },
+  {
+    version: 2,
+    description: "Give deployments a lifetime (startedAt, endedAt, supersededBy)",
+    up(data) {
+      const deployments = (data.collections.deployments || []).map((d) => ({
+        ...d,
+        startedAt: d.startedAt || d.timestamp,
+        endedAt: d.endedAt ?? null,
+        endReason: d.endReason ?? null,
+        supersededBy: d.supersededBy ?? null,
+      }));
+      return {
+        ...data,
+        collections: { ...data.collections, deployments },
+      };
+    },
+  },
+  {
+    version: 3,
+    description: "Add country (for data residency) to catalog regions",
+    up(data) {
+      // Countries of the regions shipped in config/regions.json
+      const knownCountries = {
+        LON1: "GB",
+        FRA1: "DE",
+        NYC1: "US",
+        SFO1: "US",
+        BLR1: "IN",
+        SGP1: "SG",
+      };
+      const regions = (data.collections.regions || []).map((r) => ({
+        ...r,
+        country: r.country ?? knownCountries[r.id] ?? null,
+      }));
+      return {
+        ...data,
+        collections: { ...data.collections, regions },
+      };
+    },
+  },
+  {
+    version: 4,
+    description: "Add pue (power usage effectiveness) to catalog regions",
+    up(data) {
+      // PUE of the regions shipped in config/regions.json
+      const knownPue = {
+        LON1: 1.3,
+        FRA1: 1.3,
+        NYC1: 1.4,
+        SFO1: 1.4,
+        BLR1: 1.6,
+        SGP1: 1.5,
+      };
+      const regions = (data.collections.regions || []).map((r) => ({
+        ...r,
+        pue: r.pue ?? knownPue[r.id] ?? null,
+      }));
+      return {
+        ...data,
+        collections: { ...data.collections, regions },
+      };
+    },
+  },
+  {
+    version: 5,
+    description: "Record the Kubernetes namespace of each deployment",
+    up(data) {
+      // Every deployment before per-project namespaces went to greenops-app
+      const deployments = (data.collections.deployments || []).map((d) => ({
+        ...d,
+        namespace: d.namespace ?? "greenops-app",
+      }));
+      return {
+        ...data,
+        collections: { ...data.collections, deployments },
+      };
+    },
+  },
+  {
+    version: 6,
+    description: "Assign deployments to projects, one per greenops-<project> namespace",
+    up(data) {
+      // greenops-app was shared (now the "default" project); greenops-<slug>
+      // came from the free-form "project" /api/plan used to take
+      const projectIdOf = (namespace) =>
+        !namespace || namespace === "greenops-app"
+          ? "default"
+          : namespace.replace(/^greenops-/, "");
+      const deployments = (data.collections.deployments || []).map((d) => ({
+        ...d,
+        projectId: d.projectId ?? projectIdOf(d.namespace),
+      }));
+
+      const projects = [...(data.collections.projects || [])];
+      const now = new Date().toISOString();
+      deployments.forEach((d) => {
+        if (d.projectId === "default" || projects.some((p) => p.id === d.projectId)) return;
+        projects.push({
+          id: d.projectId,
+          name: d.projectId,
+          description: null,
+          namespace: d.namespace,
+          components: null,
+          createdAt: now,
+          updatedAt: now,
+        });
+      });
+      return {
+        ...data,
+        collections: { ...data.collections, deployments, projects },
+      };
+    },
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function emptyDocument() {
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, collections: {} };
+}
+
+// Bring any older document up to CURRENT_SCHEMA_VERSION.
+// Returns { data, applied } where applied lists the versions that ran.
+function migrate(data) {
+  let current = data;
+  const fromVersion =
+    current && !Array.isArray(current) && typeof current.schemaVersion === "number"
+      ? current.schemaVersion
+      : 0;
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Store schema version ${fromVersion} is newer than this build supports (${CURRENT_SCHEMA_VERSION}).`
+    );
+  }
+
+  const applied = [];
+  MIGRATIONS.filter((m) => m.version > fromVersion).forEach((m) => {
+    current = m.up(current);
+    current.schemaVersion = m.version;
+    applied.push(m.version);
+  });
+
+  if (!current.collections) current.collections = {};
+  return { data: current, applied };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  emptyDocument,
+  migrate,
+};
@@ -0,0 +1,287 @@
+// src/webhooks.js
+// Outgoing notifications (budget warnings and breaches, see src/budgets.js).
+//
+// Read once at startup from WEBHOOKS_CONFIG_FILE (default
+// config/webhooks.json; see config/webhooks.example.json). A missing file
+// means no webhooks.
+//
+//   {
+//     "webhooks": [
+//       { "name": "ops-slack", "format": "slack", "url": "https://hooks.slack.com/services/..." },
+//       { "name": "finops", "format": "signed", "url": "https://finops.example.com/hooks/greenops",
+//         "secretEnv": "FINOPS_WEBHOOK_SECRET", "events": ["budget.breached", "budget.override"] }
+//     ]
+//   }
+//
+// Webhook fields:
+//   name        unique, used in logs and POST /api/webhooks/:name/test
+//   format      "slack"   Slack-compatible { "text": ... } (incoming webhooks,
+//                         Mattermost, Teams workflows)
+//               "signed"  the event itself, signed with HMAC-SHA256:
+//                         X-GreenOps-Signature: sha256=<hex> over
+//                         "<X-GreenOps-Timestamp>.<body>"
+//   url         http(s) URL to POST to
+//   secret      signing secret ("signed" only), or
+//   secretEnv   the environment variable holding it
+//   events      event types to send (default all); "budget.*" matches a prefix
+//
+// Events: { id, type, createdAt, summary, data }. Deliveries time out after
+// `timeoutMs` and retry with backoff on network errors, 429 and 5xx; the last
+// `historySize` are kept in memory for GET /api/webhooks.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const WEBHOOK_FORMATS = ["slack", "signed"];
+const WEBHOOK_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/;
+
+// Slack has no event types; the emoji says what happened
+const SLACK_ICONS = {
+  "budget.warning": ":warning:",
+  "budget.breached": ":rotating_light:",
+  "budget.override": ":unlock:",
+  "budget.blocked": ":no_entry:",
+  "webhook.test": ":wave:",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -------------------- Validation --------------------
+
+// Returns a list of problems; empty means the webhook entry is valid.
+function validateWebhook(webhook) {
+  const errors = [];
+  if (!webhook || typeof webhook !== "object" || Array.isArray(webhook)) {
+    return ["webhook must be an object"];
+  }
+  if (typeof webhook.name !== "string" || !WEBHOOK_NAME_PATTERN.test(webhook.name)) {
+    errors.push("name must be 1-63 letters, digits, dots, dashes or underscores");
+  }
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    errors.push(`format must be one of: ${WEBHOOK_FORMATS.join(", ")}`);
+  }
+  let url = null;
+  try {
+    url = new URL(webhook.url);
+  } catch (err) {
+    // reported below
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    errors.push("url must be an http(s) URL");
+  }
+  if (webhook.format === "signed") {
+    const { secret, secretEnv } = webhook;
+    if (secret === undefined && secretEnv === undefined) {
+      errors.push('format "signed" needs secret or secretEnv');
+    } else if (secretEnv !== undefined && !process.env[secretEnv]) {
+      errors.push(`environment variable ${secretEnv} is not set`);
+    } else if (secret !== undefined && !(typeof secret === "string" && secret)) {
+      errors.push("secret must be a non-empty string");
+    }
+  }
+  const events = webhook.events;
+  if (
+    events !== undefined &&
+    !(Array.isArray(events) && events.length > 0 && events.every((e) => typeof e === "string" && e))
+  ) {
+    errors.push('events must be a non-empty list of event types (e.g. "budget.*")');
+  }
+  return errors;
+}
+
+// Read and validate the config file. Returns [] when the file does not
+// exist; throws on any invalid entry so a broken config fails at startup.
+function loadWebhooksConfig(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const webhooks = Array.isArray(parsed) ? parsed : parsed.webhooks;
+  if (!Array.isArray(webhooks)) {
+    throw new Error(`${filePath}: expected an array of webhooks or { "webhooks": [...] }`);
+  }
+
+  const names = new Set();
+  const problems = [];
+  webhooks.forEach((w, idx) => {
+    validateWebhook(w).forEach((e) => problems.push(`webhooks[${idx}]: ${e}`));
+    if (w && names.has(w.name)) problems.push(`webhooks[${idx}]: duplicate name ${w.name}`);
+    if (w) names.add(w.name);
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid webhooks config ${filePath}:\n  ${problems.join("\n  ")}`);
+  }
+
+  return webhooks.map((w) => ({
+    name: w.name,
+    format: w.format,
+    url: w.url,
+    secret: w.format === "signed" ? w.secret || process.env[w.secretEnv] : null,
+    events: w.events || null,
+  }));
+}
+
+// -------------------- Payloads --------------------
+
+function wants(webhook, type) {
+  if (!webhook.events) return true;
+  return webhook.events.some((pattern) =>
+    pattern.endsWith(".*") ? type.startsWith(pattern.slice(0, -1)) : pattern === type
+  );
+}
+
+function slackPayload(event) {
+  const icon = SLACK_ICONS[event.type] || ":seedling:";
+  return { text: `${icon} *GreenOps* ${event.summary}` };
+}
+
+// Signature of a "signed" delivery; receivers recompute it from the raw body
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Body and headers for one delivery of `event` to `webhook`
+function requestFor(webhook, event) {
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "greenops-backend",
+  };
+  if (webhook.format === "slack") {
+    return { headers, body: JSON.stringify(slackPayload(event)) };
+  }
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    headers: {
+      ...headers,
+      "X-GreenOps-Event": event.type,
+      "X-GreenOps-Delivery": event.id,
+      "X-GreenOps-Timestamp": timestamp,
+      "X-GreenOps-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+    },
+    body,
+  };
+}
+
+// -------------------- Notifier --------------------
+
+function createNotifier({
+  webhooks = [],
+  timeoutMs = 5000,
+  retries = 2,
+  backoffMs = 500,
+  historySize = 50,
+} = {}) {
+  const deliveries = []; // newest first
+
+  function remember(delivery) {
+    deliveries.unshift(delivery);
+    deliveries.splice(historySize);
+  }
+
+  // POSTs `event` to one webhook, retrying what may succeed later. Never
+  // throws: the outcome goes to the delivery history.
+  async function deliver(webhook, event) {
+    const delivery = {
+      webhook: webhook.name,
+      eventId: event.id,
+      type: event.type,
+      status: "failed",
+      attempts: 0,
+      httpStatus: null,
+      error: null,
+      at: null,
+    };
+    for (let i = 0; i <= retries; i += 1) {
+      delivery.attempts += 1;
+      let retryable = true;
+      try {
+        const { headers, body } = requestFor(webhook, event);
+        const resp = await fetch(webhook.url, {
+          method: "POST",
+          headers,
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        delivery.httpStatus = resp.status;
+        if (resp.ok) {
+          delivery.status = "delivered";
+          delivery.error = null;
+          break;
+        }
+        delivery.error = `HTTP ${resp.status}`;
+        retryable = resp.status === 429 || resp.status >= 500;
+      } catch (err) {
+        delivery.error =
+          err.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : err.message;
+      }
+      if (!retryable || i === retries) break;
+      await sleep(backoffMs * 2 ** i);
+    }
+    delivery.at = new Date().toISOString();
+    remember(delivery);
+    if (delivery.status === "failed") {
+      console.warn(`⚠️  Webhook ${webhook.name} failed for ${event.type}: ${delivery.error}`);
+    }
+    return delivery;
+  }
+
+  function eventOf(type, summary, data) {
+    return {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      summary,
+      data,
+    };
+  }
+
+  // Sends an event to every webhook that wants it; resolves with the
+  // deliveries once all are done
+  function notify(type, summary, data = {}) {
+    const event = eventOf(type, summary, data);
+    return Promise.all(webhooks.filter((w) => wants(w, type)).map((w) => deliver(w, event)));
+  }
+
+  // One "webhook.test" event to one webhook, whatever its event filter
+  function test(name) {
+    const webhook = webhooks.find((w) => w.name === name);
+    if (!webhook) return null;
+    return deliver(
+      webhook,
+      eventOf("webhook.test", `Test notification for webhook ${name}.`, { webhook: name })
+    );
+  }
+
+  // Webhooks without their URLs' paths and secrets
+  function describe() {
+    return webhooks.map((w) => ({
+      name: w.name,
+      format: w.format,
+      host: new URL(w.url).host,
+      events: w.events || ["*"],
+    }));
+  }
+
+  function stats() {
+    return {
+      configured: webhooks.length,
+      recentDeliveries: deliveries.length,
+      recentFailures: deliveries.filter((d) => d.status === "failed").length,
+    };
+  }
+
+  return {
+    notify,
+    test,
+    describe,
+    deliveries: () => deliveries.slice(),
+    stats,
+  };
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  loadWebhooksConfig,
+  signPayload,
+  createNotifier,
+};
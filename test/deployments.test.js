@@ -0,0 +1,107 @@
+// test/deployments.test.js
+// Deployment records (src/deployments.js) on the memory store, for two saved
+// plans ("shop" and "blog") deployed with the same strategy to one region.
+// Their manifests carry different greenops-plan labels, so deploying, rolling
+// back or tearing down one of them never touches the other.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../src/storage");
+const { parseComponents } = require("../src/components");
+const { sizeComponents } = require("../src/sizing");
+const { generateKubernetesYaml, validateManifests } = require("../src/manifests");
+const { planLabelFor } = require("../src/plans");
+const {
+  createDeploymentLog,
+  planKeyOf,
+  planLabelOf,
+  selectorLabelOf,
+} = require("../src/deployments");
+
+const SHOP = "7e68af95-4d70-4a06-af7a-406819a172ff";
+const BLOG = "83db7543-81a7-4869-971b-1e65bb7b7ff6";
+
+// The "balanced" manifests /api/plan saves for a one-component plan
+function manifestsFor(savedPlanId, image) {
+  const { components } = sizeComponents(
+    parseComponents([{ name: "web", type: "container", image }])
+  );
+  return generateKubernetesYaml("balanced", "LON1", "standard-medium", 1, components, {
+    namespace: "greenops-app",
+    planLabel: planLabelFor(savedPlanId, "balanced"),
+  });
+}
+
+// What /api/deploy records for a saved plan's manifests
+function deploy(log, savedPlanId, kubernetesYaml, startedAt) {
+  return log.record(
+    {
+      planId: "balanced",
+      planLabel: planLabelOf(kubernetesYaml),
+      projectId: "default",
+      region: "LON1",
+      namespace: "greenops-app",
+      savedPlan: { id: savedPlanId, version: 1 },
+      startedAt,
+    },
+    kubernetesYaml
+  );
+}
+
+test("saved plans with the same strategy label their objects apart", () => {
+  const shop = manifestsFor(SHOP, "x/shop:1.0");
+  const blog = manifestsFor(BLOG, "x/blog:1.0");
+
+  assert.equal(planLabelOf(shop), `balanced-${SHOP}`);
+  assert.equal(planLabelOf(blog), `balanced-${BLOG}`);
+  validateManifests(blog).docs.forEach((doc) => {
+    assert.equal(doc.metadata.labels["greenops-plan"], `balanced-${BLOG}`);
+  });
+  // Still a valid label value (63 characters at most)
+  assert.match(planLabelOf(blog), /^[A-Za-z0-9][A-Za-z0-9_.-]{0,62}$/);
+});
+
+test("deploying one saved plan leaves the other running", async () => {
+  const store = createStore({ driver: "memory" });
+  const log = createDeploymentLog(store);
+
+  const shop = await deploy(log, SHOP, manifestsFor(SHOP, "x/shop:1.0"), "2026-01-01T00:00:00Z");
+  const blog = await deploy(log, BLOG, manifestsFor(BLOG, "x/blog:1.0"), "2026-01-02T00:00:00Z");
+  assert.equal((await store.get("deployments", shop.id)).endedAt, null);
+
+  const blog2 = await deploy(log, BLOG, manifestsFor(BLOG, "x/blog:2.0"), "2026-01-03T00:00:00Z");
+  const ended = await store.get("deployments", blog.id);
+  assert.equal(ended.endReason, "superseded");
+  assert.equal(ended.supersededBy, blog2.id);
+  assert.equal((await store.get("deployments", shop.id)).endedAt, null);
+});
+
+test("a rollback re-applies the same saved plan's previous manifests", async () => {
+  const log = createDeploymentLog(createStore({ driver: "memory" }));
+  const blog = await deploy(log, BLOG, manifestsFor(BLOG, "x/blog:1.0"), "2026-01-01T00:00:00Z");
+  await deploy(log, SHOP, manifestsFor(SHOP, "x/shop:1.0"), "2026-01-02T00:00:00Z");
+  const blog2 = await deploy(log, BLOG, manifestsFor(BLOG, "x/blog:2.0"), "2026-01-03T00:00:00Z");
+  const shop2 = await deploy(log, SHOP, manifestsFor(SHOP, "x/shop:2.0"), "2026-01-04T00:00:00Z");
+
+  const previous = await log.previousOf(blog2);
+  assert.equal(previous.deployment.id, blog.id);
+  assert.match(previous.kubernetesYaml, /image: x\/blog:1\.0/);
+  // The shop's first deploy is the only one before its second
+  assert.match((await log.previousOf(shop2)).kubernetesYaml, /image: x\/shop:1\.0/);
+  assert.equal(await log.previousOf(blog), null);
+});
+
+test("teardowns select by the record's label, and old records by their planId", async () => {
+  const log = createDeploymentLog(createStore({ driver: "memory" }));
+  const blogYaml = manifestsFor(BLOG, "x/blog:1.0");
+  const blog = await deploy(log, BLOG, blogYaml, "2026-01-01T00:00:00Z");
+
+  assert.equal(selectorLabelOf(blog, null), `balanced-${BLOG}`);
+  assert.equal(planKeyOf(blog), `balanced-${BLOG}`);
+
+  // Records from before planLabel: the stored manifests' label, or the planId
+  const legacy = { id: "old-1", planId: "balanced", region: "LON1" };
+  assert.equal(selectorLabelOf(legacy, blogYaml), `balanced-${BLOG}`);
+  assert.equal(selectorLabelOf(legacy, null), "balanced");
+  assert.equal(planKeyOf(legacy), "balanced");
+});
@@ -0,0 +1,283 @@
+// test/kube-api.test.js
+// Kubernetes API client (src/kube/) against scripts/mock-kube-apiserver.js.
+// Two mock servers run for the whole file: one whose workloads finish
+// rolling out after 200 ms, and one whose workloads never do (for rollout
+// timeouts and workloads deleted mid-rollout). Each mock logs every request
+// line, which is how the tests see the query strings the client sends.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { KubeApiError, createKubeClient } = require("../src/kube");
+
+const MOCK_SCRIPT = path.join(__dirname, "..", "scripts", "mock-kube-apiserver.js");
+const NAMESPACE = "greenops-test";
+const SELECTOR = "greenops-plan=demo";
+
+function manifests({ name = "api", replicas = 2 } = {}) {
+  return `apiVersion: v1
+kind: Namespace
+metadata:
+  name: ${NAMESPACE}
+---
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: ${name}
+  namespace: ${NAMESPACE}
+  labels:
+    greenops-plan: demo
+spec:
+  replicas: ${replicas}
+  selector:
+    matchLabels:
+      app: ${name}
+  template:
+    metadata:
+      labels:
+        app: ${name}
+        greenops-plan: demo
+    spec:
+      containers:
+        - name: ${name}
+          image: nginx:1.27
+`;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts the mock on a free port. `requests` collects "METHOD url" lines.
+async function startMock(dir, { rolloutMs }) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [MOCK_SCRIPT], {
+    env: { ...process.env, MOCK_KUBE_PORT: String(port), MOCK_KUBE_ROLLOUT_MS: String(rolloutMs) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  const requests = [];
+  await new Promise((resolve, reject) => {
+    let buffered = "";
+    child.on("error", reject);
+    child.on("exit", (code) => reject(new Error(`mock-kube-apiserver exited with ${code}`)));
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      const lines = (buffered + chunk).split("\n");
+      buffered = lines.pop();
+      lines.forEach((line) => {
+        if (line.includes("Mock Kubernetes API server")) resolve();
+        else if (line) requests.push(line);
+      });
+    });
+  });
+
+  const kubeconfig = path.join(dir, `kubeconfig-${port}.yaml`);
+  fs.writeFileSync(
+    kubeconfig,
+    `apiVersion: v1
+kind: Config
+current-context: mock
+clusters:
+  - name: mock
+    cluster:
+      server: http://127.0.0.1:${port}
+contexts:
+  - name: mock
+    context:
+      cluster: mock
+      user: mock
+users:
+  - name: mock
+    user:
+      token: mock
+`
+  );
+
+  return {
+    requests,
+    client: () => createKubeClient({ kubeconfig, context: "mock", timeoutMs: 10 * 1000 }),
+    stop: () =>
+      new Promise((resolve) => {
+        child.removeAllListeners("exit");
+        child.once("exit", resolve);
+        child.kill();
+      }),
+  };
+}
+
+// Query parameters of the PATCH requests logged since `from`
+function patchQueries(mock, from = 0) {
+  return mock.requests
+    .slice(from)
+    .filter((line) => line.startsWith("PATCH "))
+    .map((line) => new URL(line.slice("PATCH ".length), "http://mock").searchParams);
+}
+
+let dir;
+let fast;
+let stuck;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "greenops-kube-test-"));
+  fast = await startMock(dir, { rolloutMs: 200 });
+  stuck = await startMock(dir, { rolloutMs: -1 });
+});
+
+after(async () => {
+  await Promise.all([fast, stuck].filter(Boolean).map((mock) => mock.stop()));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("apply uses server-side apply as the greenops field manager", async () => {
+  const kube = fast.client();
+  const from = fast.requests.length;
+
+  const result = await kube.applyManifests(manifests());
+
+  assert.equal(result.mode, "apply");
+  assert.equal(
+    result.stdout,
+    "namespace/greenops-test serverside-applied\ndeployment.apps/api serverside-applied\n"
+  );
+  const queries = patchQueries(fast, from);
+  assert.equal(queries.length, 2);
+  queries.forEach((query) => {
+    assert.equal(query.get("fieldManager"), "greenops");
+    assert.equal(query.get("force"), "true");
+    assert.equal(query.get("dryRun"), null);
+  });
+});
+
+test("server-dry-run sends dryRun=All and persists nothing", async () => {
+  const kube = fast.client();
+  const from = fast.requests.length;
+
+  const result = await kube.applyManifests(manifests({ name: "preview" }), {
+    mode: "server-dry-run",
+  });
+
+  assert.match(result.stdout, /deployment\.apps\/preview serverside-applied \(server dry run\)/);
+  const queries = patchQueries(fast, from);
+  assert.equal(queries.length, 2);
+  queries.forEach((query) => assert.equal(query.get("dryRun"), "All"));
+  await assert.rejects(
+    kube.rolloutStatus(NAMESPACE, [{ kind: "Deployment", name: "preview" }]),
+    (err) => err instanceof KubeApiError && err.status === 404
+  );
+});
+
+test("diff reports changes against the live objects without applying them", async () => {
+  const kube = fast.client();
+  await kube.applyManifests(manifests());
+  const from = fast.requests.length;
+
+  const same = await kube.applyManifests(manifests(), { mode: "diff" });
+  assert.equal(same.changed, false);
+  assert.equal(same.stdout, "");
+
+  const scaled = await kube.applyManifests(manifests({ replicas: 3 }), { mode: "diff" });
+  assert.equal(scaled.changed, true);
+  assert.match(scaled.stdout, /^diff deployment\.apps\/api \(changed\)$/m);
+  assert.match(scaled.stdout, /^- {4}"replicas": 2,$/m);
+  assert.match(scaled.stdout, /^\+ {4}"replicas": 3,$/m);
+
+  const added = await kube.applyManifests(manifests({ name: "worker" }), { mode: "diff" });
+  assert.equal(added.changed, true);
+  assert.match(added.stdout, /^diff deployment\.apps\/worker \(new\)$/m);
+
+  patchQueries(fast, from).forEach((query) => assert.equal(query.get("dryRun"), "All"));
+  // Nothing was applied: the live objects still match the first manifests
+  assert.equal((await kube.applyManifests(manifests(), { mode: "diff" })).changed, false);
+});
+
+test("watchRollout resolves once the workload has rolled out", async () => {
+  const kube = fast.client();
+  await kube.applyManifests(manifests({ replicas: 4 }));
+  const output = [];
+
+  await kube.watchRollout(NAMESPACE, [{ kind: "Deployment", name: "api" }], {
+    timeoutSeconds: 10,
+    onOutput: (stream, text) => output.push(text),
+  });
+
+  assert.equal(output[output.length - 1], 'deployment "api" successfully rolled out\n');
+  assert.ok(output.some((line) => line.startsWith('Waiting for deployment "api"')));
+});
+
+test("watchRollout fails with a Timeout once timeoutSeconds has passed", async () => {
+  const kube = stuck.client();
+  await kube.applyManifests(manifests());
+
+  await assert.rejects(
+    kube.watchRollout(NAMESPACE, [{ kind: "Deployment", name: "api" }], { timeoutSeconds: 1 }),
+    (err) =>
+      err instanceof KubeApiError &&
+      err.reason === "Timeout" &&
+      /did not finish rolling out within 1s/.test(err.message)
+  );
+});
+
+test("watchRollout fails when the workload is deleted during the rollout", async () => {
+  const kube = stuck.client();
+  await kube.applyManifests(manifests({ name: "doomed" }));
+
+  const watching = kube.watchRollout(NAMESPACE, [{ kind: "Deployment", name: "doomed" }], {
+    timeoutSeconds: 10,
+  });
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  await kube.deleteByLabel(NAMESPACE, SELECTOR, ["deployments"]);
+
+  await assert.rejects(
+    watching,
+    (err) =>
+      err instanceof KubeApiError &&
+      err.status === 404 &&
+      /deleted during the rollout/.test(err.message)
+  );
+});
+
+test("deleteByLabel deletes matching objects and ignores ones already gone", async () => {
+  const kube = fast.client();
+  await kube.applyManifests(manifests());
+
+  // The mock lists pods from the workloads' templates but cannot delete
+  // them, so each pod DELETE answers 404
+  const result = await kube.deleteByLabel(NAMESPACE, SELECTOR, ["pods", "deployments"]);
+
+  assert.equal(result.stdout, 'deployment.apps "api" deleted\n');
+  assert.match(result.command, /^delete pods,deployments in greenops-test with greenops-plan=demo/);
+  const podDeletes = fast.requests.filter((line) =>
+    line.startsWith(`DELETE /api/v1/namespaces/${NAMESPACE}/pods/`)
+  );
+  assert.equal(podDeletes.length, 2);
+  assert.deepEqual(await kube.podStatus(NAMESPACE, SELECTOR), []);
+});
+
+test("podStatus summarises the pods matching a selector", async () => {
+  const kube = fast.client();
+  await kube.applyManifests(manifests());
+  await kube.watchRollout(NAMESPACE, [{ kind: "Deployment", name: "api" }], { timeoutSeconds: 10 });
+
+  const pods = await kube.podStatus(NAMESPACE, SELECTOR);
+
+  assert.equal(pods.length, 2);
+  pods.forEach((pod) => {
+    assert.match(pod.name, /^api-[0-9a-f]{8}-[01]$/);
+    assert.deepEqual(
+      { phase: pod.phase, ready: pod.ready, restarts: pod.restarts, node: pod.node },
+      { phase: "Running", ready: true, restarts: 0, node: "mock-node-1" }
+    );
+  });
+  assert.deepEqual(await kube.podStatus(NAMESPACE, "greenops-plan=other"), []);
+});
@@ -0,0 +1,188 @@
+// test/kubectl.test.js
+// kubectl client (src/kubectl.js) against scripts/fake-kubectl/kubectl. The
+// fake logs each argv it receives (FAKE_KUBECTL_LOG), and TMPDIR points at a
+// directory of this file's own, so the tests can check both the exact
+// argument lists and that no manifests are left behind.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { KubectlError, createKubectl } = require("../src/kubectl");
+
+const FAKE_KUBECTL = path.join(__dirname, "..", "scripts", "fake-kubectl", "kubectl");
+const FAKE_ENV = [
+  "FAKE_KUBECTL_FAIL",
+  "FAKE_KUBECTL_DIFF",
+  "FAKE_KUBECTL_ROLLOUT",
+  "FAKE_KUBECTL_DELAY_MS",
+];
+
+const MANIFESTS = `apiVersion: v1
+kind: Namespace
+metadata:
+  name: greenops-test
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: api-svc
+  namespace: greenops-test
+spec:
+  ports:
+    - port: 80
+`;
+
+let dir;
+let tmpdir;
+let logFile;
+const savedEnv = {};
+
+// Argument lists the fake kubectl was started with, oldest first
+function calls() {
+  if (!fs.existsSync(logFile)) return [];
+  return fs
+    .readFileSync(logFile, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "greenops-kubectl-test-"));
+  tmpdir = path.join(dir, "tmp");
+  fs.mkdirSync(tmpdir);
+  logFile = path.join(dir, "calls.log");
+  ["TMPDIR", "FAKE_KUBECTL_LOG", ...FAKE_ENV].forEach((name) => {
+    savedEnv[name] = process.env[name];
+  });
+  process.env.TMPDIR = tmpdir;
+  process.env.FAKE_KUBECTL_LOG = logFile;
+});
+
+beforeEach(() => {
+  FAKE_ENV.forEach((name) => delete process.env[name]);
+  fs.rmSync(logFile, { force: true });
+});
+
+after(() => {
+  Object.entries(savedEnv).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("kubectl gets an argument list, so shell syntax is passed through as text", async () => {
+  const marker = path.join(dir, "injected");
+  const kubeconfig = path.join(dir, `kube config; touch ${marker} $(touch ${marker})`);
+  const kubectl = createKubectl({ binary: FAKE_KUBECTL, context: "civo-fra1", kubeconfig });
+
+  const result = await kubectl.applyManifests(MANIFESTS);
+  const selector = `greenops-plan=demo;touch ${marker}`;
+  await kubectl.deleteByLabel("greenops-test", selector, ["deployments", "services"]);
+
+  const [apply, teardown] = calls();
+  assert.equal(apply.length, 5);
+  assert.deepEqual(apply.slice(0, 4), [
+    `--kubeconfig=${kubeconfig}`,
+    "--context=civo-fra1",
+    "apply",
+    "-f",
+  ]);
+  assert.equal(path.basename(apply[4]), "manifests.yaml");
+  assert.deepEqual(teardown, [
+    `--kubeconfig=${kubeconfig}`,
+    "--context=civo-fra1",
+    "delete",
+    "deployments,services",
+    "--namespace=greenops-test",
+    `--selector=${selector}`,
+    "--ignore-not-found",
+  ]);
+  assert.equal(fs.existsSync(marker), false);
+  assert.equal(result.stdout, "namespace/greenops-test configured\nservice/api-svc configured\n");
+  // The printable command quotes what a shell would otherwise split
+  assert.ok(result.command.includes(`'--kubeconfig=${kubeconfig}'`));
+});
+
+test("context names that could be read as flags or shell syntax are refused", () => {
+  ["--token=abc", "civo fra1", "civo;rm"].forEach((context) => {
+    assert.throws(() => createKubectl({ binary: FAKE_KUBECTL, context }), /not a valid/);
+  });
+});
+
+test("the manifests' temp directory is removed after success and failure", async () => {
+  const kubectl = createKubectl({ binary: FAKE_KUBECTL });
+
+  await kubectl.applyManifests(MANIFESTS, { mode: "server-dry-run" });
+  const [dryRun] = calls();
+  assert.deepEqual(dryRun.slice(0, 3), ["apply", "--dry-run=server", "-f"]);
+  assert.ok(dryRun[3].startsWith(path.join(tmpdir, "greenops-deploy-")));
+  assert.deepEqual(fs.readdirSync(tmpdir), []);
+
+  process.env.FAKE_KUBECTL_FAIL = "true";
+  await assert.rejects(
+    kubectl.applyManifests(MANIFESTS),
+    (err) => err instanceof KubectlError && err.code === 1 && /told to fail/.test(err.stderr)
+  );
+  assert.deepEqual(fs.readdirSync(tmpdir), []);
+});
+
+test("diff treats exit code 1 as changed and only fails above it", async () => {
+  const kubectl = createKubectl({ binary: FAKE_KUBECTL });
+
+  const changed = await kubectl.applyManifests(MANIFESTS, { mode: "diff" });
+  assert.equal(changed.changed, true);
+  assert.match(changed.stdout, /^\+kind: Service$/m);
+
+  process.env.FAKE_KUBECTL_DIFF = "false";
+  const same = await kubectl.applyManifests(MANIFESTS, { mode: "diff" });
+  assert.equal(same.changed, false);
+
+  process.env.FAKE_KUBECTL_FAIL = "true";
+  await assert.rejects(
+    kubectl.applyManifests(MANIFESTS, { mode: "diff" }),
+    (err) => err instanceof KubectlError && err.code === 2
+  );
+
+  // Outside diff, `changed` is not reported
+  delete process.env.FAKE_KUBECTL_FAIL;
+  const applied = await kubectl.applyManifests(MANIFESTS);
+  assert.equal(applied.changed, undefined);
+});
+
+test("kubectl is killed once it runs past the timeout", async () => {
+  const kubectl = createKubectl({ binary: FAKE_KUBECTL, timeoutMs: 1000 });
+  process.env.FAKE_KUBECTL_DELAY_MS = "10000";
+
+  const started = Date.now();
+  await assert.rejects(
+    kubectl.applyManifests(MANIFESTS),
+    (err) => err instanceof KubectlError && /did not finish within 1s/.test(err.message)
+  );
+  assert.ok(Date.now() - started < 5000);
+  assert.deepEqual(fs.readdirSync(tmpdir), []);
+});
+
+test("watchRollout passes its timeout to kubectl and fails when the rollout does", async () => {
+  const kubectl = createKubectl({ binary: FAKE_KUBECTL });
+  const workloads = [{ kind: "Deployment", name: "api" }];
+
+  await kubectl.watchRollout("greenops-test", workloads, { timeoutSeconds: 5 });
+  assert.deepEqual(calls()[0], [
+    "rollout",
+    "status",
+    "deployment/api",
+    "--namespace=greenops-test",
+    "--timeout=5s",
+  ]);
+
+  process.env.FAKE_KUBECTL_ROLLOUT = "pending";
+  await assert.rejects(
+    kubectl.watchRollout("greenops-test", workloads, { timeoutSeconds: 5 }),
+    (err) =>
+      err instanceof KubectlError && err.code === 1 && /timed out waiting/.test(err.stderr)
+  );
+});